@@ -10,7 +10,6 @@ const compression = require('compression');
 const morgan = require('morgan');
 const { authenticate, authorize } = require('./middleware/auth');
 const config = require('./config/env');
-const socketService = require('./services/socketService');
 const logger = require('./config/logger');
 
 // Initialize express app
@@ -139,6 +138,7 @@ const corsOptions = {
     'X-Dev-Role',
     'X-Refresh-Token',
     'X-Request-ID',
+    'Idempotency-Key',
   ],
   exposedHeaders: ['Authorization', 'X-Refresh-Token', 'X-Request-ID'],
   credentials: true,
@@ -153,7 +153,20 @@ app.options('*', cors(corsOptions));
 app.use(morgan('combined', { stream: logger.stream }));
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Provider webhooks are verified against the exact bytes the provider signed
+    verify: (req, res, buf) => {
+      if (
+        req.originalUrl.startsWith('/api/payments/webhooks') ||
+        req.originalUrl.startsWith('/api/background-checks/webhooks')
+      ) {
+        req.rawBody = buf.toString('utf8');
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -229,13 +242,16 @@ const mountRoutes = () => {
       authenticate,
       require('./routes/contractRoutes')
     );
+    apiRouter.use('/bookings/series', require('./routes/bookingSeriesRoutes'));
     apiRouter.use('/bookings', authenticate, require('./routes/bookingRoutes'));
     apiRouter.use('/jobs', authenticate, require('./routes/jobsRoutes'));
     apiRouter.use('/applications', require('./routes/applicationsRoutes'));
     apiRouter.use('/children', require('./routes/childrenRoutes'));
     apiRouter.use('/uploads', authenticate, require('./routes/uploadsRoutes'));
     apiRouter.use('/privacy', require('./routes/privacy'));
+    apiRouter.use('/data', require('./routes/dataRoutes'));
     apiRouter.use('/payments', require('./routes/paymentRoutes'));
+    apiRouter.use('/background-checks', require('./routes/backgroundCheckRoutes'));
     apiRouter.use('/admin', require('./routes/adminRoutes'));
     
     // Solana & Points routes (Week 3-5 features)
@@ -248,7 +264,9 @@ const mountRoutes = () => {
     );
     apiRouter.use('/messages', require('./routes/messagingSupabaseRoutes'));
     apiRouter.use('/notifications', require('./routes/notificationRoutes'));
+    apiRouter.use('/realtime', require('./routes/realtimeRoutes'));
     apiRouter.use('/ratings', require('./routes/ratingRoutes'));
+    apiRouter.use('/documents', require('./routes/documentRoutes'));
 
     app.use('/api', apiRouter);
   } catch (error) {
@@ -287,6 +305,17 @@ app.use((err, req, res, next) => {
       : err.message,
   };
 
+  // Operational errors (ErrorResponse) carry a machine-readable code and details
+  if (err.isOperational) {
+    if (typeof err.code === 'string') response.code = err.code;
+    if (err.validationErrors && Object.keys(err.validationErrors).length) {
+      response.errors = err.validationErrors;
+    }
+    if (Array.isArray(err.metadata?.conflictingBookingIds)) {
+      response.conflictingBookingIds = err.metadata.conflictingBookingIds;
+    }
+  }
+
   if (process.env.NODE_ENV === 'development') {
     response.stack = err.stack;
     response.details = {
@@ -299,9 +328,10 @@ app.use((err, req, res, next) => {
   res.status(statusCode).json(response);
 });
 
-// Socket.IO is disabled for Vercel serverless compatibility
-// Uncomment below if deploying to a traditional server environment
-// const server = require('http').createServer(app);
-// socketService.initialize(server);
+// Socket.IO attaches to the HTTP server in server.js when running as a
+// long-lived process. Serverless deployments (Vercel) have no socket server;
+// clients fall back to the SSE stream at /api/realtime/events, which needs
+// REALTIME_RELAY=supabase to reach streams held by other instances (see
+// services/socketService.js).
 
 module.exports = app;
@@ -75,6 +75,9 @@ const envVarsSchema = Joi.object({
   GEOCODER_PROVIDER: Joi.string().default('mapquest'),
   GEOCODER_API_KEY: Joi.string(),
   GEOCODER_CACHE_TTL: Joi.number().default(86400),
+  GEOCODER_CACHE_SIZE: Joi.number().integer().min(1).default(1000),
+  // JSON file of { "place": { latitude, longitude } } for GEOCODER_PROVIDER=fixture
+  GEOCODER_FIXTURES: Joi.string(),
   
   // Rate Limiting
   RATE_LIMIT_MAX: Joi.number().default(100)
@@ -251,6 +254,8 @@ const config = {
     provider: envVars.GEOCODER_PROVIDER,
     apiKey: envVars.GEOCODER_API_KEY,
     cacheTTL: envVars.GEOCODER_CACHE_TTL,
+    cacheSize: envVars.GEOCODER_CACHE_SIZE,
+    fixtures: envVars.GEOCODER_FIXTURES,
     timeout: 5000,
   },
 
@@ -13,7 +13,44 @@ const {
   SystemSettingsService,
 } = require("../services/supabaseService");
 const auditService = require("../services/auditService");
+const { coordinateColumns } = require("../services/geocodingService");
+const { PaymentProcessor } = require("../services/paymentProcessor");
+const {
+  bookingStateMachine,
+  stores: bookingStores,
+} = require("../services/bookingStateMachine");
 const { sendStatusEmail } = require("../services/emailService");
+const { notify } = require("../services/notificationService");
+const scheduler = require("../services/scheduler");
+const { registerMaintenanceJobs } = require("../services/maintenanceJobs");
+const {
+  getVerification,
+  getReviewQueue,
+  reviewDocument,
+  reviewBackgroundCheck,
+} = require("../services/caregiverVerification");
+
+const normalizeBackgroundCheck = (record) => {
+  const check = Array.isArray(record) ? record[0] : record;
+  if (!check) return null;
+
+  return {
+    status: check.status,
+    provider: check.provider,
+    providerReference: check.provider_reference || null,
+    providerStatus: check.provider_status || null,
+    checkTypes: check.check_types || [],
+    result: check.provider_result || null,
+    reportUrl: check.report_url || null,
+    notes: check.notes,
+    requestedAt: check.requested_at,
+    completedAt: check.completed_at,
+    verifiedAt: check.verified_at,
+    verifiedBy: check.verified_by,
+    expiryDate: check.expiry_date,
+    lastPolledAt: check.last_polled_at || null,
+  };
+};
 
 const normalizeUser = (record) => {
   if (!record) return null;
@@ -31,6 +68,7 @@ const normalizeUser = (record) => {
     profileImage: record.profile_image,
     createdAt: record.created_at,
     caregiverProfile: record.caregiver_profiles || null,
+    backgroundCheck: normalizeBackgroundCheck(record.caregiver_background_checks),
   };
 };
 
@@ -176,6 +214,17 @@ exports.dashboard = async (req, res) => {
   }
 };
 
+// Let the parent who posted a job know an admin changed it
+const notifyJobOwner = (job, { adminId, title, reason }) => {
+  notify([job.parent_id], {
+    type: "job",
+    title,
+    message: reason ? `${job.title}: ${reason}` : job.title,
+    data: { jobId: job.id },
+    actorId: adminId,
+  });
+};
+
 const applyJobStatusChange = async ({
   jobId,
   adminId,
@@ -212,54 +261,58 @@ const applyJobStatusChange = async ({
     },
   });
 
+  notifyJobOwner(job, {
+    adminId,
+    title: `Job ${targetStatus.replace(/_/g, " ")}`,
+    reason,
+  });
+
   return { job: normalizeJob(updatedJob) };
 };
 
+// All admin status changes go through the shared booking state machine
 const applyBookingStatusChange = async ({
   bookingId,
   adminId,
   targetStatus,
   auditAction,
   reason,
-  allowedCurrentStatuses,
-  errorHint,
+  punctual,
 }) => {
   const booking = await BookingService.findById(bookingId);
   if (!booking) {
     return { error: "Booking not found", statusCode: 404 };
   }
 
-  if (
-    allowedCurrentStatuses &&
-    !allowedCurrentStatuses.includes(booking.status)
-  ) {
+  try {
+    const updatedBooking = await bookingStateMachine.transition({
+      booking,
+      to: targetStatus,
+      actor: { id: adminId, role: "admin" },
+      store: bookingStores.supabase,
+      context: { auditAction, reason, punctual },
+    });
+    return { booking: normalizeBooking(updatedBooking) };
+  } catch (error) {
+    if (!error.isOperational) throw error;
     return {
-      error:
-        errorHint ||
-        `Cannot transition booking from ${booking.status} to ${targetStatus}`,
-      statusCode: 400,
+      error: error.message,
+      statusCode: error.statusCode,
+      code: error.code,
+      conflictingBookingIds: error.metadata?.conflictingBookingIds,
     };
   }
-
-  const updatedBooking = await BookingService.updateStatus(
-    bookingId,
-    targetStatus,
-  );
-
-  await AuditLogService.create({
-    admin_id: adminId,
-    action: auditAction,
-    target_id: bookingId,
-    metadata: {
-      from: booking.status,
-      to: targetStatus,
-      reason: reason ?? null,
-    },
-  });
-
-  return { booking: normalizeBooking(updatedBooking) };
 };
 
+const bookingStatusErrorBody = (result) => ({
+  success: false,
+  error: result.error,
+  ...(result.code && { code: result.code }),
+  ...(result.conflictingBookingIds && {
+    conflictingBookingIds: result.conflictingBookingIds,
+  }),
+});
+
 const summarizeProofWarnings = (payment) => {
   if (!payment) return null;
   if (payment.proofStatus !== "needs_review") {
@@ -398,6 +451,22 @@ exports.updatePaymentStatus = async (req, res) => {
       },
     });
 
+    // Approved: the parent's receipt is now downloadable
+    if (normalizedStatus === "paid" && updated.parentInfo?.id) {
+      notify([updated.parentInfo.id], {
+        type: "booking",
+        title: "Payment approved",
+        message: `Your payment of ${updated.currency} ${updated.totalAmount.toFixed(2)} was approved. Your receipt is ready.`,
+        data: {
+          kind: "receipt",
+          paymentId: updated.id,
+          bookingId: updated.bookingId,
+          receiptUrl: `/api/documents/receipts/${updated.id}`,
+        },
+        actorId: adminId,
+      });
+    }
+
     const warnings = summarizeProofWarnings(updated);
 
     res.status(200).json({
@@ -440,7 +509,7 @@ exports.refundPayment = async (req, res) => {
       });
     }
 
-    const updated = await PaymentService.refund(paymentId, validation.value);
+    const updated = await PaymentProcessor.refund(existing, validation.value);
 
     await AuditLogService.create({
       admin_id: adminId,
@@ -468,6 +537,122 @@ exports.refundPayment = async (req, res) => {
   }
 };
 
+// Operational errors from the verification workflow carry their own status
+const verificationErrorBody = (error) => ({
+  success: false,
+  error: error.message,
+  ...(Object.keys(error.validationErrors || {}).length && {
+    errors: error.validationErrors,
+  }),
+});
+
+// Caregiver verification review queue: pending documents and background checks
+exports.getVerificationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, documentType } = req.query;
+    const queue = await getReviewQueue({
+      documentType,
+      page: Number(page),
+      limit: Number(limit),
+    });
+
+    res.status(200).json({ success: true, data: queue });
+  } catch (error) {
+    res.status(500).json(handleSupabaseError(error, "getVerificationQueue"));
+  }
+};
+
+// A caregiver's verification: tier requirements, documents, expiries
+exports.getCaregiverVerification = async (req, res) => {
+  try {
+    const verification = await getVerification(req.params.userId);
+    res.status(200).json({ success: true, data: verification });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(verificationErrorBody(error));
+    }
+    res.status(500).json(handleSupabaseError(error, "getCaregiverVerification"));
+  }
+};
+
+// Approve or reject a caregiver document
+exports.reviewVerificationDocument = async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const { decision, notes, expiryDate } = req.body || {};
+    const adminId = req.user.id;
+
+    const result = await reviewDocument(documentId, {
+      decision,
+      adminId,
+      notes,
+      expiryDate,
+    });
+
+    await AuditLogService.create({
+      admin_id: adminId,
+      action: "REVIEW_CAREGIVER_DOCUMENT",
+      target_id: result.document.user_id,
+      metadata: {
+        documentId,
+        documentType: result.document.document_type,
+        status: result.document.status,
+        expiryDate: result.document.expiry_date,
+        notes,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Document ${result.document.status}`,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(verificationErrorBody(error));
+    }
+    res.status(500).json(handleSupabaseError(error, "reviewVerificationDocument"));
+  }
+};
+
+// Record the outcome of a caregiver's background check
+exports.reviewCaregiverBackgroundCheck = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { decision, notes, expiryDate } = req.body || {};
+    const adminId = req.user.id;
+
+    const result = await reviewBackgroundCheck(userId, {
+      decision,
+      adminId,
+      notes,
+      expiryDate,
+    });
+
+    await AuditLogService.create({
+      admin_id: adminId,
+      action: "REVIEW_BACKGROUND_CHECK",
+      target_id: userId,
+      metadata: {
+        status: result.backgroundCheck.status,
+        expiryDate: result.backgroundCheck.expiry_date,
+        notes,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Background check ${result.backgroundCheck.status}`,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(verificationErrorBody(error));
+    }
+    res.status(500).json(handleSupabaseError(error, "reviewCaregiverBackgroundCheck"));
+  }
+};
+
 // Jobs management functions
 exports.listJobs = async (req, res) => {
   try {
@@ -1106,6 +1291,7 @@ exports.createJob = async (req, res) => {
       hourly_rate: hourly_rate || null,
       parent_id: parent_id || null,
       caregiver_id: caregiver_id || null,
+      ...(await coordinateColumns(location)),
       status: "open",
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
@@ -1179,7 +1365,7 @@ exports.updateJob = async (req, res) => {
     const updates = {
       ...(title ? { title } : {}),
       ...(description ? { description } : {}),
-      ...(location ? { location } : {}),
+      ...(location ? { location, ...(await coordinateColumns(location)) } : {}),
       ...(typeof budget === "number" ? { budget } : {}),
       ...(typeof hourly_rate === "number" ? { hourly_rate } : {}),
       ...(parent_id ? { parent_id } : {}),
@@ -1242,6 +1428,8 @@ exports.updateJobStatus = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: `Job ${status}` });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1276,6 +1464,8 @@ exports.approveJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job approved" });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1312,6 +1502,8 @@ exports.rejectJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job rejected", reason });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1348,6 +1540,8 @@ exports.cancelJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job cancelled", reason });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1382,6 +1576,8 @@ exports.completeJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job completed" });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1416,6 +1612,8 @@ exports.reopenJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job reopened" });
+
     res.status(200).json({
       success: true,
       data: normalizeJob(updatedJob),
@@ -1452,6 +1650,8 @@ exports.deleteJob = async (req, res) => {
       },
     });
 
+    notifyJobOwner(job, { adminId, title: "Job removed", reason });
+
     res.status(200).json({
       success: true,
       message: "Job deleted successfully",
@@ -1575,34 +1775,77 @@ exports.listAuditLogs = async (req, res) => {
   }
 };
 
-// Booking status change functions
-exports.updateBookingStatus = async (req, res) => {
+// Scheduled maintenance jobs
+exports.listScheduledJobs = async (req, res) => {
   try {
-    const { bookingId } = req.params;
-    const { status, reason } = req.body || {};
-    const adminId = req.user.id;
+    const jobs = await registerMaintenanceJobs(scheduler).list();
 
-    // Constrained by DB enum: pending, confirmed, completed, cancelled
-    const validStatuses = ["pending", "confirmed", "completed", "cancelled"];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    res.status(200).json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    res.status(500).json(handleSupabaseError(error, "listScheduledJobs"));
+  }
+};
+
+exports.runScheduledJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+    registerMaintenanceJobs(scheduler);
+
+    if (!scheduler.jobs.has(name)) {
+      return res.status(404).json({
         success: false,
-        error: `Invalid status value. Must be one of: ${validStatuses.join(", ")}`,
+        error: "Scheduled job not found",
       });
     }
 
+    const outcome = await scheduler.run(name, { force: true });
+
+    await AuditLogService.create({
+      admin_id: req.user.id,
+      action: "RUN_SCHEDULED_JOB",
+      target_id: null,
+      metadata: { name, ...outcome },
+    });
+
+    if (!outcome.ran) {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${name} is already running`,
+      });
+    }
+
+    res.status(200).json({
+      success: outcome.status === "succeeded",
+      data: outcome,
+    });
+  } catch (error) {
+    res.status(500).json(handleSupabaseError(error, "runScheduledJob"));
+  }
+};
+
+// Booking status change functions
+exports.updateBookingStatus = async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { status, reason, punctual } = req.body || {};
+    const adminId = req.user.id;
+
     const result = await applyBookingStatusChange({
       bookingId,
       adminId,
       targetStatus: status,
       auditAction: "UPDATE_BOOKING_STATUS",
       reason,
+      punctual,
     });
 
     if (result.error) {
       return res
         .status(result.statusCode)
-        .json({ success: false, error: result.error });
+        .json(bookingStatusErrorBody(result));
     }
 
     res.status(200).json({
@@ -1627,14 +1870,12 @@ exports.confirmBooking = async (req, res) => {
       targetStatus: "confirmed",
       auditAction: "CONFIRM_BOOKING",
       reason,
-      allowedCurrentStatuses: ["pending"],
-      errorHint: "Only pending bookings can be confirmed",
     });
 
     if (result.error) {
       return res
         .status(result.statusCode)
-        .json({ success: false, error: result.error });
+        .json(bookingStatusErrorBody(result));
     }
 
     return res.status(200).json({
@@ -1652,20 +1893,17 @@ exports.startBooking = async (req, res) => {
     const { bookingId } = req.params;
     const adminId = req.user.id;
 
-    // We no longer use a separate "in_progress" status at the DB level.
-    // Treat "start" as a no-op for status (or keep as confirmed).
     const result = await applyBookingStatusChange({
       bookingId,
       adminId,
-      targetStatus: "confirmed",
+      targetStatus: "in_progress",
       auditAction: "START_BOOKING",
-      allowedCurrentStatuses: ["confirmed"],
     });
 
     if (result.error) {
       return res
         .status(result.statusCode)
-        .json({ success: false, error: result.error });
+        .json(bookingStatusErrorBody(result));
     }
 
     return res.status(200).json({
@@ -1681,6 +1919,7 @@ exports.startBooking = async (req, res) => {
 exports.completeBooking = async (req, res) => {
   try {
     const { bookingId } = req.params;
+    const { punctual } = req.body || {};
     const adminId = req.user.id;
 
     const result = await applyBookingStatusChange({
@@ -1688,14 +1927,13 @@ exports.completeBooking = async (req, res) => {
       adminId,
       targetStatus: "completed",
       auditAction: "COMPLETE_BOOKING",
-      // Only allow completing confirmed bookings
-      allowedCurrentStatuses: ["confirmed"],
+      punctual,
     });
 
     if (result.error) {
       return res
         .status(result.statusCode)
-        .json({ success: false, error: result.error });
+        .json(bookingStatusErrorBody(result));
     }
 
     return res.status(200).json({
@@ -1720,16 +1958,12 @@ exports.cancelBooking = async (req, res) => {
       targetStatus: "cancelled",
       auditAction: "CANCEL_BOOKING",
       reason,
-      // DB enum: pending, confirmed, completed, cancelled
-      // Allow cancelling from pending or confirmed only
-      allowedCurrentStatuses: ["pending", "confirmed"],
-      errorHint: "Only pending or confirmed bookings can be cancelled",
     });
 
     if (result.error) {
       return res
         .status(result.statusCode)
-        .json({ success: false, error: result.error });
+        .json(bookingStatusErrorBody(result));
     }
 
     return res.status(200).json({
@@ -1812,6 +2046,16 @@ module.exports = {
   reopenJob: exports.reopenJob,
   deleteJob: exports.deleteJob,
 
+  // Caregiver verification
+  getVerificationQueue: exports.getVerificationQueue,
+  getCaregiverVerification: exports.getCaregiverVerification,
+  reviewVerificationDocument: exports.reviewVerificationDocument,
+  reviewCaregiverBackgroundCheck: exports.reviewCaregiverBackgroundCheck,
+
   // Audit logs
   listAuditLogs: exports.listAuditLogs,
+
+  // Scheduled jobs
+  listScheduledJobs: exports.listScheduledJobs,
+  runScheduledJob: exports.runScheduledJob,
 };
@@ -1,9 +1,24 @@
-const Application = require("../models/Application");
-const Job = require("../models/Job");
-const User = require("../models/User");
 const { validationResult } = require("express-validator");
-const { process: processError } = require("../utils/errorHandler");
-const logger = require("../utils/logger");
+const {
+  JobService,
+  ApplicationService,
+  InterviewService,
+  CaregiverProfileService,
+  UserBlockService,
+} = require("../services/supabaseService");
+const {
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  FILLED_FEEDBACK,
+  assertParentTransition,
+  normalizeFeedback,
+  hireApplicant,
+  normalizeInterviewInput,
+  assertInterviewAction,
+} = require("../services/hiringPipeline");
+const { notify } = require("../services/notificationService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
 let socketService = null;
 try {
   socketService = require("../services/socketService");
@@ -14,683 +29,676 @@ try {
   );
 }
 
-// Helper function to calculate total cost
-const calculateTotalCost = (startTime, endTime, hourlyRate) => {
-  const start = new Date(`2024-01-01T${startTime}`);
-  const end = new Date(`2024-01-01T${endTime}`);
-  const hours = (end.getTime() - start.getTime()) / (1000 * 60 * 60);
-  return Math.max(0, hours * hourlyRate);
-};
+const ADMIN_ROLES = ["admin", "superadmin"];
 
-// Helper to get consistent user ID
-const getUserId = (user) => {
-  return user?.id || user?.uid || user?.mongoId || "demo-caregiver-id";
+// Notification titles for decisions a caregiver hears about
+const DECISION_MESSAGES = {
+  accepted: "Your application was accepted",
+  rejected: "Your application was not selected",
+  shortlisted: "You've been shortlisted",
 };
 
-// Ensure we always use a valid Mongo ObjectId for DB operations
-const mongoose = require("mongoose");
-const resolveMongoId = async (user) => {
-  console.log("🔍 resolveMongoId called with user:", {
-    id: user?.id,
-    uid: user?.uid,
-    mongoId: user?.mongoId,
-    _id: user?._id,
-  });
-
-  // First try direct MongoDB IDs, but prioritize caregiver profile lookup
-  const directId = user?.mongoId || user?._id;
-  if (directId && mongoose.isValidObjectId(directId)) {
-    console.log("✅ Found direct MongoDB ID:", directId);
-
-    // Check if this is a User ID and find corresponding Caregiver profile
-    try {
-      const caregiver = await require("../models/Caregiver").findOne({
-        userId: directId,
-      });
+// Notification titles for interview updates, sent to the other party
+const INTERVIEW_MESSAGES = {
+  proposed: "Interview requested",
+  confirmed: "Interview confirmed",
+  declined: "Interview declined",
+  cancelled: "Interview cancelled",
+  completed: "Interview completed",
+};
 
-      if (caregiver) {
-        console.log("✅ Found caregiver profile for user ID:", caregiver._id);
-        return caregiver._id;
+const MAX_COVER_LETTER_LENGTH = 1000;
+const MAX_MESSAGE_LENGTH = 500;
+const MAX_INTERVIEW_NOTES_LENGTH = 1000;
+const MAX_PIPELINE_SIZE = 500;
+
+const mapParty = (user, fallbackId) => ({
+  id: user?.id || fallbackId,
+  name: user?.name || "Unknown User",
+  profileImage: user?.profile_image || null,
+});
+
+const mapInterview = (interview) => ({
+  id: interview.id,
+  applicationId: interview.application_id,
+  jobId: interview.job_id,
+  parentId: interview.parent_id,
+  caregiverId: interview.caregiver_id,
+  scheduledAt: interview.scheduled_at,
+  durationMinutes: interview.duration_minutes,
+  mode: interview.mode,
+  location: interview.location,
+  notes: interview.notes,
+  status: interview.status,
+  proposedBy: interview.proposed_by,
+  respondedAt: interview.responded_at,
+  createdAt: interview.created_at,
+  updatedAt: interview.updated_at,
+});
+
+const mapApplication = (application, { interviews } = {}) => ({
+  _id: application.id,
+  id: application.id,
+  jobId: application.job_id,
+  caregiverId: application.caregiver_id,
+  parentId: application.job?.parent_id || null,
+  job: application.job
+    ? {
+        id: application.job.id,
+        title: application.job.title,
+        status: application.job.status,
+        location: application.job.location,
+        hourlyRate: application.job.hourly_rate,
+        date: application.job.date,
+        startTime: application.job.start_time,
+        endTime: application.job.end_time,
+        parent: application.job.parent
+          ? mapParty(application.job.parent, application.job.parent_id)
+          : undefined,
       }
-    } catch (error) {
-      console.error("❌ Error finding caregiver by user ID:", error);
-    }
+    : null,
+  caregiver: application.caregiver
+    ? mapParty(application.caregiver, application.caregiver_id)
+    : undefined,
+  coverLetter: application.cover_letter || "",
+  proposedRate: application.proposed_rate,
+  message: application.message || "",
+  status: application.status,
+  feedback: application.feedback || null,
+  reviewedAt: application.reviewed_at,
+  reviewedBy: application.reviewed_by,
+  bookingId: application.booking_id || null,
+  contractId: application.contract_id || null,
+  interviews: interviews ? interviews.map(mapInterview) : undefined,
+  createdAt: application.created_at,
+  updatedAt: application.updated_at,
+});
+
+const paginationFrom = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 100),
+});
+
+const statusFilter = (status) => {
+  if (status === undefined) return undefined;
+  if (!APPLICATION_STATUSES.includes(status)) {
+    throw ErrorResponse.badRequest(
+      `status must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+    );
+  }
+  return status;
+};
+
+const optionalText = (value, max, field) => {
+  if (value == null || value === "") return null;
+  const text = String(value).trim();
+  if (text.length > max) {
+    throw ErrorResponse.badRequest(`${field} must be less than ${max} characters`);
+  }
+  return text;
+};
 
-    return directId;
+/**
+ * Load an application the current user takes part in: the caregiver who
+ * applied or the parent who owns the job (admins can read any)
+ * @returns {Promise<{ application, party }>} party is "caregiver", "parent" or "admin"
+ */
+const loadApplication = async (req, { allowAdmin = false } = {}) => {
+  const application = await ApplicationService.findById(req.params.id);
+  let party = null;
+
+  if (application) {
+    if (application.caregiver_id === req.user.id) party = "caregiver";
+    else if (application.job?.parent_id === req.user.id) party = "parent";
+    else if (allowAdmin && ADMIN_ROLES.includes(req.user.role)) party = "admin";
   }
 
-  // If user has Firebase UID, find corresponding user in User collection
-  if (user?.id || user?.uid) {
-    try {
-      const userId = user.id || user.uid;
-      console.log("🔍 Looking for user with firebaseUid:", userId);
+  if (!party) throw ErrorResponse.notFound("Application not found");
+  return { application, party };
+};
 
-      // First find the user by Firebase UID
-      const userDoc = await require("../models/User").findOne({
-        firebaseUid: userId,
-      });
+// Load a job the current user owns (admins can read any)
+const loadOwnedJob = async (req, jobId, { allowAdmin = false } = {}) => {
+  const job = await JobService.findWithDetails(jobId);
+  if (
+    !job ||
+    (job.parent_id !== req.user.id && !(allowAdmin && ADMIN_ROLES.includes(req.user.role)))
+  ) {
+    throw ErrorResponse.notFound("Job not found or not authorized");
+  }
+  return job;
+};
 
-      if (userDoc) {
-        // Then find caregiver profile using the user's MongoDB ID
-        const caregiver = await require("../models/Caregiver").findOne({
-          userId: userDoc._id,
-        });
+const auditApplication = (req, action, application, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity: "APPLICATION",
+    entityId: application.id,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
 
-        if (caregiver) {
-          console.log("✅ Found caregiver profile ID:", caregiver._id);
-          return caregiver._id;
-        }
+const actorName = (req, fallback) => req.user.profile?.name || fallback;
 
-        console.log("✅ Found user MongoDB ID:", userDoc._id);
-        return userDoc._id;
-      }
-    } catch (error) {
-      console.error("❌ Error finding user:", error);
-    }
-  }
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
 
-  console.log("❌ No MongoDB ID found for user");
-  return null;
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
 };
 
 // Caregiver applies to a job
-exports.applyToJob = async (req, res) => {
+exports.applyToJob = async (req, res, next) => {
   try {
-    const { jobId, coverLetter, proposedRate, message } = req.body;
-    const caregiverMongoId = await resolveMongoId(req.user);
+    const { jobId, coverLetter, proposedRate, message } = req.body || {};
+    const caregiverId = req.user.id;
 
-    if (!jobId) {
-      return res.status(400).json({
-        success: false,
-        error: "Job ID is required",
-      });
+    if (req.user.role !== "caregiver") {
+      throw ErrorResponse.forbidden("Only caregivers can apply to jobs");
     }
+    if (!jobId) throw ErrorResponse.badRequest("Job ID is required");
 
-    if (!caregiverMongoId) {
-      return res.status(400).json({
-        success: false,
-        error: "User not properly authenticated",
-      });
+    const rate = proposedRate == null || proposedRate === "" ? null : Number(proposedRate);
+    if (rate !== null && !(rate > 0)) {
+      throw ErrorResponse.badRequest("Proposed rate must be a positive number");
     }
 
-    // Check for duplicate application
-    const existingApp = await Application.findOne({
-      jobId,
-      caregiverId: caregiverMongoId,
-    });
+    const fields = {
+      cover_letter: optionalText(coverLetter, MAX_COVER_LETTER_LENGTH, "Cover letter"),
+      proposed_rate: rate,
+      message: optionalText(message, MAX_MESSAGE_LENGTH, "Message"),
+    };
 
-    if (existingApp) {
-      return res.status(400).json({
-        success: false,
-        error: "You have already applied to this job",
-      });
+    const job = await JobService.findWithDetails(jobId);
+    if (!job) throw ErrorResponse.notFound("Job not found");
+    if (job.status !== "active" || job.caregiver_id) {
+      throw ErrorResponse.conflict("This job is no longer accepting applications");
+    }
+    if (await UserBlockService.findBetween(job.parent_id, caregiverId)) {
+      throw ErrorResponse.forbidden("You cannot apply to this job");
     }
 
-    // Create application in database
-    const application = new Application({
-      jobId,
-      caregiverId: caregiverMongoId,
-      coverLetter: coverLetter || "",
-      proposedRate: proposedRate ? Number(proposedRate) : undefined,
-      message: message || "",
+    let application = await ApplicationService.create({
+      job_id: job.id,
+      caregiver_id: caregiverId,
+      ...fields,
       status: "pending",
     });
 
-    await application.save();
-
-    // Get job and parent info for notification
-    const job = await Job.findById(jobId).populate("clientId", "name");
-    const caregiver = await require("../models/Caregiver")
-      .findById(caregiverMongoId)
-      .select("name");
-
-    if (job && caregiver) {
-      // Send real-time notification to parent
-      socketService.notifyNewApplication(job.clientId._id, {
-        applicationId: application._id,
-        jobTitle: job.title,
-        caregiverName: caregiver.name,
-        jobId: job._id,
-      });
+    // A withdrawn application can be sent again; anything else is a duplicate
+    if (!application) {
+      const existing = await ApplicationService.findForJob(job.id, caregiverId);
+      application =
+        existing?.status === "withdrawn"
+          ? await ApplicationService.update(
+              existing.id,
+              {
+                ...fields,
+                status: "pending",
+                feedback: null,
+                reviewed_by: null,
+                reviewed_at: null,
+              },
+              { expectedStatuses: ["withdrawn"] },
+            )
+          : null;
+      if (!application) {
+        throw ErrorResponse.conflict("You have already applied to this job");
+      }
     }
 
+    const caregiverName = actorName(req, "A caregiver");
+    socketService?.notifyNewApplication?.(job.parent_id, {
+      applicationId: application.id,
+      jobTitle: job.title,
+      caregiverName,
+      jobId: job.id,
+    });
+    notify([job.parent_id], {
+      type: "application",
+      title: "New application",
+      message: `${caregiverName} applied to ${job.title}`,
+      data: { applicationId: application.id, jobId: job.id },
+    });
+
     res.status(201).json({
       success: true,
       message: "Application submitted successfully",
-      data: application,
+      data: mapApplication(application),
     });
   } catch (error) {
-    console.error("Application submission error:", error);
-    res.status(500).json({
+    handleError(error, res, next, "Application submission", "Failed to submit application");
+  }
+};
+
+/**
+ * Parent moves an application through the pipeline (shortlist, reject,
+ * accept, complete). Accepting hires the caregiver: see hireApplicant.
+ * Body: { status, feedback?, contract?: { ...contract terms } }
+ */
+exports.updateApplicationStatus = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       success: false,
-      error: "Failed to submit application",
+      error: "Validation failed",
+      details: errors.array(),
     });
   }
-};
 
-// Parent updates application status (accept/reject/shortlist)
-exports.updateApplicationStatus = async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: errors.array(),
-      });
-    }
-
-    const parentId = req.user?.mongoId || req.user?._id;
-    const { id } = req.params;
-    const { status, feedback } = req.body;
-
-    const validStatuses = [
-      "pending",
-      "accepted",
-      "rejected",
-      "shortlisted",
-      "completed",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
-      });
-    }
-
-    const application = await Application.findById(id)
-      .populate("caregiverId", "name email avatar")
-      .populate("jobId", "title clientId");
-
-    if (!application) {
-      return res.status(404).json({
-        success: false,
-        error: "Application not found",
-      });
-    }
+    const { status, contract: contractTerms } = req.body || {};
+    const feedback = normalizeFeedback(req.body?.feedback);
+    const { application, party } = await loadApplication(req, { allowAdmin: true });
 
-    // Verify parent owns the job
-    if (!application.jobId || !application.jobId.clientId) {
-      return res.status(404).json({
-        success: false,
-        error: "Job or client information not found",
-      });
+    if (party === "caregiver") {
+      throw ErrorResponse.forbidden("Not authorized to modify this application");
     }
-
-    if (application.jobId.clientId.toString() !== parentId.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: "Not authorized to modify this application",
+    assertParentTransition(application.status, status);
+
+    const job = application.job;
+    let updated;
+    let hire = null;
+
+    if (status === "accepted") {
+      hire = await hireApplicant({
+        application,
+        job: await JobService.findWithDetails(application.job_id),
+        actorId: req.user.id,
+        feedback,
+        contract: contractTerms,
       });
-    }
-
-    const previousStatus = application.status;
-    application.status = status;
-    application.reviewedAt = new Date();
-    application.reviewedBy = parentId;
-
-    if (feedback) {
-      application.feedback = feedback;
-    }
-
-    await application.save();
-
-    // Update caregiver's hasCompletedJobs flag when application is completed
-    if (
-      status === "completed" &&
-      previousStatus !== "completed" &&
-      application.caregiverId
-    ) {
-      try {
-        const Caregiver = require("../models/Caregiver");
-        await Caregiver.findByIdAndUpdate(
-          application.caregiverId._id,
-          { hasCompletedJobs: true },
-          { new: true },
-        );
-        console.log(
-          `✅ Updated hasCompletedJobs for caregiver: ${application.caregiverId._id}`,
-        );
-      } catch (error) {
-        console.error("❌ Error updating caregiver hasCompletedJobs:", error);
+      updated = hire.application;
+    } else {
+      updated = await ApplicationService.update(
+        application.id,
+        {
+          status,
+          ...(feedback !== null ? { feedback } : {}),
+          reviewed_by: req.user.id,
+          reviewed_at: new Date().toISOString(),
+        },
+        { expectedStatuses: [application.status] },
+      );
+      if (!updated) {
+        throw ErrorResponse.conflict("The application changed in the meantime; reload and try again");
       }
-    }
 
-    // Send booking confirmation notification to parent if accepted
-    if (status === "accepted" && previousStatus !== "accepted") {
-      const caregiver = await require("../models/Caregiver")
-        .findById(application.caregiverId._id)
-        .select("name");
-      if (caregiver) {
-        socketService.notifyBookingConfirmed(parentId, {
-          applicationId: application._id,
-          caregiverName: caregiver.name,
-          jobTitle: application.jobId.title,
-        });
+      if (!OPEN_APPLICATION_STATUSES.includes(status)) {
+        await InterviewService.cancelOpenForApplication(application.id);
       }
-    }
-
-    // Update job status based on applications
-    if (application.jobId && application.jobId._id) {
-      const job = await Job.findById(application.jobId._id);
-
-      if (job) {
-        // If this is the first application, change job status to pending
-        const applicationCount = await Application.countDocuments({
-          jobId: application.jobId._id,
-          status: { $in: ["pending", "shortlisted"] },
-        });
-
-        if (job.status === "open" && applicationCount > 0) {
-          job.status = "pending";
-          await job.save();
-        }
+      if (status === "completed") {
+        await CaregiverProfileService.upsert(application.caregiver_id, {
+          has_completed_jobs: true,
+        }).catch((error) =>
+          console.error("Failed to flag caregiver completed jobs:", error),
+        );
       }
     }
 
-    // Update job status if application is accepted
-    if (
-      status === "accepted" &&
-      previousStatus !== "accepted" &&
-      application.jobId &&
-      application.jobId._id
-    ) {
-      const job = await Job.findById(application.jobId._id);
-      if (job && application.caregiverId && application.caregiverId._id) {
-        job.status = "filled";
-        job.assignedCaregiver = application.caregiverId._id;
-        await job.save();
-
-        // Create booking from accepted application
-        const Booking = require("../models/Booking");
-        const booking = new Booking({
-          clientId: parentId,
-          caregiverId: application.caregiverId._id,
-          date: job.date,
-          startTime: job.startTime,
-          endTime: job.endTime,
-          address: job.location,
-          hourlyRate: job.hourlyRate,
-          totalCost: calculateTotalCost(
-            job.startTime,
-            job.endTime,
-            job.hourlyRate,
-          ),
-          status: "confirmed",
-          jobId: job._id,
-          applicationId: application._id,
-        });
-
-        await booking.save();
-        console.log(
-          "✅ Booking created from accepted application:",
-          booking._id,
-        );
+    // Tell the caregiver about the decision
+    if (DECISION_MESSAGES[status]) {
+      notify([application.caregiver_id], {
+        type: "application",
+        title: DECISION_MESSAGES[status],
+        message: job?.title || "Job application update",
+        data: {
+          applicationId: application.id,
+          jobId: application.job_id,
+          status,
+          bookingId: hire?.booking?.id,
+          contractId: hire?.contract?.id,
+        },
+      });
+    }
 
-        // Reject other pending applications for this job
-        await Application.updateMany(
-          {
-            jobId: application.jobId._id,
-            _id: { $ne: application._id },
-            status: "pending",
-          },
-          {
-            status: "rejected",
-            feedback: "Position has been filled",
-            reviewedAt: new Date(),
-            reviewedBy: parentId,
-          },
-        );
-      }
+    if (hire) {
+      notify(
+        hire.rejected.map((rejected) => rejected.caregiver_id),
+        {
+          type: "application",
+          title: FILLED_FEEDBACK,
+          message: job?.title || "Job application update",
+          data: { jobId: application.job_id, status: "rejected" },
+        },
+      );
+      socketService?.notifyBookingConfirmed?.(req.user.id, {
+        applicationId: application.id,
+        caregiverName: application.caregiver?.name,
+        jobTitle: job?.title,
+      });
     }
 
-    logger.info(
-      `Application ${id} status updated to ${status} by parent ${parentId}`,
-    );
+    auditApplication(req, `APPLICATION_${status.toUpperCase()}`, application, {
+      from: application.status,
+      to: status,
+      jobId: application.job_id,
+      ...(hire
+        ? {
+            bookingId: hire.booking?.id || null,
+            contractId: hire.contract?.id || null,
+            autoRejected: hire.rejected.length,
+          }
+        : {}),
+    });
 
     res.json({
       success: true,
       message: `Application ${status} successfully`,
-      data: application,
+      data: mapApplication(updated),
+      ...(hire
+        ? {
+            hire: {
+              jobStatus: hire.job.status,
+              bookingId: hire.booking?.id || null,
+              contractId: hire.contract?.id || null,
+              rejectedApplications: hire.rejected.map((rejected) => rejected.id),
+            },
+          }
+        : {}),
     });
   } catch (error) {
-    logger.error("Update application status error:", error);
-    const processedError = processError(error);
-    res.status(500).json({
-      success: false,
-      error:
-        processedError?.userMessage || error.message || "An error occurred",
-    });
+    handleError(error, res, next, "Update application status", "Failed to update application");
   }
 };
 
 // Get my applications (caregiver)
-exports.getMyApplications = async (req, res) => {
+exports.getMyApplications = async (req, res, next) => {
   try {
-    console.log("🔍 getMyApplications - User role check:", {
-      userId: req.user?.id,
-      role: req.user?.role,
-      role: req.user?.role,
-    });
-
-    // Check if user is a caregiver
     if (req.user?.role !== "caregiver") {
-      return res.status(403).json({
-        success: false,
-        error: "Access denied. Only caregivers can view applications.",
-      });
+      throw ErrorResponse.forbidden("Access denied. Only caregivers can view applications.");
     }
 
-    const caregiverMongoId = await resolveMongoId(req.user);
-    console.log("🔍 Resolved caregiver MongoDB ID:", caregiverMongoId);
-
-    if (!caregiverMongoId) {
-      return res.status(400).json({
-        success: false,
-        error:
-          "Caregiver profile not found. Please complete your caregiver registration.",
-      });
-    }
-
-    // Check if any applications exist for this caregiver
-    const applicationCount = await Application.countDocuments({
-      caregiverId: caregiverMongoId,
+    const { page, limit } = paginationFrom(req.query);
+    const { applications, total } = await ApplicationService.listByCaregiver(req.user.id, {
+      status: statusFilter(req.query.status),
+      page,
+      limit,
     });
-    console.log(
-      "🔍 Applications count in DB for caregiver ID:",
-      applicationCount,
-    );
-
-    const {
-      status,
-      page = 1,
-      limit = 10,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
-
-    // Build filter
-    const filter = { caregiverId: caregiverMongoId };
-    if (status) {
-      filter.status = status;
-    }
-
-    // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
-    const sort = { [sortBy]: sortOrder === "desc" ? -1 : 1 };
-
-    console.log("🔍 Query filter:", filter);
-
-    const applications = await Application.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(Number(limit))
-      .lean();
-
-    // Manually populate job data with parent information
-    console.log(
-      "🔍 Starting job population for",
-      applications.length,
-      "applications",
-    );
-    for (let i = 0; i < applications.length; i++) {
-      const app = applications[i];
-      console.log("🔍 Processing application", i, "with jobId:", app.jobId);
-      if (app.jobId) {
-        try {
-          const job = await Job.findById(app.jobId)
-            .populate("clientId", "name email")
-            .lean();
-          if (job) {
-            app.jobId = job;
-            // Add parent ID directly to application for easy access
-            app.parentId = job.clientId?._id || job.clientId;
-            console.log(
-              "✅ Populated job with parent ID:",
-              job.title,
-              "Parent ID:",
-              app.parentId,
-            );
-          } else {
-            console.log("❌ Job not found for ID:", app.jobId);
-          }
-        } catch (error) {
-          console.log("❌ Error populating job:", error.message);
-        }
-      }
-    }
-    console.log("🔍 Job population completed");
-
-    const total = await Application.countDocuments(filter);
-
-    console.log("🔍 Found applications:", applications.length, "Total:", total);
-
-    if (applications.length > 0) {
-      console.log(
-        "🔍 First application data:",
-        JSON.stringify(applications[0], null, 2),
-      );
-    }
 
     res.json({
       success: true,
       data: {
-        applications,
+        applications: applications.map((application) => mapApplication(application)),
         pagination: {
-          page: Number(page),
-          limit: Number(limit),
+          page,
+          limit,
           total,
-          pages: Math.ceil(total / Number(limit)),
+          pages: Math.ceil(total / limit),
         },
       },
     });
   } catch (error) {
-    logger.error("Get my applications error:", error);
-    const processedError = processError(error);
-    res.status(500).json({
-      success: false,
-      error:
-        processedError?.userMessage || error.message || "An error occurred",
-    });
+    handleError(error, res, next, "Get my applications", "Failed to fetch applications");
   }
 };
 
 // Get applications for a specific job (parent)
-exports.getJobApplications = async (req, res) => {
+exports.getJobApplications = async (req, res, next) => {
   try {
-    const parentId = req.user?.mongoId || req.user?._id;
-    const { jobId } = req.params;
-    const { status, page = 1, limit = 10 } = req.query;
-
-    // Verify parent owns the job
-    const job = await Job.findOne({ _id: jobId, clientId: parentId });
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: "Job not found or not authorized",
-      });
-    }
-
-    // Build filter
-    const filter = { jobId };
-    if (status) {
-      filter.status = status;
-    }
-
-    // Pagination
-    const skip = (Number(page) - 1) * Number(limit);
-
-    const [applications, total] = await Promise.all([
-      Application.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(Number(limit))
-        .populate({
-          path: "caregiverId",
-          model: "Caregiver",
-          select: "name profileImage rating experience hourlyRate bio location",
-        })
-        .lean(),
-      Application.countDocuments(filter),
-    ]);
+    // Mounted as /applications/job/:jobId and /jobs/:id/applications
+    const job = await loadOwnedJob(req, req.params.jobId || req.params.id, {
+      allowAdmin: true,
+    });
+    const { page, limit } = paginationFrom(req.query);
+    const { applications, total } = await ApplicationService.listByJob(job.id, {
+      status: statusFilter(req.query.status),
+      page,
+      limit,
+    });
 
     res.json({
       success: true,
       data: {
-        applications,
+        applications: applications.map((application) => mapApplication(application)),
         job: {
-          id: job._id,
+          id: job.id,
           title: job.title,
           status: job.status,
         },
         pagination: {
-          page: Number(page),
-          limit: Number(limit),
+          page,
+          limit,
           total,
-          pages: Math.ceil(total / Number(limit)),
+          pages: Math.ceil(total / limit),
         },
       },
     });
   } catch (error) {
-    logger.error("Get job applications error:", error);
-    const processedError = processError(error);
-    res.status(500).json({
-      success: false,
-      error:
-        processedError?.userMessage || error.message || "An error occurred",
-    });
+    handleError(error, res, next, "Get job applications", "Failed to fetch applications");
   }
 };
 
-// Get single application details
-exports.getApplicationById = async (req, res) => {
+/**
+ * Per-job hiring pipeline for the parent: applications grouped by stage with
+ * their interviews, plus the hired caregiver's booking/contract
+ */
+exports.getJobPipeline = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const userId = req.user?.mongoId || req.user?._id;
-
-    const application = await Application.findById(id)
-      .populate(
-        "caregiverId",
-        "name avatar rating reviewCount experience hourlyRate bio location",
-      )
-      .populate({
-        path: "jobId",
-        select:
-          "title description location hourlyRate date startTime endTime clientId status",
-        populate: {
-          path: "clientId",
-          select: "name avatar",
-        },
-      });
+    const job = await loadOwnedJob(req, req.params.id, { allowAdmin: true });
+    const [{ applications }, interviews] = await Promise.all([
+      ApplicationService.listByJob(job.id, { limit: MAX_PIPELINE_SIZE }),
+      InterviewService.listByJob(job.id),
+    ]);
 
-    if (!application) {
-      return res.status(404).json({
-        success: false,
-        error: "Application not found",
-      });
-    }
+    const interviewsByApplication = new Map();
+    interviews.forEach((interview) => {
+      const list = interviewsByApplication.get(interview.application_id) || [];
+      list.push(interview);
+      interviewsByApplication.set(interview.application_id, list);
+    });
 
-    // Check authorization - either the caregiver who applied or the parent who owns the job
-    const isCaregiver =
-      application.caregiverId?._id?.toString() === userId?.toString();
-    const isParent =
-      application.jobId?.clientId?._id?.toString() === userId?.toString();
+    const stages = Object.fromEntries(APPLICATION_STATUSES.map((status) => [status, []]));
+    applications.forEach((application) => {
+      stages[application.status]?.push(
+        mapApplication(application, {
+          interviews: interviewsByApplication.get(application.id) || [],
+        }),
+      );
+    });
 
-    if (!isCaregiver && !isParent) {
-      return res.status(403).json({
-        success: false,
-        error: "Not authorized to view this application",
-      });
-    }
+    const now = Date.now();
+    const upcomingInterviews = interviews
+      .filter(
+        (interview) =>
+          ["proposed", "confirmed"].includes(interview.status) &&
+          new Date(interview.scheduled_at).getTime() >= now,
+      )
+      .map(mapInterview);
 
     res.json({
       success: true,
-      data: application,
+      data: {
+        job: {
+          id: job.id,
+          title: job.title,
+          status: job.status,
+          caregiverId: job.caregiver_id || null,
+          date: job.date,
+          startTime: job.start_time,
+          endTime: job.end_time,
+        },
+        counts: Object.fromEntries(
+          Object.entries(stages).map(([status, list]) => [status, list.length]),
+        ),
+        stages,
+        upcomingInterviews,
+      },
     });
   } catch (error) {
-    logger.error("Get application by ID error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || "An error occurred",
-    });
+    handleError(error, res, next, "Get job pipeline", "Failed to fetch hiring pipeline");
   }
 };
 
-// Withdraw application (caregiver)
-exports.withdrawApplication = async (req, res) => {
+// Get single application details
+exports.getApplicationById = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const caregiverMongoId = await resolveMongoId(req.user);
+    const { application } = await loadApplication(req, { allowAdmin: true });
+    const interviews = await InterviewService.listByApplication(application.id);
 
-    const application = await Application.findOne({
-      _id: id,
-      caregiverId: caregiverMongoId,
+    res.json({
+      success: true,
+      data: mapApplication(application, { interviews }),
     });
+  } catch (error) {
+    handleError(error, res, next, "Get application", "Failed to fetch application");
+  }
+};
 
-    if (!application) {
-      return res.status(404).json({
-        success: false,
-        error: "Application not found",
-      });
-    }
+// Withdraw application (caregiver)
+exports.withdrawApplication = async (req, res, next) => {
+  try {
+    const { application, party } = await loadApplication(req);
+    if (party !== "caregiver") throw ErrorResponse.notFound("Application not found");
 
-    if (application.status === "accepted") {
-      return res.status(400).json({
-        success: false,
-        error: "Cannot withdraw an accepted application",
-      });
+    if (!OPEN_APPLICATION_STATUSES.includes(application.status)) {
+      throw ErrorResponse.badRequest(`Cannot withdraw a ${application.status} application`);
     }
 
-    await Application.findByIdAndDelete(id);
+    const withdrawn = await ApplicationService.update(
+      application.id,
+      { status: "withdrawn" },
+      { expectedStatuses: OPEN_APPLICATION_STATUSES },
+    );
+    if (!withdrawn) {
+      throw ErrorResponse.conflict("The application changed in the meantime; reload and try again");
+    }
+    await InterviewService.cancelOpenForApplication(application.id);
 
-    logger.info(`Application ${id} withdrawn by caregiver ${caregiverMongoId}`);
+    notify([application.job?.parent_id], {
+      type: "application",
+      title: "Application withdrawn",
+      message: `${actorName(req, "A caregiver")} withdrew from ${application.job?.title || "your job"}`,
+      data: { applicationId: application.id, jobId: application.job_id },
+    });
 
     res.json({
       success: true,
       message: "Application withdrawn successfully",
     });
   } catch (error) {
-    logger.error("Withdraw application error:", error);
-    const processedError = processError(error);
-    res.status(500).json({
-      success: false,
-      error:
-        processedError?.userMessage || error.message || "An error occurred",
+    handleError(error, res, next, "Withdraw application", "Failed to withdraw application");
+  }
+};
+
+// Parent invites a shortlisted caregiver to an interview
+exports.scheduleInterview = async (req, res, next) => {
+  try {
+    const { application, party } = await loadApplication(req);
+    if (party !== "parent") {
+      throw ErrorResponse.forbidden("Only the family that posted the job can schedule interviews");
+    }
+    if (application.status !== "shortlisted") {
+      throw ErrorResponse.conflict("Shortlist the application before scheduling an interview");
+    }
+
+    const input = normalizeInterviewInput(req.body);
+    const interview = await InterviewService.create({
+      application_id: application.id,
+      job_id: application.job_id,
+      parent_id: req.user.id,
+      caregiver_id: application.caregiver_id,
+      scheduled_at: input.scheduledAt,
+      duration_minutes: input.durationMinutes,
+      mode: input.mode,
+      location: input.location,
+      notes: input.notes,
+      status: "proposed",
+      proposed_by: req.user.id,
+    });
+    if (!interview) {
+      throw ErrorResponse.conflict(
+        "This application already has an open interview; reschedule or cancel it instead",
+      );
+    }
+
+    notify([application.caregiver_id], {
+      type: "application",
+      title: INTERVIEW_MESSAGES.proposed,
+      message: `${actorName(req, "The family")} invited you to interview for ${application.job?.title || "a job"}`,
+      data: { applicationId: application.id, interviewId: interview.id, status: interview.status },
     });
+
+    res.status(201).json({
+      success: true,
+      interview: mapInterview(interview),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Schedule interview", "Failed to schedule interview");
   }
 };
 
-// Debug endpoint to check caregiver ID resolution
-exports.debugCaregiverInfo = async (req, res) => {
+/**
+ * Respond to or change an interview.
+ * Body: { action: confirm|decline|reschedule|cancel|complete, scheduledAt?, ... }
+ */
+exports.updateInterview = async (req, res, next) => {
   try {
-    const caregiverMongoId = await resolveMongoId(req.user);
-    const applicationCount = await Application.countDocuments({
-      caregiverId: caregiverMongoId,
+    const { application, party } = await loadApplication(req);
+    const interview = await InterviewService.findById(req.params.interviewId);
+    if (!interview || interview.application_id !== application.id) {
+      throw ErrorResponse.notFound("Interview not found");
+    }
+
+    const { action } = req.body || {};
+    const definition = assertInterviewAction(interview, action, {
+      party,
+      userId: req.user.id,
+    });
+
+    const fields = { status: definition.to };
+    if (action === "reschedule") {
+      const input = normalizeInterviewInput(req.body, {
+        scheduledAt: undefined,
+        durationMinutes: interview.duration_minutes,
+        mode: interview.mode,
+        location: interview.location,
+        notes: interview.notes,
+      });
+      Object.assign(fields, {
+        scheduled_at: input.scheduledAt,
+        duration_minutes: input.durationMinutes,
+        mode: input.mode,
+        location: input.location,
+        notes: input.notes,
+        proposed_by: req.user.id,
+        responded_at: null,
+      });
+    } else {
+      fields.responded_at = new Date().toISOString();
+      if (action === "complete" && req.body.notes !== undefined) {
+        fields.notes = optionalText(req.body.notes, MAX_INTERVIEW_NOTES_LENGTH, "notes");
+      }
+    }
+
+    const updated = await InterviewService.update(interview.id, fields, {
+      expectedStatus: interview.status,
+    });
+    if (!updated) {
+      throw ErrorResponse.conflict("The interview changed in the meantime; reload and try again");
+    }
+
+    const otherPartyId =
+      party === "parent" ? application.caregiver_id : application.job?.parent_id;
+    notify([otherPartyId], {
+      type: "application",
+      title: INTERVIEW_MESSAGES[updated.status],
+      message: `${application.job?.title || "Job"} interview on ${new Date(updated.scheduled_at).toUTCString()}`,
+      data: { applicationId: application.id, interviewId: updated.id, status: updated.status },
     });
 
     res.json({
       success: true,
-      debug: {
-        userInfo: {
-          id: req.user?.id,
-          role: req.user?.role,
-          mongoId: req.user?.mongoId,
-        },
-        resolvedCaregiverMongoId: caregiverMongoId,
-        applicationsInDB: applicationCount,
-      },
+      interview: mapInterview(updated),
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      debug: {
-        userInfo: {
-          id: req.user?.id,
-          role: req.user?.role,
-        },
-      },
-    });
+    handleError(error, res, next, "Update interview", "Failed to update interview");
   }
 };
 
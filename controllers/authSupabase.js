@@ -7,6 +7,7 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const { UserService } = require("../services/supabaseService");
 const { AuditLogService } = require("../services/supabaseService");
+const { coordinateColumns } = require("../services/geocodingService");
 const emailService = require("../services/emailService");
 const {
   jwtSecret,
@@ -307,6 +308,11 @@ exports.updateProfile = async (req, res, next) => {
       }
     }
 
+    // Keep coordinates in step with the address for distance search
+    if (update.address) {
+      Object.assign(update, await coordinateColumns(update.address));
+    }
+
     if (Object.keys(update).length === 0) {
       return res
         .status(400)
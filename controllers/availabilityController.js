@@ -0,0 +1,90 @@
+const {
+  AvailabilityService,
+  DAYS,
+  isValidDate,
+  listWindows,
+  toLegacy,
+} = require("../services/availabilityService");
+const { UserService } = require("../services/supabaseService");
+const ErrorResponse = require("../utils/errorResponse");
+const { forwardError } = require("../utils/errorHandler");
+
+// The schedule plus the older response fields (`availability`, per-weekday
+// entries and the `days` summary) for clients that still read them
+const serialize = (schedule) => ({
+  ...toLegacy(schedule),
+  ...schedule,
+  days: DAYS.filter((day) =>
+    schedule.weeklySlots.some((slot) => slot.day === day),
+  ),
+});
+
+// Get the current caregiver's availability
+exports.getAvailability = async (req, res, next) => {
+  try {
+    if (req.user.role !== "caregiver") {
+      return next(ErrorResponse.forbidden("Only caregivers have availability schedules"));
+    }
+
+    const schedule = await AvailabilityService.get(req.user.id);
+
+    res.json({
+      success: true,
+      data: serialize(schedule),
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to get availability");
+  }
+};
+
+// Replace the current caregiver's availability
+exports.updateAvailability = async (req, res, next) => {
+  try {
+    if (req.user.role !== "caregiver") {
+      return next(ErrorResponse.forbidden("Only caregivers can update availability"));
+    }
+
+    // Profile clients send { availability: {...} }; the calendar sends the schedule itself
+    const input = req.body?.availability || req.body || {};
+    const schedule = await AvailabilityService.save(req.user.id, input);
+
+    res.json({
+      success: true,
+      message: "Availability updated successfully",
+      data: serialize(schedule),
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to update availability");
+  }
+};
+
+// Free slots for a caregiver between two dates (for parents planning a booking)
+exports.getCaregiverWindows = async (req, res, next) => {
+  try {
+    const { caregiverId } = req.params;
+    const today = new Date().toISOString().slice(0, 10);
+    const { from = today, to = from } = req.query;
+
+    if (!isValidDate(from) || !isValidDate(to) || to < from) {
+      return next(ErrorResponse.badRequest("from/to must be YYYY-MM-DD dates with to >= from"));
+    }
+
+    const caregiver = await UserService.findById(caregiverId);
+    if (!caregiver || caregiver.role !== "caregiver") {
+      return next(ErrorResponse.notFound("Caregiver not found"));
+    }
+
+    const schedule = await AvailabilityService.get(caregiverId);
+
+    res.json({
+      success: true,
+      data: {
+        caregiverId,
+        timeZone: schedule.timeZone,
+        windows: listWindows(schedule, from, to),
+      },
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to get caregiver availability");
+  }
+};
@@ -0,0 +1,20 @@
+const { handleBackgroundCheckWebhook } = require("../services/caregiverVerification");
+const { forwardError } = require("../utils/errorHandler");
+
+// Provider webhook (unauthenticated; verified by signature)
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await handleBackgroundCheckWebhook(req.params.provider, {
+      rawBody: req.rawBody || JSON.stringify(req.body || {}),
+      headers: req.headers,
+    });
+
+    res.status(200).json({
+      success: true,
+      duplicate: Boolean(result.duplicate),
+      ignored: Boolean(result.ignored),
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to process background check webhook");
+  }
+};
@@ -1,6 +1,20 @@
 const Booking = require("../models/Booking");
 const User = require("../models/User");
 const Caregiver = require("../models/Caregiver");
+const ErrorResponse = require("../utils/errorResponse");
+const { BookingService } = require("../services/supabaseService");
+const {
+  BLOCKING_STATUSES,
+  toDateKey,
+  candidateDates,
+  overlappingIds,
+} = require("../services/bookingConflicts");
+const { isObjectId } = require("../services/legacyUsers");
+const { AvailabilityService, isAvailableFor } = require("../services/availabilityService");
+const {
+  bookingStateMachine,
+  stores: bookingStores,
+} = require("../services/bookingStateMachine");
 
 const normalizeChildField = (value) => {
   if (Array.isArray(value)) {
@@ -121,6 +135,73 @@ const buildCaregiverProfile = async (caregiverIdValue) => {
   return null;
 };
 
+// Bookings may reference the caregiver's User ID or their Caregiver profile ID
+const resolveCaregiverRefs = async (caregiverId) => {
+  if (!isObjectId(caregiverId)) {
+    throw ErrorResponse.badRequest("caregiverId is not a valid ID");
+  }
+
+  const refs = [String(caregiverId)];
+  const profile = await Caregiver.findOne({
+    $or: [{ _id: caregiverId }, { userId: caregiverId }],
+  })
+    .select("_id userId")
+    .lean();
+
+  if (profile) {
+    refs.push(String(profile._id));
+    if (profile.userId) refs.push(String(profile.userId));
+  }
+
+  return [...new Set(refs)];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const findBookingConflicts = async ({
+  caregiverId,
+  date,
+  startTime,
+  endTime,
+  excludeId,
+}) => {
+  const dateKey = toDateKey(date);
+  if (!caregiverId || !dateKey || !startTime || !endTime) return [];
+
+  const query = {
+    caregiverId: { $in: await resolveCaregiverRefs(caregiverId) },
+    date: { $regex: `^(${candidateDates(dateKey).map(escapeRegex).join("|")})` },
+    status: { $in: BLOCKING_STATUSES },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const bookings = await Booking.find(query)
+    .select("_id date startTime endTime")
+    .lean();
+
+  return overlappingIds({ date: dateKey, startTime, endTime }, bookings, (booking) => ({
+    id: booking._id,
+    date: booking.date,
+    startTime: booking.startTime,
+    endTime: booking.endTime,
+  }));
+};
+
+const sendTransitionError = (res, error) =>
+  res.status(error.statusCode).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+  });
+
+const sendConflict = (res, conflictingBookingIds) =>
+  res.status(409).json({
+    success: false,
+    error: "Caregiver is already booked for an overlapping time slot",
+    code: "BOOKING_CONFLICT",
+    conflictingBookingIds,
+  });
+
 const hydrateSingleBooking = async (bookingRecord) => {
   if (!bookingRecord) {
     return null;
@@ -210,6 +291,16 @@ exports.createBooking = async (req, res) => {
       bookingPayload.children = sanitizedChildren;
     }
 
+    const conflicts = await findBookingConflicts({
+      caregiverId: bookingPayload.caregiverId,
+      date: bookingPayload.date,
+      startTime: bookingPayload.startTime,
+      endTime: bookingPayload.endTime,
+    });
+    if (conflicts.length) {
+      return sendConflict(res, conflicts);
+    }
+
     const newBooking = new Booking(bookingPayload);
     await newBooking.save();
 
@@ -223,6 +314,9 @@ exports.createBooking = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendTransitionError(res, error);
+    }
     console.error("Error creating booking:", error);
     res.status(500).json({
       success: false,
@@ -368,19 +462,36 @@ exports.updateBookingStatus = async (req, res) => {
       searchCriteria.$or.push({ caregiverId: caregiverProfileId });
     }
 
-    const booking = await Booking.findOneAndUpdate(
-      searchCriteria,
-      { status, feedback },
-      { new: true, runValidators: true },
-    ).lean();
+    const existing = await Booking.findOne(searchCriteria).lean();
 
-    if (!booking) {
+    if (!existing) {
       return res.status(404).json({
         success: false,
         error: "Booking not found or not authorized",
       });
     }
 
+    if (status === "confirmed") {
+      const conflicts = await findBookingConflicts({
+        caregiverId: existing.caregiverId,
+        date: existing.date,
+        startTime: existing.startTime,
+        endTime: existing.endTime,
+        excludeId: existing._id,
+      });
+      if (conflicts.length) {
+        return sendConflict(res, conflicts);
+      }
+    }
+
+    const booking = await bookingStateMachine.transition({
+      booking: existing,
+      to: status,
+      actor: { id: req.user.id, role: req.user.role, ids: [caregiverProfileId] },
+      store: bookingStores.mongo,
+      context: { feedback },
+    });
+
     if (status === "completed" && booking.caregiverId) {
       try {
         await Caregiver.findByIdAndUpdate(booking.caregiverId, {
@@ -400,6 +511,9 @@ exports.updateBookingStatus = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendTransitionError(res, error);
+    }
     console.error("Error updating booking status:", error);
     res.status(500).json({
       success: false,
@@ -408,17 +522,84 @@ exports.updateBookingStatus = async (req, res) => {
   }
 };
 
+// Check whether a caregiver is free for a slot before submitting a booking
+exports.checkSlot = async (req, res) => {
+  try {
+    const { caregiverId, date, startTime, endTime, excludeBookingId } =
+      req.query;
+    const timePattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+    if (
+      !caregiverId ||
+      !/^\d{4}-\d{2}-\d{2}/.test(date || "") ||
+      !timePattern.test(startTime || "") ||
+      !timePattern.test(endTime || "")
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "caregiverId, date (YYYY-MM-DD), startTime and endTime (HH:MM) are required",
+      });
+    }
+
+    const slot = {
+      caregiverId,
+      date,
+      startTime,
+      endTime,
+      excludeId: excludeBookingId,
+    };
+
+    // Legacy bookings live in MongoDB; everything else is in Supabase
+    const isLegacyId = isObjectId(caregiverId);
+    const conflictingBookingIds = isLegacyId
+      ? await findBookingConflicts(slot)
+      : await BookingService.findConflicts(slot);
+
+    // Only Supabase caregivers keep a calendar; null means "no calendar set"
+    let withinSchedule = null;
+    if (!isLegacyId) {
+      const schedule = await AvailabilityService.get(caregiverId);
+      if (schedule.weeklySlots.length || schedule.overrides.length) {
+        withinSchedule = isAvailableFor(schedule, {
+          date: toDateKey(date),
+          startTime,
+          endTime,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        caregiverId,
+        date: toDateKey(date),
+        startTime,
+        endTime,
+        available: !conflictingBookingIds.length && withinSchedule !== false,
+        conflictingBookingIds,
+        withinSchedule,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendTransitionError(res, error);
+    }
+    console.error("Error checking booking slot:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check booking slot",
+    });
+  }
+};
+
 // Cancel booking
 exports.cancelBooking = async (req, res) => {
   try {
-    const booking = await Booking.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        clientId: req.user.id,
-      },
-      { status: "cancelled" },
-      { new: true },
-    );
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      clientId: req.user.id,
+    }).lean();
 
     if (!booking) {
       return res.status(404).json({
@@ -427,11 +608,21 @@ exports.cancelBooking = async (req, res) => {
       });
     }
 
+    await bookingStateMachine.transition({
+      booking,
+      to: "cancelled",
+      actor: { id: req.user.id, role: req.user.role },
+      store: bookingStores.mongo,
+    });
+
     res.json({
       success: true,
       message: "Booking cancelled successfully",
     });
   } catch (error) {
+    if (error.isOperational) {
+      return sendTransitionError(res, error);
+    }
     console.error("Error cancelling booking:", error);
     res.status(500).json({
       success: false,
@@ -447,5 +638,6 @@ module.exports = {
   uploadPaymentProof: exports.uploadPaymentProof,
   getBookingById: exports.getBookingById,
   updateBookingStatus: exports.updateBookingStatus,
+  checkSlot: exports.checkSlot,
   cancelBooking: exports.cancelBooking,
 };
@@ -0,0 +1,562 @@
+/**
+ * Recurring booking series: standing care schedules whose occurrences are
+ * regular bookings
+ */
+
+const crypto = require("crypto");
+const {
+  UserService,
+  BookingService,
+  BookingSeriesService,
+  UserBlockService,
+} = require("../services/supabaseService");
+const {
+  today,
+  horizonFrom,
+  normalizeSeriesInput,
+  seriesInput,
+  occurrenceAmount,
+  isOccurrenceDate,
+  materializeSeries,
+} = require("../services/bookingSeries");
+const { parseRule, formatRule, resumeRule } = require("../services/recurrence");
+const {
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  addDays,
+} = require("../services/availabilityService");
+const {
+  bookingStateMachine,
+  stores: bookingStores,
+} = require("../services/bookingStateMachine");
+const { BLOCKING_STATUSES } = require("../services/bookingConflicts");
+const { sendNotification } = require("../services/notificationService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
+
+const ADMIN_ROLES = ["admin", "superadmin"];
+
+// Series that still own upcoming occurrences
+const CANCELLABLE_STATUSES = ["active", "ended"];
+
+const EDIT_SCOPES = ["occurrence", "future"];
+const OCCURRENCE_FIELDS = ["date", "startTime", "endTime"];
+const FUTURE_FIELDS = [
+  "rrule",
+  "startTime",
+  "endTime",
+  "hourlyRate",
+  "address",
+  "specialInstructions",
+];
+
+const mapParty = (user, fallbackId) => ({
+  id: user?.id || fallbackId,
+  name: user?.name || "Unknown User",
+  profileImage: user?.profile_image || null,
+});
+
+const mapOccurrence = (booking) => ({
+  bookingId: booking.id,
+  occurrenceDate: booking.occurrence_date,
+  date: booking.date,
+  startTime: booking.start_time,
+  endTime: booking.end_time,
+  status: booking.status,
+  totalAmount: booking.total_amount,
+  modified: Boolean(booking.is_modified),
+});
+
+const mapSeries = (series, occurrences) => ({
+  id: series.id,
+  status: series.status,
+  parent: mapParty(series.parent, series.parent_id),
+  caregiver: mapParty(series.caregiver, series.caregiver_id),
+  job: series.job || null,
+  rrule: series.rrule,
+  startDate: series.start_date,
+  startTime: series.start_time,
+  endTime: series.end_time,
+  exdates: series.exdates || [],
+  hourlyRate: series.hourly_rate,
+  address: series.address,
+  specialInstructions: series.special_instructions,
+  generatedThrough: series.materialized_through,
+  previousSeriesId: series.previous_series_id,
+  cancelledAt: series.cancelled_at,
+  createdAt: series.created_at,
+  updatedAt: series.updated_at,
+  ...(occurrences ? { occurrences: occurrences.map(mapOccurrence) } : {}),
+});
+
+// Load a series the current user is a party to (admins can read any)
+const loadSeries = async (req, { allowAdmin = false } = {}) => {
+  const series = await BookingSeriesService.findById(req.params.id);
+  const isParty = series && [series.parent_id, series.caregiver_id].includes(req.user.id);
+
+  if (!series || (!isParty && !(allowAdmin && ADMIN_ROLES.includes(req.user.role)))) {
+    throw ErrorResponse.notFound("Booking series not found");
+  }
+  return series;
+};
+
+// Only the family that owns the schedule changes it
+const assertOwner = (req, series) => {
+  if (series.parent_id !== req.user.id) {
+    throw ErrorResponse.forbidden("Only the parent who set up the series can change it");
+  }
+};
+
+const assertUpcoming = (date, field) => {
+  if (!isValidDate(date)) {
+    throw ErrorResponse.badRequest(`${field} must be YYYY-MM-DD`);
+  }
+  if (date < today()) {
+    throw ErrorResponse.badRequest(`${field} cannot be in the past`);
+  }
+};
+
+const otherPartyId = (series, userId) =>
+  series.parent_id === userId ? series.caregiver_id : series.parent_id;
+
+const notifyParty = (userId, actorId, series, title, message) =>
+  sendNotification({
+    userId,
+    actorId,
+    type: "booking",
+    title,
+    message,
+    data: { kind: "booking_series", seriesId: series.id, status: series.status },
+  }).catch((error) => console.error("Booking series notification failed:", error));
+
+const auditSeries = (req, action, series, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity: "BOOKING_SERIES",
+    entityId: series.id,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+const actorName = (req) => req.user.profile?.name || "The other party";
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: message });
+};
+
+// Parent sets up a recurring schedule with a caregiver
+const createSeries = async (req, res, next) => {
+  try {
+    const { caregiverId, jobId } = req.body || {};
+    const parentId = req.user.id;
+
+    if (!caregiverId) {
+      throw ErrorResponse.badRequest("caregiverId is required");
+    }
+
+    const input = normalizeSeriesInput(req.body);
+    assertUpcoming(input.startDate, "startDate");
+
+    const caregiver = await UserService.findById(caregiverId);
+    if (!caregiver || caregiver.role !== "caregiver") {
+      throw ErrorResponse.notFound("Caregiver not found");
+    }
+    if (await UserBlockService.findBetween(parentId, caregiverId)) {
+      throw ErrorResponse.forbidden("Bookings cannot be made between blocked users");
+    }
+
+    const series = await BookingSeriesService.create({
+      id: crypto.randomUUID(),
+      parent_id: parentId,
+      caregiver_id: caregiverId,
+      job_id: jobId || null,
+      rrule: input.rrule,
+      start_date: input.startDate,
+      start_time: input.startTime,
+      end_time: input.endTime,
+      exdates: input.exdates,
+      hourly_rate: input.hourlyRate,
+      address: input.address,
+      special_instructions: input.specialInstructions,
+    });
+
+    const { series: current, created, skipped } = await materializeSeries(series);
+
+    notifyParty(
+      caregiverId,
+      parentId,
+      current,
+      "New recurring booking request",
+      `${actorName(req)} requested a recurring booking starting ${input.startDate}.`,
+    );
+    auditSeries(req, "BOOKING_SERIES_CREATED", current, {
+      rrule: input.rrule,
+      generated: created.length,
+      skipped: skipped.length,
+    });
+
+    res.status(201).json({
+      success: true,
+      series: mapSeries(current, created),
+      skipped,
+    });
+  } catch (error) {
+    handleError(error, res, next, "Create booking series", "Failed to create booking series");
+  }
+};
+
+// Series the current user takes part in, as parent or caregiver
+const getMySeries = async (req, res, next) => {
+  try {
+    const party =
+      req.user.role === "caregiver"
+        ? { caregiverId: req.user.id }
+        : { parentId: req.user.id };
+
+    const series = await BookingSeriesService.listByParty({
+      ...party,
+      status: req.query.status,
+    });
+
+    res.json({
+      success: true,
+      series: series.map((item) => mapSeries(item)),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get booking series", "Failed to fetch booking series");
+  }
+};
+
+// One series with its generated occurrences (?from=YYYY-MM-DD narrows them)
+const getSeries = async (req, res, next) => {
+  try {
+    const series = await loadSeries(req, { allowAdmin: true });
+    const from = isValidDate(req.query.from) ? req.query.from : undefined;
+    const occurrences = await BookingService.listBySeries(series.id, { from });
+
+    res.json({
+      success: true,
+      series: mapSeries(series, occurrences),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get booking series", "Failed to fetch booking series");
+  }
+};
+
+// Skip one date of the series; its booking is cancelled if already generated
+const addException = async (req, res, next) => {
+  try {
+    const series = await loadSeries(req);
+    const { date, reason } = req.body || {};
+
+    assertUpcoming(date, "date");
+    if (!CANCELLABLE_STATUSES.includes(series.status)) {
+      throw ErrorResponse.conflict(`Booking series is ${series.status}`);
+    }
+    if (!isOccurrenceDate(series, date)) {
+      throw ErrorResponse.badRequest("date is not an occurrence of this series");
+    }
+
+    const [occurrence] = await BookingService.listBySeries(series.id, {
+      from: date,
+      to: date,
+    });
+    if (occurrence && occurrence.status !== "cancelled") {
+      await bookingStateMachine.transition({
+        booking: await BookingService.findById(occurrence.id),
+        to: "cancelled",
+        actor: { id: req.user.id, role: req.user.role },
+        store: bookingStores.supabase,
+        context: {
+          auditAction: "CANCEL_SERIES_OCCURRENCE",
+          reason: reason || "Occurrence skipped",
+        },
+      });
+    }
+
+    const exdates = [...new Set([...(series.exdates || []), date])].sort();
+    const updated = await BookingSeriesService.update(
+      series.id,
+      { exdates },
+      { expectedStatus: series.status },
+    );
+    if (!updated) {
+      throw ErrorResponse.conflict("Booking series changed while processing the request");
+    }
+
+    res.json({
+      success: true,
+      series: mapSeries(updated),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Add series exception", "Failed to skip occurrence");
+  }
+};
+
+// scope=occurrence: move or retime the pending booking of one date
+const editOccurrence = async (req, res, series, occurrenceDate, changes) => {
+  const [occurrence] = await BookingService.listBySeries(series.id, {
+    from: occurrenceDate,
+    to: occurrenceDate,
+  });
+  if (!occurrence) {
+    throw ErrorResponse.notFound("No booking has been generated for that date yet");
+  }
+  if (occurrence.status !== "pending") {
+    throw ErrorResponse.conflict(
+      `Only pending occurrences can be changed (this one is ${occurrence.status}); cancel it and book a new slot instead`,
+    );
+  }
+
+  const slot = {
+    date: changes.date ?? occurrence.date,
+    startTime: changes.startTime ?? occurrence.start_time,
+    endTime: changes.endTime ?? occurrence.end_time,
+  };
+  assertUpcoming(slot.date, "date");
+  if (!isValidTime(slot.startTime) || !isValidTime(slot.endTime)) {
+    throw ErrorResponse.badRequest("startTime and endTime must be HH:MM");
+  }
+  if (timeToMinutes(slot.endTime) <= timeToMinutes(slot.startTime)) {
+    throw ErrorResponse.badRequest("endTime must be after startTime");
+  }
+
+  const booking = await BookingService.updateSlot(
+    occurrence.id,
+    {
+      caregiverId: series.caregiver_id,
+      ...slot,
+      totalAmount: occurrenceAmount(series.hourly_rate, slot.startTime, slot.endTime),
+    },
+    { expectedStatus: "pending" },
+  );
+  if (!booking) {
+    throw ErrorResponse.conflict("Booking status changed while processing the request");
+  }
+
+  notifyParty(
+    series.caregiver_id,
+    req.user.id,
+    series,
+    "Recurring booking changed",
+    `${actorName(req)} moved the ${occurrenceDate} booking to ${slot.date} ${slot.startTime}-${slot.endTime}.`,
+  );
+  auditSeries(req, "BOOKING_SERIES_OCCURRENCE_EDITED", series, {
+    bookingId: booking.id,
+    occurrenceDate,
+    ...slot,
+  });
+
+  res.json({
+    success: true,
+    scope: "occurrence",
+    occurrence: mapOccurrence(booking),
+  });
+};
+
+/**
+ * scope=future: split the series at `occurrenceDate`. The old series ends the
+ * day before; a new series with the changes takes over from that date.
+ * Pending occurrences from then on are replaced; confirmed ones are kept and
+ * their dates skipped by the new series.
+ */
+const editFuture = async (req, res, series, from, changes) => {
+  if (series.status !== "active") {
+    throw ErrorResponse.conflict(`Booking series is ${series.status}`);
+  }
+  if (from < series.start_date) {
+    throw ErrorResponse.badRequest("occurrenceDate is before the series starts");
+  }
+
+  const oldRule = parseRule(series.rrule);
+
+  // Without a new rule, the old one carries on from its next date
+  let startDate = from;
+  let carried = {};
+  if (!changes.rrule) {
+    const resumed = resumeRule(oldRule, series.start_date, from);
+    if (!resumed) {
+      throw ErrorResponse.conflict("The series has no occurrences left from that date");
+    }
+    startDate = resumed.startDate;
+    carried = { rrule: formatRule(resumed.rule) };
+  }
+
+  const input = normalizeSeriesInput(
+    { ...changes, ...carried, startDate },
+    seriesInput(series),
+  );
+
+  const lastDay = addDays(from, -1);
+  const truncated = formatRule({
+    ...oldRule,
+    count: null,
+    until: oldRule.until && oldRule.until < lastDay ? oldRule.until : lastDay,
+  });
+  const ended = await BookingSeriesService.update(
+    series.id,
+    {
+      rrule: truncated,
+      ...(from <= series.start_date ? { status: "ended" } : {}),
+    },
+    { expectedStatus: "active" },
+  );
+  if (!ended) {
+    throw ErrorResponse.conflict("Booking series changed while processing the request");
+  }
+
+  const replaced = await BookingService.cancelPendingInSeries(series.id, { from });
+  const kept = (await BookingService.listBySeries(series.id, { from })).filter((booking) =>
+    BLOCKING_STATUSES.includes(booking.status),
+  );
+
+  const next = await BookingSeriesService.create({
+    id: crypto.randomUUID(),
+    parent_id: series.parent_id,
+    caregiver_id: series.caregiver_id,
+    job_id: series.job_id,
+    rrule: input.rrule,
+    start_date: input.startDate,
+    start_time: input.startTime,
+    end_time: input.endTime,
+    exdates: [
+      ...new Set([
+        ...input.exdates.filter((date) => date >= from),
+        ...kept.map((booking) => booking.occurrence_date),
+      ]),
+    ].sort(),
+    hourly_rate: input.hourlyRate,
+    address: input.address,
+    special_instructions: input.specialInstructions,
+    previous_series_id: series.id,
+  });
+
+  const { series: current, created, skipped } = await materializeSeries(next, {
+    through: horizonFrom(today()),
+  });
+
+  notifyParty(
+    series.caregiver_id,
+    req.user.id,
+    current,
+    "Recurring booking changed",
+    `${actorName(req)} changed the recurring booking from ${from} on.`,
+  );
+  auditSeries(req, "BOOKING_SERIES_SPLIT", series, {
+    from,
+    newSeriesId: current.id,
+    replaced: replaced.length,
+    kept: kept.length,
+  });
+
+  res.json({
+    success: true,
+    scope: "future",
+    previousSeries: mapSeries(ended),
+    series: mapSeries(current, created),
+    replacedBookingIds: replaced.map((booking) => booking.id),
+    keptOccurrences: kept.map(mapOccurrence),
+    skipped,
+  });
+};
+
+// PATCH /:id { scope: "occurrence" | "future", occurrenceDate, ...changes }
+const updateSeries = async (req, res, next) => {
+  try {
+    const series = await loadSeries(req);
+    assertOwner(req, series);
+
+    const { scope, occurrenceDate, ...body } = req.body || {};
+    if (!EDIT_SCOPES.includes(scope)) {
+      throw ErrorResponse.badRequest(`scope must be one of: ${EDIT_SCOPES.join(", ")}`);
+    }
+    assertUpcoming(occurrenceDate, "occurrenceDate");
+
+    const allowed = scope === "occurrence" ? OCCURRENCE_FIELDS : FUTURE_FIELDS;
+    const unknown = Object.keys(body).filter((field) => !allowed.includes(field));
+    if (unknown.length) {
+      throw ErrorResponse.badRequest(
+        `A ${scope} edit can change ${allowed.join(", ")}; not ${unknown.join(", ")}`,
+      );
+    }
+    if (!Object.keys(body).length) {
+      throw ErrorResponse.badRequest("Nothing to change");
+    }
+
+    if (scope === "occurrence") {
+      await editOccurrence(req, res, series, occurrenceDate, body);
+    } else {
+      await editFuture(req, res, series, occurrenceDate, body);
+    }
+  } catch (error) {
+    handleError(error, res, next, "Update booking series", "Failed to update booking series");
+  }
+};
+
+// Stop the series; upcoming pending occurrences are cancelled, confirmed ones kept
+const cancelSeries = async (req, res, next) => {
+  try {
+    const series = await loadSeries(req);
+
+    if (!CANCELLABLE_STATUSES.includes(series.status)) {
+      throw ErrorResponse.conflict(`Booking series is already ${series.status}`);
+    }
+
+    const updated = await BookingSeriesService.update(
+      series.id,
+      {
+        status: "cancelled",
+        cancelled_by: req.user.id,
+        cancelled_at: new Date().toISOString(),
+      },
+      { expectedStatus: series.status },
+    );
+    if (!updated) {
+      throw ErrorResponse.conflict("Booking series changed while processing the request");
+    }
+
+    const cancelled = await BookingService.cancelPendingInSeries(series.id, {
+      from: today(),
+    });
+    const kept = (await BookingService.listBySeries(series.id, { from: today() })).filter(
+      (booking) => BLOCKING_STATUSES.includes(booking.status),
+    );
+
+    notifyParty(
+      otherPartyId(series, req.user.id),
+      req.user.id,
+      updated,
+      "Recurring booking cancelled",
+      `${actorName(req)} cancelled the recurring booking${req.body?.reason ? `: ${req.body.reason}` : "."}`,
+    );
+    auditSeries(req, "BOOKING_SERIES_CANCELLED", series, {
+      reason: req.body?.reason || null,
+      cancelled: cancelled.length,
+      kept: kept.length,
+    });
+
+    res.json({
+      success: true,
+      series: mapSeries(updated),
+      cancelledBookingIds: cancelled.map((booking) => booking.id),
+      keptOccurrences: kept.map(mapOccurrence),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Cancel booking series", "Failed to cancel booking series");
+  }
+};
+
+module.exports = {
+  createSeries,
+  getMySeries,
+  getSeries,
+  addException,
+  updateSeries,
+  cancelSeries,
+};
@@ -4,6 +4,31 @@ const { validationResult } = require("express-validator");
 const jwt = require("jsonwebtoken");
 const { jwtSecret, refreshTokenSecret } = require("../config/auth");
 const { logActivity } = require("../services/auditService");
+const { PointsService } = require("../services/pointsService");
+const {
+  criteriaFromJob,
+  toCandidate,
+  rankCaregivers,
+  loadCaregiverUsers,
+  loadTiers,
+} = require("../services/matchingService");
+const {
+  AvailabilityService,
+  hasWeeklySlotsOn,
+  isAvailableFor,
+  isValidDate,
+  isValidTime,
+  isValidTimeZone,
+  toLegacy,
+} = require("../services/availabilityService");
+const { parseGeoQuery, pointOf, locate } = require("../services/geoSearch");
+const {
+  DOCUMENT_TYPES,
+  getVerification,
+  legacyVerificationSummary,
+  submitDocument,
+  requestBackgroundCheck,
+} = require("../services/caregiverVerification");
 
 const mongoose = require("mongoose");
 
@@ -25,6 +50,9 @@ const resolveMongoId = (user) => {
   return null;
 };
 
+// Rate shown and filtered for caregivers whose profile has none
+const DEFAULT_HOURLY_RATE = 300;
+
 // Empty profile template for new caregivers
 const getDefaultProfileTemplate = () => ({
   name: "",
@@ -186,8 +214,7 @@ exports.getCaregiverProfile = async (req, res) => {
   }
 };
 
-// Search caregivers with filters - Updated to populate from Users collection
-// Search caregivers - Populate from Users collection where role: "caregiver"
+// Search caregivers with filters - caregiver users joined with caregiver_profiles
 exports.searchCaregivers = async (req, res) => {
   try {
     const {
@@ -195,6 +222,10 @@ exports.searchCaregivers = async (req, res) => {
       minRate,
       maxRate,
       daysAvailable,
+      date,
+      startTime,
+      endTime,
+      timeZone,
       search,
       page = 1,
       limit = 50,
@@ -204,73 +235,102 @@ exports.searchCaregivers = async (req, res) => {
       minRate,
       maxRate,
       daysAvailable,
+      date,
+      startTime,
+      endTime,
       search,
       page,
       limit,
     });
 
-    // Build user query for caregivers
-    let userQuery = {
-      role: "caregiver",
-      status: "active",
-    };
-
-    // Add search filter for user fields
-    if (search && typeof search === "string") {
-      const sanitizedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      userQuery.$or = [
-        { name: { $regex: sanitizedSearch, $options: "i" } },
-        { email: { $regex: sanitizedSearch, $options: "i" } },
-      ];
+    // date alone matches any free slot that day; startTime/endTime narrow it
+    const wantsSlot = Boolean(date || startTime || endTime);
+    const hasTimes = Boolean(startTime || endTime);
+    if (
+      wantsSlot &&
+      (!isValidDate(date) ||
+        (hasTimes && !(isValidTime(startTime) && isValidTime(endTime))) ||
+        (timeZone && !isValidTimeZone(timeZone)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "date must be YYYY-MM-DD; startTime and endTime must both be HH:MM; timeZone must be an IANA zone",
+      });
     }
 
-    console.log("📋 User query:", JSON.stringify(userQuery, null, 2));
+    // lat/lng (or near) + radius and/or bbox
+    let area;
+    try {
+      area = await parseGeoQuery(req.query);
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
 
-    // Get caregiver users from Users collection
-    const caregiverUsers = await User.find(userQuery)
-      .select("name email phone profileImage role createdAt address")
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 })
-      .lean();
+    // Caregivers without a profile rate count as DEFAULT_HOURLY_RATE, so the
+    // rate range can only narrow the pool in the database when it excludes it
+    const rateFloor = minRate ? Number(minRate) : NaN;
+    const rateCeiling = maxRate ? Number(maxRate) : NaN;
+    const prefiltersRate =
+      DEFAULT_HOURLY_RATE < rateFloor || DEFAULT_HOURLY_RATE > rateCeiling;
+
+    // Filter the whole pool, then rank and paginate; paging first dropped matches
+    const { users: caregiverUsers, truncated } = await loadCaregiverUsers({
+      search: typeof search === "string" ? search : undefined,
+      bbox: area?.bbox || undefined,
+      minRate: prefiltersRate && Number.isFinite(rateFloor) ? rateFloor : undefined,
+      maxRate: prefiltersRate && Number.isFinite(rateCeiling) ? rateCeiling : undefined,
+    });
 
     console.log("👥 Found caregiver users:", caregiverUsers.length);
 
-    // Get their caregiver profiles if they exist
-    const userIds = caregiverUsers.map((u) => u._id);
-    const caregiverProfiles = await Caregiver.find({ userId: { $in: userIds } })
-      .select(
-        "userId name skills experience hourlyRate availability rating ageCareRanges profileImage address location bio hasCompletedJobs",
-      )
-      .lean();
-
-    // Create a map for quick lookup
-    const profileMap = new Map();
-    caregiverProfiles.forEach((profile) => {
-      profileMap.set(profile.userId.toString(), profile);
-    });
+    const caregiverIds = caregiverUsers.map((user) => user.id);
+    const [schedules, summaries, tiers] = await Promise.all([
+      AvailabilityService.listByCaregivers(caregiverIds),
+      PointsService.listSummaries(caregiverIds),
+      loadTiers(),
+    ]);
 
     // Merge user data with caregiver profiles
     let filteredCaregivers = caregiverUsers.map((user) => {
-      const profile = profileMap.get(user._id.toString());
+      const profile = Array.isArray(user.caregiver_profiles)
+        ? user.caregiver_profiles[0]
+        : user.caregiver_profiles;
+      const schedule =
+        schedules.get(user.id) ||
+        AvailabilityService.fromProfileAvailability(user.id, profile?.availability);
 
       return {
-        _id: profile?._id || user._id,
-        userId: user,
+        id: user.id,
+        user: {
+          _id: user.id,
+          id: user.id,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          profileImage: user.profile_image,
+          role: user.role,
+          createdAt: user.created_at,
+          address: user.address,
+        },
         name: profile?.name || user.name,
-        skills: profile?.skills || [],
+        skills: profile?.skills || user.skills || [],
         experience: profile?.experience || 0,
-        hourlyRate: profile?.hourlyRate || 300,
-        availability: profile?.availability || { days: [], flexible: true },
+        hourlyRate: profile?.hourly_rate || DEFAULT_HOURLY_RATE,
+        schedule,
         rating: profile?.rating || 0,
-        ageCareRanges: profile?.ageCareRanges || [],
-        profileImage: profile?.profileImage || user.profileImage,
+        ageCareRanges: profile?.age_care_ranges || [],
+        profileImage: profile?.profile_image || user.profile_image,
         address: profile?.address || user.address || "",
         location: profile?.location || user.address || "",
         bio: profile?.bio || "",
-        createdAt: user.createdAt,
+        createdAt: user.created_at,
         hasProfile: !!profile,
-        hasCompletedJobs: profile?.hasCompletedJobs || false,
+        hasCompletedJobs: profile?.has_completed_jobs || false,
+        verificationStatus: profile?.verification_status || null,
+        coordinates: pointOf(user),
+        candidate: toCandidate(user, { schedule, summary: summaries.get(user.id) }),
       };
     });
 
@@ -292,26 +352,59 @@ exports.searchCaregivers = async (req, res) => {
     }
 
     if (daysAvailable) {
-      const daysArray = daysAvailable.split(",");
+      const daysArray = daysAvailable.split(",").map((day) => day.trim().toLowerCase());
+      filteredCaregivers = filteredCaregivers.filter((c) =>
+        hasWeeklySlotsOn(c.schedule, daysArray),
+      );
+    }
+
+    // Only caregivers whose calendar is free for the whole requested slot
+    if (wantsSlot) {
       filteredCaregivers = filteredCaregivers.filter((c) =>
-        c.availability.days.some((day) => daysArray.includes(day)),
+        isAvailableFor(c.schedule, { date, startTime, endTime, timeZone }),
       );
     }
 
+    // Only caregivers whose geocoded address lies in the requested area
+    let distances = null;
+    if (area) {
+      const located = locate(filteredCaregivers, area, (c) => c.coordinates);
+      distances = new Map(located.map(({ record, distanceKm }) => [record.id, distanceKm]));
+      filteredCaregivers = located.map(({ record }) => record);
+    }
+
     const count = filteredCaregivers.length;
 
+    // Rank by how well each caregiver fits the search, as for a job; the
+    // requested slot was already enforced by the filter above
+    const criteria = criteriaFromJob({ hourly_rate: maxRate, requirements: skills });
+    const ranked = rankCaregivers(
+      criteria,
+      filteredCaregivers.map((c) => c.candidate),
+      { tiers },
+    );
+    // Geo searches list nearest first; equal distances keep the match order.
+    // Either way caregivers whose verification lapsed stay at the end.
+    const ordered = distances
+      ? [...ranked].sort(
+          (a, b) =>
+            (a.candidate.visibility === "reduced") - (b.candidate.visibility === "reduced") ||
+            distances.get(a.candidate.id) - distances.get(b.candidate.id),
+        )
+      : ranked;
+    const caregiversById = new Map(filteredCaregivers.map((c) => [c.id, c]));
+    const offset = (Number(page) - 1) * Number(limit);
+    const pageCaregivers = ordered
+      .slice(offset, offset + Number(limit))
+      .map(({ candidate, match }) => ({
+        ...caregiversById.get(candidate.id),
+        matchScore: match.score,
+      }));
+
     console.log("📊 Search results:", {
       count,
       caregivers: filteredCaregivers.length,
     });
-    console.log(
-      "👥 Found caregivers:",
-      filteredCaregivers.map((c) => ({
-        id: c._id,
-        name: c.name,
-        hasProfile: c.hasProfile,
-      })),
-    );
 
     await logActivity("PROVIDER_SEARCH", {
       searchParams: req.query,
@@ -319,15 +412,20 @@ exports.searchCaregivers = async (req, res) => {
     });
 
     // Map caregivers to public info only - use User ID for messaging
-    const publicCaregivers = filteredCaregivers.map((p) => ({
-      _id: p.userId._id, // Use User ID for messaging compatibility
-      id: p.userId._id, // Use User ID for messaging compatibility
-      user: p.userId,
+    const publicCaregivers = pageCaregivers.map((p) => ({
+      _id: p.id, // Use User ID for messaging compatibility
+      id: p.id,
+      user: p.user,
       name: p.name,
       skills: p.skills,
       experience: p.experience,
       hourlyRate: p.hourlyRate,
-      availability: p.availability,
+      // Previous shape ({ days, hours, weeklySchedule }) plus the calendar
+      availability: {
+        ...toLegacy(p.schedule).availability,
+        timeZone: p.schedule.timeZone,
+        weeklySlots: p.schedule.weeklySlots,
+      },
       rating: p.rating,
       ageCareRanges: p.ageCareRanges,
       avatar: p.profileImage,
@@ -338,6 +436,9 @@ exports.searchCaregivers = async (req, res) => {
       registeredAt: p.createdAt,
       hasProfile: p.hasProfile,
       hasCompletedJobs: p.hasCompletedJobs || false,
+      verified: p.verificationStatus === "verified",
+      matchScore: p.matchScore,
+      distanceKm: distances ? distances.get(p.id) : undefined,
     }));
 
     console.log(
@@ -351,6 +452,8 @@ exports.searchCaregivers = async (req, res) => {
       count: filteredCaregivers.length,
       totalPages: Math.ceil(count / limit),
       currentPage: Number(page),
+      // More caregivers matched than one search considers; narrow the filters
+      truncated,
       caregivers: publicCaregivers,
     });
   } catch (err) {
@@ -875,51 +978,36 @@ exports.updateCaregiverProfile = async (req, res) => {
   }
 };
 
-// Upload caregiver documents
-exports.uploadDocuments = async (req, res) => {
+// Upload a verification document (multipart "file") for admin review
+exports.uploadDocuments = async (req, res, next) => {
   try {
-    if (!req.files || req.files.length === 0) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: "No files uploaded",
+        error: "No file uploaded",
       });
     }
 
-    const documents = req.files.map((file) => ({
-      name: file.originalname,
-      url: file.path,
-      type: file.mimetype,
-      size: file.size,
-    }));
-
-    const userMongoId = resolveMongoId(req.user);
-    if (!userMongoId) {
-      return res
-        .status(401)
-        .json({ success: false, error: "User mapping not found" });
-    }
-
-    const caregiver = await Caregiver.findOneAndUpdate(
-      { userId: userMongoId },
-      { $push: { documents: { $each: documents } } },
-      { new: true },
-    );
+    const { document, verification } = await submitDocument(req.user.id, req.file, {
+      documentType: req.body.documentType,
+      expiryDate: req.body.expiryDate,
+      name: req.body.name,
+    });
 
     await logActivity("PROVIDER_DOCUMENTS_UPLOAD", {
-      userId: userMongoId,
-      documentCount: documents.length,
+      userId: req.user.id,
+      documentId: document.id,
+      documentType: document.document_type,
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      documents: caregiver.documents,
+      data: { document, verificationStatus: verification?.status || null },
     });
   } catch (err) {
+    if (err.isOperational) return next(err);
+
     console.error("Upload documents error:", err);
-    await logActivity("DOCUMENT_UPLOAD_ERROR", {
-      userId: resolveMongoId(req.user) || req.user?.id,
-      error: err.message,
-    });
     res.status(500).json({
       success: false,
       error: "Failed to upload documents",
@@ -1040,38 +1128,20 @@ exports.uploadPortfolioImages = async (req, res) => {
   }
 };
 
-// Get caregiver verification status
-exports.getVerificationStatus = async (req, res) => {
+// Verification status: what the caregiver's tier requires and what is on file
+exports.getVerificationStatus = async (req, res, next) => {
   try {
-    const userMongoId = resolveMongoId(req.user);
-    if (!userMongoId) {
-      return res
-        .status(401)
-        .json({ success: false, error: "User mapping not found" });
-    }
-
-    const caregiver = await Caregiver.findOne({ userId: userMongoId }).select(
-      "verification profileCompletionPercentage",
-    );
-
-    if (!caregiver) {
-      return res
-        .status(404)
-        .json({ success: false, error: "Caregiver profile not found" });
-    }
-
-    const trustScore = caregiver.calculateTrustScore();
-    const completionPercentage = caregiver.profileCompletionPercentage;
+    const verification = await getVerification(req.user.id);
 
     res.json({
       success: true,
-      verification: {
-        ...caregiver.verification.toObject(),
-        trustScore,
-        profileCompletionPercentage: completionPercentage,
-      },
+      data: { ...verification, documentTypes: DOCUMENT_TYPES },
+      // Previous response shape, for clients that still read it
+      verification: await legacyVerificationSummary(req.user.id, verification),
     });
   } catch (err) {
+    if (err.isOperational) return next(err);
+
     console.error("Get verification status error:", err);
     res.status(500).json({
       success: false,
@@ -1122,25 +1192,29 @@ exports.testUpdate = async (req, res) => {
   }
 };
 
-// Request background check (UI-only implementation)
-exports.requestBackgroundCheck = async (req, res) => {
+// Request a background check, or its renewal when the current one is expiring
+exports.requestBackgroundCheck = async (req, res, next) => {
   try {
-    const userMongoId = resolveMongoId(req.user);
-    if (!userMongoId) {
-      return res
-        .status(401)
-        .json({ success: false, error: "User mapping not found" });
-    }
+    const { backgroundCheck, portalUrl, verification } = await requestBackgroundCheck(
+      req.user.id,
+      { checkTypes: req.body?.checkTypes },
+    );
 
-    // UI-only implementation - just return success
-    await logActivity("BACKGROUND_CHECK_REQUESTED", { userId: userMongoId });
+    await logActivity("BACKGROUND_CHECK_REQUESTED", { userId: req.user.id });
 
     res.json({
       success: true,
       message: "Background check request submitted successfully",
-      status: "pending",
+      status: backgroundCheck.status,
+      data: {
+        backgroundCheck,
+        portalUrl,
+        verificationStatus: verification?.status || null,
+      },
     });
   } catch (err) {
+    if (err.isOperational) return next(err);
+
     console.error("Request background check error:", err);
     res.status(500).json({
       success: false,
@@ -0,0 +1,279 @@
+/**
+ * Chat moderation: block and mute lists, reporting a conversation
+ */
+
+const {
+  ConversationService,
+  MessageService,
+  UserService,
+  UserBlockService,
+  UserMuteService,
+} = require("../services/supabaseService");
+const { ReportService } = require("../services/reportService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
+
+const REPORT_TYPES = [
+  "inappropriate_behavior",
+  "safety_concern",
+  "caregiver_misconduct",
+  "parent_maltreatment",
+  "payment_dispute",
+  "other",
+];
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const MAX_EVIDENCE_MESSAGES = 50;
+
+const auditModeration = (req, action, entity, entityId, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity,
+    entityId,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+const toListedUser = (user, fallbackId) => ({
+  id: user?.id || fallbackId,
+  name: user?.name || "Unknown User",
+  avatar: user?.profile_image || null,
+  role: user?.role,
+});
+
+// The other user of a block/mute request; must exist and not be the caller
+const resolveTargetUser = async (req) => {
+  const targetId = req.params.userId || req.body?.userId;
+
+  if (!targetId) throw ErrorResponse.badRequest("userId is required");
+  if (targetId === req.user.id) {
+    throw ErrorResponse.badRequest("You cannot do this to yourself");
+  }
+
+  const target = await UserService.findById(targetId);
+  if (!target) throw ErrorResponse.notFound("User not found");
+  return target;
+};
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: message });
+};
+
+// Users the current user has blocked
+const getBlockedUsers = async (req, res, next) => {
+  try {
+    const rows = await UserBlockService.listByBlocker(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: rows.map((row) => ({
+        user: toListedUser(row.blocked, row.blocked_id),
+        blockedAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get blocked users", "Failed to fetch blocked users");
+  }
+};
+
+const blockUser = async (req, res, next) => {
+  try {
+    const target = await resolveTargetUser(req);
+    await UserBlockService.block(req.user.id, target.id);
+    auditModeration(req, "USER_BLOCKED", "USER", target.id);
+
+    res.status(200).json({
+      success: true,
+      message: "User blocked",
+      data: { userId: target.id, blocked: true },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Block user", "Failed to block user");
+  }
+};
+
+const unblockUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    await UserBlockService.unblock(req.user.id, userId);
+    auditModeration(req, "USER_UNBLOCKED", "USER", userId);
+
+    res.status(200).json({
+      success: true,
+      message: "User unblocked",
+      data: { userId, blocked: false },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Unblock user", "Failed to unblock user");
+  }
+};
+
+// Users whose messages currently arrive without notifications
+const getMutedUsers = async (req, res, next) => {
+  try {
+    const rows = await UserMuteService.listByUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: rows.map((row) => ({
+        user: toListedUser(row.muted, row.muted_user_id),
+        mutedUntil: row.muted_until,
+        mutedAt: row.created_at,
+      })),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get muted users", "Failed to fetch muted users");
+  }
+};
+
+// Body: { userId, until? } — until is an ISO timestamp; omit to mute indefinitely
+const muteUser = async (req, res, next) => {
+  try {
+    const { until } = req.body || {};
+    let mutedUntil = null;
+
+    if (until !== undefined && until !== null) {
+      const date = new Date(until);
+      if (Number.isNaN(date.getTime()) || date <= new Date()) {
+        throw ErrorResponse.badRequest("until must be a future ISO timestamp");
+      }
+      mutedUntil = date.toISOString();
+    }
+
+    const target = await resolveTargetUser(req);
+    await UserMuteService.mute(req.user.id, target.id, mutedUntil);
+    auditModeration(req, "USER_MUTED", "USER", target.id, { mutedUntil });
+
+    res.status(200).json({
+      success: true,
+      message: "User muted",
+      data: { userId: target.id, muted: true, mutedUntil },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Mute user", "Failed to mute user");
+  }
+};
+
+const unmuteUser = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    await UserMuteService.unmute(req.user.id, userId);
+    auditModeration(req, "USER_UNMUTED", "USER", userId);
+
+    res.status(200).json({
+      success: true,
+      message: "User unmuted",
+      data: { userId, muted: false },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Unmute user", "Failed to unmute user");
+  }
+};
+
+/**
+ * Report the other participant of a conversation
+ * Body: { description, messageIds?, reportType?, severity?, title?, block? }
+ */
+const reportConversation = async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.id;
+    const {
+      description,
+      messageIds = [],
+      reportType = "inappropriate_behavior",
+      severity = "medium",
+      title,
+      block = false,
+    } = req.body || {};
+
+    const errors = {};
+    if (typeof description !== "string" || !description.trim()) {
+      errors.description = "description is required";
+    }
+    if (!REPORT_TYPES.includes(reportType)) {
+      errors.reportType = `Must be one of: ${REPORT_TYPES.join(", ")}`;
+    }
+    if (!SEVERITIES.includes(severity)) {
+      errors.severity = `Must be one of: ${SEVERITIES.join(", ")}`;
+    }
+    if (!Array.isArray(messageIds) || messageIds.length > MAX_EVIDENCE_MESSAGES) {
+      errors.messageIds = `messageIds must be an array of at most ${MAX_EVIDENCE_MESSAGES} ids`;
+    }
+    if (Object.keys(errors).length) {
+      throw ErrorResponse.badRequest("Invalid report", errors);
+    }
+
+    const conversation = await ConversationService.findById(conversationId);
+    if (
+      !conversation ||
+      ![conversation.participant_1, conversation.participant_2].includes(userId)
+    ) {
+      throw ErrorResponse.notFound("Conversation not found");
+    }
+
+    const reportedUserId =
+      conversation.participant_1 === userId
+        ? conversation.participant_2
+        : conversation.participant_1;
+
+    // Evidence must come from this conversation
+    const uniqueIds = [...new Set(messageIds)];
+    const evidence = await MessageService.findInConversation(conversationId, uniqueIds);
+    if (evidence.length !== uniqueIds.length) {
+      const found = new Set(evidence.map((message) => message.id));
+      throw ErrorResponse.badRequest("Invalid report", {
+        messageIds: `Not in this conversation: ${uniqueIds
+          .filter((id) => !found.has(id))
+          .join(", ")}`,
+      });
+    }
+
+    const report = await ReportService.create({
+      reporter_id: userId,
+      reported_user_id: reportedUserId,
+      report_type: reportType,
+      category: "conversation",
+      title: title || "Reported conversation",
+      description: description.trim(),
+      severity,
+      status: "pending",
+      conversation_id: conversationId,
+      message_ids: uniqueIds,
+    });
+
+    if (block) {
+      await UserBlockService.block(userId, reportedUserId);
+      auditModeration(req, "USER_BLOCKED", "USER", reportedUserId, {
+        reportId: report.id,
+      });
+    }
+
+    auditModeration(req, "CONVERSATION_REPORTED", "CONVERSATION", conversationId, {
+      reportId: report.id,
+      reportedUserId,
+      messageCount: uniqueIds.length,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { report, blocked: Boolean(block) },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Report conversation", "Failed to report conversation");
+  }
+};
+
+module.exports = {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getMutedUsers,
+  muteUser,
+  unmuteUser,
+  reportConversation,
+};
@@ -1,8 +1,108 @@
-const Contract = require("../models/Contract");
-const User = require("../models/User");
+const crypto = require("crypto");
 const { validationResult } = require("express-validator");
+const {
+  UserService,
+  BookingService,
+  ContractService,
+  UserBlockService,
+} = require("../services/supabaseService");
+const {
+  OPEN_STATUSES,
+  normalizeTerms,
+  hashContractVersion,
+  partyRole,
+  otherPartyId,
+} = require("../services/contractTerms");
+const { sendNotification } = require("../services/notificationService");
+const ErrorResponse = require("../utils/errorResponse");
 
-exports.createContract = async (req, res) => {
+const ADMIN_ROLES = ["admin", "superadmin"];
+
+// Statuses a signed contract can be closed with through PUT /:id/status
+const CLOSING_STATUSES = ["completed", "cancelled"];
+
+const mapParty = (user, fallbackId) => ({
+  id: user?.id || fallbackId,
+  name: user?.name || "Unknown User",
+  profileImage: user?.profile_image || null,
+});
+
+const mapContract = (contract) => {
+  const versions = contract.versions || [];
+  const current =
+    versions.find((version) => version.version === contract.current_version) || {};
+
+  return {
+    id: contract.id,
+    status: contract.status,
+    parent: mapParty(contract.parent, contract.parent_id),
+    caregiver: mapParty(contract.caregiver, contract.caregiver_id),
+    job: contract.job || null,
+    currentVersion: contract.current_version,
+    terms: current.terms || null,
+    contentHash: current.content_hash || null,
+    proposedBy: current.proposed_by || null,
+    versions: versions.map((version) => ({
+      version: version.version,
+      proposedBy: version.proposed_by,
+      terms: version.terms,
+      contentHash: version.content_hash,
+      note: version.note || null,
+      createdAt: version.created_at,
+    })),
+    signatures: (contract.signatures || []).map((signature) => ({
+      version: signature.version,
+      signerId: signature.signer_id,
+      signerRole: signature.signer_role,
+      signerName: signature.signer_name,
+      signerEmail: signature.signer_email,
+      contentHash: signature.content_hash,
+      signedAt: signature.signed_at,
+    })),
+    signedAt: contract.signed_at,
+    closedAt: contract.closed_at,
+    createdAt: contract.created_at,
+    updatedAt: contract.updated_at,
+  };
+};
+
+// Load a contract the current user is a party to (admins can read any)
+const loadContract = async (req, { allowAdmin = false } = {}) => {
+  const contract = await ContractService.findById(req.params.id);
+  const role = contract && partyRole(contract, req.user.id);
+
+  if (!contract || (!role && !(allowAdmin && ADMIN_ROLES.includes(req.user.role)))) {
+    throw ErrorResponse.notFound("Contract not found");
+  }
+  return { contract, role };
+};
+
+const currentVersionOf = (contract) =>
+  contract.versions.find((version) => version.version === contract.current_version);
+
+const notifyParty = (userId, actorId, contract, title, message) =>
+  sendNotification({
+    userId,
+    actorId,
+    type: "booking",
+    title,
+    message,
+    data: { kind: "contract", contractId: contract.id, status: contract.status },
+  }).catch((error) => console.error("Contract notification failed:", error));
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    details: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+// Parent proposes a contract (version 1) to a caregiver
+exports.createContract = async (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -12,19 +112,11 @@ exports.createContract = async (req, res) => {
   }
 
   try {
-    const {
-      caregiverId,
-      serviceType,
-      startDate,
-      endDate,
-      hours,
-      rate,
-      address,
-      specialInstructions,
-    } = req.body;
+    const { caregiverId, jobId, note } = req.body;
+    const parentId = req.user.id;
 
     // Validate caregiver exists
-    const caregiver = await User.findById(caregiverId);
+    const caregiver = await UserService.findById(caregiverId);
     if (!caregiver || caregiver.role !== "caregiver") {
       return res.status(404).json({
         success: false,
@@ -32,57 +124,75 @@ exports.createContract = async (req, res) => {
       });
     }
 
-    const totalAmount = hours * rate;
+    if (await UserBlockService.findBetween(parentId, caregiverId)) {
+      return res.status(403).json({
+        success: false,
+        error: "Contracts cannot be proposed between blocked users",
+      });
+    }
 
-    const contract = new Contract({
-      clientId: req.user.id,
+    const terms = normalizeTerms(req.body);
+    const id = crypto.randomUUID();
+
+    const contract = await ContractService.create({
+      id,
+      parentId,
       caregiverId,
-      serviceType,
-      startDate,
-      endDate,
-      hours,
-      rate,
-      totalAmount,
-      address,
-      specialInstructions,
-      status: "pending",
+      jobId,
+      version: {
+        proposed_by: parentId,
+        terms,
+        content_hash: hashContractVersion({
+          contractId: id,
+          version: 1,
+          parentId,
+          caregiverId,
+          terms,
+        }),
+        note: note || null,
+      },
     });
 
-    await contract.save();
-
-    // Populate caregiver details in response
-    const populatedContract = await Contract.populate(contract, {
-      path: "caregiverId",
-      select: "name profileImage",
-    });
+    notifyParty(
+      caregiverId,
+      parentId,
+      contract,
+      "New contract proposal",
+      `${req.user.profile?.name || "A parent"} proposed a ${terms.serviceType} contract starting ${terms.startDate}.`,
+    );
 
     res.status(201).json({
       success: true,
-      contract: populatedContract,
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({
-      success: false,
-      error: "Failed to create contract",
-      details: process.env.NODE_ENV === "development" ? err.message : undefined,
+      contract: mapContract(contract),
     });
+  } catch (error) {
+    handleError(error, res, next, "Create contract", "Failed to create contract");
   }
 };
 
-// Other contract methods with similar improvements
-
 // Get parent contracts
-exports.getParentContracts = async (req, res) => {
+exports.getParentContracts = async (req, res, next) => {
   try {
-    const contracts = await Contract.find({ clientId: req.params.parentId })
-      .populate("caregiverId", "name profileImage")
-      .sort({ createdAt: -1 });
-
-    res.json(contracts);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    const { parentId } = req.params;
+
+    if (parentId !== req.user.id && !ADMIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only view your own contracts",
+      });
+    }
+
+    const contracts = await ContractService.listByParty({
+      parentId,
+      status: req.query.status,
+    });
+
+    res.json({
+      success: true,
+      contracts: contracts.map(mapContract),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get parent contracts", "Failed to fetch contracts");
   }
 };
 
@@ -90,33 +200,287 @@ exports.getParentContracts = async (req, res) => {
 exports.getClientContracts = exports.getParentContracts;
 
 // Get caregiver contracts
-exports.getCaregiverContracts = async (req, res) => {
+exports.getCaregiverContracts = async (req, res, next) => {
+  try {
+    const contracts = await ContractService.listByParty({
+      caregiverId: req.user.id,
+      status: req.query.status,
+    });
+
+    res.json({
+      success: true,
+      contracts: contracts.map(mapContract),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get caregiver contracts", "Failed to fetch contracts");
+  }
+};
+
+// Full contract with every version and signature
+exports.getContract = async (req, res, next) => {
+  try {
+    const { contract } = await loadContract(req, { allowAdmin: true });
+
+    res.json({
+      success: true,
+      contract: mapContract(contract),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get contract", "Failed to fetch contract");
+  }
+};
+
+// Counter-offer: the party who did not propose the current version sends
+// changed terms, which become the next version
+exports.counterContract = async (req, res, next) => {
+  try {
+    const { contract } = await loadContract(req);
+    const userId = req.user.id;
+
+    if (!OPEN_STATUSES.includes(contract.status)) {
+      throw ErrorResponse.conflict(`Contract is ${contract.status} and can no longer be changed`);
+    }
+
+    const current = currentVersionOf(contract);
+    if (current.proposed_by === userId) {
+      throw ErrorResponse.conflict("Wait for the other party to respond to your proposal");
+    }
+
+    const { note, ...changes } = req.body || {};
+    const terms = normalizeTerms(changes, current.terms);
+    const version = contract.current_version + 1;
+
+    const updated = await ContractService.addVersion(contract, {
+      proposed_by: userId,
+      terms,
+      content_hash: hashContractVersion({
+        contractId: contract.id,
+        version,
+        parentId: contract.parent_id,
+        caregiverId: contract.caregiver_id,
+        terms,
+      }),
+      note: note || null,
+    });
+
+    if (!updated) {
+      throw ErrorResponse.conflict("The contract changed meanwhile; reload and try again");
+    }
+
+    const fresh = await ContractService.findById(contract.id);
+    notifyParty(
+      otherPartyId(contract, userId),
+      userId,
+      fresh,
+      "Contract counter-offer",
+      `${req.user.profile?.name || "The other party"} sent new terms (version ${version}).`,
+    );
+
+    res.json({
+      success: true,
+      contract: mapContract(fresh),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Counter contract", "Failed to send counter-offer");
+  }
+};
+
+/**
+ * Sign the current version. The client echoes back the version and content
+ * hash it displayed, so a signature never lands on terms the signer did not
+ * see. The contract becomes active once both parties signed the same version.
+ */
+exports.signContract = async (req, res, next) => {
   try {
-    const contracts = await Contract.find({ caregiverId: req.user.id })
-      .populate("clientId", "name profileImage")
-      .sort({ createdAt: -1 });
-
-    res.json(contracts);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    const { contract, role } = await loadContract(req);
+    const userId = req.user.id;
+    const { version, contentHash } = req.body || {};
+
+    if (!OPEN_STATUSES.includes(contract.status)) {
+      throw ErrorResponse.conflict(`Contract is ${contract.status} and can no longer be signed`);
+    }
+
+    const current = currentVersionOf(contract);
+    if (Number(version) !== current.version || contentHash !== current.content_hash) {
+      throw ErrorResponse.conflict(
+        "These terms are out of date; review the current version before signing",
+      );
+    }
+
+    const signer = await UserService.findById(userId);
+    const signature = await ContractService.addSignature({
+      contract_id: contract.id,
+      version: current.version,
+      signer_id: userId,
+      signer_role: role,
+      signer_name: signer?.name || null,
+      signer_email: signer?.email || req.user.email || null,
+      content_hash: current.content_hash,
+      ip_address: req.ip,
+      user_agent: req.get("user-agent") || null,
+    });
+
+    if (!signature) {
+      throw ErrorResponse.conflict("You already signed this version");
+    }
+
+    const signatures = await ContractService.listSignatures(contract.id, current.version);
+    const signedBy = new Set(signatures.map((row) => row.signer_role));
+
+    if (signedBy.has("parent") && signedBy.has("caregiver")) {
+      await ContractService.transition(contract.id, "active", {
+        from: OPEN_STATUSES,
+        version: current.version,
+        fields: { signed_at: new Date().toISOString() },
+      });
+    }
+
+    const fresh = await ContractService.findById(contract.id);
+    notifyParty(
+      otherPartyId(contract, userId),
+      userId,
+      fresh,
+      fresh.status === "active" ? "Contract signed" : "Contract awaiting your signature",
+      fresh.status === "active"
+        ? "Both parties signed the contract. It is now active."
+        : `${signer?.name || "The other party"} signed version ${current.version}.`,
+    );
+
+    res.json({
+      success: true,
+      contract: mapContract(fresh),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Sign contract", "Failed to sign contract");
   }
 };
 
-// Update contract status
-exports.updateContractStatus = async (req, res) => {
+// Either party walks away from a contract that is still being negotiated
+exports.declineContract = async (req, res, next) => {
+  try {
+    const { contract } = await loadContract(req);
+    const userId = req.user.id;
+
+    const updated = await ContractService.transition(contract.id, "declined", {
+      from: OPEN_STATUSES,
+      fields: { closed_at: new Date().toISOString(), closed_by: userId },
+    });
+
+    if (!updated) {
+      throw ErrorResponse.conflict(`Contract is ${contract.status} and can no longer be declined`);
+    }
+
+    const fresh = await ContractService.findById(contract.id);
+    notifyParty(
+      otherPartyId(contract, userId),
+      userId,
+      fresh,
+      "Contract declined",
+      `${req.user.profile?.name || "The other party"} declined the contract${req.body?.reason ? `: ${req.body.reason}` : "."}`,
+    );
+
+    res.json({
+      success: true,
+      contract: mapContract(fresh),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Decline contract", "Failed to decline contract");
+  }
+};
+
+// Close an active contract (completed or cancelled)
+exports.updateContractStatus = async (req, res, next) => {
   try {
     const { status } = req.body;
+    const { contract } = await loadContract(req);
+    const userId = req.user.id;
+
+    if (!CLOSING_STATUSES.includes(status)) {
+      throw ErrorResponse.badRequest(
+        `Invalid status. Must be one of: ${CLOSING_STATUSES.join(", ")}`,
+      );
+    }
+
+    const updated = await ContractService.transition(contract.id, status, {
+      from: ["active"],
+      fields: { closed_at: new Date().toISOString(), closed_by: userId },
+    });
+
+    if (!updated) {
+      throw ErrorResponse.conflict(
+        `Only active contracts can be ${status}; this one is ${contract.status}`,
+      );
+    }
 
-    const contract = await Contract.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true },
+    const fresh = await ContractService.findById(contract.id);
+    notifyParty(
+      otherPartyId(contract, userId),
+      userId,
+      fresh,
+      `Contract ${status}`,
+      `${req.user.profile?.name || "The other party"} marked the contract as ${status}.`,
     );
 
-    res.json(contract);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    res.json({
+      success: true,
+      contract: mapContract(fresh),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Update contract status", "Failed to update contract");
+  }
+};
+
+// Attach a booking between the same parent and caregiver to an active contract
+exports.linkBooking = async (req, res, next) => {
+  try {
+    const { contract } = await loadContract(req);
+    const { bookingId } = req.body || {};
+
+    if (contract.status !== "active") {
+      throw ErrorResponse.conflict("Only signed (active) contracts can govern bookings");
+    }
+
+    const booking = bookingId && (await BookingService.findById(bookingId));
+    if (!booking) throw ErrorResponse.notFound("Booking not found");
+
+    if (
+      booking.parent_id !== contract.parent_id ||
+      booking.caregiver_id !== contract.caregiver_id
+    ) {
+      throw ErrorResponse.badRequest("Booking is between different parties than the contract");
+    }
+    if (booking.contract_id && booking.contract_id !== contract.id) {
+      throw ErrorResponse.conflict("Booking is already governed by another contract");
+    }
+
+    const { startDate, endDate } = currentVersionOf(contract).terms;
+    const bookingDate = String(booking.date).slice(0, 10);
+    if (bookingDate < startDate || (endDate && bookingDate > endDate)) {
+      throw ErrorResponse.badRequest("Booking date is outside the contract period");
+    }
+
+    const linked = await ContractService.linkBooking(contract.id, booking.id);
+
+    res.json({
+      success: true,
+      booking: linked,
+    });
+  } catch (error) {
+    handleError(error, res, next, "Link contract booking", "Failed to link booking");
+  }
+};
+
+// Bookings governed by a contract
+exports.getContractBookings = async (req, res, next) => {
+  try {
+    const { contract } = await loadContract(req, { allowAdmin: true });
+    const bookings = await ContractService.listBookings(contract.id);
+
+    res.json({
+      success: true,
+      bookings,
+    });
+  } catch (error) {
+    handleError(error, res, next, "Get contract bookings", "Failed to fetch bookings");
   }
 };
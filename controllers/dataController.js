@@ -0,0 +1,196 @@
+/**
+ * Data-subject requests: export, erasure with a cooling-off period, usage
+ */
+
+const { DataRequestService } = require("../services/supabaseService");
+const {
+  ERASURE_COOLING_OFF_DAYS,
+  summarizeUsage,
+  requestExport,
+  processExport,
+  exportDownloadUrl,
+  scheduleErasure,
+  cancelErasure,
+} = require("../services/dataSubject");
+const { notify } = require("../services/notificationService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
+
+const MAX_REASON_LENGTH = 500;
+
+const toRequest = (request) => ({
+  id: request.id,
+  type: request.type,
+  status: request.status,
+  reason: request.reason,
+  scheduledFor: request.scheduled_for,
+  fileSize: request.file_size,
+  expiresAt: request.expires_at,
+  summary: request.summary,
+  createdAt: request.created_at,
+  completedAt: request.completed_at,
+  cancelledAt: request.cancelled_at,
+});
+
+const auditData = (req, action, entityId, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity: "USER",
+    entityId,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: message });
+};
+
+// Queue an export of everything stored about the user; built in the background
+const exportUserData = async (req, res, next) => {
+  try {
+    const { request, created } = await requestExport(req.user.id);
+
+    if (created) {
+      // The maintenance scheduler picks it up if this attempt does not finish
+      processExport(request).catch((error) =>
+        console.error(`Data export ${request.id} failed:`, error),
+      );
+      auditData(req, "DATA_EXPORT_REQUESTED", request.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: toRequest(request),
+      message: created
+        ? "Your data export is being prepared"
+        : "Your data export is already being prepared",
+    });
+  } catch (error) {
+    handleError(error, res, next, "Data export", "Failed to request data export");
+  }
+};
+
+// Latest export and, once ready, a short-lived download link
+const getExportStatus = async (req, res, next) => {
+  try {
+    const [latest] = await DataRequestService.listByUser(req.user.id, {
+      type: "export",
+      limit: 1,
+    });
+    if (!latest) throw ErrorResponse.notFound("No data export requested yet");
+
+    res.json({
+      success: true,
+      data: { ...toRequest(latest), downloadUrl: await exportDownloadUrl(latest) },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Data export status", "Failed to get data export");
+  }
+};
+
+const getDataRequests = async (req, res, next) => {
+  try {
+    const requests = await DataRequestService.listByUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: requests.map(toRequest),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Data requests", "Failed to get data requests");
+  }
+};
+
+/**
+ * Schedule erasure of the account after the cooling-off period. Needs
+ * { confirm: true }; until then it can be cancelled and nothing is removed.
+ */
+const deleteUserData = async (req, res, next) => {
+  try {
+    const { confirm, reason } = req.body || {};
+    if (confirm !== true) {
+      throw ErrorResponse.badRequest("Set confirm to true to schedule account deletion");
+    }
+    if (reason != null && String(reason).length > MAX_REASON_LENGTH) {
+      throw ErrorResponse.badRequest(`reason may be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const request = await scheduleErasure(req.user.id, {
+      reason: reason ? String(reason).trim() : null,
+    });
+
+    notify([req.user.id], {
+      type: "system",
+      title: "Account deletion scheduled",
+      message: `Your account and data will be deleted on ${request.scheduled_for.slice(0, 10)}. You can cancel until then.`,
+      data: { kind: "erasure_scheduled", requestId: request.id, scheduledFor: request.scheduled_for },
+    });
+    auditData(req, "ACCOUNT_ERASURE_SCHEDULED", request.id, {
+      scheduledFor: request.scheduled_for,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: toRequest(request),
+      message: `Account deletion scheduled in ${ERASURE_COOLING_OFF_DAYS} days`,
+    });
+  } catch (error) {
+    handleError(error, res, next, "Account deletion", "Failed to schedule account deletion");
+  }
+};
+
+const cancelDeletion = async (req, res, next) => {
+  try {
+    const request = await cancelErasure(req.user.id);
+
+    notify([req.user.id], {
+      type: "system",
+      title: "Account deletion cancelled",
+      message: "Your account will not be deleted.",
+      data: { kind: "erasure_cancelled", requestId: request.id },
+    });
+    auditData(req, "ACCOUNT_ERASURE_CANCELLED", request.id);
+
+    res.json({
+      success: true,
+      data: toRequest(request),
+      message: "Account deletion cancelled",
+    });
+  } catch (error) {
+    handleError(error, res, next, "Cancel account deletion", "Failed to cancel account deletion");
+  }
+};
+
+// Records stored about the user, by category
+const getDataUsage = async (req, res, next) => {
+  try {
+    const [usage, erasure] = await Promise.all([
+      summarizeUsage(req.user.id),
+      DataRequestService.findOpen(req.user.id, "erasure"),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...usage,
+        scheduledDeletion: erasure ? erasure.scheduled_for : null,
+      },
+    });
+  } catch (error) {
+    handleError(error, res, next, "Data usage", "Failed to get data usage");
+  }
+};
+
+module.exports = {
+  exportUserData,
+  getExportStatus,
+  getDataRequests,
+  deleteUserData,
+  cancelDeletion,
+  getDataUsage,
+};
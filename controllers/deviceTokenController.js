@@ -1,4 +1,7 @@
 const DeviceToken = require("../models/DeviceToken");
+const { DeviceTokenService } = require("../services/supabaseService");
+const { isObjectId } = require("../services/legacyUsers");
+const { isValidUuid } = require("../utils/config").validation;
 
 const resolveUserId = (req) => req.user?.mongoId || req.user?.id;
 
@@ -8,7 +11,8 @@ const isMockUserId = (userId) => {
     typeof userId === "string" &&
     (userId.startsWith("dev-mock-") ||
       userId === "dev-mock-user" ||
-      !/^[0-9a-fA-F]{24}$/.test(userId)) // Not a valid ObjectId format
+      // Neither a Supabase user nor a legacy MongoDB user
+      (!isValidUuid(userId) && !isObjectId(userId)))
   );
 };
 
@@ -50,11 +54,17 @@ exports.upsertDeviceToken = async (req, res) => {
       });
     }
 
-    const record = await DeviceToken.findOneAndUpdate(
-      { token },
-      { userId, token, platform: sanitizedPlatform },
-      { new: true, upsert: true, setDefaultsOnInsert: true },
-    ).lean();
+    const record = isValidUuid(userId)
+      ? await DeviceTokenService.upsert({
+          userId,
+          token,
+          platform: sanitizedPlatform,
+        })
+      : await DeviceToken.findOneAndUpdate(
+          { token },
+          { userId, token, platform: sanitizedPlatform },
+          { new: true, upsert: true, setDefaultsOnInsert: true },
+        ).lean();
 
     return res.status(200).json({
       success: true,
@@ -93,7 +103,9 @@ exports.removeDeviceToken = async (req, res) => {
       });
     }
 
-    if (token) {
+    if (isValidUuid(userId)) {
+      await DeviceTokenService.remove({ userId, token });
+    } else if (token) {
       await DeviceToken.deleteOne({ userId, token });
     } else {
       await DeviceToken.deleteMany({ userId });
@@ -0,0 +1,134 @@
+/**
+ * Downloadable PDF documents: contracts, payment receipts, monthly statements
+ */
+
+const {
+  UserService,
+  BookingService,
+  ContractService,
+  PaymentService,
+} = require("../services/supabaseService");
+const {
+  renderContractPdf,
+  renderReceiptPdf,
+  renderStatementPdf,
+  receiptNumber,
+} = require("../services/documentService");
+const ErrorResponse = require("../utils/errorResponse");
+
+const ADMIN_ROLES = ["admin", "superadmin"];
+
+// Payments get a receipt once an admin approved them (paid), and keep it if refunded
+const RECEIPT_STATUSES = ["paid", "refunded"];
+
+const isAdmin = (req) => ADMIN_ROLES.includes(req.user.role);
+
+// ?inline=1 opens the PDF in the browser instead of downloading it
+const sendPdf = (req, res, buffer, filename) => {
+  const disposition = req.query.inline === "1" ? "inline" : "attachment";
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Length": buffer.length,
+    "Content-Disposition": `${disposition}; filename="${filename}"`,
+    "Cache-Control": "private, no-store",
+  });
+  res.status(200).end(buffer);
+};
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: message });
+};
+
+// Contract PDF with current terms, signatures and governed bookings
+const getContractPdf = async (req, res, next) => {
+  try {
+    const contract = await ContractService.findById(req.params.id);
+    if (
+      !contract ||
+      (![contract.parent_id, contract.caregiver_id].includes(req.user.id) && !isAdmin(req))
+    ) {
+      throw ErrorResponse.notFound("Contract not found");
+    }
+
+    const bookings = await ContractService.listBookings(contract.id);
+    const payments = await PaymentService.latestByBookingIds(
+      bookings.map((booking) => booking.id),
+    );
+
+    const pdf = await renderContractPdf(contract, {
+      bookings: bookings.map((booking) => ({
+        ...booking,
+        payment: payments.get(booking.id) || null,
+      })),
+    });
+
+    sendPdf(req, res, pdf, `contract-${contract.id}-v${contract.current_version}.pdf`);
+  } catch (error) {
+    handleError(error, res, next, "Contract PDF", "Failed to generate contract PDF");
+  }
+};
+
+// Receipt for an approved payment
+const getReceiptPdf = async (req, res, next) => {
+  try {
+    const payment = await PaymentService.findById(req.params.paymentId);
+    if (
+      !payment ||
+      (![payment.parentInfo?.id, payment.caregiverInfo?.id].includes(req.user.id) &&
+        !isAdmin(req))
+    ) {
+      throw ErrorResponse.notFound("Payment not found");
+    }
+
+    if (!RECEIPT_STATUSES.includes(payment.paymentStatus)) {
+      throw ErrorResponse.conflict(
+        `A receipt is available once the payment is approved (current status: ${payment.paymentStatus})`,
+      );
+    }
+
+    const booking = payment.bookingId
+      ? await BookingService.findById(payment.bookingId)
+      : null;
+    const pdf = await renderReceiptPdf(payment, booking);
+
+    sendPdf(req, res, pdf, `${receiptNumber(payment)}.pdf`);
+  } catch (error) {
+    handleError(error, res, next, "Receipt PDF", "Failed to generate receipt");
+  }
+};
+
+// Monthly statement (GET /statements/2026-10). Admins may pass ?userId=
+const getStatementPdf = async (req, res, next) => {
+  try {
+    const { month } = req.params;
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month || "");
+    if (!match) {
+      throw ErrorResponse.badRequest("Month must be YYYY-MM");
+    }
+
+    const userId = isAdmin(req) && req.query.userId ? req.query.userId : req.user.id;
+    const user = await UserService.findById(userId);
+    if (!user) throw ErrorResponse.notFound("User not found");
+
+    const year = Number(match[1]);
+    const monthIndex = Number(match[2]) - 1;
+    const from = new Date(Date.UTC(year, monthIndex, 1)).toISOString();
+    const to = new Date(Date.UTC(year, monthIndex + 1, 1)).toISOString();
+
+    const payments = await PaymentService.listForUserBetween(user.id, { from, to });
+    const pdf = await renderStatementPdf({ user, month, payments });
+
+    sendPdf(req, res, pdf, `statement-${month}.pdf`);
+  } catch (error) {
+    handleError(error, res, next, "Statement PDF", "Failed to generate statement");
+  }
+};
+
+module.exports = {
+  getContractPdf,
+  getReceiptPdf,
+  getStatementPdf,
+};
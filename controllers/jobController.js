@@ -1,10 +1,14 @@
-const Job = require("../models/Job");
-const Application = require("../models/Application");
-const User = require("../models/User");
-const mongoose = require("mongoose");
-const { validationResult } = require("express-validator");
-const errorHandler = require("../utils/errorHandler");
-const { logger } = require("../utils/logger");
+const ErrorResponse = require("../utils/errorResponse");
+const { notify } = require("../services/notificationService");
+const { JobService, ApplicationService } = require("../services/supabaseService");
+const { parseGeoQuery, pointOf, locate } = require("../services/geoSearch");
+const { coordinateColumns } = require("../services/geocodingService");
+const {
+  DEFAULT_TIME_ZONE,
+  zonedParts,
+  isValidDate,
+  isValidTime,
+} = require("../services/availabilityService");
 let socketService = null;
 try {
   socketService = require("../services/socketService");
@@ -15,10 +19,54 @@ try {
   );
 }
 
+const MAX_LISTED_JOBS = 500;
+
+// Supabase job row in the shape the app used for Mongo jobs
+const formatJob = (job) => ({
+  _id: job.id,
+  id: job.id,
+  clientId: job.parent_id,
+  clientName: job.parent?.name || null,
+  parent: job.parent || null,
+  title: job.title,
+  description: job.description,
+  location: job.location,
+  coordinates: pointOf(job),
+  date: job.date,
+  startTime: job.start_time,
+  endTime: job.end_time,
+  hourlyRate: job.hourly_rate,
+  numberOfChildren: job.number_of_children,
+  childrenAges: job.children_ages,
+  requirements: job.requirements || [],
+  urgent: Boolean(job.urgent),
+  status: job.status,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+});
+
 // Get all jobs (public listing for caregivers)
-exports.getAllJobs = async (req, res) => {
+// Optional lat/lng (or near) + radius and/or bbox lists nearby jobs, nearest first
+exports.getAllJobs = async (req, res, next) => {
   try {
-    const jobs = await Job.find({ status: "active" }).sort({ createdAt: -1 });
+    const area = await parseGeoQuery(req.query);
+
+    let jobs;
+    if (!area) {
+      jobs = (await JobService.listOpen({ limit: MAX_LISTED_JOBS })).map(formatJob);
+    } else if (!area.bbox) {
+      // bbox and radius do not overlap
+      jobs = [];
+    } else {
+      const candidates = await JobService.listOpen({
+        limit: MAX_LISTED_JOBS,
+        bbox: area.bbox,
+      });
+      jobs = locate(candidates, area).map(({ record, distanceKm }) => ({
+        ...formatJob(record),
+        distanceKm,
+      }));
+    }
 
     console.log(
       `Returning ${jobs.length} available jobs for caregiver browsing`,
@@ -31,6 +79,8 @@ exports.getAllJobs = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.isOperational) return next(error);
+
     console.error("Error fetching jobs:", error);
     res.status(500).json({
       success: false,
@@ -39,308 +89,252 @@ exports.getAllJobs = async (req, res) => {
   }
 };
 
-// Create a new job (parent)
-exports.createJob = async (req, res) => {
-  try {
-    console.log("📋 Job creation request:", req.body);
-    console.log("👤 User:", req.user);
-
-    let user = null;
-    let clientName = "Parent User";
+// "9:00 AM to 5:00 PM" -> { startTime: "09:00", endTime: "17:00" }
+const parseWorkingHours = (workingHours) => {
+  const hours = { startTime: "09:00", endTime: "17:00" };
+  if (typeof workingHours !== "string") return hours;
+
+  const parts = workingHours.toLowerCase().split(" to ");
+  if (parts.length !== 2) return hours;
+
+  const timeRegex = /\b(\d{1,2}):?(\d{2})?\s*(am|pm)?\b/i;
+  const toTime = (text) => {
+    const match = text.trim().match(timeRegex);
+    if (!match) return null;
+
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] || "00";
+    const period = match[3] && match[3].toLowerCase();
+    if (period === "pm" && hour !== 12) hour += 12;
+    if (period === "am" && hour === 12) hour = 0;
+    return `${hour.toString().padStart(2, "0")}:${minute}`;
+  };
+
+  return {
+    startTime: toTime(parts[0]) || hours.startTime,
+    endTime: toTime(parts[1]) || hours.endTime,
+  };
+};
 
-    // Handle mock users vs real users
-    if (req.user.mock) {
-      console.log("🔧 Using mock user for job creation");
-      clientName = "Mock Parent User";
-    } else {
-      user = await User.findById(req.user.id);
-      if (!user) {
-        console.log("❌ User not found in database:", req.user.id);
-        return res
-          .status(404)
-          .json({ success: false, error: "User not found" });
-      }
-      clientName = user.name || "Parent User";
+/**
+ * Job columns from an API body. Accepts the app's field names (startDate,
+ * rate, children, workingHours) alongside the plain ones.
+ */
+const jobColumns = (body) => {
+  const columns = {};
+  const errors = {};
+
+  ["title", "description", "location"].forEach((field) => {
+    if (body[field] !== undefined) {
+      const text = String(body[field]).trim();
+      if (!text) errors[field] = `${field} cannot be empty`;
+      columns[field] = text;
     }
+  });
 
-    // Parse working hours with fallback
-    let startTime = "09:00";
-    let endTime = "17:00";
-
-    if (req.body.workingHours && typeof req.body.workingHours === "string") {
-      const workingHours = req.body.workingHours.toLowerCase();
-
-      // Try to extract time from common patterns
-      if (workingHours.includes(" to ")) {
-        const parts = workingHours.split(" to ");
-        if (parts.length === 2) {
-          // Try to parse time format (e.g., "9:00 AM to 5:00 PM")
-          const start = parts[0].trim();
-          const end = parts[1].trim();
-
-          // Simple time parsing - look for time patterns
-          const timeRegex = /\b(\d{1,2}):?(\d{2})?\s*(am|pm)?\b/i;
-          const startMatch = start.match(timeRegex);
-          const endMatch = end.match(timeRegex);
-
-          if (startMatch) {
-            let hour = parseInt(startMatch[1]);
-            const minute = startMatch[2] || "00";
-            const period = startMatch[3];
-
-            if (period && period.toLowerCase() === "pm" && hour !== 12)
-              hour += 12;
-            if (period && period.toLowerCase() === "am" && hour === 12)
-              hour = 0;
-
-            startTime = `${hour.toString().padStart(2, "0")}:${minute}`;
-          }
-
-          if (endMatch) {
-            let hour = parseInt(endMatch[1]);
-            const minute = endMatch[2] || "00";
-            const period = endMatch[3];
-
-            if (period && period.toLowerCase() === "pm" && hour !== 12)
-              hour += 12;
-            if (period && period.toLowerCase() === "am" && hour === 12)
-              hour = 0;
-
-            endTime = `${hour.toString().padStart(2, "0")}:${minute}`;
-          }
-        }
-      }
+  const date = body.date ?? body.startDate;
+  if (date !== undefined) {
+    if (!isValidDate(date)) errors.date = "date must be YYYY-MM-DD";
+    columns.date = date;
+  }
+
+  if (body.startTime !== undefined || body.endTime !== undefined) {
+    if (!isValidTime(body.startTime) || !isValidTime(body.endTime)) {
+      errors.startTime = "startTime and endTime must both be HH:MM";
     }
+    columns.start_time = body.startTime;
+    columns.end_time = body.endTime;
+  } else if (body.workingHours !== undefined) {
+    const { startTime, endTime } = parseWorkingHours(body.workingHours);
+    columns.start_time = startTime;
+    columns.end_time = endTime;
+  }
+
+  const rate = body.hourlyRate ?? body.rate ?? body.salary;
+  if (rate !== undefined) {
+    if (!(Number(rate) > 0)) errors.hourlyRate = "hourlyRate must be a positive number";
+    columns.hourly_rate = Number(rate);
+  }
 
-    // Handle mock user ID conversion to ObjectId
-    let clientId = req.user.id;
-    if (req.user.mock && typeof clientId === "string") {
-      // Convert mock string ID to a valid ObjectId
-      clientId = new mongoose.Types.ObjectId();
-      console.log("🔧 Converted mock user ID to ObjectId:", clientId);
+  if (Array.isArray(body.children)) {
+    columns.number_of_children = body.children.length || 1;
+    columns.children_ages =
+      body.children.map((child) => `${child.name} (${child.age})`).join(", ") || null;
+  }
+  if (body.numberOfChildren !== undefined) {
+    const count = Number(body.numberOfChildren);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.numberOfChildren = "numberOfChildren must be at least 1";
     }
+    columns.number_of_children = count;
+  }
+  if (body.childrenAges !== undefined) columns.children_ages = String(body.childrenAges);
+  if (body.requirements !== undefined) {
+    if (!Array.isArray(body.requirements)) errors.requirements = "requirements must be a list";
+    else columns.requirements = body.requirements.map(String);
+  }
 
-    // Transform frontend data to backend format
-    const jobData = {
-      clientId: clientId,
-      clientName: clientName,
-      title: req.body.title || "Untitled Job",
-      description: req.body.description || "No description provided",
-      location: req.body.location || "Location not specified",
-      date: req.body.startDate || new Date().toISOString().split("T")[0],
-      startTime: startTime,
-      endTime: endTime,
-      hourlyRate: req.body.rate || req.body.salary || 300,
-      numberOfChildren: req.body.children?.length || 1,
-      childrenAges:
-        req.body.children?.map((c) => `${c.name} (${c.age})`).join(", ") ||
-        "Not specified",
-      requirements: Array.isArray(req.body.requirements)
-        ? req.body.requirements
-        : [],
-      urgent: req.body.urgency === "urgent" || false,
-      status: "active",
-    };
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Validation failed", errors);
+  }
+  return columns;
+};
 
-    console.log("📝 Working hours parsing:");
-    console.log("  Original:", req.body.workingHours);
-    console.log("  Parsed start time:", startTime);
-    console.log("  Parsed end time:", endTime);
+// Load a job the current parent owns
+const loadOwnedJob = async (req) => {
+  const job = await JobService.findWithDetails(req.params.id);
+  if (!job || job.parent_id !== req.user.id) {
+    throw ErrorResponse.notFound("Job not found or not authorized");
+  }
+  return job;
+};
 
-    console.log("🔄 Transformed job data:", jobData);
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
 
-    const newJob = new Job(jobData);
-    await newJob.save();
+  console.error(`${label} error:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+  });
+};
+
+// Create a new job (parent)
+exports.createJob = async (req, res, next) => {
+  try {
+    const columns = jobColumns({
+      title: "Untitled Job",
+      description: "No description provided",
+      location: "Location not specified",
+      startDate: zonedParts(new Date(), DEFAULT_TIME_ZONE).date,
+      rate: 300,
+      ...(req.body || {}),
+    });
+
+    const job = await JobService.create({
+      parent_id: req.user.id,
+      start_time: "09:00",
+      end_time: "17:00",
+      number_of_children: 1,
+      ...columns,
+      ...(await coordinateColumns(columns.location)),
+      status: "active",
+    });
 
     console.log(`✅ Job created by user: ${req.user.id}`);
-    console.log("📝 New job saved:", newJob._id);
 
     // Send real-time notification to all caregivers
-    socketService.notifyNewJob({
-      jobId: newJob._id,
-      title: newJob.title,
-      clientName: clientName,
-      location: newJob.location,
-      hourlyRate: newJob.hourlyRate,
-      date: newJob.date,
+    socketService?.notifyNewJob?.({
+      jobId: job.id,
+      title: job.title,
+      clientName: req.user.profile?.name || "Parent User",
+      location: job.location,
+      hourlyRate: job.hourly_rate,
+      date: job.date,
     });
 
     res.status(201).json({
       success: true,
       data: {
-        job: newJob,
+        job: formatJob(job),
       },
     });
   } catch (error) {
-    console.error("❌ Job creation error:", error);
-    console.error("📋 Request body was:", req.body);
-
-    // Handle validation errors specifically
-    if (error.name === "ValidationError") {
-      const validationErrors = Object.keys(error.errors).map((key) => {
-        return `${key}: ${error.errors[key].message}`;
-      });
-
-      console.error("❌ Validation errors:", validationErrors);
-
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: validationErrors,
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      error: error.message || "Failed to create job",
-    });
+    handleError(error, res, next, "Job creation", "Failed to create job");
   }
 };
 
 // Get current parent's jobs
-exports.getMyJobs = async (req, res) => {
+exports.getMyJobs = async (req, res, next) => {
   try {
-    const userJobs = await Job.find({ clientId: req.user.id }).sort({
-      createdAt: -1,
-    });
-
-    console.log(`Fetching jobs for user: ${req.user.id}`);
-    console.log(`Found ${userJobs.length} jobs for this user`);
+    const jobs = await JobService.listByParent(req.user.id);
 
     res.json({
       success: true,
       data: {
-        jobs: userJobs,
+        jobs: jobs.map(formatJob),
       },
     });
   } catch (error) {
-    console.error("Error fetching user jobs:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch jobs",
-    });
+    handleError(error, res, next, "Fetch user jobs", "Failed to fetch jobs");
   }
 };
 
 // Get a job by id (with applications count)
 exports.getJobById = async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    // Validate ID parameter - comprehensive check
-    if (
-      !id ||
-      id === "undefined" ||
-      id === "null" ||
-      id.trim() === "" ||
-      id === undefined ||
-      id === null
-    ) {
-      console.log("❌ Invalid job ID detected:", id, typeof id);
-      return res.status(400).json({
-        success: false,
-        error: "Invalid job ID provided",
-      });
-    }
-
-    console.log("🔍 Looking for job with ID:", id);
-    const job = await Job.findById(id);
-    if (!job) {
-      console.log("❌ Job not found for ID:", id);
-      return res.status(404).json({ message: "Job not found" });
-    }
+    const job = await JobService.findWithDetails(req.params.id);
+    if (!job) throw ErrorResponse.notFound("Job not found");
 
-    console.log("✅ Job found:", job.title);
-    const applicationsCount = await Application.countDocuments({
-      jobId: job._id,
-    });
-    res.json({ success: true, job, applicationsCount });
-  } catch (err) {
-    console.error("❌ Get job error for ID:", req.params.id, err);
-    next(err);
+    const applicationsCount = await ApplicationService.countByJob(job.id);
+    res.json({ success: true, job: formatJob(job), applicationsCount });
+  } catch (error) {
+    handleError(error, res, next, "Get job", "Failed to fetch job");
   }
 };
 
-// Update job (only parent owner)
-exports.updateJob = async (req, res) => {
+// Update job (only parent owner, while nobody has been hired)
+exports.updateJob = async (req, res, next) => {
   try {
-    const job = await Job.findOneAndUpdate(
-      { _id: req.params.id, clientId: req.user.id },
-      req.body,
-      { new: true, runValidators: true },
-    );
+    const job = await loadOwnedJob(req);
+    if (job.caregiver_id || !["active", "cancelled"].includes(job.status)) {
+      throw ErrorResponse.conflict("A job cannot be edited once a caregiver is hired");
+    }
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: "Job not found or not authorized",
-      });
+    const { status, ...body } = req.body || {};
+    const updates = jobColumns(body);
+    if (status !== undefined) {
+      // Filling a job happens by accepting an application
+      if (!["active", "cancelled"].includes(status)) {
+        throw ErrorResponse.badRequest("status can only be set to active or cancelled");
+      }
+      updates.status = status;
+    }
+    if (updates.location !== undefined && updates.location !== job.location) {
+      Object.assign(updates, await coordinateColumns(updates.location));
     }
 
+    const updated = await JobService.update(job.id, {
+      ...updates,
+      updated_at: new Date().toISOString(),
+    });
+
     res.json({
       success: true,
       data: {
-        job: job,
+        job: formatJob(updated),
       },
     });
   } catch (error) {
-    console.error("Error updating job:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to update job",
-    });
+    handleError(error, res, next, "Update job", "Failed to update job");
   }
 };
 
 // Delete job (only parent owner)
-exports.deleteJob = async (req, res) => {
+exports.deleteJob = async (req, res, next) => {
   try {
-    const job = await Job.findOneAndDelete({
-      _id: req.params.id,
-      clientId: req.user.id,
-    });
+    const job = await loadOwnedJob(req);
 
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        error: "Job not found or not authorized",
-      });
-    }
+    // Applications go with the job, so collect who is still waiting first
+    const waiting = await ApplicationService.listOpenApplicantIds(job.id);
+    const deleted = await JobService.deleteOwned(job.id, req.user.id);
+    if (!deleted) throw ErrorResponse.notFound("Job not found or not authorized");
 
-    console.log(`Job ${req.params.id} deleted by user: ${req.user.id}`);
+    console.log(`Job ${job.id} deleted by user: ${req.user.id}`);
+
+    // Let caregivers still waiting on this job know it is gone
+    notify(waiting, {
+      type: "job",
+      title: "Job no longer available",
+      message: `${job.title} was removed by the family`,
+      data: { jobId: job.id },
+    });
 
     res.json({
       success: true,
       message: "Job deleted successfully",
     });
   } catch (error) {
-    console.error("Error deleting job:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to delete job",
-    });
-  }
-};
-
-// List applications for a job (parent owner)
-exports.getApplicationsForJob = async (req, res) => {
-  try {
-    const job = await Job.findOne({
-      _id: req.params.id,
-      clientId: req.user.id,
-    });
-    if (!job) {
-      return res.status(404).json({ success: false, error: "Job not found" });
-    }
-
-    // Mock applications for now
-    const applications = [];
-    res.json({ success: true, applications });
-  } catch (error) {
-    console.error("Error fetching applications:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch applications",
-    });
+    handleError(error, res, next, "Delete job", "Failed to delete job");
   }
 };
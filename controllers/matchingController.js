@@ -0,0 +1,103 @@
+/**
+ * Ranked recommendations: caregivers for a job, jobs for a caregiver
+ */
+
+const { JobService } = require("../services/supabaseService");
+const {
+  recommendCaregiversForJob,
+  recommendJobsForCaregiver,
+} = require("../services/matchingService");
+const ErrorResponse = require("../utils/errorResponse");
+
+const ADMIN_ROLES = ["admin", "superadmin"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const limitFrom = (query) =>
+  Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+const mapMatch = (match) => ({
+  score: match.score,
+  breakdown: match.breakdown,
+  matchedRequirements: match.matchedRequirements,
+  missingRequirements: match.missingRequirements,
+});
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: message });
+};
+
+// GET /api/jobs/:id/recommended-caregivers (job owner or admin)
+const getRecommendedCaregivers = async (req, res, next) => {
+  try {
+    const job = await JobService.findWithDetails(req.params.id);
+    if (
+      !job ||
+      (job.parent_id !== req.user.id && !ADMIN_ROLES.includes(req.user.role))
+    ) {
+      throw ErrorResponse.notFound("Job not found");
+    }
+
+    const ranked = await recommendCaregiversForJob(job, { limit: limitFrom(req.query) });
+
+    res.json({
+      success: true,
+      job: { id: job.id, title: job.title, status: job.status },
+      caregivers: ranked.map(({ candidate, match }) => ({
+        id: candidate.id,
+        name: candidate.name,
+        profileImage: candidate.profileImage,
+        hourlyRate: candidate.hourlyRate,
+        rating: candidate.rating,
+        reviewCount: candidate.reviewCount,
+        experience: candidate.experience,
+        tier: candidate.tier,
+        skills: candidate.skills,
+        ageCareRanges: candidate.ageCareRanges,
+        location: candidate.location,
+        match: mapMatch(match),
+      })),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Recommend caregivers", "Failed to recommend caregivers");
+  }
+};
+
+// GET /api/jobs/recommended (caregivers)
+const getRecommendedJobs = async (req, res, next) => {
+  try {
+    const ranked = await recommendJobsForCaregiver(req.user.id, {
+      limit: limitFrom(req.query),
+    });
+
+    res.json({
+      success: true,
+      jobs: ranked.map(({ job, match }) => ({
+        id: job.id,
+        title: job.title,
+        description: job.description,
+        location: job.location,
+        hourlyRate: job.hourly_rate,
+        numberOfChildren: job.number_of_children,
+        childrenAges: job.children_ages,
+        requirements: job.requirements || [],
+        date: job.date,
+        startTime: job.start_time,
+        endTime: job.end_time,
+        parent: job.parent || null,
+        createdAt: job.created_at,
+        match: mapMatch(match),
+      })),
+    });
+  } catch (error) {
+    handleError(error, res, next, "Recommend jobs", "Failed to recommend jobs");
+  }
+};
+
+module.exports = {
+  getRecommendedCaregivers,
+  getRecommendedJobs,
+};
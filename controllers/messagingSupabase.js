@@ -6,51 +6,175 @@
 const {
   ConversationService,
   MessageService,
+  BookingService,
+  UserBlockService,
 } = require("../services/supabaseService");
+const { notify } = require("../services/notificationService");
+const socketService = require("../services/socketService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
+const { uploadToSupabase, createSignedUrls } = require("../services/storageService");
+const {
+  ATTACHMENT_BUCKET,
+  validateUpload,
+  buildMessagePayload,
+  validateEdit,
+  isValidReaction,
+  previewText,
+  withAttachmentUrls,
+} = require("../services/messagePayloads");
+const { timeToMinutes } = require("../services/availabilityService");
+const {
+  conversationTypeFor,
+  assertCanMessage,
+  shouldNotify,
+} = require("../services/chatModeration");
+
+const PREVIEW_LENGTH = 140;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// [{ emoji, count, userIds }] in first-used order
+const groupReactions = (rows = []) => {
+  const byEmoji = new Map();
+  for (const { emoji, user_id: userId } of rows) {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(userId);
+  }
+  return [...byEmoji].map(([emoji, userIds]) => ({
+    emoji,
+    count: userIds.length,
+    userIds,
+  }));
+};
+
+const toMessage = (msg) => {
+  const deleted = !!msg.deleted_at;
+  return {
+    id: msg.id,
+    conversationId: msg.conversation_id,
+    sender: {
+      id: msg.sender_id,
+      name: msg.sender?.name || "Unknown User",
+      avatar: msg.sender?.profile_image || null,
+      role: msg.sender?.role,
+    },
+    recipient: msg.recipient_id,
+    // Deleted for everyone: keep the placeholder, drop what was said
+    content: deleted ? null : msg.content,
+    messageType: msg.message_type,
+    attachments: deleted ? [] : msg.attachments || [],
+    payload: deleted ? null : msg.payload || null,
+    reactions: deleted ? [] : groupReactions(msg.reactions),
+    edited: !!msg.edited_at,
+    editedAt: msg.edited_at || null,
+    deleted,
+    deletedAt: msg.deleted_at || null,
+    read: !!msg.read_at,
+    readAt: msg.read_at,
+    createdAt: msg.created_at,
+    updatedAt: msg.updated_at,
+  };
+};
+
+const participantsOf = (message) => [message.sender_id, message.recipient_id];
+
+// Load a message the current user can act on, or throw 404
+const findParticipantMessage = async (messageId, userId) => {
+  const message = await MessageService.findById(messageId);
+  if (
+    !message ||
+    !participantsOf(message).includes(userId) ||
+    (message.hidden_for || []).includes(userId)
+  ) {
+    throw ErrorResponse.notFound("Message not found");
+  }
+  return message;
+};
+
+const auditMessage = (req, action, message, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity: "MESSAGE",
+    entityId: message.id,
+    metadata: { conversationId: message.conversation_id, ...metadata },
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+// Deliver a new message live to both participants and notify the recipient
+const publishNewMessage = async (req, message) => {
+  const [hydrated] = await withAttachmentUrls([message]);
+  socketService.emitNewMessage(
+    message.conversation_id,
+    toMessage({
+      ...hydrated,
+      sender: {
+        id: message.sender_id,
+        name: req.user.profile?.name || "",
+        profile_image: req.user.profile?.profile_image,
+        role: req.user.role,
+      },
+    }),
+    [message.sender_id, message.recipient_id],
+  );
+
+  if (!(await shouldNotify(message.recipient_id, message.sender_id))) {
+    return hydrated;
+  }
+
+  const content = previewText(message);
+  notify([message.recipient_id], {
+    type: "message",
+    title: req.user.profile?.name || "New message",
+    message:
+      content.length > PREVIEW_LENGTH
+        ? `${content.slice(0, PREVIEW_LENGTH - 1)}…`
+        : content,
+    data: {
+      conversationId: message.conversation_id,
+      messageId: message.id,
+      senderId: message.sender_id,
+    },
+    actorId: message.sender_id,
+  });
+
+  return hydrated;
+};
 
 // Get all conversations for the current user
 const getConversations = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    const conversations =
-      await ConversationService.getUserConversations(userId);
+    const conversations = await ConversationService.listSummaries(userId);
 
     // Transform conversations to match expected format
-    const transformedConversations = await Promise.all(
-      conversations.map(async (conv) => {
-        // Get the other participant
-        const otherParticipantId =
-          conv.participant_1 === userId
-            ? conv.participant_2
-            : conv.participant_1;
-
-        // Get other participant details
-        const { UserService } = require("../services/supabaseService");
-        const otherUser = await UserService.findById(otherParticipantId);
-
-        // Get last message
-        const messages = await MessageService.getByConversation(conv.id);
-        const lastMessage = messages[messages.length - 1];
-
-        return {
-          id: conv.id,
-          participants: [
-            { id: userId, name: "You" },
-            { id: otherParticipantId, name: otherUser?.name || "Unknown User" },
-          ],
-          lastMessage: lastMessage
-            ? {
-                content: lastMessage.content,
-                sender: lastMessage.sender_id,
-                timestamp: lastMessage.created_at,
-              }
-            : null,
-          updatedAt: conv.updated_at,
-          createdAt: conv.created_at,
-        };
-      }),
-    );
+    const transformedConversations = conversations.map((conv) => ({
+      id: conv.id,
+      participants: [
+        { id: userId, name: "You" },
+        {
+          id: conv.other_user_id,
+          name: conv.other_user_name || "Unknown User",
+          avatar: conv.other_user_profile_image || null,
+          role: conv.other_user_role,
+        },
+      ],
+      lastMessage: conv.last_message_id
+        ? {
+            id: conv.last_message_id,
+            content: conv.last_message_content,
+            messageType: conv.last_message_type,
+            sender: conv.last_message_sender_id,
+            timestamp: conv.last_message_created_at,
+          }
+        : null,
+      unreadCount: Number(conv.unread_count) || 0,
+      updatedAt: conv.updated_at,
+      createdAt: conv.created_at,
+    }));
 
     res.status(200).json({
       success: true,
@@ -65,13 +189,26 @@ const getConversations = async (req, res) => {
   }
 };
 
-// Get messages for a specific conversation
+// Get messages for a specific conversation (newest first, keyset paginated)
 const getMessages = async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after } = req.query;
     const userId = req.user.id;
 
+    if (before && after) {
+      return res.status(400).json({
+        success: false,
+        error: "Use either before or after, not both",
+      });
+    }
+
+    const rawLimit = Number.parseInt(req.query.limit, 10);
+    const limit =
+      Number.isInteger(rawLimit) && rawLimit > 0
+        ? Math.min(rawLimit, MAX_PAGE_SIZE)
+        : DEFAULT_PAGE_SIZE;
+
     // Verify user is part of the conversation
     const conversation = await ConversationService.findById(conversationId);
 
@@ -93,31 +230,33 @@ const getMessages = async (req, res) => {
       });
     }
 
-    const messages = await MessageService.getByConversation(conversationId);
+    const page = await MessageService.listPage(conversationId, {
+      before,
+      after,
+      limit,
+      viewerId: userId,
+    });
 
-    // Transform messages to match expected format
-    const transformedMessages = messages.map((msg) => ({
-      id: msg.id,
-      conversationId: msg.conversation_id,
-      sender: {
-        id: msg.sender_id,
-        name: "User", // TODO: Get actual user name
-      },
-      recipient: msg.recipient_id,
-      content: msg.content,
-      messageType: msg.message_type,
-      read: !!msg.read_at,
-      readAt: msg.read_at,
-      createdAt: msg.created_at,
-      updatedAt: msg.updated_at,
-    }));
+    if (!page) {
+      return res.status(400).json({
+        success: false,
+        error: "Cursor message not found in this conversation",
+      });
+    }
+
+    const messages = (await withAttachmentUrls(page.messages)).map(toMessage);
 
     res.status(200).json({
       success: true,
       data: {
-        messages: transformedMessages.reverse(),
-        page: parseInt(page),
-        limit: parseInt(limit),
+        messages,
+        limit,
+        // More messages exist past this page in the direction requested
+        hasMore: page.hasMore,
+        cursors: {
+          before: messages.length ? messages[messages.length - 1].id : before || null,
+          after: messages.length ? messages[0].id : after || null,
+        },
       },
     });
   } catch (error) {
@@ -130,18 +269,26 @@ const getMessages = async (req, res) => {
 };
 
 // Send a message
-const sendMessage = async (req, res) => {
+const sendMessage = async (req, res, next) => {
   try {
-    const { recipientId, content, messageType = "text" } = req.body;
+    const { recipientId } = req.body;
     const senderId = req.user.id;
 
-    if (!recipientId || !content) {
+    if (!recipientId) {
       return res.status(400).json({
         success: false,
-        error: "Recipient ID and content are required",
+        error: "Recipient ID is required",
       });
     }
 
+    // Validates per message type (text, image, file, booking_proposal, job_link)
+    const typed = await buildMessagePayload(req.body, {
+      senderId,
+      senderRole: req.user.role,
+    });
+
+    const recipient = await assertCanMessage(req.user, recipientId);
+
     // Find or create conversation
     let conversation = await ConversationService.findByParticipants(
       senderId,
@@ -152,7 +299,7 @@ const sendMessage = async (req, res) => {
       conversation = await ConversationService.create(
         senderId,
         recipientId,
-        "admin_user",
+        conversationTypeFor(req.user.role, recipient.role),
       );
     }
 
@@ -161,8 +308,7 @@ const sendMessage = async (req, res) => {
       conversation_id: conversation.id,
       sender_id: senderId,
       recipient_id: recipientId,
-      content,
-      message_type: messageType,
+      ...typed,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
@@ -175,27 +321,18 @@ const sendMessage = async (req, res) => {
       new Date().toISOString(),
     );
 
-    // Transform message for response
-    const transformedMessage = {
-      id: message.id,
-      conversationId: message.conversation_id,
-      sender: {
-        id: message.sender_id,
-        name: "You",
-      },
-      recipient: message.recipient_id,
-      content: message.content,
-      messageType: message.message_type,
-      read: false,
-      createdAt: message.created_at,
-      updatedAt: message.updated_at,
-    };
+    const hydrated = await publishNewMessage(req, message);
 
     res.status(201).json({
       success: true,
-      data: transformedMessage,
+      data: {
+        ...toMessage(hydrated),
+        sender: { id: message.sender_id, name: "You" },
+      },
     });
   } catch (error) {
+    if (error.isOperational) return next(error);
+
     console.error("Send message error:", error);
     res.status(500).json({
       success: false,
@@ -204,8 +341,167 @@ const sendMessage = async (req, res) => {
   }
 };
 
+// Upload a chat attachment; send it afterwards as an image or file message
+const uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: "No file uploaded",
+      });
+    }
+
+    const kind = validateUpload(req.file);
+    const uploaded = await uploadToSupabase(req.file, ATTACHMENT_BUCKET, {
+      folder: req.user.id,
+      isPublic: false,
+    });
+    const urls = await createSignedUrls(ATTACHMENT_BUCKET, [uploaded.path]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        kind,
+        path: uploaded.path,
+        mimetype: uploaded.mimetype,
+        size: uploaded.size,
+        originalname: uploaded.originalname,
+        url: urls.get(uploaded.path) || null,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Upload attachment error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Attachment upload failed",
+    });
+  }
+};
+
+const CARD_ACTIONS = { accept: "accepted", decline: "declined" };
+
+// Caregiver accepts or declines a booking proposal card
+const respondToCard = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const { action } = req.body || {};
+    const userId = req.user.id;
+
+    if (!CARD_ACTIONS[action]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid action. Must be one of: ${Object.keys(CARD_ACTIONS).join(", ")}`,
+      });
+    }
+
+    const message = await MessageService.findById(messageId);
+    if (!message || message.message_type !== "booking_proposal") {
+      return res.status(404).json({
+        success: false,
+        error: "Booking proposal not found",
+      });
+    }
+
+    if (message.recipient_id !== userId || req.user.role !== "caregiver") {
+      return res.status(403).json({
+        success: false,
+        error: "Only the caregiver this proposal was sent to can respond",
+      });
+    }
+
+    if (
+      action === "accept" &&
+      (await UserBlockService.findBetween(message.sender_id, userId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Bookings cannot be created between blocked users",
+      });
+    }
+
+    // Claim the card first so a double tap cannot create two bookings
+    const proposal = message.payload || {};
+    let updated = await MessageService.updatePayload(
+      messageId,
+      { ...proposal, status: CARD_ACTIONS[action], respondedAt: new Date().toISOString() },
+      { expectedStatus: "pending" },
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: "This proposal has already been answered",
+      });
+    }
+
+    let booking = null;
+    if (action === "accept") {
+      const hours =
+        (timeToMinutes(proposal.endTime) - timeToMinutes(proposal.startTime)) / 60;
+
+      try {
+        booking = await BookingService.create({
+          parent_id: message.sender_id,
+          caregiver_id: message.recipient_id,
+          job_id: proposal.jobId,
+          date: proposal.date,
+          start_time: proposal.startTime,
+          end_time: proposal.endTime,
+          total_amount: proposal.hourlyRate ? proposal.hourlyRate * hours : null,
+          status: "pending",
+          source_message_id: message.id,
+        });
+      } catch (error) {
+        // Reopen the card, e.g. when the slot now conflicts
+        await MessageService.updatePayload(messageId, proposal, {
+          expectedStatus: CARD_ACTIONS[action],
+        });
+        throw error;
+      }
+
+      updated = await MessageService.updatePayload(messageId, {
+        ...updated.payload,
+        bookingId: booking.id,
+      });
+    }
+
+    const data = toMessage(updated);
+    socketService.emitMessageUpdated(message.conversation_id, data, [
+      message.sender_id,
+      message.recipient_id,
+    ]);
+
+    notify([message.sender_id], {
+      type: "booking",
+      title:
+        action === "accept" ? "Booking proposal accepted" : "Booking proposal declined",
+      message: `${req.user.profile?.name || "The caregiver"} ${CARD_ACTIONS[action]} your booking proposal for ${proposal.date}.`,
+      data: {
+        conversationId: message.conversation_id,
+        messageId: message.id,
+        bookingId: booking?.id,
+      },
+      actorId: userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { message: data, booking },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Respond to booking proposal error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to respond to booking proposal",
+    });
+  }
+};
+
 // Start a new conversation
-const startConversation = async (req, res) => {
+const startConversation = async (req, res, next) => {
   try {
     const { recipientId, initialMessage } = req.body;
     const senderId = req.user.id;
@@ -217,6 +513,8 @@ const startConversation = async (req, res) => {
       });
     }
 
+    const recipient = await assertCanMessage(req.user, recipientId);
+
     // Check if conversation already exists
     const existingConversation = await ConversationService.findByParticipants(
       senderId,
@@ -234,7 +532,7 @@ const startConversation = async (req, res) => {
     const conversation = await ConversationService.create(
       senderId,
       recipientId,
-      "admin_user",
+      conversationTypeFor(req.user.role, recipient.role),
     );
 
     // Create initial message
@@ -256,6 +554,10 @@ const startConversation = async (req, res) => {
       new Date().toISOString(),
     );
 
+    publishNewMessage(req, message).catch((error) =>
+      console.error("Failed to publish new message:", error),
+    );
+
     res.status(201).json({
       success: true,
       data: {
@@ -277,6 +579,8 @@ const startConversation = async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.isOperational) return next(error);
+
     console.error("Start conversation error:", error);
     res.status(500).json({
       success: false,
@@ -312,22 +616,31 @@ const markAsRead = async (req, res) => {
       });
     }
 
-    // Get unread messages for this user in this conversation
-    const messages = await MessageService.getByConversation(conversationId);
-    const unreadMessages = messages.filter(
-      (msg) => msg.recipient_id === userId && !msg.read_at,
-    );
-
-    // Mark each unread message as read
+    // Stamp every unread message for this user in one update
     const now = new Date().toISOString();
-    for (const message of unreadMessages) {
-      await MessageService.markAsRead(message.id, now);
+    const messageIds = await MessageService.markRead(conversationId, userId, now);
+
+    if (messageIds.length) {
+      socketService.emitMessagesRead(
+        conversationId,
+        { readerId: userId, messageIds, readAt: now },
+        [conversation.participant_1, conversation.participant_2],
+      );
+      logAction({
+        userId,
+        action: "MESSAGES_READ",
+        entity: "CONVERSATION",
+        entityId: conversationId,
+        metadata: { messageIds },
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
     }
 
     res.status(200).json({
       success: true,
       message: "Messages marked as read",
-      markedCount: unreadMessages.length,
+      markedCount: messageIds.length,
     });
   } catch (error) {
     console.error("Mark as read error:", error);
@@ -338,6 +651,237 @@ const markAsRead = async (req, res) => {
   }
 };
 
+// Read receipt for a single message
+const markMessageRead = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const message = await findParticipantMessage(req.params.messageId, userId);
+
+    if (message.recipient_id !== userId) {
+      throw ErrorResponse.forbidden("Only the recipient can mark a message as read");
+    }
+
+    let readAt = message.read_at;
+    if (!readAt) {
+      readAt = new Date().toISOString();
+      const [messageId] = await MessageService.markRead(
+        message.conversation_id,
+        userId,
+        readAt,
+        [message.id],
+      );
+
+      // Someone else (another device) got there first
+      if (!messageId) {
+        readAt = (await MessageService.findById(message.id)).read_at;
+      } else {
+        socketService.emitMessagesRead(
+          message.conversation_id,
+          { readerId: userId, messageIds: [message.id], readAt },
+          participantsOf(message),
+        );
+        auditMessage(req, "MESSAGE_READ", message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { messageId: message.id, read: true, readAt },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Mark message read error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to mark message as read",
+    });
+  }
+};
+
+// Edit a sent message; the previous version goes to the edit history
+const editMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const message = await findParticipantMessage(req.params.messageId, userId);
+
+    if (message.sender_id !== userId) {
+      throw ErrorResponse.forbidden("Only the sender can edit a message");
+    }
+    if (message.deleted_at) {
+      throw ErrorResponse.badRequest("Deleted messages cannot be edited");
+    }
+
+    const content = validateEdit(message, req.body?.content);
+    if (content === message.content) {
+      return res.status(200).json({ success: true, data: toMessage(message) });
+    }
+
+    const updated = await MessageService.edit(message, content, userId);
+    if (!updated) {
+      throw ErrorResponse.badRequest("Deleted messages cannot be edited");
+    }
+
+    const [hydrated] = await withAttachmentUrls([updated]);
+    const data = toMessage({
+      ...hydrated,
+      reactions: await MessageService.listReactions(message.id),
+    });
+
+    socketService.emitMessageEdited(
+      message.conversation_id,
+      data,
+      participantsOf(message),
+    );
+    auditMessage(req, "MESSAGE_EDITED", message, {
+      previousLength: (message.content || "").length,
+      newLength: content.length,
+    });
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Edit message error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to edit message",
+    });
+  }
+};
+
+// Previous versions of a message, oldest first
+const getMessageEdits = async (req, res, next) => {
+  try {
+    const message = await findParticipantMessage(req.params.messageId, req.user.id);
+
+    // Deleting for everyone also withdraws what was said before
+    const edits = message.deleted_at ? [] : await MessageService.listEdits(message.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message.id,
+        edits: edits.map((edit) => ({
+          id: edit.id,
+          editorId: edit.editor_id,
+          content: edit.previous_content,
+          editedAt: edit.edited_at,
+        })),
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Get message edits error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch message edits",
+    });
+  }
+};
+
+const DELETE_SCOPES = ["self", "everyone"];
+
+// Soft delete: ?scope=self hides it for the caller, ?scope=everyone (sender only)
+// replaces it with a placeholder for both participants
+const deleteMessage = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const scope = req.query.scope || "self";
+
+    if (!DELETE_SCOPES.includes(scope)) {
+      throw ErrorResponse.badRequest(
+        `Invalid scope. Must be one of: ${DELETE_SCOPES.join(", ")}`,
+      );
+    }
+
+    const message = await findParticipantMessage(req.params.messageId, userId);
+
+    if (scope === "everyone") {
+      if (message.sender_id !== userId) {
+        throw ErrorResponse.forbidden("Only the sender can delete a message for everyone");
+      }
+      // Already gone for everyone: nothing left to do
+      if (!message.deleted_at) {
+        await MessageService.deleteForEveryone(message.id, userId);
+      }
+      socketService.emitMessageDeleted(
+        message.conversation_id,
+        message.id,
+        participantsOf(message),
+        scope,
+      );
+    } else {
+      await MessageService.hideFor(message, userId);
+      socketService.emitMessageDeleted(message.conversation_id, message.id, [userId], scope);
+    }
+
+    auditMessage(req, "MESSAGE_DELETED", message, { scope });
+
+    res.status(200).json({
+      success: true,
+      message: "Message deleted",
+      data: { messageId: message.id, scope },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Delete message error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete message",
+    });
+  }
+};
+
+const changeReaction = (adding) => async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const emoji = adding ? req.body?.emoji : req.params.emoji;
+
+    if (!isValidReaction(emoji)) {
+      throw ErrorResponse.badRequest("Reaction must be a single emoji");
+    }
+
+    const message = await findParticipantMessage(req.params.messageId, userId);
+    if (message.deleted_at) {
+      throw ErrorResponse.badRequest("Deleted messages cannot be reacted to");
+    }
+
+    const rows = adding
+      ? await MessageService.addReaction(message.id, userId, emoji)
+      : await MessageService.removeReaction(message.id, userId, emoji);
+    const reactions = groupReactions(rows);
+
+    socketService.emitReactionsUpdated(
+      message.conversation_id,
+      message.id,
+      reactions,
+      participantsOf(message),
+    );
+    auditMessage(req, adding ? "MESSAGE_REACTION_ADDED" : "MESSAGE_REACTION_REMOVED", message, {
+      emoji,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { messageId: message.id, reactions },
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Message reaction error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update reaction",
+    });
+  }
+};
+
+const addReaction = changeReaction(true);
+const removeReaction = changeReaction(false);
+
 // Get unread message count for current user
 const getUnreadCount = async (req, res) => {
   try {
@@ -364,7 +908,15 @@ module.exports = {
   getConversations,
   getMessages,
   sendMessage,
+  uploadAttachment,
+  respondToCard,
   startConversation,
   markAsRead,
+  markMessageRead,
+  editMessage,
+  getMessageEdits,
+  deleteMessage,
+  addReaction,
+  removeReaction,
   getUnreadCount,
 };
@@ -1,5 +1,9 @@
-const { Types } = require("mongoose");
-const Notification = require("../models/Notification");
+const { NotificationService } = require("../services/supabaseService");
+const {
+  NOTIFICATION_TYPES,
+  getPreferences: loadPreferences,
+  updatePreferences: savePreferences,
+} = require("../services/notificationService");
 
 const MAX_LIMIT = 100;
 const DEFAULT_LIMIT = 20;
@@ -22,29 +26,26 @@ const mapNotification = (notification) => {
     return null;
   }
 
-  const sender = notification.sender || {};
-  const relatedBooking = notification.relatedBooking || {};
+  const actor = notification.actor || {};
+  const data = notification.data || {};
 
   return {
-    id: notification._id,
+    id: notification.id,
     type: notification.type,
     title: notification.title,
     message: notification.message,
-    read: notification.read,
-    createdAt: notification.createdAt,
-    readAt: notification.readAt,
-    actor:
-      sender && sender._id
-        ? {
-            id: sender._id,
-            displayName:
-              sender.name || sender.displayName || sender.email || "",
-            avatarUrl: sender.avatar || sender.avatarUrl || sender.profileImage,
-          }
-        : undefined,
-    relatedBooking: relatedBooking._id || relatedBooking,
-    data: notification.data || {},
-    metadata: notification.metadata || {},
+    read: Boolean(notification.read_at),
+    createdAt: notification.created_at,
+    readAt: notification.read_at,
+    actor: actor.id
+      ? {
+          id: actor.id,
+          displayName: actor.name || actor.email || "",
+          avatarUrl: actor.profile_image,
+        }
+      : undefined,
+    relatedBooking: data.bookingId,
+    data,
   };
 };
 
@@ -53,33 +54,39 @@ const getNotifications = async (req, res) => {
   try {
     const userId = req.user.id;
     const { page, limit } = parsePaginationParams(req.query);
+    const { type } = req.query;
 
-    if (!Types.ObjectId.isValid(userId)) {
+    if (type && !NOTIFICATION_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Must be one of: ${NOTIFICATION_TYPES.join(", ")}`,
+      });
+    }
+
+    // Development mock users have no rows in Supabase
+    if (req.user.mock) {
       return res.status(200).json({
         success: true,
         data: [],
-        pagination: {
-          page,
-          limit,
-          total: 0,
-          pages: 0,
-        },
+        unreadCount: 0,
+        pagination: { page, limit, total: 0, pages: 0 },
       });
     }
 
-    const notifications = await Notification.find({ recipient: userId })
-      .populate("sender", "name email avatar profileImage")
-      .populate("relatedBooking", "_id bookingCode status")
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip((page - 1) * limit)
-      .lean();
-
-    const total = await Notification.countDocuments({ recipient: userId });
+    const [{ notifications, total }, unreadCount] = await Promise.all([
+      NotificationService.listByUser(userId, {
+        page,
+        limit,
+        type,
+        unreadOnly: req.query.unread === "true",
+      }),
+      NotificationService.countUnread(userId),
+    ]);
 
     res.status(200).json({
       success: true,
       data: notifications.map(mapNotification).filter(Boolean),
+      unreadCount,
       pagination: {
         page,
         limit,
@@ -102,21 +109,10 @@ const markAsRead = async (req, res) => {
     const { notificationId } = req.params;
     const userId = req.user.id;
 
-    if (!Types.ObjectId.isValid(userId)) {
-      return res.status(404).json({
-        success: false,
-        error: "Notification not found",
-      });
-    }
-
-    const notification = await Notification.findOneAndUpdate(
-      { _id: notificationId, recipient: userId },
-      { read: true, readAt: new Date() },
-      { new: true },
-    )
-      .populate("sender", "name email avatar profileImage")
-      .populate("relatedBooking", "_id bookingCode status")
-      .lean();
+    const notification = await NotificationService.markAsRead(
+      notificationId,
+      userId,
+    );
 
     if (!notification) {
       return res.status(404).json({
@@ -141,19 +137,7 @@ const markAsRead = async (req, res) => {
 // Mark all notifications as read
 const markAllAsRead = async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    if (!Types.ObjectId.isValid(userId)) {
-      return res.status(200).json({
-        success: true,
-        message: "All notifications marked as read",
-      });
-    }
-
-    await Notification.updateMany(
-      { recipient: userId, read: false },
-      { read: true, readAt: new Date() },
-    );
+    await NotificationService.markAllAsRead(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -168,8 +152,49 @@ const markAllAsRead = async (req, res) => {
   }
 };
 
+// Get per-type channel preferences and quiet hours
+const getPreferences = async (req, res) => {
+  try {
+    const preferences = await loadPreferences(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    console.error("Get notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch notification preferences",
+    });
+  }
+};
+
+// Update per-type channel preferences and/or quiet hours
+const updatePreferences = async (req, res, next) => {
+  try {
+    const preferences = await savePreferences(req.user.id, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data: preferences,
+      message: "Notification preferences updated",
+    });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update notification preferences",
+    });
+  }
+};
+
 module.exports = {
   getNotifications,
   markAsRead,
   markAllAsRead,
+  getPreferences,
+  updatePreferences,
 };
@@ -0,0 +1,130 @@
+const { PaymentProcessor } = require("../services/paymentProcessor");
+const { PaymentService, AuditLogService } = require("../services/supabaseService");
+const ErrorResponse = require("../utils/errorResponse");
+const { forwardError } = require("../utils/errorHandler");
+
+// Create a charge for a booking (idempotent per Idempotency-Key)
+exports.processPayment = async (req, res, next) => {
+  try {
+    const { bookingId, paymentType, amount } = req.body || {};
+    const idempotencyKey =
+      req.header("Idempotency-Key") || req.body?.idempotencyKey || null;
+
+    const { payment, replayed } = await PaymentProcessor.createCharge({
+      bookingId,
+      user: req.user,
+      idempotencyKey,
+      paymentType,
+      amount,
+    });
+
+    if (!replayed) {
+      await AuditLogService.create({
+        admin_id: req.user.id,
+        action: "PAYMENT_CREATED",
+        target_id: payment.id,
+        metadata: {
+          bookingId,
+          provider: payment.provider,
+          amount: payment.totalAmount,
+          paymentType: payment.paymentType,
+        },
+      });
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      success: true,
+      data: payment,
+      replayed,
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to process payment");
+  }
+};
+
+// Payments where the current user is the parent or the caregiver
+exports.getPaymentHistory = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 25, status } = req.query;
+    const result = await PaymentProcessor.listForUser(req.user.id, {
+      page: Number(page),
+      limit: Number(limit),
+      status,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { payments: result.payments },
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: Math.max(1, Math.ceil((result.total || 0) / result.limit)),
+      },
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to fetch payment history");
+  }
+};
+
+// Parent requests a refund; the payment is flagged for admin review
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    if (!reason) {
+      return next(ErrorResponse.badRequest("reason is required"));
+    }
+
+    const payment = await PaymentService.findById(id);
+    if (!payment) {
+      return next(ErrorResponse.notFound("Payment not found"));
+    }
+    if (payment.parentInfo.id !== req.user.id) {
+      return next(ErrorResponse.forbidden("Only the paying parent can request a refund"));
+    }
+    if (payment.paymentStatus !== "paid") {
+      return next(
+        ErrorResponse.badRequest(
+          `Cannot request a refund for a ${payment.paymentStatus} payment`,
+        ),
+      );
+    }
+
+    const updated = await PaymentService.requestRefund(id, reason);
+
+    await AuditLogService.create({
+      admin_id: req.user.id,
+      action: "PAYMENT_REFUND_REQUESTED",
+      target_id: id,
+      metadata: { from: payment.paymentStatus, to: updated.paymentStatus, reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: "Refund requested. An administrator will review it shortly.",
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to request refund");
+  }
+};
+
+// Provider webhook (unauthenticated; verified by signature)
+exports.handleWebhook = async (req, res, next) => {
+  try {
+    const result = await PaymentProcessor.handleWebhook(req.params.provider, {
+      rawBody: req.rawBody || JSON.stringify(req.body || {}),
+      headers: req.headers,
+    });
+
+    res.status(200).json({
+      success: true,
+      duplicate: Boolean(result.duplicate),
+      ignored: Boolean(result.ignored),
+    });
+  } catch (error) {
+    forwardError(error, next, "Failed to process payment webhook");
+  }
+};
@@ -1,421 +1,559 @@
-const { validationResult } = require("express-validator");
-const Privacy = require("../models/Privacy");
-const PrivacyRequest = require("../models/PrivacyRequest");
-const PrivacyNotification = require("../models/PrivacyNotification");
-const User = require("../models/User");
-const { process: processError } = require("../utils/errorHandler");
+const {
+  UserService,
+  UserBlockService,
+  BookingService,
+  NotificationService,
+  PrivacySettingsService,
+  PrivacyRequestService,
+  PrivacyGrantService,
+  PrivacyAccessLogService,
+} = require("../services/supabaseService");
+const {
+  normalizeFields,
+  grantDays,
+  listFields,
+  settingsView,
+  settingsFromInput,
+  readProfile,
+  grantFields,
+  PRIVACY_FIELDS,
+} = require("../services/privacyService");
+const { previewBookingPrivacy, setBookingFields } = require("../services/bookingPrivacy");
+const { notify } = require("../services/notificationService");
+const { logAction } = require("../services/auditService");
+const ErrorResponse = require("../utils/errorResponse");
 const logger = require("../utils/logger");
 
+const MAX_REASON_LENGTH = 500;
+
+const mapUser = (user, fallbackId) => ({
+  id: user?.id || fallbackId,
+  name: user?.name || "Unknown User",
+  email: user?.email,
+  profileImage: user?.profile_image || null,
+});
+
+const mapRequest = (request) => ({
+  id: request.id,
+  requester: mapUser(request.requester, request.requester_id),
+  targetUser: mapUser(request.target, request.target_user_id),
+  requestedFields: request.requested_fields,
+  sharedFields: request.shared_fields || [],
+  reason: request.reason,
+  status: request.status,
+  requestedAt: request.created_at,
+  respondedAt: request.responded_at,
+  expiresAt: request.expires_at,
+});
+
+const mapGrant = (grant) => ({
+  id: grant.id,
+  field: grant.field,
+  label: PRIVACY_FIELDS[grant.field]?.label || grant.field,
+  owner: mapUser(grant.owner, grant.owner_id),
+  grantee: mapUser(grant.grantee, grant.grantee_id),
+  requestId: grant.request_id,
+  bookingId: grant.booking_id || null,
+  expiresAt: grant.expires_at,
+  revokedAt: grant.revoked_at,
+  revokeReason: grant.revoke_reason,
+  createdAt: grant.created_at,
+});
+
+const mapAccess = (entry) => ({
+  id: entry.id,
+  field: entry.field,
+  label: PRIVACY_FIELDS[entry.field]?.label || entry.field,
+  viewer: mapUser(entry.viewer, entry.viewer_id),
+  grantId: entry.grant_id,
+  via: entry.grant_id ? "grant" : "setting",
+  accessedAt: entry.accessed_at,
+});
+
+const auditPrivacy = (req, action, entityId, metadata = {}) =>
+  logAction({
+    userId: req.user.id,
+    action,
+    entity: "PRIVACY",
+    entityId,
+    metadata,
+    ipAddress: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+const handleError = (error, res, next, label, message) => {
+  if (error.isOperational) return next(error);
+
+  logger.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Field-level privacy on Supabase. Handlers do not use `this`; routes pass
+ * them around unbound.
+ */
 class PrivacyController {
   // Get user's privacy settings
-  async getPrivacySettings(req, res) {
+  async getPrivacySettings(req, res, next) {
     try {
-      const userId = req.user.id;
-
-      let privacySettings = await Privacy.findOne({ userId });
-
-      if (!privacySettings) {
-        // Create default privacy settings
-        privacySettings = new Privacy({
-          userId,
-          sharePhone: false,
-          shareAddress: false,
-          shareEmergencyContact: false,
-          shareChildMedicalInfo: false,
-          shareChildAllergies: false,
-          shareChildBehaviorNotes: false,
-          shareFinancialInfo: false,
-          autoApproveBasicInfo: true,
-        });
-        await privacySettings.save();
-      }
+      const settings = await PrivacySettingsService.findByUser(req.user.id);
 
       res.json({
         success: true,
-        data: privacySettings,
+        data: settingsView(settings),
       });
     } catch (error) {
-      logger.error("Error getting privacy settings:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get privacy settings",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error getting privacy settings", "Failed to get privacy settings");
     }
   }
 
   // Update user's privacy settings
-  async updatePrivacySettings(req, res) {
+  async updatePrivacySettings(req, res, next) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
       const userId = req.user.id;
-      const updateData = req.body;
-
-      const privacySettings = await Privacy.findOneAndUpdate(
-        { userId },
-        { ...updateData, updatedAt: new Date() },
-        { new: true, upsert: true },
-      );
+      const current = await PrivacySettingsService.findByUser(userId);
+      const columns = settingsFromInput(req.body, current);
+      const settings = await PrivacySettingsService.upsert(userId, columns);
 
-      // Log privacy setting changes
-      logger.info(`Privacy settings updated for user ${userId}:`, updateData);
+      logger.info(`Privacy settings updated for user ${userId}:`, columns);
+      auditPrivacy(req, "PRIVACY_SETTINGS_UPDATED", userId, {
+        sharedFields: settings.shared_fields,
+      });
 
       res.json({
         success: true,
-        data: privacySettings,
+        data: settingsView(settings),
         message: "Privacy settings updated successfully",
       });
     } catch (error) {
-      logger.error("Error updating privacy settings:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to update privacy settings",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error updating privacy settings", "Failed to update privacy settings");
     }
   }
 
+  // Private fields a user can share or ask for
+  async getFields(req, res) {
+    res.json({
+      success: true,
+      data: listFields(),
+    });
+  }
+
   // Request information from another user
-  async requestInformation(req, res) {
+  async requestInformation(req, res, next) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
-
-      const requesterId = req.user.uid;
-      const { targetUserId, requestedFields, reason } = req.body;
+      const requesterId = req.user.id;
+      const { targetUserId, reason } = req.body || {};
+      const requestedFields = normalizeFields(req.body?.requestedFields, "requestedFields");
 
-      // Check if target user exists
-      const targetUser = await User.findOne({ uid: targetUserId });
-      if (!targetUser) {
-        return res.status(404).json({
-          success: false,
-          message: "Target user not found",
-        });
+      const text = typeof reason === "string" ? reason.trim() : "";
+      if (!text || text.length > MAX_REASON_LENGTH) {
+        throw ErrorResponse.badRequest(`reason is required (at most ${MAX_REASON_LENGTH} characters)`);
+      }
+      if (!targetUserId) throw ErrorResponse.badRequest("targetUserId is required");
+      if (targetUserId === requesterId) {
+        throw ErrorResponse.badRequest("Cannot request information from yourself");
       }
 
-      // Check if there's already a pending request
-      const existingRequest = await PrivacyRequest.findOne({
-        requesterId,
-        targetUserId,
-        status: "pending",
-      });
-
-      if (existingRequest) {
-        return res.status(400).json({
-          success: false,
-          message: "You already have a pending request for this user",
-        });
+      const targetUser = await UserService.findById(targetUserId);
+      if (!targetUser) throw ErrorResponse.notFound("Target user not found");
+      if (await UserBlockService.findBetween(requesterId, targetUserId)) {
+        throw ErrorResponse.forbidden("You cannot request information from this user");
       }
 
-      // Create new privacy request
-      const privacyRequest = new PrivacyRequest({
-        requesterId,
-        targetUserId,
-        requestedFields,
-        reason,
-        status: "pending",
-        requestedAt: new Date(),
+      const request = await PrivacyRequestService.create({
+        requester_id: requesterId,
+        target_user_id: targetUserId,
+        requested_fields: requestedFields,
+        reason: text,
       });
+      if (!request) {
+        throw ErrorResponse.conflict("You already have a pending request for this user");
+      }
 
-      await privacyRequest.save();
-
-      // Create notification for target user
-      const notification = new PrivacyNotification({
-        userId: targetUserId,
-        type: "info_request",
-        message: `${req.user.name || "Someone"} has requested access to your information`,
-        data: {
-          requestId: privacyRequest._id,
-          requesterId,
-          requestedFields,
-        },
-        read: false,
-        createdAt: new Date(),
+      notify([targetUserId], {
+        type: "privacy",
+        title: "New information request",
+        message: `${req.user.profile?.name || "Someone"} has requested access to your information`,
+        data: { kind: "info_request", requestId: request.id, requestedFields },
+        actorId: requesterId,
       });
 
-      await notification.save();
-
-      logger.info(
-        `Information request created: ${requesterId} -> ${targetUserId}`,
-      );
+      logger.info(`Information request created: ${requesterId} -> ${targetUserId}`);
 
-      res.json({
+      res.status(201).json({
         success: true,
-        data: privacyRequest,
+        data: mapRequest(request),
         message: "Information request sent successfully",
       });
     } catch (error) {
-      logger.error("Error creating information request:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to create information request",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error creating information request", "Failed to create information request");
     }
   }
 
-  // Respond to an information request
-  async respondToRequest(req, res) {
+  /**
+   * Respond to an information request. Approving grants each of
+   * `sharedFields` (a subset of the requested ones, all of them by default)
+   * for `expiresInDays`, or the owner's default grant length.
+   */
+  async respondToRequest(req, res, next) {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
+      const userId = req.user.id;
+      const { requestId, approved, expiresInDays } = req.body || {};
+
+      const request = requestId && (await PrivacyRequestService.findById(requestId));
+      if (
+        !request ||
+        request.target_user_id !== userId ||
+        request.status !== "pending" ||
+        new Date(request.expires_at) <= new Date()
+      ) {
+        throw ErrorResponse.notFound("Privacy request not found or already processed");
       }
 
-      const userId = req.user.id;
-      const { requestId, approved, sharedFields = [] } = req.body;
+      let sharedFields = [];
+      let days = null;
+      if (approved) {
+        sharedFields =
+          req.body.sharedFields === undefined
+            ? request.requested_fields
+            : normalizeFields(req.body.sharedFields, "sharedFields");
+        const notRequested = sharedFields.filter(
+          (field) => !request.requested_fields.includes(field),
+        );
+        if (notRequested.length) {
+          throw ErrorResponse.badRequest(
+            `Only requested fields can be shared; not requested: ${notRequested.join(", ")}`,
+          );
+        }
+        const settings = await PrivacySettingsService.findByUser(userId);
+        days = grantDays(expiresInDays, settingsView(settings).defaultGrantDays);
+      }
 
-      const privacyRequest = await PrivacyRequest.findOne({
-        _id: requestId,
-        targetUserId: userId,
-        status: "pending",
+      const responded = await PrivacyRequestService.respond(request.id, {
+        status: approved ? "approved" : "denied",
+        sharedFields,
       });
-
-      if (!privacyRequest) {
-        return res.status(404).json({
-          success: false,
-          message: "Privacy request not found or already processed",
-        });
+      if (!responded) {
+        throw ErrorResponse.conflict("Privacy request was already processed");
       }
 
-      // Update request status
-      privacyRequest.status = approved ? "approved" : "denied";
-      privacyRequest.sharedFields = approved ? sharedFields : [];
-      privacyRequest.respondedAt = new Date();
-
-      await privacyRequest.save();
-
-      // Create notification for requester
-      const notification = new PrivacyNotification({
-        userId: privacyRequest.requesterId,
-        type: "info_request_response",
+      const grants = approved
+        ? await grantFields({
+            ownerId: userId,
+            granteeId: request.requester_id,
+            fields: sharedFields,
+            days,
+            requestId: request.id,
+          })
+        : [];
+
+      notify([request.requester_id], {
+        type: "privacy",
+        title: "Information request update",
         message: approved
           ? "Your information request has been approved"
           : "Your information request has been denied",
         data: {
-          requestId: privacyRequest._id,
-          approved,
+          kind: "info_request_response",
+          requestId: request.id,
+          approved: Boolean(approved),
           sharedFields,
+          expiresAt: grants[0]?.expires_at || null,
         },
-        read: false,
-        createdAt: new Date(),
+        actorId: userId,
+      });
+      auditPrivacy(req, approved ? "PRIVACY_REQUEST_APPROVED" : "PRIVACY_REQUEST_DENIED", request.id, {
+        granteeId: request.requester_id,
+        sharedFields,
+        days,
       });
 
-      await notification.save();
-
-      logger.info(
-        `Information request ${approved ? "approved" : "denied"}: ${requestId}`,
-      );
+      logger.info(`Information request ${approved ? "approved" : "denied"}: ${request.id}`);
 
       res.json({
         success: true,
-        data: privacyRequest,
+        data: { ...mapRequest(responded), grants: grants.map(mapGrant) },
         message: `Request ${approved ? "approved" : "denied"} successfully`,
       });
     } catch (error) {
-      logger.error("Error responding to information request:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to respond to information request",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error responding to information request", "Failed to respond to information request");
     }
   }
 
   // Get pending information requests for current user
-  async getPendingRequests(req, res) {
+  async getPendingRequests(req, res, next) {
     try {
-      const userId = req.user.id;
-
-      const pendingRequests = await PrivacyRequest.find({
-        targetUserId: userId,
-        status: "pending",
-      })
-        .populate("requesterId", "name email profileImage")
-        .sort({ requestedAt: -1 });
+      const requests = await PrivacyRequestService.listPendingFor(req.user.id);
 
       res.json({
         success: true,
-        data: pendingRequests,
+        data: requests.map(mapRequest),
       });
     } catch (error) {
-      logger.error("Error getting pending requests:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get pending requests",
-        error: error.message,
+      handleError(error, res, next, "Error getting pending requests", "Failed to get pending requests");
+    }
+  }
+
+  // Requests the current user has sent
+  async getSentRequests(req, res, next) {
+    try {
+      const requests = await PrivacyRequestService.listSentBy(req.user.id);
+
+      res.json({
+        success: true,
+        data: requests.map(mapRequest),
       });
+    } catch (error) {
+      handleError(error, res, next, "Error getting sent requests", "Failed to get sent requests");
     }
   }
 
-  // Get privacy notifications for current user
-  async getPrivacyNotifications(req, res) {
+  // Live grants: ?direction=given (default, shared by me) or received
+  async getGrants(req, res, next) {
     try {
-      const userId = req.user.id;
-      const { limit = 50, offset = 0 } = req.query;
+      const direction = req.query.direction || "given";
+      if (!["given", "received"].includes(direction)) {
+        throw ErrorResponse.badRequest("direction must be given or received");
+      }
 
-      const notifications = await PrivacyNotification.find({ userId })
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit))
-        .skip(parseInt(offset));
+      const grants = await PrivacyGrantService.listActive(
+        direction === "given" ? { ownerId: req.user.id } : { granteeId: req.user.id },
+      );
 
-      const unreadCount = await PrivacyNotification.countDocuments({
-        userId,
-        read: false,
+      res.json({
+        success: true,
+        data: grants.map(mapGrant),
+      });
+    } catch (error) {
+      handleError(error, res, next, "Error getting privacy grants", "Failed to get privacy grants");
+    }
+  }
+
+  // Owner revokes one grant
+  async revokeGrant(req, res, next) {
+    try {
+      const grant = await PrivacyGrantService.findById(req.params.grantId);
+      if (!grant || grant.owner_id !== req.user.id) {
+        throw ErrorResponse.notFound("Grant not found");
+      }
+
+      const revoked = await PrivacyGrantService.revoke(grant.id, {
+        revokedBy: req.user.id,
+        reason: req.body?.reason,
+      });
+      if (!revoked) throw ErrorResponse.conflict("Grant was already revoked");
+
+      notify([grant.grantee_id], {
+        type: "privacy",
+        title: "Access revoked",
+        message: `Access to ${PRIVACY_FIELDS[grant.field]?.label || grant.field} was revoked`,
+        data: { kind: "grant_revoked", grantIds: [grant.id], fields: [grant.field] },
+        actorId: req.user.id,
+      });
+      auditPrivacy(req, "PRIVACY_GRANT_REVOKED", grant.id, {
+        granteeId: grant.grantee_id,
+        field: grant.field,
       });
 
       res.json({
         success: true,
-        data: notifications,
-        unreadCount,
+        data: mapGrant(revoked),
+        message: "Access revoked successfully",
       });
     } catch (error) {
-      logger.error("Error getting privacy notifications:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get privacy notifications",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error revoking privacy grant", "Failed to revoke access");
     }
   }
 
-  // Mark notification as read
-  async markNotificationAsRead(req, res) {
+  // Owner revokes everything shared with one user
+  async revokeAllForUser(req, res, next) {
     try {
-      const userId = req.user.id;
-      const { notificationId } = req.params;
+      const { granteeId, reason } = req.body || {};
+      if (!granteeId) throw ErrorResponse.badRequest("granteeId is required");
 
-      const notification = await PrivacyNotification.findOneAndUpdate(
-        { _id: notificationId, userId },
-        { read: true, readAt: new Date() },
-        { new: true },
-      );
+      const revoked = await PrivacyGrantService.revokeBetween(req.user.id, granteeId, {
+        revokedBy: req.user.id,
+        reason,
+      });
 
-      if (!notification) {
-        return res.status(404).json({
-          success: false,
-          message: "Notification not found",
+      if (revoked.length) {
+        notify([granteeId], {
+          type: "privacy",
+          title: "Access revoked",
+          message: "Access to shared information was revoked",
+          data: {
+            kind: "grant_revoked",
+            grantIds: revoked.map((grant) => grant.id),
+            fields: revoked.map((grant) => grant.field),
+          },
+          actorId: req.user.id,
+        });
+        auditPrivacy(req, "PRIVACY_GRANTS_REVOKED", granteeId, {
+          fields: revoked.map((grant) => grant.field),
         });
       }
 
       res.json({
         success: true,
-        data: notification,
-        message: "Notification marked as read",
+        data: { revoked: revoked.length },
+        message: "Access revoked successfully",
       });
     } catch (error) {
-      logger.error("Error marking notification as read:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to mark notification as read",
-        error: error.message,
-      });
+      handleError(error, res, next, "Error revoking privacy grants", "Failed to revoke access");
     }
   }
 
-  // Get filtered profile data based on privacy settings
-  async getFilteredProfileData(req, res) {
+  // Who read which of my private fields, newest first (?viewerId= narrows)
+  async getAccessLog(req, res, next) {
     try {
-      const { targetUserId } = req.params;
-      const viewerId = req.user.uid;
-
-      // Get target user's profile
-      const targetUser = await User.findOne({ uid: targetUserId });
-      if (!targetUser) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const { entries, total } = await PrivacyAccessLogService.listByOwner(req.user.id, {
+        page,
+        limit,
+        viewerId: req.query.viewerId,
+      });
 
-      // Get target user's privacy settings
-      const privacySettings = await Privacy.findOne({ userId: targetUserId });
+      res.json({
+        success: true,
+        data: entries.map(mapAccess),
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      });
+    } catch (error) {
+      handleError(error, res, next, "Error getting privacy access log", "Failed to get access log");
+    }
+  }
 
-      // Get approved information requests
-      const approvedRequest = await PrivacyRequest.findOne({
-        requesterId: viewerId,
-        targetUserId,
-        status: "approved",
+  // Get privacy notifications for current user
+  async getPrivacyNotifications(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const [{ notifications }, { total: unreadCount }] = await Promise.all([
+        NotificationService.listByUser(userId, {
+          type: "privacy",
+          page: Math.floor(offset / limit) + 1,
+          limit,
+        }),
+        NotificationService.listByUser(userId, { type: "privacy", unreadOnly: true, limit: 1 }),
+      ]);
+
+      res.json({
+        success: true,
+        data: notifications,
+        unreadCount,
       });
+    } catch (error) {
+      handleError(error, res, next, "Error getting privacy notifications", "Failed to get privacy notifications");
+    }
+  }
 
-      // Filter data based on privacy settings and approved requests
-      const filteredData = this.filterUserData(
-        targetUser.toObject(),
-        privacySettings,
-        approvedRequest?.sharedFields || [],
+  // Mark notification as read
+  async markNotificationAsRead(req, res, next) {
+    try {
+      const notification = await NotificationService.markAsRead(
+        req.params.notificationId,
+        req.user.id,
       );
+      if (!notification || notification.type !== "privacy") {
+        throw ErrorResponse.notFound("Notification not found");
+      }
 
       res.json({
         success: true,
-        data: filteredData,
+        data: notification,
+        message: "Notification marked as read",
       });
     } catch (error) {
-      logger.error("Error getting filtered profile data:", error);
-      res.status(500).json({
-        success: false,
-        message: "Failed to get profile data",
-        error: error.message,
+      handleError(error, res, next, "Error marking notification as read", "Failed to mark notification as read");
+    }
+  }
+
+  // Fields a booking shares with its caregiver; either party may look
+  async getBookingPrivacy(req, res, next) {
+    try {
+      const booking = await BookingService.findById(req.params.bookingId);
+      if (!booking || ![booking.parent_id, booking.caregiver_id].includes(req.user.id)) {
+        throw ErrorResponse.notFound("Booking not found");
+      }
+
+      res.json({
+        success: true,
+        data: await previewBookingPrivacy(booking),
       });
+    } catch (error) {
+      handleError(error, res, next, "Error getting booking privacy", "Failed to get booking privacy");
     }
   }
 
-  // Helper method to filter user data based on privacy settings
-  filterUserData(userData, privacySettings, approvedFields = []) {
-    const publicFields = ["name", "profileImage", "location", "email"];
-    const privateFields = {
-      phone: "sharePhone",
-      address: "shareAddress",
-      emergencyContact: "shareEmergencyContact",
-      childMedicalInfo: "shareChildMedicalInfo",
-      childAllergies: "shareChildAllergies",
-      childBehaviorNotes: "shareChildBehaviorNotes",
-      financialInfo: "shareFinancialInfo",
-    };
-
-    const filteredData = {};
-
-    // Always include public fields
-    publicFields.forEach((field) => {
-      if (userData[field] !== undefined) {
-        filteredData[field] = userData[field];
+  // Parent overrides the booking's fields; { fields: null } restores the policy
+  async updateBookingPrivacy(req, res, next) {
+    try {
+      const booking = await BookingService.findById(req.params.bookingId);
+      if (!booking || booking.parent_id !== req.user.id) {
+        throw ErrorResponse.notFound("Booking not found");
+      }
+      if (req.body?.fields === undefined) {
+        throw ErrorResponse.badRequest("fields is required (a list of field keys, or null)");
       }
-    });
 
-    // Include private fields based on settings or approved requests
-    Object.keys(privateFields).forEach((field) => {
-      const settingKey = privateFields[field];
-
-      if (userData[field] !== undefined) {
-        if (
-          approvedFields.includes(field) ||
-          (privacySettings && privacySettings[settingKey])
-        ) {
-          filteredData[field] = userData[field];
-        } else {
-          filteredData[field] = "[Private - Request Access]";
-        }
+      const { booking: updated, granted, revoked } = await setBookingFields(
+        booking,
+        req.body.fields,
+        { actorId: req.user.id },
+      );
+
+      if (granted.length || revoked.length) {
+        notify([booking.caregiver_id], {
+          type: "privacy",
+          title: "Booking information updated",
+          message: "The family changed what they share with you for a booking",
+          data: {
+            kind: "booking_grants_updated",
+            bookingId: booking.id,
+            granted: granted.map((grant) => grant.field),
+            revoked: revoked.map((grant) => grant.field),
+          },
+          actorId: req.user.id,
+        });
       }
-    });
+      auditPrivacy(req, "BOOKING_PRIVACY_UPDATED", booking.id, {
+        fields: updated.privacy_fields,
+      });
+
+      res.json({
+        success: true,
+        data: await previewBookingPrivacy(updated),
+        message: "Booking privacy updated successfully",
+      });
+    } catch (error) {
+      handleError(error, res, next, "Error updating booking privacy", "Failed to update booking privacy");
+    }
+  }
 
-    return filteredData;
+  // Get profile data filtered by privacy settings and live grants
+  async getFilteredProfileData(req, res, next) {
+    try {
+      const profile = await readProfile(req.params.targetUserId, req.user.id, {
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      });
+      if (!profile) throw ErrorResponse.notFound("User not found");
+
+      res.json({
+        success: true,
+        data: profile.data,
+        access: profile.access,
+      });
+    } catch (error) {
+      handleError(error, res, next, "Error getting filtered profile data", "Failed to get profile data");
+    }
   }
 }
 
@@ -52,10 +52,11 @@ exports.requestInformation = async (req, res) => {
     try {
       await sendNotification({
         userId: targetUserId,
-        type: "info_request",
+        type: "privacy",
         title: "New Information Request",
         message: `You have a new information request from ${req.user.name}`,
-        data: { requestId: request._id },
+        data: { kind: "info_request", requestId: String(request._id) },
+        actorId: requesterId,
       });
     } catch (notifError) {
       console.error("Failed to send notification:", notifError);
@@ -184,12 +185,13 @@ exports.respondToRequest = async (req, res) => {
       const targetUser = await User.findById(userId);
 
       await sendNotification({
-        userId: request.requesterId,
-        type: "info_request_response",
+        userId: String(request.requesterId),
+        type: "privacy",
         title: "Information Request Update",
         message: `${targetUser.name} has ${approved ? "approved" : "declined"} your information request`,
         data: {
-          requestId: request._id,
+          kind: "info_request_response",
+          requestId: String(request._id),
           status: request.status,
           sharedFields: approved ? sharedFields : [],
         },
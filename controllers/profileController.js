@@ -378,116 +378,3 @@ exports.updateChildren = async (req, res) => {
     });
   }
 };
-
-// Get caregiver availability
-exports.getAvailability = async (req, res) => {
-  try {
-    const userId = req.user.mongoId || req.user.id || req.user._id;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: "User ID not found in request",
-      });
-    }
-
-    const user = await User.findById(userId).select("availability role");
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: "User not found",
-      });
-    }
-
-    if (user.role !== "caregiver") {
-      return res.status(403).json({
-        success: false,
-        error: "Only caregivers have availability schedules",
-      });
-    }
-
-    res.json({
-      success: true,
-      data: {
-        availability: user.availability || {},
-      },
-    });
-  } catch (error) {
-    logger.error("Get availability error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || "Failed to get availability",
-    });
-  }
-};
-
-// Update caregiver availability
-exports.updateAvailability = async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: "Validation failed",
-        details: errors.array(),
-      });
-    }
-
-    const userId = req.user.mongoId || req.user.id || req.user._id;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: "User ID not found in request",
-      });
-    }
-
-    const { availability } = req.body;
-
-    // Verify user is a caregiver
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: "User not found",
-      });
-    }
-
-    if (user.role !== "caregiver") {
-      return res.status(403).json({
-        success: false,
-        error: "Only caregivers can update availability",
-      });
-    }
-
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      {
-        availability,
-        updatedAt: new Date(),
-      },
-      {
-        new: true,
-        runValidators: true,
-        select: "availability",
-      },
-    );
-
-    logger.info(`Availability updated for caregiver ${userId}`);
-
-    res.json({
-      success: true,
-      message: "Availability updated successfully",
-      data: {
-        availability: updatedUser.availability,
-      },
-    });
-  } catch (error) {
-    logger.error("Update availability error:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message || "Failed to update availability",
-    });
-  }
-};
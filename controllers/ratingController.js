@@ -1,7 +1,34 @@
 const Rating = require("../models/Rating");
 const Booking = require("../models/Booking");
+const Caregiver = require("../models/Caregiver");
+const { PointsService } = require("../services/pointsService");
+const { isObjectId, supabaseUserIdFor } = require("../services/legacyUsers");
 const { authenticate } = require("../middleware/auth");
 
+// Points are kept against the caregiver's Supabase account; caregiverId may
+// be the legacy user or their Caregiver profile. The rating stands even when
+// no points can be awarded.
+const awardRatingPoints = async (caregiverId, rating) => {
+  try {
+    const profile = isObjectId(caregiverId)
+      ? await Caregiver.findById(caregiverId).select("userId").lean()
+      : null;
+    const pointsCaregiverId = await supabaseUserIdFor(profile?.userId || caregiverId);
+    if (!pointsCaregiverId) {
+      console.warn(`Rating ${rating._id}: caregiver has no account; rating points not awarded`);
+      return;
+    }
+
+    await PointsService.recordRating({
+      caregiverId: pointsCaregiverId,
+      ratingId: String(rating._id),
+      rating: rating.rating,
+    });
+  } catch (error) {
+    console.error(`Rating points for ${rating._id} failed:`, error);
+  }
+};
+
 // Rate a caregiver
 const rateCaregiver = async (req, res) => {
   try {
@@ -46,6 +73,7 @@ const rateCaregiver = async (req, res) => {
     });
 
     await newRating.save();
+    await awardRatingPoints(caregiverId, newRating);
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,123 @@
+const socketService = require("../services/socketService");
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 25 * 1000;
+
+// Which transport clients should use right now
+const getStatus = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      transport: socketService.isRunning() ? "socket" : "sse",
+      socket: socketService.isRunning(),
+      sse: true,
+    },
+  });
+};
+
+// Stream the current user's realtime events as Server-Sent Events
+const streamEvents = (req, res) => {
+  const userId = String(req.user.id);
+  let eventId = 0;
+
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop proxies (nginx) from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // compression() buffers unless flushed explicitly
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  const send = (event, payload) => {
+    eventId += 1;
+    write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(payload ?? {})}\n\n`);
+  };
+
+  write("retry: 5000\n\n");
+  send("ready", { userId, transport: "sse" });
+
+  const unsubscribe = socketService.subscribe(userId, send);
+  const heartbeat = setInterval(() => write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+// Typing indicators for clients on the SSE fallback (they cannot emit)
+const sendTyping = async (req, res) => {
+  try {
+    const { conversationId, typing = true } = req.body || {};
+    const userId = String(req.user.id);
+
+    if (!conversationId) {
+      return res.status(400).json({
+        success: false,
+        error: "Conversation ID is required",
+      });
+    }
+
+    const participants = await socketService.authorizeConversation(
+      userId,
+      conversationId,
+    );
+    if (!participants) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied to this conversation",
+      });
+    }
+
+    socketService.emitTyping(conversationId, participants, {
+      userId,
+      userName: req.user.profile?.name,
+      isTyping: Boolean(typing),
+    });
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error("Send typing indicator error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send typing indicator",
+    });
+  }
+};
+
+// Online status for a list of users (?userIds=a,b,c). Only the caller's
+// contacts are answered for; anyone else is left out of the result.
+const getPresence = async (req, res) => {
+  try {
+    const contacts = await socketService.contactsOf(req.user.id);
+    const userIds = String(req.query.userIds || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter((id) => contacts.has(id));
+
+    res.status(200).json({
+      success: true,
+      data: socketService.getUsersOnlineStatus(userIds),
+    });
+  } catch (error) {
+    console.error("Get presence error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to load presence",
+    });
+  }
+};
+
+module.exports = {
+  getStatus,
+  streamEvents,
+  sendTyping,
+  getPresence,
+};
@@ -1,5 +1,10 @@
 const { ReportService } = require("../services/reportService");
-const { AuditLogService } = require("../services/supabaseService");
+const {
+  AuditLogService,
+  ConversationService,
+  MessageService,
+} = require("../services/supabaseService");
+const { withAttachmentUrls } = require("../services/messagePayloads");
 const ErrorResponse = require("../utils/errorResponse");
 
 // Create a new report
@@ -119,6 +124,78 @@ exports.getReportById = async (req, res, next) => {
   }
 };
 
+// Read-only transcript of a reported conversation (admin only). Includes
+// messages the participants deleted or edited, with evidence flagged.
+exports.getReportTranscript = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const report = await ReportService.findById(id);
+
+    if (!report) {
+      return next(new ErrorResponse("Report not found", 404));
+    }
+    if (!report.conversation_id) {
+      return next(new ErrorResponse("This report has no conversation attached", 404));
+    }
+
+    const conversation = await ConversationService.findById(report.conversation_id);
+    if (!conversation) {
+      return next(new ErrorResponse("Conversation no longer exists", 404));
+    }
+
+    const evidence = new Set(report.message_ids || []);
+    const messages = await withAttachmentUrls(
+      await MessageService.getTranscript(conversation.id),
+    );
+
+    await AuditLogService.create({
+      admin_id: req.user.id,
+      action: "report_transcript_viewed",
+      target_type: "report",
+      target_id: id,
+      metadata: { conversation_id: conversation.id, message_count: messages.length },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reportId: report.id,
+        conversation: {
+          id: conversation.id,
+          type: conversation.type,
+          participants: [conversation.participant_1, conversation.participant_2],
+          createdAt: conversation.created_at,
+        },
+        messages: messages.map((msg) => ({
+          id: msg.id,
+          sender: {
+            id: msg.sender_id,
+            name: msg.sender?.name || "Unknown User",
+            role: msg.sender?.role,
+          },
+          recipient: msg.recipient_id,
+          content: msg.content,
+          messageType: msg.message_type,
+          attachments: msg.attachments || [],
+          payload: msg.payload || null,
+          edits: (msg.edits || [])
+            .sort((a, b) => a.edited_at.localeCompare(b.edited_at))
+            .map((edit) => ({ content: edit.previous_content, editedAt: edit.edited_at })),
+          editedAt: msg.edited_at || null,
+          deletedAt: msg.deleted_at || null,
+          hiddenFor: msg.hidden_for || [],
+          readAt: msg.read_at,
+          createdAt: msg.created_at,
+          isEvidence: evidence.has(msg.id),
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get report transcript error:", error);
+    next(new ErrorResponse("Failed to fetch conversation transcript", 500));
+  }
+};
+
 // Update report status (admin only)
 exports.updateReportStatus = async (req, res, next) => {
   try {
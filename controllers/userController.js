@@ -6,6 +6,8 @@ const {
   BackgroundCheckService,
   UserStatusHistoryService,
 } = require("../services/supabaseService");
+const { coordinateColumns } = require("../services/geocodingService");
+const { refreshVerification } = require("../services/caregiverVerification");
 
 const normalizeUser = (record) => {
   if (!record) return null;
@@ -151,6 +153,11 @@ exports.updateProfile = async (req, res) => {
         allowedUserFields[key] === undefined && delete allowedUserFields[key],
     );
 
+    // Keep coordinates in step with the address for distance search
+    if (allowedUserFields.address !== undefined) {
+      Object.assign(allowedUserFields, await coordinateColumns(allowedUserFields.address));
+    }
+
     const profileFields = {
       bio: updateData.bio,
       experience: updateData.experience,
@@ -180,6 +187,13 @@ exports.updateProfile = async (req, res) => {
       );
     }
 
+    // Certification expiry dates feed the verification reminders
+    if (profileFields.certifications !== undefined) {
+      refreshVerification(userId).catch((error) =>
+        console.error("Failed to refresh caregiver verification:", error),
+      );
+    }
+
     res.json({
       success: true,
       message: "Profile updated successfully",
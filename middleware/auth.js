@@ -1,6 +1,81 @@
 const jwt = require("jsonwebtoken");
 const { createClient } = require("@supabase/supabase-js");
 
+/**
+ * Resolve a bearer token to the user shape handlers see as req.user.
+ * Shared by HTTP requests and realtime connections (Socket.IO, SSE).
+ * @returns {Promise<Object>} { user } or { error, code }
+ */
+const resolveUserFromToken = async (token) => {
+  // Check for mock token first in development
+  if (
+    process.env.NODE_ENV === "development" &&
+    token.includes("mock-signature")
+  ) {
+    return {
+      user: {
+        id: "mock-user-123",
+        supabaseId: "mock-user-123",
+        role: "parent",
+        email: "mock@example.com",
+        mock: true,
+      },
+    };
+  }
+
+  // Validate Supabase JWT token
+  try {
+    // Initialize Supabase client for token verification
+    const supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_ROLE_KEY,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false,
+        },
+      },
+    );
+
+    // Verify the JWT token with Supabase
+    const {
+      data: { user },
+      error,
+    } = await supabase.auth.getUser(token);
+
+    if (error || !user) {
+      return { error: "Invalid or expired token", code: "INVALID_TOKEN" };
+    }
+
+    // Get user profile from Supabase users table
+    const { data: profile, error: profileError } = await supabase
+      .from("users")
+      .select("*")
+      .eq("id", user.id)
+      .single();
+
+    if (profileError && profileError.code !== "PGRST116") {
+      // PGRST116 = no rows returned
+      console.error("Error fetching user profile:", profileError);
+      return { error: "User profile not found", code: "USER_NOT_FOUND" };
+    }
+
+    return {
+      user: {
+        id: profile?.id || user.id,
+        supabaseId: user.id,
+        role: profile?.role || "parent",
+        email: user.email,
+        status: profile?.status || "active",
+        profile: profile || null,
+      },
+    };
+  } catch (supabaseError) {
+    console.error("Supabase auth error:", supabaseError);
+    return { error: "Token verification failed", code: "INVALID_TOKEN" };
+  }
+};
+
 // Authentication middleware: Handles Supabase JWT tokens
 const authenticate = async (req, res, next) => {
   try {
@@ -65,85 +140,13 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Check for mock token first in development
-    if (
-      process.env.NODE_ENV === "development" &&
-      token.includes("mock-signature")
-    ) {
-      req.user = {
-        id: "mock-user-123",
-        supabaseId: "mock-user-123",
-        role: "parent",
-        email: "mock@example.com",
-        mock: true,
-      };
-      return next();
+    const { user, error, code } = await resolveUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({ success: false, error, code });
     }
 
-    // Validate Supabase JWT token
-    try {
-      // Initialize Supabase client for token verification
-      const supabase = createClient(
-        process.env.SUPABASE_URL,
-        process.env.SUPABASE_SERVICE_ROLE_KEY,
-        {
-          auth: {
-            autoRefreshToken: false,
-            persistSession: false,
-          },
-        },
-      );
-
-      // Verify the JWT token with Supabase
-      const {
-        data: { user },
-        error,
-      } = await supabase.auth.getUser(token);
-
-      if (error || !user) {
-        return res.status(401).json({
-          success: false,
-          error: "Invalid or expired token",
-          code: "INVALID_TOKEN",
-        });
-      }
-
-      // Get user profile from Supabase users table
-      const { data: profile, error: profileError } = await supabase
-        .from("users")
-        .select("*")
-        .eq("id", user.id)
-        .single();
-
-      if (profileError && profileError.code !== "PGRST116") {
-        // PGRST116 = no rows returned
-        console.error("Error fetching user profile:", profileError);
-        return res.status(401).json({
-          success: false,
-          error: "User profile not found",
-          code: "USER_NOT_FOUND",
-        });
-      }
-
-      // Set user data for request
-      req.user = {
-        id: profile?.id || user.id,
-        supabaseId: user.id,
-        role: profile?.role || "parent",
-        email: user.email,
-        status: profile?.status || "active",
-        profile: profile || null,
-      };
-
-      return next();
-    } catch (supabaseError) {
-      console.error("Supabase auth error:", supabaseError);
-      return res.status(401).json({
-        success: false,
-        error: "Token verification failed",
-        code: "INVALID_TOKEN",
-      });
-    }
+    req.user = user;
+    return next();
   } catch (err) {
     console.error("Authentication error:", err.name, err.message);
     console.error("Full error:", err);
@@ -188,4 +191,5 @@ const authorize = (roles = []) => {
 module.exports = {
   authenticate,
   authorize,
+  resolveUserFromToken,
 };
@@ -0,0 +1,54 @@
+-- Background check provider integration
+-- Run this in Supabase SQL Editor
+
+-- provider is "internal" (admins record the outcome) or the name of an
+-- adapter in services/backgroundCheckProviders.js
+ALTER TABLE caregiver_background_checks
+DROP CONSTRAINT IF EXISTS caregiver_background_checks_provider_check;
+
+-- Provider tracking fields on background checks
+ALTER TABLE caregiver_background_checks
+ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(255),
+ADD COLUMN IF NOT EXISTS provider_status VARCHAR(30),
+ADD COLUMN IF NOT EXISTS provider_result JSONB,
+ADD COLUMN IF NOT EXISTS report_url TEXT,
+ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMP WITH TIME ZONE;
+
+-- One row per provider order; open orders are polled
+CREATE UNIQUE INDEX IF NOT EXISTS idx_background_checks_provider_reference
+  ON caregiver_background_checks(provider, provider_reference)
+  WHERE provider_reference IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_background_checks_open_orders
+  ON caregiver_background_checks(last_polled_at)
+  WHERE provider_reference IS NOT NULL AND status IN ('pending', 'in_progress');
+
+-- Webhook event log (deduplicates provider retries)
+CREATE TABLE IF NOT EXISTS background_check_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  payload JSONB,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_background_check_webhook_events_user
+  ON background_check_webhook_events(user_id);
+
+-- RLS Policies
+ALTER TABLE background_check_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Admins can view webhook events
+CREATE POLICY "Admins can view background check webhook events" ON background_check_webhook_events
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE users.id = auth.uid()
+      AND users.role IN ('admin', 'superadmin')
+    )
+  );
+
+-- Verify
+SELECT 'Background check provider fields created successfully' as status;
@@ -0,0 +1,27 @@
+-- Booking lifecycle statuses used by the booking state machine
+-- Run this in Supabase SQL Editor
+
+-- Adds in_progress and no_show whether bookings.status is an enum type or
+-- a VARCHAR guarded by bookings_status_check
+DO $$
+DECLARE
+  status_type TEXT;
+BEGIN
+  SELECT udt_name INTO status_type
+  FROM information_schema.columns
+  WHERE table_schema = 'public'
+    AND table_name = 'bookings'
+    AND column_name = 'status';
+
+  IF EXISTS (SELECT 1 FROM pg_type WHERE typname = status_type AND typtype = 'e') THEN
+    EXECUTE format('ALTER TYPE %I ADD VALUE IF NOT EXISTS %L', status_type, 'in_progress');
+    EXECUTE format('ALTER TYPE %I ADD VALUE IF NOT EXISTS %L', status_type, 'no_show');
+  ELSE
+    ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+    ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+      CHECK (status IN ('pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show'));
+  END IF;
+END $$;
+
+-- Verify
+SELECT 'Booking lifecycle statuses added successfully' as status;
@@ -0,0 +1,59 @@
+-- Double-booking guard: a caregiver's confirmed and in-progress bookings may
+-- not overlap
+-- Run this in Supabase SQL Editor
+
+-- The API checks for overlaps before writing (services/bookingConflicts.js),
+-- but two requests can pass that check at the same time. This constraint
+-- rejects the second write (SQLSTATE 23P01), which the API reports as the
+-- usual 409 booking conflict.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- time_slot: the booking as a range; a booking whose end_time is not after its
+-- start_time runs overnight and ends the next day. Kept by the trigger below.
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS time_slot TSRANGE;
+
+CREATE OR REPLACE FUNCTION set_booking_time_slot()
+RETURNS TRIGGER AS $$
+DECLARE
+  starts TIMESTAMP;
+  ends TIMESTAMP;
+BEGIN
+  IF NEW.date IS NULL OR NEW.start_time IS NULL OR NEW.end_time IS NULL THEN
+    NEW.time_slot := NULL;
+    RETURN NEW;
+  END IF;
+
+  starts := NEW.date::DATE + NEW.start_time::TIME;
+  ends := NEW.date::DATE + NEW.end_time::TIME;
+  IF ends <= starts THEN
+    ends := ends + INTERVAL '1 day';
+  END IF;
+
+  NEW.time_slot := tsrange(starts, ends, '[)');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_booking_time_slot ON bookings;
+CREATE TRIGGER set_booking_time_slot
+  BEFORE INSERT OR UPDATE OF date, start_time, end_time ON bookings
+  FOR EACH ROW
+  EXECUTE FUNCTION set_booking_time_slot();
+
+-- Fill in existing bookings
+UPDATE bookings SET date = date WHERE time_slot IS NULL;
+
+-- Existing overlaps make the constraint below fail; list them with
+--   SELECT a.id, b.id FROM bookings a JOIN bookings b
+--     ON a.caregiver_id = b.caregiver_id AND a.id < b.id AND a.time_slot && b.time_slot
+--   WHERE a.status IN ('confirmed', 'in_progress') AND b.status IN ('confirmed', 'in_progress');
+-- and cancel or move one of each pair first.
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+ALTER TABLE bookings
+ADD CONSTRAINT bookings_no_overlap
+  EXCLUDE USING gist (caregiver_id WITH =, time_slot WITH &&)
+  WHERE (status IN ('confirmed', 'in_progress') AND time_slot IS NOT NULL);
+
+-- Verify
+SELECT 'Booking overlap constraint added successfully' as status;
@@ -0,0 +1,20 @@
+-- Privacy grants scoped to bookings: while a booking is confirmed or in
+-- progress the caregiver holds grants for the fields the booking needs
+-- Run this in Supabase SQL Editor
+
+-- Children's routines and likes, shareable like allergies
+ALTER TABLE children ADD COLUMN IF NOT EXISTS preferences TEXT;
+
+-- Parent's per-booking override of the default policy in
+-- services/bookingPrivacy.js; NULL follows the policy
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS privacy_fields TEXT[];
+
+-- Grants issued for a booking carry its id; request grants leave it NULL
+ALTER TABLE privacy_grants
+  ADD COLUMN IF NOT EXISTS booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_privacy_grants_booking
+  ON privacy_grants(booking_id) WHERE revoked_at IS NULL;
+
+-- Verify
+SELECT 'Booking privacy grants added successfully' as status;
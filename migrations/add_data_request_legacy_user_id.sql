@@ -0,0 +1,11 @@
+-- Legacy account on data-subject requests
+-- Run this in Supabase SQL Editor, after create_data_requests.sql
+
+-- The user's legacy MongoDB account, resolved by email before erasure
+-- anonymizes the users row. Once the email is gone it cannot be looked up
+-- again, so a retried erasure reads it from here.
+ALTER TABLE data_requests
+ADD COLUMN IF NOT EXISTS legacy_user_id VARCHAR(24);
+
+-- Verify
+SELECT 'Data request legacy user id added successfully' as status;
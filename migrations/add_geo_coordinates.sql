@@ -0,0 +1,23 @@
+-- Coordinates for distance search of caregivers and jobs
+-- Run this in Supabase SQL Editor
+
+-- Filled in by the geocoder whenever users.address / jobs.location is saved;
+-- NULL when the address could not be geocoded
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS geocoded_at TIMESTAMP WITH TIME ZONE;
+
+-- Bounding-box prefilter; exact distances are computed by the API
+CREATE INDEX IF NOT EXISTS idx_users_coordinates
+  ON users(latitude, longitude) WHERE latitude IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_coordinates
+  ON jobs(latitude, longitude) WHERE latitude IS NOT NULL;
+
+-- Verify
+SELECT 'Geo coordinates added successfully' as status;
@@ -0,0 +1,19 @@
+-- Job details used to match jobs with caregivers
+-- Run this in Supabase SQL Editor
+
+-- children_ages: free text as entered, e.g. "Ana (3), Ben (7)" or "8 months, 4"
+-- requirements: skills or certifications the family asks for, e.g. {"CPR", "Cooking"}
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS number_of_children INTEGER DEFAULT 1,
+ADD COLUMN IF NOT EXISTS children_ages TEXT,
+ADD COLUMN IF NOT EXISTS requirements TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS date DATE,
+ADD COLUMN IF NOT EXISTS start_time VARCHAR(5),
+ADD COLUMN IF NOT EXISTS end_time VARCHAR(5);
+
+-- Open jobs are listed newest first for recommendations
+CREATE INDEX IF NOT EXISTS idx_jobs_open
+  ON jobs(created_at DESC) WHERE status = 'active' AND caregiver_id IS NULL;
+
+-- Verify
+SELECT 'Job matching fields added successfully' as status;
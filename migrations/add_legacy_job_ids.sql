@@ -0,0 +1,15 @@
+-- Legacy MongoDB ids for jobs and applications
+-- Run this in Supabase SQL Editor, after create_hiring_pipeline.sql
+
+-- Jobs and applications used to live in MongoDB. Copy them over with
+--   node scripts/migrate-data.js jobs applications
+-- legacy_id is the MongoDB ObjectId each row came from, so the backfill can
+-- be re-run without duplicating rows and applications find their job.
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS legacy_id VARCHAR(24) UNIQUE;
+
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS legacy_id VARCHAR(24) UNIQUE;
+
+-- Verify
+SELECT 'Legacy job and application ids added successfully' as status;
@@ -0,0 +1,56 @@
+-- Atomic message edits and per-participant hiding
+-- Run this in Supabase SQL Editor, after add_message_interactions.sql
+
+-- Edit a message and record the version it replaces in one transaction. The
+-- row is locked, so concurrent edits each record the content they replaced.
+-- Returns no row when the message is missing or deleted for everyone.
+CREATE OR REPLACE FUNCTION edit_message(p_message_id UUID, p_editor_id UUID, p_content TEXT)
+RETURNS SETOF messages AS $$
+DECLARE
+  current_message messages%ROWTYPE;
+  edited TIMESTAMP WITH TIME ZONE := NOW();
+BEGIN
+  SELECT * INTO current_message
+  FROM messages
+  WHERE id = p_message_id AND deleted_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO message_edits (message_id, editor_id, previous_content, edited_at)
+  VALUES (p_message_id, p_editor_id, current_message.content, edited);
+
+  RETURN QUERY
+  UPDATE messages
+  SET content = p_content, edited_at = edited, updated_at = edited
+  WHERE id = p_message_id
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add a participant to hidden_for without overwriting anyone else's hide
+CREATE OR REPLACE FUNCTION hide_message_for(p_message_id UUID, p_user_id UUID)
+RETURNS SETOF messages AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE messages
+  SET hidden_for = array_append(hidden_for, p_user_id)
+  WHERE id = p_message_id AND NOT (p_user_id = ANY(hidden_for))
+  RETURNING *;
+
+  -- Already hidden for this participant
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT * FROM messages WHERE id = p_message_id;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION edit_message(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION hide_message_for(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION edit_message(UUID, UUID, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION hide_message_for(UUID, UUID) TO service_role;
+
+-- Verify
+SELECT 'Message edit functions created successfully' as status;
@@ -0,0 +1,122 @@
+-- Message editing, deletion, reactions and read receipts
+-- Run this in Supabase SQL Editor
+
+-- edited_at: last edit; deleted_at/deleted_by: deleted for everyone;
+-- hidden_for: participants who deleted the message for themselves
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS hidden_for UUID[] NOT NULL DEFAULT '{}';
+
+-- Previous versions of edited messages, oldest first
+CREATE TABLE IF NOT EXISTS message_edits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  editor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  previous_content TEXT NOT NULL,
+  edited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message
+  ON message_edits(message_id, edited_at);
+
+-- One row per (message, user, emoji)
+CREATE TABLE IF NOT EXISTS message_reactions (
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  emoji VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (message_id, user_id, emoji)
+);
+
+-- RLS Policies
+ALTER TABLE message_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view message edits" ON message_edits
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM messages m
+      WHERE m.id = message_id
+        AND auth.uid() IN (m.sender_id, m.recipient_id)
+    )
+  );
+
+CREATE POLICY "Participants can view reactions" ON message_reactions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM messages m
+      WHERE m.id = message_id
+        AND auth.uid() IN (m.sender_id, m.recipient_id)
+    )
+  );
+
+CREATE POLICY "Users can manage own reactions" ON message_reactions
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Conversation list: skip messages the caller hid, blank deleted ones
+CREATE OR REPLACE FUNCTION get_user_conversations(p_user_id UUID)
+RETURNS TABLE (
+  id UUID,
+  type TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  other_user_id UUID,
+  other_user_name TEXT,
+  other_user_profile_image TEXT,
+  other_user_role TEXT,
+  last_message_id UUID,
+  last_message_content TEXT,
+  last_message_type TEXT,
+  last_message_sender_id UUID,
+  last_message_created_at TIMESTAMP WITH TIME ZONE,
+  unread_count BIGINT
+) AS $$
+  SELECT
+    c.id,
+    c.type::TEXT,
+    c.created_at,
+    c.updated_at,
+    other.id,
+    other.name::TEXT,
+    other.profile_image::TEXT,
+    other.role::TEXT,
+    last_message.id,
+    CASE WHEN last_message.deleted_at IS NULL THEN last_message.content::TEXT END,
+    last_message.message_type::TEXT,
+    last_message.sender_id,
+    last_message.created_at,
+    COALESCE(unread.count, 0)
+  FROM conversations c
+  LEFT JOIN users other
+    ON other.id = CASE
+      WHEN c.participant_1 = p_user_id THEN c.participant_2
+      ELSE c.participant_1
+    END
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.content, m.message_type, m.sender_id, m.created_at, m.deleted_at
+    FROM messages m
+    WHERE m.conversation_id = c.id
+      AND NOT (p_user_id = ANY(m.hidden_for))
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT 1
+  ) last_message ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) AS count
+    FROM messages m
+    WHERE m.conversation_id = c.id
+      AND m.recipient_id = p_user_id
+      AND m.read_at IS NULL
+      AND m.deleted_at IS NULL
+      AND NOT (p_user_id = ANY(m.hidden_for))
+  ) unread ON TRUE
+  WHERE c.participant_1 = p_user_id OR c.participant_2 = p_user_id
+  ORDER BY COALESCE(last_message.created_at, c.created_at) DESC;
+$$ LANGUAGE sql STABLE;
+
+REVOKE ALL ON FUNCTION get_user_conversations(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_user_conversations(UUID) TO service_role;
+
+-- Verify
+SELECT 'Message interactions migration applied successfully' as status;
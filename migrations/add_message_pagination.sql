@@ -0,0 +1,75 @@
+-- Keyset pagination for message history and an aggregated conversation list
+-- Run this in Supabase SQL Editor
+
+-- Message history pages walk (created_at, id) within a conversation
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created
+  ON messages(conversation_id, created_at DESC, id DESC);
+
+-- Per-conversation unread counts
+CREATE INDEX IF NOT EXISTS idx_messages_unread
+  ON messages(recipient_id, conversation_id) WHERE read_at IS NULL;
+
+-- One row per conversation of p_user_id with the other participant, the last
+-- message and the caller's unread count, newest activity first
+CREATE OR REPLACE FUNCTION get_user_conversations(p_user_id UUID)
+RETURNS TABLE (
+  id UUID,
+  type TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE,
+  other_user_id UUID,
+  other_user_name TEXT,
+  other_user_profile_image TEXT,
+  other_user_role TEXT,
+  last_message_id UUID,
+  last_message_content TEXT,
+  last_message_type TEXT,
+  last_message_sender_id UUID,
+  last_message_created_at TIMESTAMP WITH TIME ZONE,
+  unread_count BIGINT
+) AS $$
+  SELECT
+    c.id,
+    c.type::TEXT,
+    c.created_at,
+    c.updated_at,
+    other.id,
+    other.name::TEXT,
+    other.profile_image::TEXT,
+    other.role::TEXT,
+    last_message.id,
+    last_message.content::TEXT,
+    last_message.message_type::TEXT,
+    last_message.sender_id,
+    last_message.created_at,
+    COALESCE(unread.count, 0)
+  FROM conversations c
+  LEFT JOIN users other
+    ON other.id = CASE
+      WHEN c.participant_1 = p_user_id THEN c.participant_2
+      ELSE c.participant_1
+    END
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.content, m.message_type, m.sender_id, m.created_at
+    FROM messages m
+    WHERE m.conversation_id = c.id
+    ORDER BY m.created_at DESC, m.id DESC
+    LIMIT 1
+  ) last_message ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*) AS count
+    FROM messages m
+    WHERE m.conversation_id = c.id
+      AND m.recipient_id = p_user_id
+      AND m.read_at IS NULL
+  ) unread ON TRUE
+  WHERE c.participant_1 = p_user_id OR c.participant_2 = p_user_id
+  ORDER BY COALESCE(last_message.created_at, c.created_at) DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Only the backend (service role) may list another user's conversations
+REVOKE ALL ON FUNCTION get_user_conversations(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_user_conversations(UUID) TO service_role;
+
+-- Verify
+SELECT 'Message pagination migration applied successfully' as status;
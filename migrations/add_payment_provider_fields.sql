@@ -0,0 +1,51 @@
+-- Payment provider integration
+-- Run this in Supabase SQL Editor
+
+-- Provider tracking fields on payments
+ALTER TABLE payments
+ADD COLUMN IF NOT EXISTS provider VARCHAR(30) DEFAULT 'manual',
+ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(255),
+ADD COLUMN IF NOT EXISTS provider_payment_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS provider_status VARCHAR(30),
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255),
+ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'PHP',
+ADD COLUMN IF NOT EXISTS payment_type VARCHAR(20) DEFAULT 'full',
+ADD COLUMN IF NOT EXISTS checkout_url TEXT;
+
+-- One charge per idempotency key, one row per provider reference
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_idempotency_key ON payments(idempotency_key)
+WHERE idempotency_key IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider, provider_reference)
+WHERE provider_reference IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_parent ON payments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_payments_caregiver ON payments(caregiver_id);
+
+-- Webhook event log (deduplicates provider retries)
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider VARCHAR(30) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100),
+  payment_id UUID REFERENCES payments(id) ON DELETE SET NULL,
+  payload JSONB,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (provider, event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_payment ON payment_webhook_events(payment_id);
+
+-- RLS Policies
+ALTER TABLE payment_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Admins can view webhook events
+CREATE POLICY "Admins can view payment webhook events" ON payment_webhook_events
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE users.id = auth.uid()
+      AND users.role IN ('admin', 'superadmin')
+    )
+  );
+
+-- Verify
+SELECT 'Payment provider fields created successfully' as status;
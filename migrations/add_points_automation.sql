@@ -0,0 +1,34 @@
+-- Automatic points: ledger sources and configurable rules
+-- Run this in Supabase SQL Editor after create_points_tables.sql
+
+-- What produced each ledger entry (booking completion, rating, manual award)
+ALTER TABLE caregiver_points_ledger
+  ADD COLUMN IF NOT EXISTS source_type VARCHAR(30),
+  ADD COLUMN IF NOT EXISTS source_id TEXT;
+
+-- A booking or rating awards each metric at most once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_ledger_source
+  ON caregiver_points_ledger(caregiver_id, metric, source_type, source_id)
+  WHERE source_id IS NOT NULL;
+
+-- Single-row rule table (deltas per metric, tier thresholds)
+CREATE TABLE IF NOT EXISTS points_rules (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  rules JSONB NOT NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE points_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage points rules" ON points_rules
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE users.id = auth.uid()
+      AND users.role IN ('admin', 'superadmin')
+    )
+  );
+
+-- Verify
+SELECT 'Points automation columns and rules table created successfully' as status;
@@ -0,0 +1,20 @@
+-- Rich message types: attachments and structured cards
+-- Run this in Supabase SQL Editor
+
+-- attachments: [{ path, mimetype, size, name }] in the message-attachments bucket
+-- payload: card data for booking_proposal / job_link messages
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS attachments JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS payload JSONB;
+
+-- Bookings created by accepting a booking proposal card
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS source_message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+
+-- Private bucket; the API hands out signed URLs to conversation participants
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('message-attachments', 'message-attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- Verify
+SELECT 'Rich message types migration applied successfully' as status;
@@ -0,0 +1,60 @@
+-- Atomic Solana settlement
+-- Run this in Supabase SQL Editor, after create_solana_payments_table.sql and
+-- add_payment_provider_fields.sql
+
+-- Record a verified on-chain payment and its mirror in `payments` (where
+-- admins review and refund it) in one transaction, so neither row exists
+-- without the other. A reused signature fails with the unique violation
+-- (23505) and writes nothing.
+CREATE OR REPLACE FUNCTION settle_solana_payment(
+  p_signature VARCHAR,
+  p_booking_id UUID,
+  p_payer_id UUID,
+  p_caregiver_id UUID,
+  p_recipient VARCHAR,
+  p_mint VARCHAR,
+  p_amount NUMERIC,
+  p_memo TEXT,
+  p_slot BIGINT,
+  p_block_time TIMESTAMP WITH TIME ZONE,
+  p_status VARCHAR,
+  p_total_amount NUMERIC
+)
+RETURNS SETOF solana_payments AS $$
+DECLARE
+  settled solana_payments%ROWTYPE;
+BEGIN
+  INSERT INTO solana_payments (
+    signature, booking_id, payer_id, caregiver_id, recipient, mint, amount,
+    memo, slot, block_time, status, verified_at
+  )
+  VALUES (
+    p_signature, p_booking_id, p_payer_id, p_caregiver_id, p_recipient, p_mint,
+    p_amount, p_memo, p_slot, p_block_time, p_status, NOW()
+  )
+  RETURNING * INTO settled;
+
+  INSERT INTO payments (
+    booking_id, parent_id, caregiver_id, total_amount, payment_status,
+    provider, provider_reference, provider_status, created_at, updated_at
+  )
+  VALUES (
+    p_booking_id, p_payer_id, p_caregiver_id, p_total_amount, 'paid',
+    'solana', p_signature, settled.status, NOW(), NOW()
+  );
+
+  RETURN NEXT settled;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE ALL ON FUNCTION settle_solana_payment(
+  VARCHAR, UUID, UUID, UUID, VARCHAR, VARCHAR, NUMERIC, TEXT, BIGINT,
+  TIMESTAMP WITH TIME ZONE, VARCHAR, NUMERIC
+) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION settle_solana_payment(
+  VARCHAR, UUID, UUID, UUID, VARCHAR, VARCHAR, NUMERIC, TEXT, BIGINT,
+  TIMESTAMP WITH TIME ZONE, VARCHAR, NUMERIC
+) TO service_role;
+
+-- Verify
+SELECT 'Solana settlement function created successfully' as status;
@@ -0,0 +1,69 @@
+-- Recurring booking series (standing care schedules)
+-- Run this in Supabase SQL Editor
+
+-- rrule: RFC 5545 subset (FREQ=DAILY|WEEKLY, INTERVAL, BYDAY, COUNT|UNTIL)
+-- exdates: occurrence dates skipped without shifting COUNT
+-- materialized_through: last date bookings have been generated for
+-- previous_series_id: set when an "all future" edit split an older series
+CREATE TABLE IF NOT EXISTS booking_series (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  parent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  caregiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  rrule TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  start_time VARCHAR(5) NOT NULL,
+  end_time VARCHAR(5) NOT NULL,
+  exdates DATE[] NOT NULL DEFAULT '{}',
+  hourly_rate NUMERIC(10, 2),
+  address TEXT,
+  special_instructions TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'ended', 'cancelled')),
+  materialized_through DATE,
+  previous_series_id UUID REFERENCES booking_series(id) ON DELETE SET NULL,
+  cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (parent_id <> caregiver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_series_parent ON booking_series(parent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_booking_series_caregiver ON booking_series(caregiver_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_booking_series_extend
+  ON booking_series(materialized_through) WHERE status = 'active';
+
+-- Each occurrence is a regular booking. occurrence_date is the date the rule
+-- produced it for and stays put when that one occurrence is moved;
+-- is_modified marks occurrences edited on their own
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES booking_series(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS occurrence_date DATE,
+ADD COLUMN IF NOT EXISTS is_modified BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_series_occurrence
+  ON bookings(series_id, occurrence_date) WHERE series_id IS NOT NULL;
+
+-- RLS Policies
+ALTER TABLE booking_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Parties can view own booking series" ON booking_series
+  FOR SELECT USING (auth.uid() IN (parent_id, caregiver_id));
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_booking_series_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER booking_series_updated_at
+  BEFORE UPDATE ON booking_series
+  FOR EACH ROW
+  EXECUTE FUNCTION update_booking_series_updated_at();
+
+-- Verify
+SELECT 'Booking series table created successfully' as status;
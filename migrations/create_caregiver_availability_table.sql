@@ -0,0 +1,44 @@
+-- Caregiver availability calendar
+-- Run this in Supabase SQL Editor
+
+-- One row per caregiver. Times are wall-clock "HH:MM" in the caregiver's time_zone.
+--   weekly_slots:  [{ "day": "monday", "start": "08:00", "end": "12:00" }]
+--   overrides:     [{ "date": "2025-12-24", "slots": [{ "start": "09:00", "end": "11:00" }] }]
+--   blackouts:     [{ "start": "2025-12-25", "end": "2025-12-26", "reason": "Holiday" }]
+CREATE TABLE IF NOT EXISTS caregiver_availability (
+  caregiver_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Manila',
+  weekly_slots JSONB NOT NULL DEFAULT '[]'::jsonb,
+  overrides JSONB NOT NULL DEFAULT '[]'::jsonb,
+  blackouts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS Policies
+ALTER TABLE caregiver_availability ENABLE ROW LEVEL SECURITY;
+
+-- Anyone signed in can read availability (used by search)
+CREATE POLICY "Authenticated users can view availability" ON caregiver_availability
+  FOR SELECT USING (auth.role() = 'authenticated');
+
+-- Caregivers manage their own availability
+CREATE POLICY "Caregivers can manage own availability" ON caregiver_availability
+  FOR ALL USING (auth.uid() = caregiver_id);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_caregiver_availability_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER caregiver_availability_updated_at
+  BEFORE UPDATE ON caregiver_availability
+  FOR EACH ROW
+  EXECUTE FUNCTION update_caregiver_availability_updated_at();
+
+-- Verify
+SELECT 'Caregiver availability table created successfully' as status;
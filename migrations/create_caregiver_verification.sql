@@ -0,0 +1,79 @@
+-- Caregiver verification: typed documents with expiry, admin review, expiry
+-- reminders and search visibility
+-- Run this in Supabase SQL Editor
+
+-- Documents are reviewed by an admin: pending -> approved | rejected. An
+-- approved document stops counting once expiry_date has passed; see
+-- services/caregiverVerification.js for the document types and what each
+-- points tier requires.
+ALTER TABLE caregiver_documents
+ADD COLUMN IF NOT EXISTS document_type VARCHAR(40),
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending'
+  CHECK (status IN ('pending', 'approved', 'rejected')),
+ADD COLUMN IF NOT EXISTS expiry_date DATE,
+ADD COLUMN IF NOT EXISTS file_path TEXT,
+ADD COLUMN IF NOT EXISTS mime_type VARCHAR(100),
+ADD COLUMN IF NOT EXISTS file_size BIGINT,
+ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+-- Documents verified before the review workflow count as approved
+UPDATE caregiver_documents SET status = 'approved' WHERE verified = true AND status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_documents_review
+  ON caregiver_documents(status, uploaded_at);
+CREATE INDEX IF NOT EXISTS idx_caregiver_documents_user_type
+  ON caregiver_documents(user_id, document_type);
+
+-- Derived from documents, background check, certifications and points tier
+-- whenever one of them changes, and about every 12 hours (by the hourly sweep)
+-- while something is about to expire.
+-- next_expiry_date is the earliest upcoming expiry the reminder sweep watches.
+ALTER TABLE caregiver_profiles
+ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20) NOT NULL DEFAULT 'incomplete'
+  CHECK (verification_status IN ('incomplete', 'pending', 'verified', 'lapsed')),
+ADD COLUMN IF NOT EXISTS search_visibility VARCHAR(20) NOT NULL DEFAULT 'standard'
+  CHECK (search_visibility IN ('standard', 'reduced')),
+ADD COLUMN IF NOT EXISTS verification_lapsed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS verification_checked_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS next_expiry_date DATE;
+
+-- Seed the sweep from background checks already on file
+UPDATE caregiver_profiles cp
+SET next_expiry_date = bc.expiry_date
+FROM caregiver_background_checks bc
+WHERE bc.user_id = cp.user_id
+  AND bc.status = 'approved'
+  AND bc.expiry_date >= CURRENT_DATE
+  AND cp.next_expiry_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_caregiver_profiles_next_expiry
+  ON caregiver_profiles(next_expiry_date) WHERE next_expiry_date IS NOT NULL;
+
+-- One reminder per item, expiry date and threshold (days before expiry)
+CREATE TABLE IF NOT EXISTS verification_reminders (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- "document:<id>", "backgroundCheck" or "certification:<name>"
+  item_key TEXT NOT NULL,
+  expiry_date DATE NOT NULL,
+  days_before INTEGER NOT NULL,
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, item_key, expiry_date, days_before)
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_reminders_user
+  ON verification_reminders(user_id, sent_at DESC);
+
+-- Private bucket; admins and the owner get signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('caregiver-documents', 'caregiver-documents', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- RLS Policies
+ALTER TABLE verification_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own verification reminders" ON verification_reminders
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Verify
+SELECT 'Caregiver verification workflow created successfully!' as status;
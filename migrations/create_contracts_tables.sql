@@ -0,0 +1,106 @@
+-- Contracts with versioned terms and e-signatures
+-- Run this in Supabase SQL Editor
+
+-- status: proposed (v1 awaiting a response), countered (a newer version awaits
+-- a response), active (both parties signed current_version), declined,
+-- cancelled, completed
+CREATE TABLE IF NOT EXISTS contracts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  parent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  caregiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'countered', 'active', 'declined', 'cancelled', 'completed')),
+  current_version INTEGER NOT NULL DEFAULT 1,
+  signed_at TIMESTAMP WITH TIME ZONE,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (parent_id <> caregiver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contracts_parent ON contracts(parent_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_contracts_caregiver ON contracts(caregiver_id, created_at DESC);
+
+-- Every proposal or counter-offer is a new immutable version.
+-- content_hash: SHA-256 of the canonical terms both parties sign
+CREATE TABLE IF NOT EXISTS contract_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  terms JSONB NOT NULL,
+  content_hash CHAR(64) NOT NULL,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (contract_id, version)
+);
+
+-- Signer identity is snapshotted at signing time
+CREATE TABLE IF NOT EXISTS contract_signatures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  signer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  signer_role VARCHAR(20) NOT NULL CHECK (signer_role IN ('parent', 'caregiver')),
+  signer_name TEXT,
+  signer_email TEXT,
+  content_hash CHAR(64) NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  signed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (contract_id, version, signer_role),
+  FOREIGN KEY (contract_id, version)
+    REFERENCES contract_versions(contract_id, version) ON DELETE CASCADE
+);
+
+-- Bookings governed by a signed contract
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS contract_id UUID REFERENCES contracts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_contract
+  ON bookings(contract_id) WHERE contract_id IS NOT NULL;
+
+-- RLS Policies
+ALTER TABLE contracts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contract_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contract_signatures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Parties can view own contracts" ON contracts
+  FOR SELECT USING (auth.uid() IN (parent_id, caregiver_id));
+
+CREATE POLICY "Parties can view contract versions" ON contract_versions
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM contracts c
+      WHERE c.id = contract_id
+        AND auth.uid() IN (c.parent_id, c.caregiver_id)
+    )
+  );
+
+CREATE POLICY "Parties can view contract signatures" ON contract_signatures
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM contracts c
+      WHERE c.id = contract_id
+        AND auth.uid() IN (c.parent_id, c.caregiver_id)
+    )
+  );
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_contracts_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER contracts_updated_at
+  BEFORE UPDATE ON contracts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_contracts_updated_at();
+
+-- Verify
+SELECT 'Contract tables created successfully' as status;
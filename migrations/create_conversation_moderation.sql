@@ -0,0 +1,44 @@
+-- Chat moderation: user block and mute lists, conversation reports
+-- Run this in Supabase SQL Editor
+
+-- Blocks stop messages in both directions
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+-- Mutes only silence notifications; muted_until NULL means indefinitely
+CREATE TABLE IF NOT EXISTS user_mutes (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  muted_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  muted_until TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (user_id, muted_user_id),
+  CHECK (user_id <> muted_user_id)
+);
+
+-- Reports raised from a conversation keep the offending messages as evidence
+ALTER TABLE user_reports
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS message_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_reports_conversation
+  ON user_reports(conversation_id) WHERE conversation_id IS NOT NULL;
+
+-- RLS Policies
+ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_mutes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own blocks" ON user_blocks
+  FOR ALL USING (auth.uid() = blocker_id);
+
+CREATE POLICY "Users can manage own mutes" ON user_mutes
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Verify
+SELECT 'Conversation moderation tables created successfully' as status;
@@ -0,0 +1,63 @@
+-- Data-subject requests: data exports and account erasure
+-- Run this in Supabase SQL Editor
+
+-- export:  pending -> processing -> ready -> expired (archive removed), or failed
+-- erasure: scheduled (cooling-off) -> processing -> completed, or cancelled / failed
+-- A failed run goes back to pending/scheduled until attempts runs out.
+CREATE TABLE IF NOT EXISTS data_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(20) NOT NULL CHECK (type IN ('export', 'erasure')),
+  status VARCHAR(20) NOT NULL
+    CHECK (status IN ('pending', 'processing', 'ready', 'expired', 'scheduled', 'cancelled', 'completed', 'failed')),
+  reason TEXT,
+  scheduled_for TIMESTAMP WITH TIME ZONE,
+  storage_path TEXT,
+  file_size BIGINT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  -- Records exported, or closed and erased, per category
+  summary JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One open request of each type per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_data_requests_open
+  ON data_requests(user_id, type) WHERE status IN ('pending', 'processing', 'scheduled');
+CREATE INDEX IF NOT EXISTS idx_data_requests_due
+  ON data_requests(type, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_data_requests_user
+  ON data_requests(user_id, created_at DESC);
+
+-- Private bucket; the API hands out signed URLs to the owner
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('data-exports', 'data-exports', false)
+ON CONFLICT (id) DO NOTHING;
+
+-- RLS Policies
+ALTER TABLE data_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own data requests" ON data_requests
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_data_requests_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER data_requests_updated_at
+  BEFORE UPDATE ON data_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_data_requests_updated_at();
+
+-- Verify
+SELECT 'Data request table created successfully' as status;
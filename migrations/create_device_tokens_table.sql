@@ -0,0 +1,38 @@
+-- Push notification device tokens
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  platform VARCHAR(20) NOT NULL DEFAULT 'unknown'
+    CHECK (platform IN ('ios', 'android', 'web', 'unknown')),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens(user_id);
+
+-- RLS Policies
+ALTER TABLE device_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own device tokens" ON device_tokens
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_device_tokens_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER device_tokens_updated_at
+  BEFORE UPDATE ON device_tokens
+  FOR EACH ROW
+  EXECUTE FUNCTION update_device_tokens_updated_at();
+
+-- Verify
+SELECT 'Device tokens table created successfully' as status;
@@ -0,0 +1,94 @@
+-- Hiring pipeline: job applications and interviews
+-- Run this in Supabase SQL Editor
+
+-- pending -> shortlisted -> accepted | rejected; caregivers may withdraw while
+-- the application is still open. booking_id / contract_id are what hiring
+-- the caregiver created.
+CREATE TABLE IF NOT EXISTS applications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  caregiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  cover_letter TEXT,
+  proposed_rate NUMERIC(10, 2),
+  message TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'shortlisted', 'accepted', 'rejected', 'withdrawn', 'completed')),
+  feedback TEXT,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  contract_id UUID REFERENCES contracts(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (job_id, caregiver_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_job ON applications(job_id, status);
+CREATE INDEX IF NOT EXISTS idx_applications_caregiver ON applications(caregiver_id, created_at DESC);
+
+-- Interviews between the parent and a shortlisted caregiver. Either side may
+-- propose a time; the other side confirms or declines it.
+-- location: address for in-person interviews, a link or number otherwise
+CREATE TABLE IF NOT EXISTS application_interviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  parent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  caregiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  duration_minutes INTEGER NOT NULL DEFAULT 30
+    CHECK (duration_minutes BETWEEN 15 AND 240),
+  mode VARCHAR(20) NOT NULL DEFAULT 'video'
+    CHECK (mode IN ('video', 'phone', 'in_person')),
+  location TEXT,
+  notes TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'proposed'
+    CHECK (status IN ('proposed', 'confirmed', 'declined', 'cancelled', 'completed')),
+  proposed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one interview per application is being arranged or awaited
+CREATE UNIQUE INDEX IF NOT EXISTS idx_application_interviews_open
+  ON application_interviews(application_id) WHERE status IN ('proposed', 'confirmed');
+CREATE INDEX IF NOT EXISTS idx_application_interviews_job
+  ON application_interviews(job_id, scheduled_at);
+
+-- RLS Policies
+ALTER TABLE applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE application_interviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Caregivers can view own applications" ON applications
+  FOR SELECT USING (auth.uid() = caregiver_id);
+
+CREATE POLICY "Parents can view applications to own jobs" ON applications
+  FOR SELECT USING (
+    EXISTS (SELECT 1 FROM jobs WHERE jobs.id = applications.job_id AND jobs.parent_id = auth.uid())
+  );
+
+CREATE POLICY "Parties can view own interviews" ON application_interviews
+  FOR SELECT USING (auth.uid() IN (parent_id, caregiver_id));
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_hiring_pipeline_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER applications_updated_at
+  BEFORE UPDATE ON applications
+  FOR EACH ROW
+  EXECUTE FUNCTION update_hiring_pipeline_updated_at();
+
+CREATE TRIGGER application_interviews_updated_at
+  BEFORE UPDATE ON application_interviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_hiring_pipeline_updated_at();
+
+-- Verify
+SELECT 'Hiring pipeline tables created successfully' as status;
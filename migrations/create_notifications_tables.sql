@@ -0,0 +1,60 @@
+-- Notification center and per-user delivery preferences
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  type VARCHAR(20) NOT NULL
+    CHECK (type IN ('message', 'booking', 'job', 'application', 'review', 'privacy', 'system')),
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created
+  ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+  ON notifications(user_id) WHERE read_at IS NULL;
+
+-- channels: { "<type>": { "in_app": bool, "email": bool, "push": bool } }
+-- quiet_hours: { "enabled": bool, "start": "HH:MM", "end": "HH:MM", "timeZone": "Area/City" }
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  channels JSONB NOT NULL DEFAULT '{}'::jsonb,
+  quiet_hours JSONB NOT NULL DEFAULT '{"enabled": false}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS Policies
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications" ON notifications
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can mark own notifications read" ON notifications
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own notification preferences" ON notification_preferences
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_notification_preferences_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER notification_preferences_updated_at
+  BEFORE UPDATE ON notification_preferences
+  FOR EACH ROW
+  EXECUTE FUNCTION update_notification_preferences_updated_at();
+
+-- Verify
+SELECT 'Notification tables created successfully' as status;
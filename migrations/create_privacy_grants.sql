@@ -0,0 +1,122 @@
+-- Field-level privacy: settings, information requests, expiring grants and
+-- an access log of every read of a shared field
+-- Run this in Supabase SQL Editor
+
+-- Field keys come from services/privacyService.js, e.g. 'phone',
+-- 'children.allergies'. shared_fields are visible to every signed-in user.
+CREATE TABLE IF NOT EXISTS privacy_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  shared_fields TEXT[] NOT NULL DEFAULT '{}',
+  auto_approve_basic_info BOOLEAN NOT NULL DEFAULT TRUE,
+  default_grant_days INTEGER NOT NULL DEFAULT 30
+    CHECK (default_grant_days BETWEEN 1 AND 365),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS privacy_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  requested_fields TEXT[] NOT NULL,
+  reason TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'denied', 'expired')),
+  shared_fields TEXT[] NOT NULL DEFAULT '{}',
+  responded_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT (NOW() + INTERVAL '30 days'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (requester_id <> target_user_id)
+);
+
+-- One open request per requester and target
+CREATE UNIQUE INDEX IF NOT EXISTS idx_privacy_requests_pending
+  ON privacy_requests(requester_id, target_user_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_privacy_requests_target
+  ON privacy_requests(target_user_id, status, created_at DESC);
+
+-- One row per field shared with one viewer. A grant is live while
+-- revoked_at IS NULL AND expires_at > NOW(); nothing is deleted so the
+-- access log keeps pointing at it.
+CREATE TABLE IF NOT EXISTS privacy_grants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  grantee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  field VARCHAR(64) NOT NULL,
+  request_id UUID REFERENCES privacy_requests(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoke_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (owner_id <> grantee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_grants_lookup
+  ON privacy_grants(owner_id, grantee_id, expires_at) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_privacy_grants_grantee
+  ON privacy_grants(grantee_id, expires_at) WHERE revoked_at IS NULL;
+
+-- grant_id is NULL when the field was read through the owner's shared_fields
+CREATE TABLE IF NOT EXISTS privacy_access_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  viewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  field VARCHAR(64) NOT NULL,
+  grant_id UUID REFERENCES privacy_grants(id) ON DELETE SET NULL,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  accessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_privacy_access_logs_owner
+  ON privacy_access_logs(owner_id, accessed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_privacy_access_logs_grant
+  ON privacy_access_logs(grant_id);
+
+-- RLS Policies
+ALTER TABLE privacy_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE privacy_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE privacy_grants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE privacy_access_logs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own privacy settings" ON privacy_settings
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Parties can view own privacy requests" ON privacy_requests
+  FOR SELECT USING (auth.uid() IN (requester_id, target_user_id));
+
+CREATE POLICY "Parties can view own privacy grants" ON privacy_grants
+  FOR SELECT USING (auth.uid() IN (owner_id, grantee_id));
+
+CREATE POLICY "Owners can view reads of their data" ON privacy_access_logs
+  FOR SELECT USING (auth.uid() = owner_id);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_privacy_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER privacy_settings_updated_at
+  BEFORE UPDATE ON privacy_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_privacy_updated_at();
+
+CREATE TRIGGER privacy_requests_updated_at
+  BEFORE UPDATE ON privacy_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_privacy_updated_at();
+
+CREATE TRIGGER privacy_grants_updated_at
+  BEFORE UPDATE ON privacy_grants
+  FOR EACH ROW
+  EXECUTE FUNCTION update_privacy_updated_at();
+
+-- Verify
+SELECT 'Privacy grant tables created successfully' as status;
@@ -0,0 +1,50 @@
+-- Scheduled job state and locks for the in-process scheduler
+-- Run this in Supabase SQL Editor
+
+-- One row per job. An instance owns a job while locked_until is in the future;
+-- claims are conditional updates, so only one instance runs a job at a time.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name VARCHAR(100) PRIMARY KEY,
+  locked_by TEXT,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_started_at TIMESTAMP WITH TIME ZONE,
+  last_finished_at TIMESTAMP WITH TIME ZONE,
+  last_status VARCHAR(20) CHECK (last_status IN ('running', 'succeeded', 'failed')),
+  last_error TEXT,
+  last_result JSONB,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- RLS Policies (the backend uses the service role; admins may read state)
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view scheduled jobs" ON scheduled_jobs
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE users.id = auth.uid()
+      AND users.role IN ('admin', 'superadmin')
+    )
+  );
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_scheduled_jobs_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER scheduled_jobs_updated_at
+  BEFORE UPDATE ON scheduled_jobs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_scheduled_jobs_updated_at();
+
+-- Index for stale pending booking cleanup
+CREATE INDEX IF NOT EXISTS idx_bookings_status_date ON bookings(status, date);
+
+-- Verify
+SELECT 'Scheduled jobs table created successfully' as status;
@@ -0,0 +1,49 @@
+-- Solana payment verification store
+-- Run this in Supabase SQL Editor
+
+-- Caregiver payout wallets (falls back to the platform treasury when empty)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS solana_wallet_address VARCHAR(64);
+
+-- Verified on-chain payments. The unique signature is the replay guard:
+-- one transaction can settle at most one booking.
+CREATE TABLE IF NOT EXISTS solana_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  signature VARCHAR(128) NOT NULL UNIQUE,
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  payer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  caregiver_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  recipient VARCHAR(64) NOT NULL,
+  mint VARCHAR(64),
+  amount NUMERIC(40, 0) NOT NULL,
+  memo TEXT,
+  slot BIGINT,
+  block_time TIMESTAMP WITH TIME ZONE,
+  status VARCHAR(20) DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'finalized')),
+  verified_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_solana_payments_booking ON solana_payments(booking_id);
+CREATE INDEX IF NOT EXISTS idx_solana_payments_payer ON solana_payments(payer_id);
+CREATE INDEX IF NOT EXISTS idx_solana_payments_caregiver ON solana_payments(caregiver_id);
+
+-- RLS Policies
+ALTER TABLE solana_payments ENABLE ROW LEVEL SECURITY;
+
+-- Parents and caregivers can view their own payments
+CREATE POLICY "Users can view own solana payments" ON solana_payments
+  FOR SELECT USING (auth.uid() = payer_id OR auth.uid() = caregiver_id);
+
+-- Admins can view all payments
+CREATE POLICY "Admins can view all solana payments" ON solana_payments
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM users
+      WHERE users.id = auth.uid()
+      AND users.role IN ('admin', 'superadmin')
+    )
+  );
+
+-- Verify
+SELECT 'Solana payments table created successfully' as status;
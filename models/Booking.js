@@ -46,7 +46,14 @@ const BookingSchema = new mongoose.Schema(
     ],
     status: {
       type: String,
-      enum: ["pending", "confirmed", "completed", "cancelled"],
+      enum: [
+        "pending",
+        "confirmed",
+        "in_progress",
+        "completed",
+        "cancelled",
+        "no_show",
+      ],
       default: "pending",
     },
     paymentProof: {
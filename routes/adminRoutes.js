@@ -57,6 +57,25 @@ router.post("/bookings/:bookingId/start", adminController.startBooking);
 router.post("/bookings/:bookingId/complete", adminController.completeBooking);
 router.post("/bookings/:bookingId/cancel", adminController.cancelBooking);
 
+// Caregiver verification
+router.get("/verification/queue", adminController.getVerificationQueue);
+router.get(
+  "/verification/caregivers/:userId",
+  adminController.getCaregiverVerification,
+);
+router.post(
+  "/verification/documents/:documentId/review",
+  adminController.reviewVerificationDocument,
+);
+router.post(
+  "/verification/background-checks/:userId/review",
+  adminController.reviewCaregiverBackgroundCheck,
+);
+
+// Scheduled maintenance jobs
+router.get("/scheduled-jobs", adminController.listScheduledJobs);
+router.post("/scheduled-jobs/:name/run", adminController.runScheduledJob);
+
 // Payments management
 router.get("/payments", adminController.listPayments);
 router.get("/payments/:id", adminController.getPaymentById);
@@ -87,6 +106,7 @@ const reportController = require("../controllers/reportController");
 router.get("/reports", reportController.getReports);
 router.get("/reports/stats", reportController.getReportStats);
 router.get("/reports/:id", reportController.getReportById);
+router.get("/reports/:id/transcript", reportController.getReportTranscript);
 router.patch("/reports/:id/status", reportController.updateReportStatus);
 
 // Children management (temporarily disabled)
@@ -16,9 +16,9 @@ router.use(authenticate);
 // ];
 
 const validateStatusUpdate = [
-  param("id").isMongoId().withMessage("Valid application ID is required"),
+  param("id").isUUID().withMessage("Valid application ID is required"),
   body("status")
-    .isIn(["pending", "accepted", "rejected", "shortlisted"])
+    .isIn(["pending", "accepted", "rejected", "shortlisted", "completed"])
     .withMessage("Invalid status"),
   body("feedback")
     .optional()
@@ -36,9 +36,6 @@ router.get("/my-applications", applications.getMyApplications);
 // GET /api/applications/my - caregiver's applications (legacy)
 router.get("/my", applications.getMyApplications);
 
-// GET /api/applications/debug - debug caregiver info
-router.get("/debug", applications.debugCaregiverInfo);
-
 // GET /api/applications/:id - get single application
 router.get("/:id", applications.getApplicationById);
 
@@ -49,6 +46,12 @@ router.patch(
   applications.updateApplicationStatus,
 );
 
+// POST /api/applications/:id/interviews - parent invites a shortlisted caregiver
+router.post("/:id/interviews", applications.scheduleInterview);
+
+// PATCH /api/applications/:id/interviews/:interviewId - confirm, decline, reschedule, cancel, complete
+router.patch("/:id/interviews/:interviewId", applications.updateInterview);
+
 // DELETE /api/applications/:id - caregiver withdraws application
 router.delete("/:id", applications.withdrawApplication);
 
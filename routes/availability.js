@@ -1,51 +1,16 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate } = require("../utils/auth");
+const availabilityController = require("../controllers/availabilityController");
 
-// Mock availability data
-let mockAvailability = {};
+// Mounted behind authenticate in app.js
 
-// Get caregiver availability
-router.get("/", authenticate, async (req, res) => {
-  try {
-    const availability = mockAvailability[req.user.id] || {
-      monday: { available: true, startTime: "08:00", endTime: "18:00" },
-      tuesday: { available: true, startTime: "08:00", endTime: "18:00" },
-      wednesday: { available: true, startTime: "08:00", endTime: "18:00" },
-      thursday: { available: true, startTime: "08:00", endTime: "18:00" },
-      friday: { available: true, startTime: "08:00", endTime: "18:00" },
-      saturday: { available: false, startTime: "08:00", endTime: "18:00" },
-      sunday: { available: false, startTime: "08:00", endTime: "18:00" },
-    };
+// GET /api/availability - Get caregiver availability
+router.get("/", availabilityController.getAvailability);
 
-    res.json({
-      success: true,
-      data: availability,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Failed to get availability",
-    });
-  }
-});
+// PUT /api/availability - Replace caregiver availability
+router.put("/", availabilityController.updateAvailability);
 
-// Update caregiver availability
-router.put("/", authenticate, async (req, res) => {
-  try {
-    mockAvailability[req.user.id] = req.body;
-
-    res.json({
-      success: true,
-      message: "Availability updated successfully",
-      data: mockAvailability[req.user.id],
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: "Failed to update availability",
-    });
-  }
-});
+// GET /api/availability/:caregiverId/windows?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get("/:caregiverId/windows", availabilityController.getCaregiverWindows);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const backgroundCheckController = require("../controllers/backgroundCheckController");
+
+// POST /api/background-checks/webhooks/:provider - Provider webhooks (signature-verified)
+router.post("/webhooks/:provider", backgroundCheckController.handleWebhook);
+
+module.exports = router;
@@ -151,6 +151,7 @@ router.post(
   bookingControllerNew.createBooking,
 );
 router.get("/my", bookingControllerNew.getMyBookings);
+router.get("/slot-check", bookingController.checkSlot);
 router.get("/:id", validateBookingId, bookingController.getBookingById);
 router.patch(
   "/:id/status",
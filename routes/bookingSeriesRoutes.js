@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate, authorize } = require("../middleware/auth");
+const {
+  createSeries,
+  getMySeries,
+  getSeries,
+  addException,
+  updateSeries,
+  cancelSeries,
+} = require("../controllers/bookingSeriesController");
+
+// All booking series routes require authentication
+router.use(authenticate);
+
+// Parent sets up a recurring schedule (RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR)
+router.post("/", authorize(["parent"]), createSeries);
+
+// Series of the current parent or caregiver (?status=active|ended|cancelled)
+router.get("/", getMySeries);
+
+// Series with its generated occurrences (either party or admin)
+router.get("/:id", getSeries);
+
+// Edit one occurrence or all future ones ({ scope, occurrenceDate, ...changes })
+router.patch("/:id", authorize(["parent"]), updateSeries);
+
+// Skip a single date (either party)
+router.post("/:id/exceptions", addException);
+
+// Stop the series (either party)
+router.post("/:id/cancel", cancelSeries);
+
+module.exports = router;
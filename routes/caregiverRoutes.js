@@ -9,6 +9,23 @@ const {
   updateCaregiverValidator,
 } = require("../validators/caregiverValidators");
 const rateLimit = require("express-rate-limit");
+const multer = require("multer");
+const { MAX_DOCUMENT_BYTES } = require("../services/caregiverVerification");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Type and per-file checks happen in the verification service
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 },
+});
+
+const singleDocument = (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(ErrorResponse.badRequest(error.message, { file: error.code }));
+    }
+    next(error);
+  });
 
 // Enhanced rate limiting configuration
 const caregiverLimiter = rateLimit({
@@ -36,6 +53,7 @@ const requiredMethods = [
   "uploadDocuments",
   "refreshToken",
   "requestBackgroundCheck",
+  "getVerificationStatus",
 ];
 
 console.log("🔍 Verifying caregiver controller methods...");
@@ -110,9 +128,17 @@ router.post(
   "/documents",
   authenticate,
   checkUserType("caregiver"),
+  singleDocument,
   caregiverController.uploadDocuments,
 );
 
+router.get(
+  "/verification",
+  authenticate,
+  checkUserType("caregiver"),
+  caregiverController.getVerificationStatus,
+);
+
 router.post("/refresh-token", authenticate, caregiverController.refreshToken);
 
 router.post(
@@ -190,6 +216,7 @@ console.log("PUT    /profile       - Update caregiver profile");
 console.log("POST   /documents     - Upload documents");
 console.log("POST   /refresh-token - Refresh auth token");
 console.log("POST   /background-check - Request background check");
+console.log("GET    /verification  - Verification status");
 console.log("GET    /health-check  - Service health check");
 
 module.exports = router;
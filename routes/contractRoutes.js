@@ -1,11 +1,12 @@
 const express = require("express");
 const router = express.Router();
 const contractController = require("../controllers/contractController");
-const { authenticate, authorize, checkUserType } = require("../utils/auth");
+const { authenticate, authorize } = require("../middleware/auth");
 const {
   createContractValidator,
   parentIdValidator,
   contractIdValidator,
+  signContractValidator,
   statusUpdateValidator,
 } = require("../validators/contractValidators");
 const rateLimit = require("express-rate-limit");
@@ -34,45 +35,70 @@ const contractLimiter = rateLimit({
  * @swagger
  * components:
  *   schemas:
- *     Contract:
+ *     ContractTerms:
  *       type: object
  *       required:
- *         - caregiverId
- *         - serviceId
- *         - terms
- *         - price
+ *         - serviceType
+ *         - startDate
+ *         - hours
+ *         - rate
  *       properties:
- *         clientId:
- *           type: string
- *           description: ID of the client (auto-set from auth)
- *         caregiverId:
- *           type: string
- *           description: ID of the caregiver
- *         providerId:
+ *         serviceType:
  *           type: string
- *           description: ID of the provider
- *         serviceId:
- *           type: string
- *           description: ID of the service
- *         terms:
- *           type: string
- *           description: Contract terms
- *         price:
- *           type: number
- *           format: float
- *           description: Agreed price
  *         startDate:
  *           type: string
  *           format: date
- *           description: Contract start date
  *         endDate:
  *           type: string
  *           format: date
- *           description: Contract end date
+ *         hours:
+ *           type: number
+ *         rate:
+ *           type: number
+ *           description: Hourly rate; totalAmount is computed as hours x rate
+ *         address:
+ *           type: object
+ *           properties:
+ *             street: { type: string }
+ *             city: { type: string }
+ *             state: { type: string }
+ *             zipCode: { type: string }
+ *         specialInstructions:
+ *           type: string
+ *         terms:
+ *           type: string
+ *           description: Free-text contract terms
+ *     Contract:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
  *         status:
  *           type: string
- *           enum: [pending, active, completed, cancelled]
- *           default: pending
+ *           enum: [proposed, countered, active, declined, cancelled, completed]
+ *         currentVersion:
+ *           type: integer
+ *         terms:
+ *           $ref: '#/components/schemas/ContractTerms'
+ *         contentHash:
+ *           type: string
+ *           description: SHA-256 of the current version; echo it back when signing
+ *         versions:
+ *           type: array
+ *           items:
+ *             type: object
+ *         signatures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               version: { type: integer }
+ *               signerId: { type: string }
+ *               signerRole: { type: string, enum: [parent, caregiver] }
+ *               signerName: { type: string }
+ *               contentHash: { type: string }
+ *               signedAt: { type: string, format: date-time }
  *     ContractStatusUpdate:
  *       type: object
  *       required:
@@ -80,7 +106,7 @@ const contractLimiter = rateLimit({
  *       properties:
  *         status:
  *           type: string
- *           enum: [approved, rejected, in_progress, completed, cancelled]
+ *           enum: [completed, cancelled]
  *     ContractList:
  *       type: array
  *       items:
@@ -100,7 +126,14 @@ const contractLimiter = rateLimit({
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Contract'
+ *             allOf:
+ *               - $ref: '#/components/schemas/ContractTerms'
+ *               - type: object
+ *                 required: [caregiverId]
+ *                 properties:
+ *                   caregiverId: { type: string, format: uuid }
+ *                   jobId: { type: string, format: uuid }
+ *                   note: { type: string }
  *     responses:
  *       201:
  *         description: Contract created successfully
@@ -113,12 +146,12 @@ const contractLimiter = rateLimit({
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden (client access only)
+ *         description: Forbidden (parent access only)
  */
 router.post(
   "/",
   authenticate,
-  checkUserType("parent"),
+  authorize(["parent"]),
   contractLimiter,
   createContractValidator,
   contractController.createContract,
@@ -138,12 +171,12 @@ router.post(
  *         required: true
  *         schema:
  *           type: string
- *         description: Client ID
+ *         description: Parent ID
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, active, completed, cancelled]
+ *           enum: [proposed, countered, active, declined, cancelled, completed]
  *         description: Filter by contract status
  *     responses:
  *       200:
@@ -180,7 +213,7 @@ router.get(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, active, completed, cancelled]
+ *           enum: [proposed, countered, active, declined, cancelled, completed]
  *         description: Filter by contract status
  *     responses:
  *       200:
@@ -199,16 +232,182 @@ router.get(
 router.get(
   "/caregiver/:id",
   authenticate,
-  checkUserType("caregiver"),
+  authorize(["caregiver"]),
   contractLimiter,
   contractController.getCaregiverContracts,
 );
 
+/**
+ * @swagger
+ * /api/contracts/{id}:
+ *   get:
+ *     summary: Get a contract with all versions and signatures
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contract
+ *       404:
+ *         description: Contract not found
+ */
+router.get(
+  "/:id",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  contractController.getContract,
+);
+
+/**
+ * @swagger
+ * /api/contracts/{id}/counter:
+ *   post:
+ *     summary: Counter-offer with changed terms (creates the next version)
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             description: Any ContractTerms fields to change, plus an optional note
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Contract with the new version
+ *       409:
+ *         description: Not your turn, or the contract is no longer open
+ */
+router.post(
+  "/:id/counter",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  contractController.counterContract,
+);
+
+/**
+ * @swagger
+ * /api/contracts/{id}/sign:
+ *   post:
+ *     summary: Sign the current version
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version, contentHash]
+ *             properties:
+ *               version: { type: integer }
+ *               contentHash: { type: string }
+ *     responses:
+ *       200:
+ *         description: Signed; active once both parties signed the same version
+ *       409:
+ *         description: Terms changed since they were displayed, or already signed
+ */
+router.post(
+  "/:id/sign",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  signContractValidator,
+  contractController.signContract,
+);
+
+/**
+ * @swagger
+ * /api/contracts/{id}/decline:
+ *   post:
+ *     summary: Decline a contract that is still being negotiated
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Contract declined
+ */
+router.post(
+  "/:id/decline",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  contractController.declineContract,
+);
+
+/**
+ * @swagger
+ * /api/contracts/{id}/bookings:
+ *   get:
+ *     summary: Bookings governed by the contract
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *   post:
+ *     summary: Link a booking between the same parties to an active contract
+ *     tags: [Contracts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [bookingId]
+ *             properties:
+ *               bookingId: { type: string, format: uuid }
+ */
+router.get(
+  "/:id/bookings",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  contractController.getContractBookings,
+);
+router.post(
+  "/:id/bookings",
+  authenticate,
+  contractLimiter,
+  contractIdValidator,
+  contractController.linkBooking,
+);
+
 /**
  * @swagger
  * /api/contracts/{id}/status:
  *   put:
- *     summary: Update contract status
+ *     summary: Close an active contract (completed or cancelled)
  *     tags: [Contracts]
  *     security:
  *       - bearerAuth: []
@@ -236,8 +435,6 @@ router.get(
  *         description: Invalid status update
  *       401:
  *         description: Unauthorized
- *       403:
- *         description: Forbidden (only involved parties can update)
  *       404:
  *         description: Contract not found
  */
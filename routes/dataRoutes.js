@@ -1,46 +1,34 @@
 const express = require("express");
 const router = express.Router();
 const { authenticate } = require("../middleware/auth");
-
-// Mock data controller for now
-const dataController = {
-  exportUserData: async (req, res) => {
-    res.json({
-      success: true,
-      message: "Data export not implemented yet",
-      data: { exportId: "mock-export-id" },
-    });
-  },
-
-  deleteUserData: async (req, res) => {
-    res.json({
-      success: true,
-      message: "Data deletion not implemented yet",
-    });
-  },
-
-  getDataUsage: async (req, res) => {
-    res.json({
-      success: true,
-      data: {
-        storageUsed: "0 MB",
-        messagesCount: 0,
-        documentsCount: 0,
-      },
-    });
-  },
-};
+const {
+  exportUserData,
+  getExportStatus,
+  getDataRequests,
+  deleteUserData,
+  cancelDeletion,
+  getDataUsage,
+} = require("../controllers/dataController");
 
 // All data routes require authentication
 router.use(authenticate);
 
-// GET /api/data/export - Export user data
-router.get("/export", dataController.exportUserData);
+// POST /api/data/export - Request an export of the user's data
+router.post("/export", exportUserData);
+
+// GET /api/data/export - Latest export, with a download link once ready
+router.get("/export", getExportStatus);
+
+// GET /api/data/requests - Export and deletion requests
+router.get("/requests", getDataRequests);
+
+// DELETE /api/data/delete - Schedule account deletion after the cooling-off period
+router.delete("/delete", deleteUserData);
 
-// DELETE /api/data/delete - Delete user data
-router.delete("/delete", dataController.deleteUserData);
+// POST /api/data/delete/cancel - Cancel a scheduled account deletion
+router.post("/delete/cancel", cancelDeletion);
 
 // GET /api/data/usage - Get data usage statistics
-router.get("/usage", dataController.getDataUsage);
+router.get("/usage", getDataUsage);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const {
+  getContractPdf,
+  getReceiptPdf,
+  getStatementPdf,
+} = require("../controllers/documentController");
+
+// All document downloads require authentication
+router.use(authenticate);
+
+// Contract PDF (either party or admin)
+router.get("/contracts/:id", getContractPdf);
+
+// Receipt for an approved payment (parent, caregiver or admin)
+router.get("/receipts/:paymentId", getReceiptPdf);
+
+// Monthly statement of the current user's payments (YYYY-MM)
+router.get("/statements/:month", getStatementPdf);
+
+module.exports = router;
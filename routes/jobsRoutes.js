@@ -1,7 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const jobController = require("../controllers/jobController");
-const { authenticate } = require("../middleware/auth");
+const {
+  getJobApplications,
+  getJobPipeline,
+} = require("../controllers/applicationController");
+const {
+  getRecommendedCaregivers,
+  getRecommendedJobs,
+} = require("../controllers/matchingController");
+const { authenticate, authorize } = require("../middleware/auth");
 
 // GET /api/jobs - Get all jobs (public for caregivers to browse)
 router.get("/", jobController.getAllJobs);
@@ -12,12 +20,29 @@ router.use(authenticate);
 // GET /api/jobs/my - Get current user's jobs (must be before /:id)
 router.get("/my", jobController.getMyJobs);
 
+// GET /api/jobs/recommended - Open jobs ranked for the current caregiver
+router.get("/recommended", authorize(["caregiver"]), getRecommendedJobs);
+
 // POST /api/jobs - Create new job (parents only)
-router.post("/", jobController.createJob);
+router.post("/", authorize(["parent"]), jobController.createJob);
 
 // GET /api/jobs/:id - Get job by ID
 router.get("/:id", jobController.getJobById);
 
+// GET /api/jobs/:id/recommended-caregivers - Caregivers ranked for a job (owner or admin)
+router.get(
+  "/:id/recommended-caregivers",
+  authorize(["parent", "admin", "superadmin"]),
+  getRecommendedCaregivers,
+);
+
+// GET /api/jobs/:id/pipeline - Applications by hiring stage, with interviews (owner or admin)
+router.get(
+  "/:id/pipeline",
+  authorize(["parent", "admin", "superadmin"]),
+  getJobPipeline,
+);
+
 // PUT /api/jobs/:id - Update job
 router.put("/:id", jobController.updateJob);
 
@@ -25,6 +50,6 @@ router.put("/:id", jobController.updateJob);
 router.delete("/:id", jobController.deleteJob);
 
 // GET /api/jobs/:id/applications - Get applications for a job
-router.get("/:id/applications", jobController.getApplicationsForJob);
+router.get("/:id/applications", getJobApplications);
 
 module.exports = router;
@@ -4,16 +4,50 @@
  */
 
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const { authenticate } = require("../middleware/auth");
 const {
   getConversations,
   getMessages,
   sendMessage,
+  uploadAttachment,
+  respondToCard,
   startConversation,
   markAsRead,
+  markMessageRead,
+  editMessage,
+  getMessageEdits,
+  deleteMessage,
+  addReaction,
+  removeReaction,
   getUnreadCount,
 } = require("../controllers/messagingSupabase");
+const {
+  getBlockedUsers,
+  blockUser,
+  unblockUser,
+  getMutedUsers,
+  muteUser,
+  unmuteUser,
+  reportConversation,
+} = require("../controllers/chatModerationController");
+const { MAX_UPLOAD_BYTES } = require("../services/messagePayloads");
+const ErrorResponse = require("../utils/errorResponse");
+
+// Per-type limits are checked in the controller; this is the hard ceiling
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+const singleAttachment = (req, res, next) =>
+  upload.single("file")(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(ErrorResponse.badRequest(error.message, { file: error.code }));
+    }
+    next(error);
+  });
 
 // All messaging routes require authentication
 router.use(authenticate);
@@ -27,6 +61,12 @@ router.get("/conversation/:conversationId", getMessages);
 // Send a message
 router.post("/", sendMessage);
 
+// Upload an image or document to attach to a message
+router.post("/attachments", singleAttachment, uploadAttachment);
+
+// Accept or decline a booking proposal card
+router.post("/:messageId/actions", respondToCard);
+
 // Start a new conversation
 router.post("/start", startConversation);
 
@@ -36,4 +76,31 @@ router.post("/conversation/:conversationId/read", markAsRead);
 // Get unread message count
 router.get("/unread-count", getUnreadCount);
 
+// Report a conversation (optionally blocking the other user)
+router.post("/conversation/:conversationId/report", reportConversation);
+
+// Block list: blocked users cannot message each other
+router.get("/blocks", getBlockedUsers);
+router.post("/blocks", blockUser);
+router.delete("/blocks/:userId", unblockUser);
+
+// Mute list: messages still arrive, without notifications
+router.get("/mutes", getMutedUsers);
+router.post("/mutes", muteUser);
+router.delete("/mutes/:userId", unmuteUser);
+
+// Read receipt for one message
+router.post("/:messageId/read", markMessageRead);
+
+// Edit a message / view its edit history
+router.patch("/:messageId", editMessage);
+router.get("/:messageId/edits", getMessageEdits);
+
+// Delete for yourself (?scope=self) or for everyone (?scope=everyone)
+router.delete("/:messageId", deleteMessage);
+
+// Emoji reactions
+router.post("/:messageId/reactions", addReaction);
+router.delete("/:messageId/reactions/:emoji", removeReaction);
+
 module.exports = router;
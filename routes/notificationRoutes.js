@@ -5,6 +5,8 @@ const {
   getNotifications,
   markAsRead,
   markAllAsRead,
+  getPreferences,
+  updatePreferences,
 } = require("../controllers/notificationController");
 
 // All notification routes require authentication
@@ -13,6 +15,10 @@ router.use(authenticate);
 // Get all notifications for the current user
 router.get("/", getNotifications);
 
+// Per-type channel preferences (in-app, email, push) and quiet hours
+router.get("/preferences", getPreferences);
+router.put("/preferences", updatePreferences);
+
 // Mark a specific notification as read
 router.patch("/:notificationId/read", markAsRead);
 
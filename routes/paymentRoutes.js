@@ -1,42 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const { authenticate } = require("../middleware/auth");
+const paymentController = require("../controllers/paymentController");
 
-// Mock payment controller for now
-const paymentController = {
-  processPayment: async (req, res) => {
-    res.json({
-      success: true,
-      message: "Payment processing not implemented yet",
-      data: { status: "pending" },
-    });
-  },
+// POST /api/payments/webhooks/:provider - Provider webhooks (signature-verified)
+router.post("/webhooks/:provider", paymentController.handleWebhook);
 
-  getPaymentHistory: async (req, res) => {
-    res.json({
-      success: true,
-      data: { payments: [] },
-    });
-  },
-
-  refundPayment: async (req, res) => {
-    res.json({
-      success: true,
-      message: "Refund processing not implemented yet",
-    });
-  },
-};
-
-// All payment routes require authentication
+// All other payment routes require authentication
 router.use(authenticate);
 
-// POST /api/payments/process - Process a payment
+// POST /api/payments/process - Create a charge for a booking
 router.post("/process", paymentController.processPayment);
 
 // GET /api/payments/history - Get payment history
 router.get("/history", paymentController.getPaymentHistory);
 
-// POST /api/payments/:id/refund - Process a refund
+// POST /api/payments/:id/refund - Request a refund
 router.post("/:id/refund", paymentController.refundPayment);
 
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { authenticate, authorize } = require('../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
+const { PointsService } = require('../services/pointsService');
+const { AuditLogService } = require('../services/supabaseService');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -17,51 +19,51 @@ router.post('/award', authenticate, authorize(['admin', 'superadmin']), async (r
       return res.status(400).json({ error: 'caregiverId is required' });
     }
     
-    const deltas = [
-      { metric: 'rating', delta: rating >= 4 ? 10 : rating >= 3 ? 5 : -5, reason: `rating=${rating}` },
-      { metric: 'completion', delta: 5, reason: 'completed booking' },
-      { metric: 'punctuality', delta: punctual ? 5 : -3, reason: punctual ? 'on-time' : 'late' }
-    ];
-    
-    // Insert points
-    for (const { metric, delta, reason: pointReason } of deltas) {
-      const { error } = await supabase.from('caregiver_points_ledger').insert({
-        caregiver_id: caregiverId,
-        metric,
-        delta,
-        reason: reason || pointReason
-      });
-      
-      if (error) {
-        console.error('Points insertion error:', error);
-      }
-    }
-    
-    // Calculate total
-    const { data: ledger } = await supabase
-      .from('caregiver_points_ledger')
-      .select('delta')
-      .eq('caregiver_id', caregiverId);
-    
-    const totalPoints = ledger?.reduce((sum, entry) => sum + entry.delta, 0) || 0;
-    const tier = totalPoints >= 500 ? 'Platinum' : 
-                 totalPoints >= 250 ? 'Gold' : 
-                 totalPoints >= 100 ? 'Silver' : 'Bronze';
-    
-    // Update summary
-    await supabase.from('caregiver_points_summary').upsert({
-      caregiver_id: caregiverId,
-      total_points: totalPoints,
-      last_updated: new Date().toISOString()
+    const { summary } = await PointsService.recordManualAward({
+      caregiverId,
+      rating,
+      punctual,
+      reason
     });
     
-    res.json({ success: true, totalPoints, tier });
+    res.json({ success: true, totalPoints: summary.total_points, tier: summary.tier });
   } catch (error) {
     console.error('Award points error:', error);
     res.status(500).json({ error: 'Failed to award points' });
   }
 });
 
+// Get points rules (admin only)
+router.get('/rules', authenticate, authorize(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const rules = await PointsService.getRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('Fetch points rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch points rules' });
+  }
+});
+
+// Replace points rules (admin only); omitted keys fall back to defaults
+router.put('/rules', authenticate, authorize(['admin', 'superadmin']), async (req, res, next) => {
+  try {
+    const rules = await PointsService.updateRules(req.body || {}, req.user.id);
+    
+    await AuditLogService.create({
+      admin_id: req.user.id,
+      action: 'UPDATE_POINTS_RULES',
+      target_id: null,
+      metadata: { rules }
+    });
+    
+    res.json({ success: true, rules });
+  } catch (error) {
+    if (error.isOperational) return next(error);
+    console.error('Update points rules error:', error);
+    res.status(500).json({ error: 'Failed to update points rules' });
+  }
+});
+
 // Get caregiver points
 router.get('/:caregiverId', authenticate, async (req, res) => {
   try {
@@ -12,6 +12,9 @@ router.get("/settings", privacyController.getPrivacySettings);
 // PUT /api/privacy/settings - Update user's privacy settings
 router.put("/settings", privacyController.updatePrivacySettings);
 
+// GET /api/privacy/fields - Private fields that can be shared or requested
+router.get("/fields", privacyController.getFields);
+
 // POST /api/privacy/request - Request information from another user
 router.post("/request", privacyController.requestInformation);
 
@@ -21,6 +24,27 @@ router.post("/respond", privacyController.respondToRequest);
 // GET /api/privacy/requests - Get pending information requests
 router.get("/requests", privacyController.getPendingRequests);
 
+// GET /api/privacy/requests/sent - Get requests sent by the current user
+router.get("/requests/sent", privacyController.getSentRequests);
+
+// GET /api/privacy/grants?direction=given|received - Get live grants
+router.get("/grants", privacyController.getGrants);
+
+// POST /api/privacy/grants/revoke-all - Revoke everything shared with a user
+router.post("/grants/revoke-all", privacyController.revokeAllForUser);
+
+// POST /api/privacy/grants/:grantId/revoke - Revoke one grant
+router.post("/grants/:grantId/revoke", privacyController.revokeGrant);
+
+// GET /api/privacy/access-log - Who read the current user's private fields
+router.get("/access-log", privacyController.getAccessLog);
+
+// GET /api/privacy/bookings/:bookingId - Preview what a booking shares
+router.get("/bookings/:bookingId", privacyController.getBookingPrivacy);
+
+// PUT /api/privacy/bookings/:bookingId - Override what a booking shares
+router.put("/bookings/:bookingId", privacyController.updateBookingPrivacy);
+
 // GET /api/privacy/notifications - Get privacy notifications
 router.get("/notifications", privacyController.getPrivacyNotifications);
 
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const profileController = require("../controllers/profileController");
+const availabilityController = require("../controllers/availabilityController");
 const { authenticate } = require("../middleware/auth");
 
 // All profile routes require authentication
@@ -22,9 +23,9 @@ router.get("/children", profileController.getChildren);
 router.put("/children", profileController.updateChildren);
 
 // GET /api/profile/availability - Get caregiver availability
-router.get("/availability", profileController.getAvailability);
+router.get("/availability", availabilityController.getAvailability);
 
 // PUT /api/profile/availability - Update caregiver availability
-router.put("/availability", profileController.updateAvailability);
+router.put("/availability", availabilityController.updateAvailability);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const { authenticate } = require("../middleware/auth");
+const {
+  getStatus,
+  streamEvents,
+  sendTyping,
+  getPresence,
+} = require("../controllers/realtimeController");
+
+// EventSource cannot set headers, so the stream also accepts ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === "string") {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+    // Keep the token out of request logs
+    req.originalUrl = req.originalUrl.replace(
+      /access_token=[^&]*/,
+      "access_token=[redacted]",
+    );
+  }
+  next();
+};
+
+// Which transport to use (socket when the Socket.IO server runs, else SSE)
+router.get("/status", authenticate, getStatus);
+
+// Server-Sent Events fallback carrying the same events as Socket.IO
+router.get("/events", tokenFromQuery, authenticate, streamEvents);
+
+// Typing indicators from SSE clients
+router.post("/typing", authenticate, sendTyping);
+
+// Online status (?userIds=a,b,c)
+router.get("/presence", authenticate, getPresence);
+
+module.exports = router;
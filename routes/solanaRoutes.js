@@ -1,44 +1,73 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth');
+const { SolanaVerificationService } = require('../services/solanaVerification');
+const { AuditLogService } = require('../services/supabaseService');
+const ErrorResponse = require('../utils/errorResponse');
 
 // Verify Solana payment
-router.post('/verify', authenticate, async (req, res) => {
+router.post('/verify', authenticate, async (req, res, next) => {
   try {
-    const { signature, bookingId, expected } = req.body;
-    
-    console.log('Payment verification request:', { signature, bookingId, expected });
-    
-    // TODO: Add actual Solana blockchain verification
-    // For now, accept all payments in development
-    
-    res.json({ 
+    const { signature, bookingId } = req.body || {};
+
+    const { payment, replayed } =
+      await SolanaVerificationService.verifyBookingPayment({
+        signature,
+        bookingId,
+        user: req.user,
+      });
+
+    if (!replayed) {
+      await AuditLogService.create({
+        admin_id: req.user.id,
+        action: 'SOLANA_PAYMENT_VERIFIED',
+        target_id: bookingId,
+        metadata: { signature, amount: payment.amount, mint: payment.mint },
+      });
+    }
+
+    res.json({
       success: true,
-      status: 'confirmed', 
-      signature,
-      bookingId,
-      message: 'Payment verified successfully' 
+      status: payment.status,
+      signature: payment.signature,
+      bookingId: payment.booking_id,
+      data: payment,
+      message: replayed
+        ? 'Payment was already verified'
+        : 'Payment verified successfully',
     });
   } catch (error) {
+    if (error.isOperational) return next(error);
     console.error('Payment verification error:', error);
-    res.status(500).json({ error: 'Verification failed' });
+    next(new ErrorResponse('Verification failed', 500));
   }
 });
 
 // Get payment history
-router.get('/history/:userId', authenticate, async (req, res) => {
+router.get('/history/:userId', authenticate, async (req, res, next) => {
   try {
     const { userId } = req.params;
-    
-    // TODO: Fetch from Supabase payments table
-    
-    res.json({ 
+    const { page = 1, limit = 25 } = req.query;
+
+    if (userId !== req.user.id && !['admin', 'superadmin'].includes(req.user.role)) {
+      return next(ErrorResponse.forbidden('Not authorized to view this history'));
+    }
+
+    const result = await SolanaVerificationService.listForUser(userId, {
+      page: Number(page),
+      limit: Number(limit),
+    });
+
+    res.json({
       success: true,
-      payments: []
+      payments: result.payments,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
     });
   } catch (error) {
     console.error('Payment history error:', error);
-    res.status(500).json({ error: 'Failed to fetch payment history' });
+    next(new ErrorResponse('Failed to fetch payment history', 500));
   }
 });
 
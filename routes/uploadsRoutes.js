@@ -1,7 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const multer = require("multer");
-const { supabase } = require("../config/supabase");
+const { uploadToSupabase } = require("../services/storageService");
 
 // Configure multer for memory storage (files will be uploaded to Supabase)
 const storage = multer.memoryStorage();
@@ -27,38 +27,6 @@ const upload = multer({
   },
 });
 
-// Helper function to upload file to Supabase Storage
-const uploadToSupabase = async (file, bucket = "uploads") => {
-  const fileExt = file.originalname.split(".").pop();
-  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.${fileExt}`;
-
-  const { data, error } = await supabase.storage
-    .from(bucket)
-    .upload(fileName, file.buffer, {
-      cacheControl: "3600",
-      upsert: false,
-      contentType: file.mimetype,
-    });
-
-  if (error) {
-    throw new Error(`Supabase upload failed: ${error.message}`);
-  }
-
-  // Get public URL
-  const {
-    data: { publicUrl },
-  } = supabase.storage.from(bucket).getPublicUrl(data.path);
-
-  return {
-    filename: fileName,
-    originalname: file.originalname,
-    mimetype: file.mimetype,
-    size: file.size,
-    url: publicUrl,
-    path: data.path,
-  };
-};
-
 // POST /api/uploads/single - Upload single file
 router.post("/single", upload.single("file"), async (req, res) => {
   try {
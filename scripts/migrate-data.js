@@ -6,7 +6,10 @@
  * This script migrates data from MongoDB collections to Supabase tables.
  * Run this after setting up your Supabase database and storage buckets.
  *
- * Usage: node migrate-data.js
+ * Usage: node migrate-data.js [step...]
+ *   Steps: users, conversations, messages, jobs, applications (default: all).
+ *   Jobs and applications need migrations/add_legacy_job_ids.sql and can be
+ *   re-run; rows already copied are skipped.
  */
 
 const mongoose = require("mongoose");
@@ -36,6 +39,8 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
 // Initialize Supabase client
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
+const { coordinateColumns } = require("../services/geocodingService");
+
 // Migration statistics
 const stats = {
   users: { processed: 0, migrated: 0, errors: 0 },
@@ -140,6 +145,92 @@ function transformMessage(mongoMessage) {
   };
 }
 
+/**
+ * Transform MongoDB job to Supabase format
+ */
+async function transformJob(mongoJob, userIds) {
+  return {
+    legacy_id: mongoJob._id.toString(),
+    parent_id: userIds.get(String(mongoJob.clientId)),
+    title: mongoJob.title,
+    description: mongoJob.description,
+    location: mongoJob.location,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(mongoJob.date || "") ? mongoJob.date : null,
+    start_time: mongoJob.startTime,
+    end_time: mongoJob.endTime,
+    hourly_rate: mongoJob.hourlyRate,
+    number_of_children: mongoJob.numberOfChildren || 1,
+    children_ages: mongoJob.childrenAges,
+    requirements: mongoJob.requirements || [],
+    status: mongoJob.status || "active",
+    created_at: mongoJob.createdAt,
+    updated_at: mongoJob.updatedAt,
+    ...(await coordinateColumns(mongoJob.location)),
+  };
+}
+
+/**
+ * Transform MongoDB application to Supabase format
+ */
+function transformApplication(mongoApplication, userIds, jobIds) {
+  return {
+    legacy_id: mongoApplication._id.toString(),
+    job_id: jobIds.get(String(mongoApplication.jobId)),
+    caregiver_id: userIds.get(String(mongoApplication.caregiverId)),
+    cover_letter: mongoApplication.coverLetter,
+    proposed_rate: mongoApplication.proposedRate,
+    message: mongoApplication.message,
+    status: mongoApplication.status || "pending",
+    reviewed_at: mongoApplication.reviewedAt,
+    reviewed_by: mongoApplication.reviewedBy
+      ? userIds.get(String(mongoApplication.reviewedBy)) || null
+      : null,
+    created_at: mongoApplication.createdAt,
+    updated_at: mongoApplication.updatedAt,
+  };
+}
+
+/**
+ * Supabase user IDs keyed by MongoDB user ID. Accounts are matched by email,
+ * as services/legacyUsers.js does.
+ */
+async function loadUserIds() {
+  const User = mongoose.model("User");
+  const users = await User.find({}).select("email").lean();
+  const ids = new Map();
+
+  for (let i = 0; i < users.length; i += 200) {
+    const chunk = users.slice(i, i + 200);
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, email")
+      .in("email", chunk.map((user) => user.email));
+    if (error) throw error;
+
+    const byEmail = new Map(data.map((row) => [row.email.toLowerCase(), row.id]));
+    chunk.forEach((user) => {
+      const id = byEmail.get(String(user.email).toLowerCase());
+      if (id) ids.set(String(user._id), id);
+    });
+  }
+
+  return ids;
+}
+
+/**
+ * Supabase ID of a row already copied from MongoDB, if any
+ */
+async function findByLegacyId(table, legacyId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select("id")
+    .eq("legacy_id", legacyId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.id || null;
+}
+
 /**
  * Migrate Users
  */
@@ -297,6 +388,122 @@ async function migrateMessages() {
   }
 }
 
+/**
+ * Migrate Jobs (geocoded as they are copied)
+ */
+async function migrateJobs(userIds) {
+  console.log("\n🚀 Starting jobs migration...");
+  const jobIds = new Map();
+
+  try {
+    const Job = mongoose.model("Job");
+    const jobs = await Job.find({}).lean();
+
+    stats.jobs.processed = jobs.length;
+
+    for (const job of jobs) {
+      try {
+        const existingId = await findByLegacyId("jobs", job._id.toString());
+        if (existingId) {
+          jobIds.set(job._id.toString(), existingId);
+          console.log(`⏭️  Job ${job._id} already migrated, skipping`);
+          continue;
+        }
+
+        const transformedJob = await transformJob(job, userIds);
+        if (!transformedJob.parent_id) {
+          console.error(`❌ Job ${job._id}: parent has no Supabase account`);
+          stats.jobs.errors++;
+          continue;
+        }
+
+        const { data, error } = await supabase
+          .from("jobs")
+          .insert(transformedJob)
+          .select("id")
+          .single();
+
+        if (error) {
+          console.error(`❌ Failed to migrate job ${job._id}:`, error.message);
+          stats.jobs.errors++;
+        } else {
+          jobIds.set(job._id.toString(), data.id);
+          console.log(`✅ Migrated job: ${job._id} -> ${data.id}`);
+          stats.jobs.migrated++;
+        }
+      } catch (error) {
+        console.error(`❌ Error migrating job ${job._id}:`, error.message);
+        stats.jobs.errors++;
+      }
+    }
+
+    console.log(
+      `📊 Jobs migration complete: ${stats.jobs.migrated}/${stats.jobs.processed} migrated, ${stats.jobs.errors} errors`,
+    );
+  } catch (error) {
+    console.error("❌ Jobs migration failed:", error.message);
+  }
+
+  return jobIds;
+}
+
+/**
+ * Migrate Applications (after jobs, whose IDs they need)
+ */
+async function migrateApplications(userIds, jobIds) {
+  console.log("\n🚀 Starting applications migration...");
+
+  try {
+    const Application = mongoose.model("Application");
+    const applications = await Application.find({}).lean();
+
+    stats.applications.processed = applications.length;
+
+    for (const application of applications) {
+      try {
+        if (await findByLegacyId("applications", application._id.toString())) {
+          console.log(`⏭️  Application ${application._id} already migrated, skipping`);
+          continue;
+        }
+
+        const transformedApplication = transformApplication(application, userIds, jobIds);
+        if (!transformedApplication.job_id || !transformedApplication.caregiver_id) {
+          console.error(
+            `❌ Application ${application._id}: job or caregiver was not migrated`,
+          );
+          stats.applications.errors++;
+          continue;
+        }
+
+        const { error } = await supabase.from("applications").insert(transformedApplication);
+
+        if (error) {
+          console.error(
+            `❌ Failed to migrate application ${application._id}:`,
+            error.message,
+          );
+          stats.applications.errors++;
+        } else {
+          console.log(`✅ Migrated application: ${application._id}`);
+          stats.applications.migrated++;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error migrating application ${application._id}:`,
+          error.message,
+        );
+        stats.applications.errors++;
+      }
+    }
+
+    console.log(
+      `📊 Applications migration complete: ${stats.applications.migrated}/${stats.applications.processed} migrated, ${stats.applications.errors} errors`,
+    );
+  } catch (error) {
+    console.error("❌ Applications migration failed:", error.message);
+  }
+}
+
 /**
  * Print migration summary
  */
@@ -340,17 +547,36 @@ function printSummary() {
 /**
  * Main migration function
  */
-async function runMigration() {
+async function runMigration(steps = []) {
   console.log("🚀 Starting MongoDB to Supabase migration...");
+  const runs = (step) => !steps.length || steps.includes(step);
 
   try {
     // Connect to MongoDB
     await connectMongoDB();
+    require("../models");
 
     // Run migrations in order
-    await migrateUsers();
-    await migrateConversations();
-    await migrateMessages();
+    if (runs("users")) await migrateUsers();
+    if (runs("conversations")) await migrateConversations();
+    if (runs("messages")) await migrateMessages();
+
+    if (runs("jobs") || runs("applications")) {
+      const userIds = await loadUserIds();
+      let jobIds = new Map();
+      if (runs("jobs")) jobIds = await migrateJobs(userIds);
+      if (runs("applications")) {
+        // Jobs copied on an earlier run
+        const { data, error } = await supabase
+          .from("jobs")
+          .select("id, legacy_id")
+          .not("legacy_id", "is", null);
+        if (error) throw error;
+        data.forEach((row) => jobIds.set(row.legacy_id, row.id));
+
+        await migrateApplications(userIds, jobIds);
+      }
+    }
 
     // Print summary
     printSummary();
@@ -372,7 +598,7 @@ async function runMigration() {
 
 // Handle script execution
 if (require.main === module) {
-  runMigration().catch(console.error);
+  runMigration(process.argv.slice(2)).catch(console.error);
 }
 
 module.exports = { runMigration, stats };
@@ -17,9 +17,22 @@ app.get("/health", (req, res) => {
 // Start server locally (not used by Vercel)
 if (require.main === module) {
   const PORT = process.env.PORT || 5000;
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
+
+    // Periodic maintenance (suspension expiry, stale bookings). On Vercel,
+    // trigger jobs through POST /api/admin/scheduled-jobs/:name/run instead.
+    if (process.env.SCHEDULER_ENABLED !== "false") {
+      const scheduler = require("./services/scheduler");
+      const { registerMaintenanceJobs } = require("./services/maintenanceJobs");
+      registerMaintenanceJobs(scheduler).start();
+    }
   });
+
+  // Realtime gateway; without it clients use the SSE fallback
+  if (process.env.SOCKETS_ENABLED !== "false") {
+    require("./services/socketService").initialize(server);
+  }
 }
 
 // Export for Vercel serverless
@@ -0,0 +1,467 @@
+const { supabase } = require("../config/supabase");
+const ErrorResponse = require("../utils/errorResponse");
+
+/**
+ * Caregiver availability calendar
+ * A schedule is { timeZone, weeklySlots, overrides, blackouts } with wall-clock
+ * "HH:MM" times in the caregiver's time zone. For a given date, a blackout
+ * wins over an override, and an override replaces the weekly slots.
+ */
+
+const DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIME_ZONE || "Asia/Manila";
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isValidTime = (value) => TIME_PATTERN.test(String(value));
+
+const isValidDate = (value) =>
+  DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+const dayOfDate = (date) => DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * Wall-clock date/minutes of an instant in a time zone
+ */
+const zonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Instant for a wall-clock date/time in a time zone
+ */
+const zonedToInstant = (date, time, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day) + timeToMinutes(time) * 60000;
+
+  const offsetAt = (instant) => {
+    const local = zonedParts(new Date(instant), timeZone);
+    const [y, m, d] = local.date.split("-").map(Number);
+    return Date.UTC(y, m - 1, d) + local.minutes * 60000 - instant;
+  };
+
+  const firstPass = guess - offsetAt(guess);
+  return new Date(guess - offsetAt(firstPass));
+};
+
+const normalizeSlot = (slot, path, errors) => {
+  const start = slot?.start ?? slot?.startTime;
+  const end = slot?.end ?? slot?.endTime;
+
+  if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "")) {
+    errors[path] = "Slots need start and end times in HH:MM format";
+    return null;
+  }
+  if (timeToMinutes(end) <= timeToMinutes(start)) {
+    errors[path] = "Slot end time must be after its start time";
+    return null;
+  }
+  return { start, end };
+};
+
+const mergeSlots = (slots) => {
+  const sorted = slots
+    .map(({ start, end }) => ({ start: timeToMinutes(start), end: timeToMinutes(end) }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  sorted.forEach((slot) => {
+    const last = merged[merged.length - 1];
+    if (last && slot.start <= last.end) {
+      last.end = Math.max(last.end, slot.end);
+    } else {
+      merged.push({ ...slot });
+    }
+  });
+
+  return merged.map(({ start, end }) => ({
+    start: minutesToTime(start),
+    end: minutesToTime(end),
+  }));
+};
+
+/**
+ * Convert the older shapes still sent by the mobile app:
+ *   { monday: { available, startTime, endTime }, ... }
+ *   { days: ["Monday"], hours: { start, end }, weeklySchedule: { Monday: { available, timeSlots } } }
+ */
+const fromLegacy = (legacy = {}) => {
+  const weeklySlots = [];
+
+  if (legacy.weeklySchedule && typeof legacy.weeklySchedule === "object") {
+    Object.entries(legacy.weeklySchedule).forEach(([day, entry]) => {
+      if (!entry?.available) return;
+      const slots = Array.isArray(entry.timeSlots) ? entry.timeSlots : [];
+      const fallback = legacy.hours ? [legacy.hours] : [];
+      (slots.length ? slots : fallback).forEach((slot) =>
+        weeklySlots.push({ day: day.toLowerCase(), ...slot }),
+      );
+    });
+  }
+
+  // Days without hours meant "any time that day"
+  if (!weeklySlots.length && Array.isArray(legacy.days)) {
+    const hours = legacy.hours || { start: "00:00", end: "24:00" };
+    legacy.days.forEach((day) =>
+      weeklySlots.push({ day: String(day).toLowerCase(), ...hours }),
+    );
+  }
+
+  DAYS.forEach((day) => {
+    const entry = legacy[day];
+    if (entry && typeof entry === "object" && entry.available) {
+      weeklySlots.push({ day, start: entry.startTime, end: entry.endTime });
+    }
+  });
+
+  return { weeklySlots, overrides: [], blackouts: [] };
+};
+
+const dayLabel = (day) => day.charAt(0).toUpperCase() + day.slice(1);
+
+/**
+ * The same older shapes, for clients that still read them. Only weekly slots
+ * carry over; the first slot of a day stands for it where a shape has one range.
+ *   { availability: { days, hours, weeklySchedule }, monday: { available, startTime, endTime }, ... }
+ */
+const toLegacy = (schedule) => {
+  const slotsOn = (day) =>
+    schedule.weeklySlots
+      .filter((slot) => slot.day === day)
+      .map(({ start, end }) => ({ start, end }));
+  const [firstSlot] = schedule.weeklySlots;
+
+  const availability = {
+    days: DAYS.filter((day) => slotsOn(day).length).map(dayLabel),
+    hours: firstSlot ? { start: firstSlot.start, end: firstSlot.end } : null,
+    weeklySchedule: Object.fromEntries(
+      DAYS.map((day) => [
+        dayLabel(day),
+        { available: slotsOn(day).length > 0, timeSlots: slotsOn(day) },
+      ]),
+    ),
+  };
+
+  const dayEntries = DAYS.map((day) => {
+    const [slot] = slotsOn(day);
+    return [
+      day,
+      { available: Boolean(slot), startTime: slot?.start || null, endTime: slot?.end || null },
+    ];
+  });
+
+  return { availability, ...Object.fromEntries(dayEntries) };
+};
+
+const isLegacyShape = (input) =>
+  !Array.isArray(input.weeklySlots) &&
+  (input.weeklySchedule || input.days || DAYS.some((day) => input[day]));
+
+/**
+ * Validate and normalize a schedule; throws a 400 listing every problem
+ */
+const normalizeSchedule = (input = {}, { fallbackTimeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const source = isLegacyShape(input)
+    ? { ...fromLegacy(input), timeZone: input.timeZone }
+    : input;
+  const errors = {};
+
+  const timeZone = source.timeZone || fallbackTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    errors.timeZone = `Unknown time zone: ${timeZone}`;
+  }
+
+  const weeklyByDay = new Map();
+  (source.weeklySlots || []).forEach((slot, index) => {
+    const day = String(slot?.day || "").toLowerCase();
+    if (!DAYS.includes(day)) {
+      errors[`weeklySlots[${index}].day`] = `Day must be one of: ${DAYS.join(", ")}`;
+      return;
+    }
+    const normalized = normalizeSlot(slot, `weeklySlots[${index}]`, errors);
+    if (normalized) {
+      weeklyByDay.set(day, [...(weeklyByDay.get(day) || []), normalized]);
+    }
+  });
+
+  const overrides = [];
+  (source.overrides || []).forEach((override, index) => {
+    if (!isValidDate(override?.date)) {
+      errors[`overrides[${index}].date`] = "Override date must be YYYY-MM-DD";
+      return;
+    }
+    const slots = (override.slots || [])
+      .map((slot, slotIndex) =>
+        normalizeSlot(slot, `overrides[${index}].slots[${slotIndex}]`, errors),
+      )
+      .filter(Boolean);
+    overrides.push({ date: override.date, slots: mergeSlots(slots) });
+  });
+
+  const blackouts = [];
+  (source.blackouts || []).forEach((blackout, index) => {
+    const start = typeof blackout === "string" ? blackout : blackout?.start;
+    const end = typeof blackout === "string" ? blackout : blackout?.end || start;
+    if (!isValidDate(start) || !isValidDate(end) || end < start) {
+      errors[`blackouts[${index}]`] = "Blackouts need start/end dates (YYYY-MM-DD), end on or after start";
+      return;
+    }
+    blackouts.push({ start, end, reason: blackout?.reason || null });
+  });
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid availability schedule", errors);
+  }
+
+  const weeklySlots = DAYS.flatMap((day) =>
+    mergeSlots(weeklyByDay.get(day) || []).map((slot) => ({ day, ...slot })),
+  );
+
+  return {
+    timeZone,
+    weeklySlots,
+    overrides: overrides.sort((a, b) => a.date.localeCompare(b.date)),
+    blackouts: blackouts.sort((a, b) => a.start.localeCompare(b.start)),
+  };
+};
+
+/**
+ * Free slots on a wall-clock date in the caregiver's time zone
+ */
+const windowsForDate = (schedule, date) => {
+  if (schedule.blackouts.some(({ start, end }) => date >= start && date <= end)) {
+    return [];
+  }
+
+  const override = schedule.overrides.find((entry) => entry.date === date);
+  if (override) return override.slots;
+
+  const day = dayOfDate(date);
+  return schedule.weeklySlots
+    .filter((slot) => slot.day === day)
+    .map(({ start, end }) => ({ start, end }));
+};
+
+const covers = (slots, startMinutes, endMinutes) =>
+  slots.some(
+    (slot) =>
+      timeToMinutes(slot.start) <= startMinutes &&
+      timeToMinutes(slot.end) >= endMinutes,
+  );
+
+// Midnight ending a request is the last minute (1440) of the day before
+const asEnding = ({ date, minutes }) =>
+  minutes === 0 ? { date: addDays(date, -1), minutes: 24 * 60 } : { date, minutes };
+
+/**
+ * Whether the caregiver is free for a request expressed in `timeZone`
+ * (defaults to the caregiver's own). Without times, any slot that day counts.
+ * An end time at or before the start time is on the next day (overnight).
+ */
+const isAvailableFor = (schedule, { date, startTime, endTime, timeZone }) => {
+  if (!startTime || !endTime) {
+    return windowsForDate(schedule, date).length > 0;
+  }
+
+  const requestZone = timeZone || schedule.timeZone;
+  const endDate =
+    timeToMinutes(endTime) <= timeToMinutes(startTime) ? addDays(date, 1) : date;
+  const start = zonedParts(zonedToInstant(date, startTime, requestZone), schedule.timeZone);
+  const end = asEnding(
+    zonedParts(zonedToInstant(endDate, endTime, requestZone), schedule.timeZone),
+  );
+
+  if (start.date === end.date) {
+    return covers(windowsForDate(schedule, start.date), start.minutes, end.minutes);
+  }
+
+  // Request crosses midnight in the caregiver's zone: both halves must be free
+  return (
+    covers(windowsForDate(schedule, start.date), start.minutes, 24 * 60) &&
+    covers(windowsForDate(schedule, end.date), 0, end.minutes)
+  );
+};
+
+const hasWeeklySlotsOn = (schedule, days = []) => {
+  const wanted = days.map((day) => String(day).trim().toLowerCase());
+  return schedule.weeklySlots.some((slot) => wanted.includes(slot.day));
+};
+
+/**
+ * Free slots per date between two dates (inclusive), capped at 62 days
+ */
+const listWindows = (schedule, from, to) => {
+  const result = [];
+  let cursor = from;
+  while (cursor <= to && result.length < 62) {
+    result.push({ date: cursor, day: dayOfDate(cursor), slots: windowsForDate(schedule, cursor) });
+    cursor = addDays(cursor, 1);
+  }
+  return result;
+};
+
+const toRecord = (caregiverId, schedule) => ({
+  caregiver_id: caregiverId,
+  time_zone: schedule.timeZone,
+  weekly_slots: schedule.weeklySlots,
+  overrides: schedule.overrides,
+  blackouts: schedule.blackouts,
+});
+
+const fromRecord = (record) => ({
+  caregiverId: record.caregiver_id,
+  timeZone: record.time_zone || DEFAULT_TIME_ZONE,
+  weeklySlots: record.weekly_slots || [],
+  overrides: record.overrides || [],
+  blackouts: record.blackouts || [],
+  updatedAt: record.updated_at || null,
+});
+
+const emptySchedule = (caregiverId) => ({
+  caregiverId,
+  timeZone: DEFAULT_TIME_ZONE,
+  weeklySlots: [],
+  overrides: [],
+  blackouts: [],
+  updatedAt: null,
+});
+
+class AvailabilityService {
+  /**
+   * Schedule for a caregiver; falls back to the legacy
+   * caregiver_profiles.availability blob until the caregiver saves one
+   */
+  static async get(caregiverId) {
+    const { data, error } = await supabase
+      .from("caregiver_availability")
+      .select("*")
+      .eq("caregiver_id", caregiverId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return fromRecord(data);
+
+    const { data: profile, error: profileError } = await supabase
+      .from("caregiver_profiles")
+      .select("availability")
+      .eq("user_id", caregiverId)
+      .maybeSingle();
+
+    if (profileError) throw profileError;
+    return this.fromProfileAvailability(caregiverId, profile?.availability);
+  }
+
+  /**
+   * Best-effort schedule from a legacy caregiver_profiles.availability blob
+   */
+  static fromProfileAvailability(caregiverId, availability) {
+    if (!availability || typeof availability !== "object") {
+      return emptySchedule(caregiverId);
+    }
+
+    try {
+      return { ...emptySchedule(caregiverId), ...normalizeSchedule(availability) };
+    } catch {
+      return emptySchedule(caregiverId);
+    }
+  }
+
+  static async save(caregiverId, input) {
+    const schedule = normalizeSchedule(input);
+    const { data, error } = await supabase
+      .from("caregiver_availability")
+      .upsert(toRecord(caregiverId, schedule), { onConflict: "caregiver_id" })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return fromRecord(data);
+  }
+
+  /**
+   * Schedules for many caregivers at once, keyed by caregiver ID
+   */
+  static async listByCaregivers(caregiverIds = []) {
+    const schedules = new Map();
+    if (!caregiverIds.length) return schedules;
+
+    const { data, error } = await supabase
+      .from("caregiver_availability")
+      .select("*")
+      .in("caregiver_id", caregiverIds);
+
+    if (error) throw error;
+    (data || []).forEach((record) =>
+      schedules.set(record.caregiver_id, fromRecord(record)),
+    );
+    return schedules;
+  }
+}
+
+module.exports = {
+  AvailabilityService,
+  DAYS,
+  DEFAULT_TIME_ZONE,
+  normalizeSchedule,
+  toLegacy,
+  windowsForDate,
+  isAvailableFor,
+  hasWeeklySlotsOn,
+  listWindows,
+  zonedParts,
+  zonedToInstant,
+  isValidDate,
+  isValidTime,
+  isValidTimeZone,
+  timeToMinutes,
+  addDays,
+};
@@ -0,0 +1,227 @@
+/**
+ * Background Check Provider Adapters
+ * Every adapter exposes the same surface so the verification workflow stays
+ * provider-agnostic:
+ *   submitOrder({ reference, candidate, checkTypes })
+ *     -> { reference, status, portalUrl }
+ *   getStatus({ reference })
+ *     -> { reference, status, completedAt, expiryDate, result, reportUrl }
+ *   parseWebhook({ rawBody, headers })
+ *     -> { eventId, type, reference, status, completedAt, expiryDate, result, reportUrl, payload }
+ *
+ * `reference` passed to submitOrder is ours (the caregiver's user id); the
+ * one returned is the provider's order id, used from then on. Statuses are
+ * normalized to: pending, in_progress, clear, consider, cancelled.
+ *
+ * "internal" is not an adapter: it means admins run the check and record the
+ * outcome by hand (see caregiverVerification.reviewBackgroundCheck).
+ */
+
+const crypto = require("crypto");
+
+const INTERNAL_PROVIDER = "internal";
+
+const PROVIDER_STATUSES = ["pending", "in_progress", "clear", "consider", "cancelled"];
+
+class BackgroundCheckProviderError extends Error {
+  constructor(message, { statusCode = 502, provider, cause } = {}) {
+    super(message);
+    this.name = "BackgroundCheckProviderError";
+    this.statusCode = statusCode;
+    this.status = statusCode;
+    this.provider = provider;
+    this.cause = cause;
+    this.isOperational = true;
+  }
+}
+
+const safeCompare = (a = "", b = "") => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+/**
+ * Simulated provider - keeps orders in memory and signs its own webhooks.
+ * Used in development and tests; never talks to the network. Each status
+ * poll moves an order one step (pending -> in_progress -> outcome), so the
+ * polling job completes checks on its own; simulateResult() builds a signed
+ * webhook delivery for a chosen outcome instead. Refused in production (see
+ * getBackgroundCheckProvider).
+ */
+class SimulatedBackgroundCheckProvider {
+  constructor({ webhookSecret, outcome, validityDays = 365 } = {}) {
+    this.name = "simulated";
+    this.webhookSecret = webhookSecret || process.env.BACKGROUND_CHECK_SIMULATED_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new BackgroundCheckProviderError(
+        "BACKGROUND_CHECK_SIMULATED_WEBHOOK_SECRET is not configured",
+        { statusCode: 500, provider: this.name },
+      );
+    }
+    this.outcome = outcome || process.env.BACKGROUND_CHECK_SIMULATED_OUTCOME || "clear";
+    this.validityDays = validityDays;
+    this.orders = new Map();
+  }
+
+  async submitOrder({ reference, candidate, checkTypes = [] }) {
+    const orderId = `sim_bgc_${crypto.randomUUID()}`;
+    this.orders.set(orderId, {
+      id: orderId,
+      reference,
+      candidate: { name: candidate?.name || null },
+      checkTypes,
+      status: "pending",
+    });
+
+    return { reference: orderId, status: "pending", portalUrl: null };
+  }
+
+  // Orders do not survive a restart; an unknown one picks up where it would be
+  order(reference) {
+    if (!this.orders.has(reference)) {
+      this.orders.set(reference, { id: reference, checkTypes: [], status: "in_progress" });
+    }
+    return this.orders.get(reference);
+  }
+
+  complete(order, status, { expiryDate } = {}) {
+    const completedAt = new Date();
+    Object.assign(order, {
+      status,
+      completedAt: completedAt.toISOString(),
+      expiryDate:
+        status === "clear"
+          ? expiryDate ||
+            new Date(completedAt.getTime() + this.validityDays * 86400000).toISOString().slice(0, 10)
+          : null,
+      result: {
+        checks: order.checkTypes.map((type) => ({ type, outcome: status })),
+        summary: status === "clear" ? "No records found" : "Records found; review required",
+      },
+    });
+  }
+
+  snapshot(order) {
+    return {
+      reference: order.id,
+      status: order.status,
+      completedAt: order.completedAt || null,
+      expiryDate: order.expiryDate || null,
+      result: order.result || null,
+      reportUrl: null,
+    };
+  }
+
+  async getStatus({ reference }) {
+    const order = this.order(reference);
+    if (order.status === "pending") order.status = "in_progress";
+    else if (order.status === "in_progress") this.complete(order, this.outcome);
+    return this.snapshot(order);
+  }
+
+  /**
+   * Build a signed webhook delivery for an order, as the provider would
+   */
+  simulateResult(reference, status = "clear", { expiryDate } = {}) {
+    const order = this.order(reference);
+    if (["clear", "consider"].includes(status)) this.complete(order, status, { expiryDate });
+    else order.status = status;
+
+    const rawBody = JSON.stringify({
+      id: `sim_evt_${crypto.randomUUID()}`,
+      type: `order.${status}`,
+      data: this.snapshot(order),
+    });
+
+    return {
+      rawBody,
+      headers: { "x-simulated-signature": hmacSha256(this.webhookSecret, rawBody) },
+    };
+  }
+
+  parseWebhook({ rawBody, headers = {} }) {
+    const signature = headers["x-simulated-signature"];
+    if (!signature || !safeCompare(signature, hmacSha256(this.webhookSecret, rawBody))) {
+      throw new BackgroundCheckProviderError("Invalid webhook signature", {
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    const event = JSON.parse(rawBody);
+    const data = event.data || {};
+    return {
+      eventId: event.id,
+      type: event.type,
+      reference: data.reference,
+      status: PROVIDER_STATUSES.includes(data.status) ? data.status : null,
+      completedAt: data.completedAt || null,
+      expiryDate: data.expiryDate || null,
+      result: data.result || null,
+      reportUrl: data.reportUrl || null,
+      payload: event,
+    };
+  }
+}
+
+const providerFactories = {
+  simulated: () => new SimulatedBackgroundCheckProvider(),
+};
+
+// Providers that check nothing; their results would clear anyone
+const DEVELOPMENT_ONLY_PROVIDERS = ["simulated"];
+
+const providers = new Map();
+
+/**
+ * Provider new checks are ordered from (BACKGROUND_CHECK_PROVIDER, default
+ * "internal")
+ */
+const configuredProviderName = () =>
+  String(process.env.BACKGROUND_CHECK_PROVIDER || INTERNAL_PROVIDER).toLowerCase();
+
+/**
+ * Resolve a provider by name (defaults to the configured one)
+ */
+const getBackgroundCheckProvider = (name = configuredProviderName()) => {
+  const key = String(name).toLowerCase();
+  if (process.env.NODE_ENV === "production" && DEVELOPMENT_ONLY_PROVIDERS.includes(key)) {
+    throw new BackgroundCheckProviderError(
+      `Background check provider ${key} is not available in production`,
+      { statusCode: 400, provider: key },
+    );
+  }
+  if (!providers.has(key)) {
+    const factory = providerFactories[key];
+    if (!factory) {
+      throw new BackgroundCheckProviderError(`Unknown background check provider: ${name}`, {
+        statusCode: 400,
+      });
+    }
+    providers.set(key, factory());
+  }
+  return providers.get(key);
+};
+
+/**
+ * Plug in a provider instance (a vendor adapter, or a preconfigured
+ * simulated provider in tests)
+ */
+const registerBackgroundCheckProvider = (name, provider) => {
+  providers.set(String(name).toLowerCase(), provider);
+  return provider;
+};
+
+module.exports = {
+  INTERNAL_PROVIDER,
+  PROVIDER_STATUSES,
+  BackgroundCheckProviderError,
+  SimulatedBackgroundCheckProvider,
+  configuredProviderName,
+  getBackgroundCheckProvider,
+  registerBackgroundCheckProvider,
+};
@@ -0,0 +1,90 @@
+const ErrorResponse = require("../utils/errorResponse");
+
+// Statuses that hold a caregiver's time; pending requests do not block each other
+const BLOCKING_STATUSES = ["confirmed", "in_progress"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// SQLSTATE of the bookings_no_overlap exclusion constraint rejecting a write
+const OVERLAP_VIOLATION = "23P01";
+
+const toMinutes = (time) => {
+  if (typeof time !== "string") return NaN;
+  const [hours, minutes = "0"] = time.split(":");
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Booking dates arrive as "YYYY-MM-DD" or full ISO strings
+const toDateKey = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).slice(0, 10);
+};
+
+/**
+ * A slot as [start, end) in minutes since the epoch. A slot whose end is not
+ * after its start runs overnight and ends the next day. Without a date the
+ * slot is placed on a common day, so undated slots compare by time alone.
+ */
+const slotRange = ({ date, startTime, endTime }) => {
+  const day = date ? Date.parse(toDateKey(date)) / DAY_MS : 0;
+  const start = day * DAY_MINUTES + toMinutes(startTime);
+  let end = day * DAY_MINUTES + toMinutes(endTime);
+  if (end <= start) end += DAY_MINUTES;
+  return [start, end];
+};
+
+const slotsOverlap = (a, b) => {
+  const [aStart, aEnd] = slotRange(a);
+  const [bStart, bEnd] = slotRange(b);
+
+  if ([aStart, aEnd, bStart, bEnd].some(Number.isNaN)) return false;
+  return aStart < bEnd && bStart < aEnd;
+};
+
+/**
+ * Dates whose bookings can overlap a slot on `date`: an overnight booking the
+ * day before runs into it, and an overnight slot runs into the next day
+ */
+const candidateDates = (date) => {
+  const key = toDateKey(date);
+  const day = Date.parse(key);
+  if (Number.isNaN(day)) return [key];
+  return [-1, 0, 1].map((offset) => new Date(day + offset * DAY_MS).toISOString().slice(0, 10));
+};
+
+/**
+ * IDs of the bookings whose time range overlaps the requested slot
+ * @param {Object} slot - { date, startTime, endTime }
+ * @param {Array<Object>} bookings - candidates already narrowed to the
+ *   caregiver and candidateDates(slot.date)
+ * @param {Function} pick - maps a booking to { id, date, startTime, endTime }
+ */
+const overlappingIds = (slot, bookings, pick) =>
+  (bookings || [])
+    .map(pick)
+    .filter((candidate) => slotsOverlap(slot, candidate))
+    .map((candidate) => String(candidate.id));
+
+const conflictError = (conflictingBookingIds) =>
+  new ErrorResponse(
+    "Caregiver is already booked for an overlapping time slot",
+    409,
+    "BOOKING_CONFLICT",
+    {},
+    { conflictingBookingIds },
+  );
+
+const isConflictError = (error) => error?.code === "BOOKING_CONFLICT";
+
+module.exports = {
+  BLOCKING_STATUSES,
+  OVERLAP_VIOLATION,
+  toDateKey,
+  candidateDates,
+  slotsOverlap,
+  overlappingIds,
+  conflictError,
+  isConflictError,
+};
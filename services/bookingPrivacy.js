@@ -0,0 +1,169 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { BookingService, PrivacyGrantService } = require("./supabaseService");
+const { PRIVACY_FIELDS, FIELD_KEYS, normalizeFields } = require("./privacyService");
+const { DEFAULT_TIME_ZONE, zonedToInstant, isValidDate } = require("./availabilityService");
+
+/**
+ * Booking privacy policy. From confirmation the booking's caregiver holds
+ * grants (privacy_grants.booking_id) for the fields the visit needs. They
+ * lapse GRACE_HOURS after the booking's end or completion, whichever comes
+ * first, and are revoked when it is cancelled or marked no-show. A parent can
+ * override the fields per booking (bookings.privacy_fields); the booking state
+ * machine keeps the grants in step through its privacyGrants effect, and the
+ * revoke-ended-booking-grants job retries revocations that failed there.
+ */
+
+const BOOKING_PRIVACY_FIELDS = [
+  "address",
+  "children.emergencyContact",
+  "children.allergies",
+  "children.preferences",
+];
+
+const GRACE_HOURS = Number(process.env.BOOKING_PRIVACY_GRACE_HOURS) || 12;
+const HOUR = 60 * 60 * 1000;
+
+// Statuses in which the caregiver holds the booking's grants
+const ACTIVE_STATUSES = ["confirmed", "in_progress"];
+// Statuses in which the booking's grants are revoked
+const REVOKED_STATUSES = ["cancelled", "no_show"];
+// Statuses in which the parent may still change what is shared
+const EDITABLE_STATUSES = ["pending", ...ACTIVE_STATUSES];
+
+const bookingFields = (booking) => booking.privacy_fields ?? BOOKING_PRIVACY_FIELDS;
+
+const graceFrom = (instant) => new Date(instant.getTime() + GRACE_HOURS * HOUR).toISOString();
+
+// Expiry for grants issued now: GRACE_HOURS after the booking's scheduled end
+const grantsUntil = (booking, now = new Date()) => {
+  const end =
+    isValidDate(booking.date) && booking.end_time
+      ? zonedToInstant(booking.date, booking.end_time, DEFAULT_TIME_ZONE)
+      : now;
+  return graceFrom(end > now ? end : now);
+};
+
+/**
+ * Bring a booking's grants in line with its status and fields
+ * @returns {Promise<Object>} { granted, revoked, shortened }
+ */
+const syncBookingGrants = async (booking, { actorId = null, now = new Date() } = {}) => {
+  const result = { granted: [], revoked: [], shortened: [] };
+  if (!booking.parent_id || !booking.caregiver_id) return result;
+
+  if (ACTIVE_STATUSES.includes(booking.status)) {
+    const fields = bookingFields(booking);
+    const live = await PrivacyGrantService.listActiveForBooking(booking.id, { now });
+    const held = new Set(live.map((grant) => grant.field));
+    const dropped = [...held].filter((field) => !fields.includes(field));
+
+    if (dropped.length) {
+      result.revoked = await PrivacyGrantService.revokeForBooking(booking.id, {
+        revokedBy: actorId,
+        reason: "No longer shared for this booking",
+        fields: dropped,
+      });
+    }
+    result.granted = await PrivacyGrantService.createMany(
+      fields
+        .filter((field) => !held.has(field))
+        .map((field) => ({
+          owner_id: booking.parent_id,
+          grantee_id: booking.caregiver_id,
+          field,
+          booking_id: booking.id,
+          expires_at: grantsUntil(booking, now),
+        })),
+    );
+  } else if (booking.status === "completed") {
+    result.shortened = await PrivacyGrantService.shortenForBooking(booking.id, graceFrom(now));
+  } else if (REVOKED_STATUSES.includes(booking.status)) {
+    result.revoked = await PrivacyGrantService.revokeForBooking(booking.id, {
+      revokedBy: actorId,
+      reason: `Booking ${booking.status.replace("_", "-")}`,
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Revoke grants still live on cancelled or no-show bookings
+ * @returns {Promise<Object>} { checked, revoked }
+ */
+const revokeEndedBookingGrants = async ({ limit = 100, now = new Date() } = {}) => {
+  const bookings = await PrivacyGrantService.listBookingsWithLiveGrants({
+    statuses: REVOKED_STATUSES,
+    now,
+    limit,
+  });
+
+  let revoked = 0;
+  for (const booking of bookings) {
+    try {
+      revoked += (await syncBookingGrants(booking, { now })).revoked.length;
+    } catch (error) {
+      console.error(`Failed to revoke grants for booking ${booking.id}:`, error);
+    }
+  }
+
+  return { checked: bookings.length, revoked };
+};
+
+/**
+ * What the booking's caregiver sees, or will see once it is confirmed
+ */
+const previewBookingPrivacy = async (booking, { now = new Date() } = {}) => {
+  const fields = bookingFields(booking);
+  const active = ACTIVE_STATUSES.includes(booking.status);
+  const live = active ? await PrivacyGrantService.listActiveForBooking(booking.id, { now }) : [];
+
+  return {
+    bookingId: booking.id,
+    status: booking.status,
+    overridden: booking.privacy_fields != null,
+    editable: EDITABLE_STATUSES.includes(booking.status),
+    grantsUntil: EDITABLE_STATUSES.includes(booking.status) ? grantsUntil(booking, now) : null,
+    fields: FIELD_KEYS.map((key) => {
+      const grant = live.find((candidate) => candidate.field === key);
+      return {
+        key,
+        label: PRIVACY_FIELDS[key].label,
+        inPolicy: BOOKING_PRIVACY_FIELDS.includes(key),
+        shared: fields.includes(key),
+        grantId: grant?.id || null,
+        expiresAt: grant?.expires_at || null,
+      };
+    }),
+  };
+};
+
+/**
+ * Override the fields shared for a booking; `fields` null restores the
+ * policy. Grants of an active booking follow straight away.
+ * @returns {Promise<Object>} { booking, granted, revoked }
+ */
+const setBookingFields = async (booking, fields, { actorId } = {}) => {
+  if (!EDITABLE_STATUSES.includes(booking.status)) {
+    throw ErrorResponse.conflict(`Sharing cannot be changed on a ${booking.status} booking`);
+  }
+
+  let normalized = null;
+  if (fields !== null) {
+    normalized = Array.isArray(fields) && fields.length === 0 ? [] : normalizeFields(fields);
+  }
+
+  const updated = await BookingService.setPrivacyFields(booking.id, normalized);
+  const { granted, revoked } = await syncBookingGrants(updated, { actorId });
+  return { booking: updated, granted, revoked };
+};
+
+module.exports = {
+  BOOKING_PRIVACY_FIELDS,
+  GRACE_HOURS,
+  bookingFields,
+  syncBookingGrants,
+  revokeEndedBookingGrants,
+  previewBookingPrivacy,
+  setBookingFields,
+};
@@ -0,0 +1,224 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { BookingService, BookingSeriesService } = require("./supabaseService");
+const { isConflictError } = require("./bookingConflicts");
+const {
+  DEFAULT_TIME_ZONE,
+  zonedParts,
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+  addDays,
+} = require("./availabilityService");
+const {
+  parseRule,
+  formatRule,
+  expandOccurrences,
+  lastOccurrence,
+} = require("./recurrence");
+
+/**
+ * Recurring booking series. Occurrences are generated as regular pending
+ * bookings a rolling HORIZON_DAYS ahead; the maintenance scheduler keeps
+ * extending them (see extendBookingSeries in maintenanceJobs).
+ */
+
+const HORIZON_DAYS = Number(process.env.BOOKING_SERIES_HORIZON_DAYS) || 56;
+const MAX_EXDATES = 366;
+const MAX_ADDRESS_LENGTH = 500;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Calendar date in the platform time zone; nothing is generated before it
+const today = () => zonedParts(new Date(), DEFAULT_TIME_ZONE).date;
+
+const horizonFrom = (date) => addDays(date, HORIZON_DAYS);
+
+const optionalText = (value, max, field, errors) => {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (text.length > max) errors[field] = `${field} may be at most ${max} characters`;
+  return text || null;
+};
+
+/**
+ * Validate series fields. For edits, `base` holds the current values and
+ * only the changed fields need to be sent.
+ * @returns {Object} { rule, rrule, startDate, startTime, endTime, exdates,
+ *   hourlyRate, address, specialInstructions }
+ */
+const normalizeSeriesInput = (input = {}, base = {}) => {
+  const merged = { ...base, ...input };
+  const errors = {};
+
+  let rule = null;
+  try {
+    rule = parseRule(merged.rrule);
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    errors.rrule = error.message;
+    Object.assign(errors, error.validationErrors);
+  }
+
+  if (!isValidDate(merged.startDate)) errors.startDate = "startDate must be YYYY-MM-DD";
+
+  if (!isValidTime(merged.startTime)) errors.startTime = "startTime must be HH:MM";
+  if (!isValidTime(merged.endTime)) errors.endTime = "endTime must be HH:MM";
+  if (
+    !errors.startTime &&
+    !errors.endTime &&
+    timeToMinutes(merged.endTime) <= timeToMinutes(merged.startTime)
+  ) {
+    errors.endTime = "endTime must be after startTime";
+  }
+
+  const exdates = merged.exdates == null ? [] : merged.exdates;
+  if (!Array.isArray(exdates) || !exdates.every(isValidDate)) {
+    errors.exdates = "exdates must be a list of YYYY-MM-DD dates";
+  } else if (exdates.length > MAX_EXDATES) {
+    errors.exdates = `exdates may list at most ${MAX_EXDATES} dates`;
+  }
+
+  let hourlyRate = null;
+  if (merged.hourlyRate != null) {
+    hourlyRate = Number(merged.hourlyRate);
+    if (!(hourlyRate > 0)) errors.hourlyRate = "hourlyRate must be a positive number";
+  }
+
+  const address = optionalText(merged.address, MAX_ADDRESS_LENGTH, "address", errors);
+  const specialInstructions = optionalText(
+    merged.specialInstructions,
+    MAX_INSTRUCTIONS_LENGTH,
+    "specialInstructions",
+    errors,
+  );
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid booking series", errors);
+  }
+
+  return {
+    rule,
+    rrule: formatRule(rule),
+    startDate: merged.startDate,
+    startTime: merged.startTime,
+    endTime: merged.endTime,
+    exdates: [...new Set(exdates)].sort(),
+    hourlyRate,
+    address,
+    specialInstructions,
+  };
+};
+
+// Series row fields as normalizeSeriesInput expects them
+const seriesInput = (series) => ({
+  rrule: series.rrule,
+  startDate: series.start_date,
+  startTime: series.start_time,
+  endTime: series.end_time,
+  exdates: series.exdates || [],
+  hourlyRate: series.hourly_rate,
+  address: series.address,
+  specialInstructions: series.special_instructions,
+});
+
+const occurrenceAmount = (hourlyRate, startTime, endTime) =>
+  hourlyRate
+    ? round2((hourlyRate * (timeToMinutes(endTime) - timeToMinutes(startTime))) / 60)
+    : null;
+
+// True when `date` is one of the dates the series rule produces
+const isOccurrenceDate = (series, date) =>
+  expandOccurrences(parseRule(series.rrule), {
+    startDate: series.start_date,
+    from: date,
+    to: date,
+  }).length === 1;
+
+/**
+ * Generate the bookings of a series up to `through`. Dates that clash with
+ * a confirmed booking of the caregiver are skipped and reported; they are
+ * not retried.
+ * @returns {Promise<Object>} { series, created, skipped }
+ */
+const materializeSeries = async (series, { through = horizonFrom(today()) } = {}) => {
+  const rule = parseRule(series.rrule);
+  const resumeFrom = series.materialized_through
+    ? addDays(series.materialized_through, 1)
+    : series.start_date;
+  const from = resumeFrom > today() ? resumeFrom : today();
+
+  const created = [];
+  const skipped = [];
+
+  if (from <= through) {
+    const dates = expandOccurrences(rule, {
+      startDate: series.start_date,
+      exdates: series.exdates || [],
+      from,
+      to: through,
+    });
+    const existing = new Set(
+      (await BookingService.listBySeries(series.id, { from, to: through })).map(
+        (booking) => booking.occurrence_date,
+      ),
+    );
+
+    for (const date of dates.filter((day) => !existing.has(day))) {
+      try {
+        created.push(
+          await BookingService.create({
+            parent_id: series.parent_id,
+            caregiver_id: series.caregiver_id,
+            job_id: series.job_id,
+            date,
+            start_time: series.start_time,
+            end_time: series.end_time,
+            total_amount: occurrenceAmount(
+              series.hourly_rate,
+              series.start_time,
+              series.end_time,
+            ),
+            status: "pending",
+            series_id: series.id,
+            occurrence_date: date,
+          }),
+        );
+      } catch (error) {
+        if (isConflictError(error)) {
+          skipped.push({
+            date,
+            conflictingBookingIds: error.metadata.conflictingBookingIds,
+          });
+          continue;
+        }
+        // Generated concurrently by another run
+        if (error.code === "23505") continue;
+        throw error;
+      }
+    }
+  }
+
+  const last = lastOccurrence(rule, series.start_date);
+  const updated = await BookingSeriesService.update(
+    series.id,
+    {
+      materialized_through: through,
+      ...(last !== null && last <= through ? { status: "ended" } : {}),
+    },
+    { expectedStatus: "active" },
+  );
+
+  return { series: updated || series, created, skipped };
+};
+
+module.exports = {
+  HORIZON_DAYS,
+  today,
+  horizonFrom,
+  normalizeSeriesInput,
+  seriesInput,
+  occurrenceAmount,
+  isOccurrenceDate,
+  materializeSeries,
+};
@@ -0,0 +1,364 @@
+const Booking = require("../models/Booking");
+const Caregiver = require("../models/Caregiver");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  BookingService,
+  PaymentService,
+  PaymentProofService,
+  SolanaPaymentService,
+  AuditLogService,
+} = require("./supabaseService");
+const { PointsService } = require("./pointsService");
+const { notify } = require("./notificationService");
+const { syncBookingGrants } = require("./bookingPrivacy");
+const { supabaseUserIdFor } = require("./legacyUsers");
+
+const BOOKING_STATUSES = [
+  "pending",
+  "confirmed",
+  "in_progress",
+  "completed",
+  "cancelled",
+  "no_show",
+];
+
+// Account roles collapse onto the three parties a transition can name
+const ROLE_ALIASES = {
+  superadmin: "admin",
+  client: "parent",
+  provider: "caregiver",
+  nanny: "caregiver",
+};
+
+/**
+ * Allowed transitions: from -> to -> { by, guards, effects }
+ *   by:      parties allowed to make the move ("parent", "caregiver", "admin", "system")
+ *   guards:  named checks that must pass first (see DEFAULT_GUARDS)
+ *   effects: named side effects run after the status is saved (see DEFAULT_EFFECTS)
+ * Statuses without an entry are terminal.
+ */
+const DEFAULT_TRANSITIONS = {
+  pending: {
+    confirmed: {
+      by: ["caregiver", "admin"],
+      guards: ["paymentReceived"],
+      effects: ["audit", "notify", "privacyGrants"],
+    },
+    // "system" is the scheduler cleaning up requests whose date has passed
+    cancelled: {
+      by: ["parent", "caregiver", "admin", "system"],
+      effects: ["audit", "notify"],
+    },
+  },
+  confirmed: {
+    in_progress: { by: ["caregiver", "admin"], effects: ["audit", "notify"] },
+    completed: {
+      by: ["caregiver", "admin"],
+      effects: ["audit", "notify", "completionPoints", "privacyGrants"],
+    },
+    // Grants are revoked before anything else can delay or fail
+    cancelled: {
+      by: ["parent", "caregiver", "admin"],
+      effects: ["privacyGrants", "audit", "notify"],
+    },
+    no_show: {
+      by: ["caregiver", "admin"],
+      effects: ["privacyGrants", "audit", "notify"],
+    },
+  },
+  in_progress: {
+    completed: {
+      by: ["caregiver", "admin"],
+      effects: ["audit", "notify", "completionPoints", "privacyGrants"],
+    },
+  },
+};
+
+const STATUS_MESSAGES = {
+  pending: "Booking is pending",
+  confirmed: "Booking confirmed",
+  in_progress: "Booking started",
+  completed: "Booking completed",
+  cancelled: "Booking cancelled",
+  no_show: "Booking marked as no-show",
+};
+
+/**
+ * Guards resolve to true when the transition may proceed, or to a message
+ * explaining why it may not
+ */
+const DEFAULT_GUARDS = {
+  paymentReceived: async ({ store, booking }) =>
+    (await store.hasPayment(booking)) ||
+    "Payment proof is required before a booking can be confirmed",
+};
+
+const DEFAULT_EFFECTS = {
+  audit: async ({ actor, relation, view, from, to, context }) => {
+    await AuditLogService.create({
+      admin_id: actor.id,
+      action: context.auditAction || `BOOKING_${to.toUpperCase()}`,
+      target_id: view.id,
+      metadata: {
+        from,
+        to,
+        actorRole: relation,
+        reason: context.reason ?? null,
+      },
+    });
+  },
+
+  // Delivery (push retries, email) runs in the background, never in the request
+  notify: ({ actor, view, to, context }) => {
+    notify(
+      [view.parentId, ...view.caregiverIds].filter((id) => id && id !== actor.id),
+      {
+        type: "booking",
+        title: STATUS_MESSAGES[to],
+        message: context.reason
+          ? `${STATUS_MESSAGES[to]}: ${context.reason}`
+          : `${STATUS_MESSAGES[to]}.`,
+        data: { bookingId: view.id, status: to },
+        actorId: actor.id,
+      },
+    );
+  },
+
+  // Points are kept against the caregiver's Supabase account; a legacy
+  // caregiver who never migrated has none and gets no points
+  completionPoints: async ({ store, booking, view, context }) => {
+    const caregiverId = store.caregiverUserId
+      ? await store.caregiverUserId(booking)
+      : view.caregiverIds[0];
+    if (!caregiverId) {
+      if (view.caregiverIds.length) {
+        console.warn(`Booking ${view.id}: caregiver has no account; completion points not awarded`);
+      }
+      return;
+    }
+
+    await PointsService.recordBookingCompletion({
+      caregiverId,
+      bookingId: view.id,
+      punctual:
+        typeof context.punctual === "boolean" ? context.punctual : undefined,
+    });
+  },
+
+  // Grant, shorten or revoke the booking's privacy grants (see bookingPrivacy)
+  privacyGrants: async ({ store, actor }, updated) => {
+    if (!store.syncPrivacyGrants) return;
+    await store.syncPrivacyGrants(updated, { actorId: actor.id });
+  },
+};
+
+const transitionError = (message, statusCode, code, metadata = {}) =>
+  new ErrorResponse(message, statusCode, code, {}, metadata);
+
+/**
+ * Build a booking state machine. Tables and registries can be overridden per
+ * instance; the defaults are what the API uses.
+ */
+const createBookingStateMachine = ({
+  transitions = DEFAULT_TRANSITIONS,
+  guards = DEFAULT_GUARDS,
+  effects = DEFAULT_EFFECTS,
+} = {}) => {
+  const guardRegistry = { ...guards };
+  const effectRegistry = { ...effects };
+
+  const relationOf = (view, actor) => {
+    const role = ROLE_ALIASES[actor.role] || actor.role;
+    if (role === "admin" || role === "system") return role;
+
+    const actorIds = [actor.id, ...(actor.ids || [])].filter(Boolean).map(String);
+    if (view.parentId && actorIds.includes(view.parentId)) return "parent";
+    if (view.caregiverIds.some((id) => actorIds.includes(id))) return "caregiver";
+    return null;
+  };
+
+  const allowedTransitions = (view, actor) => {
+    const relation = relationOf(view, actor);
+    return Object.entries(transitions[view.status] || {})
+      .filter(([, rule]) => relation && rule.by.includes(relation))
+      .map(([to]) => to);
+  };
+
+  /**
+   * Move a booking to `to` on behalf of `actor`
+   * @param {Object} params
+   * @param {Object} params.booking - raw record as loaded by the store
+   * @param {string} params.to - target status
+   * @param {Object} params.actor - { id, role, ids? } (ids: extra IDs the actor owns)
+   * @param {Object} params.store - persistence adapter (see stores below)
+   * @param {Object} [params.context] - reason, punctual, auditAction, feedback...
+   * @returns {Promise<Object>} the updated raw record
+   */
+  const transition = async ({ booking, to, actor, store, context = {} }) => {
+    const view = store.describe(booking);
+    const from = view.status;
+
+    if (!BOOKING_STATUSES.includes(to)) {
+      throw transitionError(
+        `Invalid status value. Must be one of: ${BOOKING_STATUSES.join(", ")}`,
+        400,
+        "INVALID_BOOKING_STATUS",
+      );
+    }
+
+    const rule = transitions[from]?.[to];
+    if (!rule) {
+      throw transitionError(
+        `Cannot transition booking from ${from} to ${to}`,
+        400,
+        "INVALID_BOOKING_TRANSITION",
+        { from, to, allowed: Object.keys(transitions[from] || {}) },
+      );
+    }
+
+    const relation = relationOf(view, actor);
+    if (!relation || !rule.by.includes(relation)) {
+      throw transitionError(
+        `Not authorized to move this booking from ${from} to ${to}`,
+        403,
+        "BOOKING_TRANSITION_FORBIDDEN",
+        { from, to },
+      );
+    }
+
+    const ctx = { booking, view, from, to, actor, relation, store, context };
+
+    for (const name of rule.guards || []) {
+      const guard = guardRegistry[name];
+      if (!guard) throw new Error(`Unknown booking guard: ${name}`);
+
+      const outcome = await guard(ctx);
+      if (outcome !== true) {
+        throw transitionError(
+          typeof outcome === "string" ? outcome : `Guard ${name} failed`,
+          409,
+          "BOOKING_GUARD_FAILED",
+          { from, to, guard: name },
+        );
+      }
+    }
+
+    const updated = await store.updateStatus(booking, to, { from, context });
+    if (!updated) {
+      throw transitionError(
+        "Booking status changed while processing the request",
+        409,
+        "BOOKING_STATUS_CHANGED",
+        { from, to },
+      );
+    }
+
+    // Side effects never undo a saved transition
+    for (const name of rule.effects || []) {
+      const effect = effectRegistry[name];
+      if (!effect) {
+        console.error(`Unknown booking effect: ${name}`);
+        continue;
+      }
+      try {
+        await effect(ctx, updated);
+      } catch (error) {
+        console.error(`Booking effect ${name} failed:`, error);
+      }
+    }
+
+    return updated;
+  };
+
+  return {
+    transitions,
+    transition,
+    allowedTransitions,
+    registerGuard: (name, guard) => {
+      guardRegistry[name] = guard;
+    },
+    registerEffect: (name, effect) => {
+      effectRegistry[name] = effect;
+    },
+  };
+};
+
+/* ========== Persistence adapters ========== */
+
+const supabaseStore = {
+  load: (id) => BookingService.findById(id),
+
+  describe: (booking) => ({
+    id: String(booking.id),
+    status: booking.status,
+    parentId: booking.parent_id ? String(booking.parent_id) : null,
+    caregiverIds: booking.caregiver_id ? [String(booking.caregiver_id)] : [],
+  }),
+
+  hasPayment: async (booking) => {
+    const [proofs, payment, solanaPayment] = await Promise.all([
+      PaymentProofService.listByBookingId(booking.id),
+      PaymentService.findOpenByBooking(booking.id),
+      SolanaPaymentService.findByBooking(booking.id),
+    ]);
+
+    return (
+      proofs.length > 0 ||
+      payment?.paymentStatus === "paid" ||
+      Boolean(solanaPayment)
+    );
+  },
+
+  updateStatus: (booking, to, { from }) =>
+    BookingService.updateStatus(booking.id, to, { expectedStatus: from }),
+
+  syncPrivacyGrants: syncBookingGrants,
+};
+
+const mongoStore = {
+  load: (id) => Booking.findById(id).lean(),
+
+  describe: (booking) => ({
+    id: String(booking._id),
+    status: booking.status,
+    parentId: booking.clientId
+      ? String(booking.clientId._id || booking.clientId)
+      : null,
+    caregiverIds: booking.caregiverId
+      ? [String(booking.caregiverId._id || booking.caregiverId)]
+      : [],
+  }),
+
+  hasPayment: async (booking) => Boolean(booking.paymentProof),
+
+  // caregiverId may reference a Caregiver profile rather than the user;
+  // either way the caregiver's Supabase user ID is returned (null if none)
+  caregiverUserId: async (booking) => {
+    const caregiverId = booking.caregiverId?._id || booking.caregiverId;
+    const profile = await Caregiver.findById(caregiverId).select("userId").lean();
+    return supabaseUserIdFor(profile?.userId || caregiverId);
+  },
+
+  updateStatus: (booking, to, { from, context }) => {
+    const update = { status: to };
+    if (context.feedback !== undefined) update.feedback = context.feedback;
+
+    return Booking.findOneAndUpdate({ _id: booking._id, status: from }, update, {
+      new: true,
+      runValidators: true,
+    }).lean();
+  },
+};
+
+const bookingStateMachine = createBookingStateMachine();
+
+module.exports = {
+  BOOKING_STATUSES,
+  DEFAULT_TRANSITIONS,
+  createBookingStateMachine,
+  bookingStateMachine,
+  stores: {
+    supabase: supabaseStore,
+    mongo: mongoStore,
+  },
+};
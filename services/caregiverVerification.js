@@ -0,0 +1,884 @@
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  UserService,
+  CaregiverProfileService,
+  CaregiverDocumentService,
+  BackgroundCheckService,
+  BackgroundCheckWebhookEventService,
+  VerificationReminderService,
+} = require("./supabaseService");
+const { PointsService } = require("./pointsService");
+const { notify } = require("./notificationService");
+const { logAction } = require("./auditService");
+const { uploadToSupabase, createSignedUrls } = require("./storageService");
+const {
+  AvailabilityService,
+  DEFAULT_TIME_ZONE,
+  zonedParts,
+  addDays,
+  isValidDate,
+} = require("./availabilityService");
+const {
+  INTERNAL_PROVIDER,
+  configuredProviderName,
+  getBackgroundCheckProvider,
+} = require("./backgroundCheckProviders");
+
+/**
+ * Caregiver verification. What a caregiver must have on file depends on their
+ * points tier (TIER_REQUIREMENTS). Documents are reviewed by an admin and,
+ * like the background check, stop counting after their expiry date; the
+ * certifications on the profile are tracked for expiry too. The result is
+ * kept on caregiver_profiles: a caregiver whose required document or check
+ * has expired is "lapsed" and drops to reduced search visibility until it
+ * is renewed. An hourly sweep re-checks each caregiver with something
+ * expiring about every 12 hours and sends reminders ahead of each expiry.
+ *
+ * Background checks are ordered from BACKGROUND_CHECK_PROVIDER when one is
+ * configured; its webhooks and the polling job map the result onto the
+ * caregiver_background_checks row. "consider" results, and every check
+ * under the internal provider, wait for an admin.
+ */
+
+const DOCUMENT_BUCKET = "caregiver-documents";
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+const DOCUMENT_MIME_TYPES = ["application/pdf", "image/jpeg", "image/png", "image/webp"];
+
+// `expires` - an expiry date is needed before the document can be approved
+const DOCUMENT_TYPES = {
+  government_id: { label: "Government-issued ID", expires: true },
+  barangay_clearance: { label: "Barangay clearance", expires: true },
+  nbi_clearance: { label: "NBI clearance", expires: true },
+  medical_certificate: { label: "Medical certificate", expires: true },
+  first_aid_certificate: { label: "First aid / CPR certificate", expires: true },
+  reference: { label: "Character reference", expires: false },
+  other: { label: "Other document", expires: false },
+};
+
+// Keyed by the tier names in the points rules; a tier not listed here (e.g.
+// renamed in the rules) needs what BASE_TIER needs
+const TIER_REQUIREMENTS = {
+  Bronze: {
+    documents: ["government_id", "barangay_clearance"],
+    backgroundCheck: false,
+  },
+  Silver: {
+    documents: ["government_id", "barangay_clearance", "nbi_clearance"],
+    backgroundCheck: true,
+  },
+  Gold: {
+    documents: ["government_id", "barangay_clearance", "nbi_clearance", "medical_certificate"],
+    backgroundCheck: true,
+  },
+  Platinum: {
+    documents: [
+      "government_id",
+      "barangay_clearance",
+      "nbi_clearance",
+      "medical_certificate",
+      "first_aid_certificate",
+    ],
+    backgroundCheck: true,
+  },
+};
+const BASE_TIER = "Bronze";
+
+// Days before an expiry that the caregiver is reminded, once each
+const REMINDER_DAYS = [30, 7, 1];
+const REMINDER_WINDOW_DAYS = Math.max(...REMINDER_DAYS);
+// The hourly sweep re-checks each caregiver with something expiring this often
+const RECHECK_MS = 12 * 60 * 60 * 1000;
+
+const OPEN_CHECK_STATUSES = ["pending", "in_progress"];
+// Clearance length when the provider does not say
+const BACKGROUND_CHECK_VALIDITY_DAYS = Number(process.env.BACKGROUND_CHECK_VALIDITY_DAYS) || 365;
+// Open provider orders are polled about this often, in case a webhook is lost
+const POLL_INTERVAL_MS = 60 * 60 * 1000;
+
+// Row status for each normalized provider status; "consider" waits for an
+// admin and a cancelled renewal falls back on the clearance it would replace
+const PROVIDER_TO_CHECK_STATUS = {
+  pending: "pending",
+  in_progress: "in_progress",
+  clear: "approved",
+  consider: "in_progress",
+  cancelled: "not_started",
+};
+
+const requirementsFor = (tier) => TIER_REQUIREMENTS[tier] || TIER_REQUIREMENTS[BASE_TIER];
+
+const todayIn = (now = new Date()) => zonedParts(now, DEFAULT_TIME_ZONE).date;
+
+// DATE or timestamp column as YYYY-MM-DD
+const toDate = (value) => (value ? String(value).slice(0, 10) : null);
+
+const daysUntil = (date, today) =>
+  Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / 86400000);
+
+// Valid through its expiry date
+const isExpired = (date, today) => Boolean(date) && date < today;
+
+const latestBy = (rows, pick) =>
+  rows.reduce((best, row) => (!best || (pick(row) || "") > (pick(best) || "") ? row : best), null);
+
+/**
+ * Where a caregiver stands on one required document type, from their
+ * uploads of that type
+ */
+const documentState = (documents, today) => {
+  const approved = documents.filter((doc) => doc.status === "approved");
+  const valid = approved.filter((doc) => !isExpired(toDate(doc.expiry_date), today));
+  const pending = documents.find((doc) => doc.status === "pending");
+
+  if (valid.length) {
+    const doc = latestBy(valid, (row) => toDate(row.expiry_date) || "9999-12-31");
+    return { state: "approved", documentId: doc.id, expiryDate: toDate(doc.expiry_date) };
+  }
+  if (approved.length) {
+    const doc = latestBy(approved, (row) => toDate(row.expiry_date));
+    return {
+      state: "expired",
+      documentId: doc.id,
+      expiryDate: toDate(doc.expiry_date),
+      replacementPending: Boolean(pending),
+    };
+  }
+  if (pending) return { state: "pending", documentId: pending.id, expiryDate: null };
+
+  const rejected = latestBy(
+    documents.filter((doc) => doc.status === "rejected"),
+    (row) => row.uploaded_at,
+  );
+  if (rejected) {
+    return {
+      state: "rejected",
+      documentId: rejected.id,
+      expiryDate: null,
+      notes: rejected.review_notes || null,
+    };
+  }
+  return { state: "missing", documentId: null, expiryDate: null };
+};
+
+/**
+ * A renewal in progress keeps the previous clearance until it expires
+ */
+const backgroundCheckState = (check, today) => {
+  const expiryDate = toDate(check?.expiry_date);
+  const status = check?.status || "not_started";
+  const cleared = status === "approved" || (OPEN_CHECK_STATUSES.includes(status) && check.verified_at);
+
+  if (cleared && expiryDate && !isExpired(expiryDate, today)) {
+    return { state: "approved", status, expiryDate, renewalPending: status !== "approved" };
+  }
+  if (status === "approved" && !expiryDate) {
+    return { state: "approved", status, expiryDate: null, renewalPending: false };
+  }
+  if (cleared || status === "expired") {
+    return {
+      state: "expired",
+      status,
+      expiryDate,
+      replacementPending: OPEN_CHECK_STATUSES.includes(status),
+    };
+  }
+  if (OPEN_CHECK_STATUSES.includes(status)) return { state: "pending", status, expiryDate: null };
+  if (status === "rejected") return { state: "rejected", status, expiryDate: null, notes: check.notes };
+  return { state: "missing", status, expiryDate: null };
+};
+
+const certificationsOf = (profile) =>
+  (Array.isArray(profile?.certifications) ? profile.certifications : [])
+    .filter((cert) => cert && typeof cert === "object" && cert.name)
+    .map((cert) => ({ name: cert.name, expiryDate: toDate(cert.expiryDate) }));
+
+/**
+ * Verification status from what is on file; pure, so it can be previewed
+ * @param {Object} input
+ * @param {string|null} input.tier - points tier name
+ * @param {Array<Object>} input.documents - caregiver_documents rows
+ * @param {Object|null} input.backgroundCheck - caregiver_background_checks row
+ * @param {Object|null} input.profile - caregiver_profiles row (certifications)
+ * @param {string} input.today - YYYY-MM-DD in DEFAULT_TIME_ZONE
+ * @returns {Object} { status, tier, requirements, backgroundCheck, certifications, expiring, nextExpiryDate }
+ */
+const evaluateVerification = ({ tier, documents = [], backgroundCheck, profile, today }) => {
+  const required = requirementsFor(tier);
+
+  const requirements = required.documents.map((type) => ({
+    type,
+    label: DOCUMENT_TYPES[type].label,
+    ...documentState(
+      documents.filter((doc) => doc.document_type === type),
+      today,
+    ),
+  }));
+  const check = {
+    required: required.backgroundCheck,
+    ...backgroundCheckState(backgroundCheck, today),
+  };
+  const certifications = certificationsOf(profile).map((cert) => ({
+    ...cert,
+    expired: isExpired(cert.expiryDate, today),
+  }));
+
+  const states = requirements.map((item) => item.state);
+  if (check.required) states.push(check.state);
+
+  let status = "verified";
+  if (states.includes("expired")) status = "lapsed";
+  else if (states.some((state) => state === "missing" || state === "rejected")) status = "incomplete";
+  else if (states.includes("pending")) status = "pending";
+
+  // Everything on file that will expire, required or not
+  const tracked = [
+    ...documents
+      .filter((doc) => doc.status === "approved" && doc.expiry_date)
+      .map((doc) => ({
+        key: `document:${doc.id}`,
+        label: DOCUMENT_TYPES[doc.document_type]?.label || doc.name || "Document",
+        expiryDate: toDate(doc.expiry_date),
+      })),
+    ...(check.state === "approved" && check.expiryDate
+      ? [{ key: "backgroundCheck", label: "Background check", expiryDate: check.expiryDate }]
+      : []),
+    ...certifications
+      .filter((cert) => cert.expiryDate)
+      .map((cert) => ({
+        key: `certification:${cert.name}`,
+        label: cert.name,
+        expiryDate: cert.expiryDate,
+      })),
+  ].filter((item) => !isExpired(item.expiryDate, today));
+
+  const expiring = tracked
+    .map((item) => ({ ...item, daysLeft: daysUntil(item.expiryDate, today) }))
+    .filter((item) => item.daysLeft <= REMINDER_WINDOW_DAYS)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+  const nextExpiryDate = tracked.reduce(
+    (earliest, item) => (!earliest || item.expiryDate < earliest ? item.expiryDate : earliest),
+    null,
+  );
+
+  return {
+    status,
+    tier: tier || null,
+    requirements,
+    backgroundCheck: check,
+    certifications,
+    expiring,
+    nextExpiryDate,
+  };
+};
+
+const loadVerification = async (userId) => {
+  const [profile, documents, backgroundCheck, summaries] = await Promise.all([
+    CaregiverProfileService.getByUserId(userId),
+    CaregiverDocumentService.listByUser(userId),
+    BackgroundCheckService.getByUserId(userId),
+    PointsService.listSummaries([userId]),
+  ]);
+  return { profile, documents, backgroundCheck, tier: summaries.get(userId)?.tier || null };
+};
+
+/**
+ * Live verification of a caregiver, with their documents
+ */
+const getVerification = async (userId, { now = new Date() } = {}) => {
+  const loaded = await loadVerification(userId);
+  if (!loaded.profile) throw ErrorResponse.notFound("Caregiver profile not found");
+
+  return {
+    ...evaluateVerification({ ...loaded, today: todayIn(now) }),
+    searchVisibility: loaded.profile.search_visibility || "standard",
+    lapsedAt: loaded.profile.verification_lapsed_at || null,
+    documents: await withDocumentUrls(loaded.documents),
+  };
+};
+
+const countOf = (value) => (Array.isArray(value) ? value.length : 0);
+
+/**
+ * The `verification` block the status endpoint returned before this
+ * workflow, for clients that still read it. trustScore and
+ * profileCompletionPercentage use the formulas of the old caregiver model.
+ * @param {string} userId
+ * @param {Object} verification - from getVerification
+ */
+const legacyVerificationSummary = async (userId, verification) => {
+  const [user, profile, schedule] = await Promise.all([
+    UserService.findById(userId),
+    CaregiverProfileService.getByUserId(userId),
+    AvailabilityService.get(userId),
+  ]);
+
+  const completed = [
+    user?.name,
+    profile?.bio,
+    profile?.profile_image || user?.profile_image,
+    countOf(user?.skills),
+    profile?.experience?.description,
+    profile?.hourly_rate,
+    countOf(profile?.certifications),
+    schedule.weeklySlots.length,
+    countOf(profile?.emergency_contacts),
+    countOf(profile?.age_care_ranges),
+  ].filter(Boolean).length;
+  const profileCompletionPercentage = Math.round((completed / 10) * 100);
+
+  const verifiedCertifications = (Array.isArray(profile?.certifications) ? profile.certifications : [])
+    .filter((cert) => cert?.verified).length;
+  const identityVerified = verification.requirements.some(
+    (item) => item.type === "government_id" && item.state === "approved",
+  );
+  const backgroundChecked = verification.backgroundCheck.state === "approved";
+  const certificationsVerified =
+    verifiedCertifications > 0 && verifiedCertifications === countOf(profile?.certifications);
+  const rating = Number(profile?.rating) || 0;
+
+  let trustScore = (profileCompletionPercentage / 100) * 30;
+  if (backgroundChecked) trustScore += 25;
+  trustScore += Math.min(verifiedCertifications * 5, 20);
+  if (rating >= 4.5) trustScore += 15;
+  else if (rating >= 4.0) trustScore += 10;
+  else if (rating >= 3.5) trustScore += 5;
+  if (identityVerified) trustScore += 10;
+
+  const badges = [
+    identityVerified && "verified_identity",
+    backgroundChecked && "background_checked",
+    certificationsVerified && "certified_caregiver",
+    rating >= 4.5 && "top_rated",
+  ].filter(Boolean);
+
+  return {
+    profileComplete: profileCompletionPercentage >= 80,
+    identityVerified,
+    certificationsVerified,
+    referencesVerified: verification.documents.some(
+      (doc) => doc.document_type === "reference" && doc.status === "approved",
+    ),
+    badges,
+    trustScore: Math.min(Math.round(trustScore), 100),
+    profileCompletionPercentage,
+  };
+};
+
+const announceStatus = (userId, previous, evaluation) => {
+  if (evaluation.status === "lapsed") {
+    const expired = [
+      ...evaluation.requirements.filter((item) => item.state === "expired").map((item) => item.label),
+      ...(evaluation.backgroundCheck.required && evaluation.backgroundCheck.state === "expired"
+        ? ["Background check"]
+        : []),
+    ];
+    notify([userId], {
+      type: "system",
+      title: "Your verification has lapsed",
+      message: `${expired.join(", ")} expired. You will appear lower in search results until it is renewed.`,
+      data: { kind: "verification_lapsed", expired },
+    });
+  } else if (evaluation.status === "verified" && previous !== "verified") {
+    notify([userId], {
+      type: "system",
+      title: previous === "lapsed" ? "Your verification is restored" : "You are verified",
+      message: "Your documents are all in order.",
+      data: { kind: "verification_verified" },
+    });
+  }
+
+  logAction({
+    userId: null,
+    action: "CAREGIVER_VERIFICATION_CHANGED",
+    entity: "USER",
+    entityId: userId,
+    metadata: { from: previous || null, to: evaluation.status, tier: evaluation.tier },
+  });
+};
+
+/**
+ * Re-evaluate a caregiver and store the result on caregiver_profiles; call
+ * after anything that feeds the evaluation changes. Resolves to null for a
+ * user without a caregiver profile.
+ */
+const refreshVerification = async (userId, { now = new Date() } = {}) => {
+  const loaded = await loadVerification(userId);
+  if (!loaded.profile) return null;
+
+  const evaluation = evaluateVerification({ ...loaded, today: todayIn(now) });
+  const previous = loaded.profile.verification_status;
+  const lapsed = evaluation.status === "lapsed";
+
+  await CaregiverProfileService.update(userId, {
+    verification_status: evaluation.status,
+    search_visibility: lapsed ? "reduced" : "standard",
+    verification_lapsed_at: lapsed ? loaded.profile.verification_lapsed_at || now.toISOString() : null,
+    verification_checked_at: now.toISOString(),
+    next_expiry_date: evaluation.nextExpiryDate,
+  });
+
+  const changed = previous !== evaluation.status;
+  if (changed) announceStatus(userId, previous, evaluation);
+  return { ...evaluation, changed };
+};
+
+/**
+ * Remind the caregiver of what expires soon, at most once per threshold
+ * @returns {Promise<number>} reminders sent
+ */
+const sendExpiryReminders = async (userId, evaluation) => {
+  let sent = 0;
+  for (const item of evaluation.expiring) {
+    const daysBefore = [...REMINDER_DAYS].sort((a, b) => a - b).find((days) => item.daysLeft <= days);
+    const recorded = await VerificationReminderService.record({
+      userId,
+      itemKey: item.key,
+      expiryDate: item.expiryDate,
+      daysBefore,
+    });
+    if (!recorded) continue;
+
+    notify([userId], {
+      type: "system",
+      title: `${item.label} expires soon`,
+      message:
+        item.daysLeft === 0
+          ? `${item.label} expires today. Upload a renewed one to stay verified.`
+          : `${item.label} expires in ${item.daysLeft} day${item.daysLeft === 1 ? "" : "s"} (${item.expiryDate}). Upload a renewed one to stay verified.`,
+      data: { kind: "verification_expiring", item: item.key, expiryDate: item.expiryDate },
+    });
+    sent += 1;
+  }
+  return sent;
+};
+
+/**
+ * Re-check caregivers with something expiring within the reminder window or
+ * just expired: send reminders and lapse those whose requirements ran out
+ */
+const sweepVerificationExpiry = async ({ limit = 100, now = new Date() } = {}) => {
+  const due = await CaregiverProfileService.listDueForVerificationCheck({
+    through: addDays(todayIn(now), REMINDER_WINDOW_DAYS),
+    checkedBefore: new Date(now.getTime() - RECHECK_MS),
+    limit,
+  });
+
+  let reminded = 0;
+  let lapsed = 0;
+  for (const { user_id: userId } of due) {
+    try {
+      const evaluation = await refreshVerification(userId, { now });
+      if (!evaluation) continue;
+      if (evaluation.changed && evaluation.status === "lapsed") lapsed += 1;
+      reminded += await sendExpiryReminders(userId, evaluation);
+    } catch (error) {
+      // One caregiver's failure should not hold up the others
+      console.error(`Failed to check verification of ${userId}:`, error);
+    }
+  }
+
+  return { checked: due.length, reminded, lapsed };
+};
+
+const withDocumentUrls = async (documents) => {
+  const urls = await createSignedUrls(
+    DOCUMENT_BUCKET,
+    documents.map((doc) => doc.file_path),
+  );
+  return documents.map((doc) => ({ ...doc, fileUrl: urls.get(doc.file_path) || null }));
+};
+
+const validateExpiry = (expiryDate, today, errors) => {
+  if (expiryDate == null || expiryDate === "") return null;
+  if (!isValidDate(expiryDate)) {
+    errors.expiryDate = "expiryDate must be a date (YYYY-MM-DD)";
+  } else if (isExpired(expiryDate, today)) {
+    errors.expiryDate = "expiryDate has already passed";
+  }
+  return expiryDate;
+};
+
+/**
+ * Store an uploaded document for review
+ * @param {Object} file - multer file (memory storage)
+ * @returns {Promise<Object>} { document, verification }
+ */
+const submitDocument = async (userId, file, { documentType, expiryDate, name } = {}) => {
+  const errors = {};
+  if (!DOCUMENT_TYPES[documentType]) {
+    errors.documentType = `documentType must be one of: ${Object.keys(DOCUMENT_TYPES).join(", ")}`;
+  }
+  const expiry = validateExpiry(expiryDate, todayIn(), errors);
+  if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+    errors.file = "Documents must be PDF, JPEG, PNG or WebP";
+  } else if (file.size > MAX_DOCUMENT_BYTES) {
+    errors.file = `Documents may be at most ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB`;
+  }
+  if (Object.keys(errors).length) throw ErrorResponse.badRequest("Invalid document", errors);
+
+  const uploaded = await uploadToSupabase(file, DOCUMENT_BUCKET, {
+    folder: userId,
+    isPublic: false,
+  });
+  const document = await CaregiverDocumentService.create(userId, {
+    name: name ? String(name).trim().slice(0, 200) : file.originalname,
+    document_type: documentType,
+    status: "pending",
+    expiry_date: expiry,
+    file_path: uploaded.path,
+    mime_type: uploaded.mimetype,
+    file_size: uploaded.size,
+    uploaded_at: new Date().toISOString(),
+  });
+
+  const [withUrl] = await withDocumentUrls([document]);
+  return { document: withUrl, verification: await refreshVerification(userId) };
+};
+
+/**
+ * Approve or reject a pending document. Approving a type that expires needs
+ * an expiry date, from the upload or given by the reviewer.
+ * @returns {Promise<Object>} { document, verification }
+ */
+const reviewDocument = async (documentId, { decision, adminId, notes, expiryDate }) => {
+  const errors = {};
+  if (!["approve", "reject"].includes(decision)) {
+    errors.decision = "decision must be approve or reject";
+  }
+  if (decision === "reject" && !String(notes || "").trim()) {
+    errors.notes = "Give the caregiver a reason for the rejection";
+  }
+  const expiry = validateExpiry(expiryDate, todayIn(), errors);
+  if (Object.keys(errors).length) throw ErrorResponse.badRequest("Invalid review", errors);
+
+  const document = await CaregiverDocumentService.findById(documentId);
+  if (!document) throw ErrorResponse.notFound("Document not found");
+  if (document.status !== "pending") {
+    throw ErrorResponse.conflict(`Document was already ${document.status}`);
+  }
+
+  const approve = decision === "approve";
+  const effectiveExpiry = expiry || toDate(document.expiry_date);
+  if (approve && DOCUMENT_TYPES[document.document_type]?.expires) {
+    if (!effectiveExpiry) {
+      throw ErrorResponse.badRequest("Invalid review", {
+        expiryDate: "expiryDate is required to approve this document",
+      });
+    }
+    if (isExpired(effectiveExpiry, todayIn())) {
+      throw ErrorResponse.badRequest("Invalid review", {
+        expiryDate: "This document has already expired",
+      });
+    }
+  }
+
+  const updated = await CaregiverDocumentService.review(documentId, {
+    status: approve ? "approved" : "rejected",
+    adminId,
+    notes: notes ? String(notes).trim() : null,
+    expiryDate: expiry || undefined,
+  });
+  if (!updated) throw ErrorResponse.conflict("Document was already reviewed");
+
+  const label = DOCUMENT_TYPES[updated.document_type]?.label || updated.name || "Document";
+  notify([updated.user_id], {
+    type: "system",
+    title: approve ? `${label} approved` : `${label} rejected`,
+    message: approve
+      ? `Your ${label.toLowerCase()} has been approved.`
+      : `Your ${label.toLowerCase()} was rejected: ${updated.review_notes}`,
+    data: { kind: "verification_document", documentId, status: updated.status },
+    actorId: adminId,
+  });
+
+  return { document: updated, verification: await refreshVerification(updated.user_id) };
+};
+
+/**
+ * Ask for a background check, or its renewal once within the reminder window
+ */
+const requestBackgroundCheck = async (userId, { checkTypes } = {}) => {
+  const existing = await BackgroundCheckService.getByUserId(userId);
+  const today = todayIn();
+
+  if (existing && OPEN_CHECK_STATUSES.includes(existing.status)) {
+    throw ErrorResponse.conflict("A background check is already in progress");
+  }
+  const expiryDate = toDate(existing?.expiry_date);
+  if (
+    existing?.status === "approved" &&
+    (!expiryDate || daysUntil(expiryDate, today) > REMINDER_WINDOW_DAYS)
+  ) {
+    throw ErrorResponse.conflict(
+      expiryDate
+        ? `Your background check is valid until ${expiryDate}`
+        : "Your background check is already approved",
+    );
+  }
+
+  const types = Array.isArray(checkTypes) && checkTypes.length
+    ? checkTypes.map(String)
+    : existing?.check_types || [];
+
+  const providerName = configuredProviderName();
+  let provider = null;
+  let order = null;
+  if (providerName !== INTERNAL_PROVIDER) {
+    provider = getBackgroundCheckProvider(providerName);
+    const user = await UserService.findById(userId);
+    order = await provider.submitOrder({
+      reference: userId,
+      candidate: {
+        name: user?.name || null,
+        email: user?.email || null,
+        phone: user?.phone || null,
+        address: user?.address || null,
+      },
+      checkTypes: types,
+    });
+  }
+
+  // Keeps verified_at and expiry_date so a renewal does not drop the clearance
+  const record = await BackgroundCheckService.upsert(userId, {
+    status: order?.status === "in_progress" ? "in_progress" : "pending",
+    provider: provider ? provider.name : INTERNAL_PROVIDER,
+    provider_reference: order?.reference || null,
+    provider_status: order?.status || null,
+    provider_result: null,
+    report_url: null,
+    last_polled_at: null,
+    check_types: types,
+    requested_at: new Date().toISOString(),
+    completed_at: null,
+    notes: null,
+  });
+
+  return {
+    backgroundCheck: record,
+    portalUrl: order?.portalUrl || null,
+    verification: await refreshVerification(userId),
+  };
+};
+
+const PROVIDER_RESULT_NOTICES = {
+  clear: (record) => [
+    "Background check cleared",
+    `Your background check is valid until ${toDate(record.expiry_date)}.`,
+  ],
+  consider: () => [
+    "Background check under review",
+    "Our team is reviewing your background check results.",
+  ],
+  cancelled: () => [
+    "Background check cancelled",
+    "Your background check was cancelled. You can request it again.",
+  ],
+};
+
+const announceProviderResult = (record) => {
+  const notice = PROVIDER_RESULT_NOTICES[record.provider_status];
+  if (!notice) return;
+
+  const [title, message] = notice(record);
+  notify([record.user_id], {
+    type: "system",
+    title,
+    message,
+    data: { kind: "verification_background_check", status: record.status },
+  });
+};
+
+/**
+ * Map a provider status update (webhook or poll) onto the caregiver's
+ * background check row
+ * @param {Object} record - caregiver_background_checks row of the order
+ * @param {Object} update - normalized { status, completedAt, expiryDate, result, reportUrl }
+ * @returns {Promise<Object>} { backgroundCheck, changed }
+ */
+const applyProviderUpdate = async (record, update, { polledAt } = {}) => {
+  const updates = polledAt ? { last_polled_at: polledAt.toISOString() } : {};
+  const changed = Boolean(update.status) && update.status !== record.provider_status;
+
+  if (changed) {
+    const completedAt = update.completedAt || new Date().toISOString();
+    Object.assign(updates, {
+      status: PROVIDER_TO_CHECK_STATUS[update.status],
+      provider_status: update.status,
+    });
+    if (update.result) updates.provider_result = update.result;
+    if (update.reportUrl) updates.report_url = update.reportUrl;
+
+    if (update.status === "clear") {
+      Object.assign(updates, {
+        completed_at: completedAt,
+        verified_at: completedAt,
+        verified_by: null,
+        expiry_date:
+          toDate(update.expiryDate) ||
+          addDays(todayIn(new Date(completedAt)), BACKGROUND_CHECK_VALIDITY_DAYS),
+      });
+    } else if (update.status === "consider") {
+      Object.assign(updates, {
+        completed_at: completedAt,
+        notes: `Flagged by ${record.provider} for review`,
+      });
+    } else if (update.status === "cancelled") {
+      const stillCleared =
+        record.verified_at && !isExpired(toDate(record.expiry_date), todayIn());
+      Object.assign(updates, {
+        status: stillCleared ? "approved" : "not_started",
+        completed_at: completedAt,
+        notes: `Cancelled by ${record.provider}`,
+      });
+    }
+  }
+
+  if (!Object.keys(updates).length) return { backgroundCheck: record, changed: false };
+
+  const updated = await BackgroundCheckService.updateOpenOrder(
+    record.user_id,
+    record.provider_reference,
+    updates,
+  );
+  if (!updated) return { backgroundCheck: record, changed: false };
+  if (!changed) return { backgroundCheck: updated, changed: false };
+
+  announceProviderResult(updated);
+  await refreshVerification(updated.user_id);
+  return { backgroundCheck: updated, changed: true };
+};
+
+/**
+ * Verify and apply a provider webhook delivery
+ */
+const handleBackgroundCheckWebhook = async (providerName, { rawBody, headers }) => {
+  const provider = getBackgroundCheckProvider(providerName);
+  const event = provider.parseWebhook({ rawBody, headers });
+
+  const record = event.reference
+    ? await BackgroundCheckService.findByProviderReference(provider.name, event.reference)
+    : null;
+
+  const recorded = await BackgroundCheckWebhookEventService.record({
+    provider: provider.name,
+    eventId: event.eventId,
+    eventType: event.type,
+    userId: record?.user_id,
+    payload: event.payload,
+  });
+
+  if (!recorded) return { duplicate: true };
+  if (!record || !event.status) return { ignored: true };
+
+  const { backgroundCheck, changed } = await applyProviderUpdate(record, event);
+  return { backgroundCheck, ignored: !changed };
+};
+
+/**
+ * Ask providers about open orders not heard of for a while, in case a
+ * webhook was lost
+ */
+const pollBackgroundChecks = async ({ limit = 100, now = new Date() } = {}) => {
+  const open = await BackgroundCheckService.listOpenProviderOrders({
+    polledBefore: new Date(now.getTime() - POLL_INTERVAL_MS),
+    limit,
+  });
+
+  let updated = 0;
+  let failed = 0;
+  for (const record of open) {
+    try {
+      const provider = getBackgroundCheckProvider(record.provider);
+      const status = await provider.getStatus({ reference: record.provider_reference });
+      const result = await applyProviderUpdate(record, status, { polledAt: now });
+      if (result.changed) updated += 1;
+    } catch (error) {
+      // One provider or order failing should not hold up the others
+      failed += 1;
+      console.error(`Failed to poll background check of ${record.user_id}:`, error);
+    }
+  }
+
+  return { checked: open.length, updated, failed };
+};
+
+/**
+ * Record the outcome of a background check in progress
+ */
+const reviewBackgroundCheck = async (userId, { decision, adminId, notes, expiryDate }) => {
+  const errors = {};
+  if (!["approve", "reject"].includes(decision)) {
+    errors.decision = "decision must be approve or reject";
+  }
+  const expiry = validateExpiry(expiryDate, todayIn(), errors);
+  if (decision === "approve" && !expiry && !errors.expiryDate) {
+    errors.expiryDate = "expiryDate is required to approve a background check";
+  }
+  if (Object.keys(errors).length) throw ErrorResponse.badRequest("Invalid review", errors);
+
+  const existing = await BackgroundCheckService.getByUserId(userId);
+  if (!existing) throw ErrorResponse.notFound("Background check not found");
+  if (!OPEN_CHECK_STATUSES.includes(existing.status)) {
+    throw ErrorResponse.conflict(`Background check is ${existing.status}, not in progress`);
+  }
+
+  const approve = decision === "approve";
+  const now = new Date().toISOString();
+  const record = await BackgroundCheckService.upsert(userId, {
+    status: approve ? "approved" : "rejected",
+    verified_by: adminId ?? null,
+    verified_at: approve ? now : existing.verified_at,
+    completed_at: now,
+    expiry_date: approve ? expiry : existing.expiry_date,
+    notes: notes ? String(notes).trim() : existing.notes,
+  });
+
+  notify([userId], {
+    type: "system",
+    title: approve ? "Background check cleared" : "Background check not cleared",
+    message: approve
+      ? `Your background check is valid until ${expiry}.`
+      : `Your background check was not cleared${record.notes ? `: ${record.notes}` : "."}`,
+    data: { kind: "verification_background_check", status: record.status },
+    actorId: adminId,
+  });
+
+  return { backgroundCheck: record, verification: await refreshVerification(userId) };
+};
+
+/**
+ * Documents and background checks waiting for an admin
+ */
+const getReviewQueue = async ({ documentType, page = 1, limit = 20 } = {}) => {
+  const [documents, backgroundChecks] = await Promise.all([
+    CaregiverDocumentService.listForReview({ documentType, page, limit }),
+    BackgroundCheckService.listForReview(),
+  ]);
+
+  return {
+    ...documents,
+    documents: await withDocumentUrls(documents.documents),
+    backgroundChecks,
+  };
+};
+
+module.exports = {
+  DOCUMENT_BUCKET,
+  DOCUMENT_TYPES,
+  TIER_REQUIREMENTS,
+  REMINDER_DAYS,
+  MAX_DOCUMENT_BYTES,
+  requirementsFor,
+  evaluateVerification,
+  getVerification,
+  legacyVerificationSummary,
+  refreshVerification,
+  sweepVerificationExpiry,
+  submitDocument,
+  reviewDocument,
+  requestBackgroundCheck,
+  reviewBackgroundCheck,
+  handleBackgroundCheckWebhook,
+  pollBackgroundChecks,
+  getReviewQueue,
+};
@@ -0,0 +1,59 @@
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  UserService,
+  UserBlockService,
+  UserMuteService,
+} = require("./supabaseService");
+
+const ADMIN_ROLES = ["admin", "superadmin"];
+
+// Conversations involving staff stay tagged admin_user; everything else is direct
+const conversationTypeFor = (senderRole, recipientRole) =>
+  ADMIN_ROLES.includes(senderRole) || ADMIN_ROLES.includes(recipientRole)
+    ? "admin_user"
+    : "direct";
+
+/**
+ * Check that sender may message recipientId: the recipient exists, is not
+ * the sender, and neither has blocked the other. Admins bypass blocks.
+ * @returns {Promise<Object>} recipient user row
+ */
+const assertCanMessage = async (sender, recipientId) => {
+  if (recipientId === sender.id) {
+    throw ErrorResponse.badRequest("You cannot message yourself");
+  }
+
+  const recipient = await UserService.findById(recipientId);
+  if (!recipient) {
+    throw ErrorResponse.notFound("Recipient not found");
+  }
+
+  if (!ADMIN_ROLES.includes(sender.role)) {
+    const block = await UserBlockService.findBetween(sender.id, recipientId);
+    if (block) {
+      throw ErrorResponse.forbidden(
+        block.blocker_id === sender.id
+          ? "You have blocked this user. Unblock them to send messages."
+          : "This user is not accepting messages from you",
+      );
+    }
+  }
+
+  return recipient;
+};
+
+// Muted senders still deliver, but without notifications
+const shouldNotify = async (recipientId, senderId) => {
+  try {
+    return !(await UserMuteService.isMuted(recipientId, senderId));
+  } catch (error) {
+    console.error("Mute lookup failed:", error);
+    return true;
+  }
+};
+
+module.exports = {
+  conversationTypeFor,
+  assertCanMessage,
+  shouldNotify,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const ErrorResponse = require("../utils/errorResponse");
+const { isValidDate } = require("./availabilityService");
+
+const CONTRACT_STATUSES = [
+  "proposed",
+  "countered",
+  "active",
+  "declined",
+  "cancelled",
+  "completed",
+];
+
+// Still being negotiated: can be countered, signed or declined
+const OPEN_STATUSES = ["proposed", "countered"];
+
+const MAX_TEXT_LENGTH = 10000;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const ADDRESS_FIELDS = ["street", "city", "state", "zipCode"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate proposed terms. For a counter-offer, `base` holds the previous
+ * version and only the changed fields need to be sent.
+ * @returns {Object} normalized terms, totalAmount recomputed
+ */
+const normalizeTerms = (input = {}, base = {}) => {
+  const merged = { ...base, ...input };
+  const errors = {};
+
+  const serviceType =
+    typeof merged.serviceType === "string" ? merged.serviceType.trim() : "";
+  if (!serviceType) errors.serviceType = "serviceType is required";
+
+  if (!isValidDate(merged.startDate)) {
+    errors.startDate = "startDate must be YYYY-MM-DD";
+  }
+  if (merged.endDate != null) {
+    if (!isValidDate(merged.endDate)) {
+      errors.endDate = "endDate must be YYYY-MM-DD";
+    } else if (isValidDate(merged.startDate) && merged.endDate < merged.startDate) {
+      errors.endDate = "endDate cannot be before startDate";
+    }
+  }
+
+  const hours = Number(merged.hours);
+  const rate = Number(merged.rate);
+  if (!(hours > 0)) errors.hours = "hours must be a positive number";
+  if (!(rate > 0)) errors.rate = "rate must be a positive number";
+
+  const text = merged.terms == null ? "" : String(merged.terms).trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    errors.terms = `terms may be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+
+  const instructions =
+    merged.specialInstructions == null ? "" : String(merged.specialInstructions).trim();
+  if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+    errors.specialInstructions = `specialInstructions may be at most ${MAX_INSTRUCTIONS_LENGTH} characters`;
+  }
+
+  let address = null;
+  if (merged.address != null) {
+    if (typeof merged.address !== "object" || Array.isArray(merged.address)) {
+      errors.address = `address must be an object with ${ADDRESS_FIELDS.join(", ")}`;
+    } else {
+      address = Object.fromEntries(
+        ADDRESS_FIELDS.map((field) => [field, String(merged.address[field] ?? "").trim()]),
+      );
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid contract terms", errors);
+  }
+
+  return {
+    serviceType,
+    startDate: merged.startDate,
+    endDate: merged.endDate || null,
+    hours,
+    rate,
+    totalAmount: round2(hours * rate),
+    currency: merged.currency || "PHP",
+    address,
+    specialInstructions: instructions || null,
+    terms: text || null,
+  };
+};
+
+// JSON with sorted keys so equal terms always hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * SHA-256 over everything a signature covers: the parties, the version and
+ * the terms. Signers send it back to prove what they agreed to.
+ */
+const hashContractVersion = ({ contractId, version, parentId, caregiverId, terms }) =>
+  crypto
+    .createHash("sha256")
+    .update(canonicalJson({ contractId, version, parentId, caregiverId, terms }))
+    .digest("hex");
+
+// "parent" or "caregiver" for a party of the contract, otherwise null
+const partyRole = (contract, userId) => {
+  if (contract.parent_id === userId) return "parent";
+  if (contract.caregiver_id === userId) return "caregiver";
+  return null;
+};
+
+const otherPartyId = (contract, userId) =>
+  contract.parent_id === userId ? contract.caregiver_id : contract.parent_id;
+
+module.exports = {
+  CONTRACT_STATUSES,
+  OPEN_STATUSES,
+  normalizeTerms,
+  hashContractVersion,
+  partyRole,
+  otherPartyId,
+};
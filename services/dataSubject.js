@@ -0,0 +1,820 @@
+const zlib = require("zlib");
+const User = require("../models/User");
+const Caregiver = require("../models/Caregiver");
+const Child = require("../models/Child");
+const Booking = require("../models/Booking");
+const Rating = require("../models/Rating");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  UserService,
+  AuthAdminService,
+  AuditLogService,
+  ApplicationService,
+  InterviewService,
+  DataRequestService,
+  DataSubjectService,
+} = require("./supabaseService");
+const { bookingStateMachine, stores: bookingStores } = require("./bookingStateMachine");
+const { uploadBuffer, removeObjects, createSignedUrls } = require("./storageService");
+const { ATTACHMENT_BUCKET } = require("./messagePayloads");
+const { DOCUMENT_BUCKET } = require("./caregiverVerification");
+const { legacyUserIdFor } = require("./legacyUsers");
+
+/**
+ * Data-subject requests: an export of everything stored about a user, and
+ * erasure of the account once a cooling-off period has passed. Both run in
+ * the background (processDataRequests, registered in maintenanceJobs).
+ *
+ * DATA_CATEGORIES says where a user's data lives. Each source names a table,
+ * the columns that tie a row to the user and what erasure does with it:
+ *   "delete"      the rows only concern the user and are removed
+ *   "keep"        shared records (bookings, audit trail) stay as they are;
+ *                 the user behind them is anonymized with the users row
+ *   { anonymize } the rows stay for the other party with these columns
+ *                 overwritten (an object, or (userId, now) => object)
+ * Optional: `omit` - columns left out of the export (other people's data),
+ * `order` - column to export in, `files` - storage objects removed on erasure.
+ * Sources backed by something other than a Supabase table provide their own
+ * load / count / erase functions, called with the subject ({ userId,
+ * legacyId }: the Supabase user and their legacy MongoDB account, if any).
+ */
+
+const EXPORT_BUCKET = process.env.DATA_EXPORT_BUCKET || "data-exports";
+const EXPORT_TTL_DAYS = Number(process.env.DATA_EXPORT_TTL_DAYS) || 7;
+const ERASURE_COOLING_OFF_DAYS = Number(process.env.ERASURE_COOLING_OFF_DAYS) || 14;
+// A request stuck in processing this long is assumed abandoned and retried
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The user and their legacy MongoDB account (null without one). When the
+ * legacy store is configured but unreachable this throws, so the request is
+ * retried rather than reporting no legacy data.
+ */
+const subjectOf = async (userId, legacyId) => ({
+  userId,
+  legacyId: legacyId || (await legacyUserIdFor(userId)),
+});
+
+// Data still in MongoDB, keyed by the user's legacy account; `erase`
+// resolves to the number of documents touched
+const legacySource = ({ key, model, filter, select = "", erase }) => ({
+  key,
+  load: async ({ legacyId }) =>
+    legacyId ? model.find(filter(legacyId)).select(select).sort({ createdAt: 1 }).lean() : [],
+  count: async ({ legacyId }) => (legacyId ? model.countDocuments(filter(legacyId)) : 0),
+  erase: async ({ legacyId }) => (legacyId ? erase(legacyId) : 0),
+});
+
+const deleteLegacy = (model, filter) => async (legacyId) =>
+  (await model.deleteMany(filter(legacyId))).deletedCount || 0;
+
+// Ratings, bookings and conversations keep pointing at the legacy account,
+// so it is stripped to a placeholder like the users row
+const legacyAccount = legacySource({
+  key: "legacyAccount",
+  model: User,
+  filter: (legacyId) => ({ _id: legacyId }),
+  select: "-passwordResetToken -verification.token",
+  erase: async (legacyId) => {
+    const result = await User.updateOne(
+      { _id: legacyId },
+      {
+        $set: { name: "Deleted user", email: `erased-${legacyId}@users.invalid` },
+        $unset: {
+          firebaseUid: "",
+          password: "",
+          children: "",
+          firstName: "",
+          lastName: "",
+          middleInitial: "",
+          birthDate: "",
+          phone: "",
+          profileImage: "",
+          facebookId: "",
+          googleId: "",
+          address: "",
+          passwordResetToken: "",
+          passwordResetExpires: "",
+          loginHistory: "",
+          trustedDevices: "",
+          twoFactorSecret: "",
+        },
+        // Signs out every legacy session
+        $inc: { tokenVersion: 1 },
+      },
+    );
+    return result.modifiedCount || 0;
+  },
+});
+
+const byCaregiverUser = (legacyId) => ({ userId: legacyId });
+const byParent = (legacyId) => ({ parentId: legacyId });
+
+const legacyRatings = legacySource({
+  key: "ratings",
+  model: Rating,
+  filter: (legacyId) => ({ $or: [{ rater: legacyId }, { ratee: legacyId }] }),
+  // Ratings count towards the other party's score; only the words go
+  erase: async (legacyId) =>
+    (await Rating.updateMany({ rater: legacyId }, { $unset: { review: "" } })).modifiedCount || 0,
+});
+
+const DATA_CATEGORIES = [
+  {
+    key: "profile",
+    label: "Profile and settings",
+    sources: [
+      // Anonymized separately, last (see anonymizeAccount)
+      { key: "account", table: "users", columns: ["id"], erase: "keep" },
+      { key: "caregiverProfile", table: "caregiver_profiles", columns: ["user_id"], erase: "delete" },
+      { key: "availability", table: "caregiver_availability", columns: ["caregiver_id"], erase: "delete" },
+      {
+        key: "documents",
+        table: "caregiver_documents",
+        columns: ["user_id"],
+        erase: "delete",
+        files: { bucket: DOCUMENT_BUCKET, paths: (row) => [row.file_path].filter(Boolean) },
+      },
+      { key: "backgroundChecks", table: "caregiver_background_checks", columns: ["user_id"], erase: "delete" },
+      {
+        key: "backgroundCheckEvents",
+        table: "background_check_webhook_events",
+        columns: ["user_id"],
+        erase: "delete",
+        order: "received_at",
+      },
+      {
+        key: "verificationReminders",
+        table: "verification_reminders",
+        columns: ["user_id"],
+        erase: "delete",
+      },
+      { key: "privacySettings", table: "privacy_settings", columns: ["user_id"], erase: "delete" },
+      {
+        key: "notificationPreferences",
+        table: "notification_preferences",
+        columns: ["user_id"],
+        erase: "delete",
+      },
+      { key: "devices", table: "device_tokens", columns: ["user_id"], erase: "delete", omit: ["token"] },
+      legacyAccount,
+      legacySource({
+        key: "legacyCaregiverProfile",
+        model: Caregiver,
+        filter: byCaregiverUser,
+        erase: deleteLegacy(Caregiver, byCaregiverUser),
+      }),
+    ],
+  },
+  {
+    key: "children",
+    label: "Children",
+    sources: [
+      { key: "children", table: "children", columns: ["parent_id"], erase: "delete" },
+      legacySource({
+        key: "legacyChildren",
+        model: Child,
+        filter: byParent,
+        erase: deleteLegacy(Child, byParent),
+      }),
+    ],
+  },
+  {
+    key: "bookings",
+    label: "Bookings and contracts",
+    sources: [
+      {
+        key: "bookings",
+        table: "bookings",
+        columns: ["parent_id", "caregiver_id"],
+        erase: "keep",
+        order: "created_at",
+      },
+      { key: "series", table: "booking_series", columns: ["parent_id", "caregiver_id"], erase: "keep" },
+      { key: "contracts", table: "contracts", columns: ["parent_id", "caregiver_id"], erase: "keep" },
+      // Kept for the caregiver; the parent's address and children go
+      legacySource({
+        key: "legacyBookings",
+        model: Booking,
+        filter: (legacyId) => ({ $or: [{ clientId: legacyId }, { caregiverId: legacyId }] }),
+        erase: async (legacyId) =>
+          (await Booking.updateMany({ clientId: legacyId }, { $set: { address: "", children: [] } }))
+            .modifiedCount || 0,
+      }),
+    ],
+  },
+  {
+    key: "jobs",
+    label: "Jobs and applications",
+    sources: [
+      { key: "jobs", table: "jobs", columns: ["parent_id"], erase: "keep", order: "created_at" },
+      {
+        key: "applications",
+        table: "applications",
+        columns: ["caregiver_id"],
+        erase: { anonymize: { cover_letter: null, message: null } },
+      },
+    ],
+  },
+  {
+    key: "messages",
+    label: "Messages",
+    sources: [
+      {
+        key: "sent",
+        table: "messages",
+        columns: ["sender_id"],
+        order: "created_at",
+        // Same placeholder as deleting a message for everyone
+        erase: {
+          anonymize: (userId, now) => ({
+            content: "",
+            attachments: [],
+            payload: null,
+            deleted_at: now,
+            deleted_by: userId,
+            updated_at: now,
+          }),
+        },
+        files: {
+          bucket: ATTACHMENT_BUCKET,
+          paths: (row) => (row.attachments || []).map((attachment) => attachment.path),
+        },
+      },
+      { key: "received", table: "messages", columns: ["recipient_id"], erase: "keep", order: "created_at" },
+      { key: "edits", table: "message_edits", columns: ["editor_id"], erase: "delete" },
+      { key: "reactions", table: "message_reactions", columns: ["user_id"], erase: "delete" },
+    ],
+  },
+  {
+    key: "ratings",
+    label: "Ratings and reviews",
+    sources: [legacyRatings],
+  },
+  {
+    key: "payments",
+    label: "Payments",
+    sources: [
+      // Amounts and statuses are bookkeeping records and stay
+      {
+        key: "payments",
+        table: "payments",
+        columns: ["parent_id", "caregiver_id"],
+        erase: { anonymize: { notes: null, checkout_url: null } },
+      },
+      { key: "solana", table: "solana_payments", columns: ["payer_id", "caregiver_id"], erase: "keep" },
+    ],
+  },
+  {
+    key: "reports",
+    label: "Reports",
+    sources: [
+      {
+        key: "filed",
+        table: "user_reports",
+        columns: ["reporter_id"],
+        omit: ["admin_notes"],
+        erase: {
+          anonymize: {
+            description: "Removed at the reporter's request",
+            evidence_urls: [],
+          },
+        },
+      },
+      // Kept for safety reviews; who reported it is not the user's data
+      {
+        key: "aboutYou",
+        table: "user_reports",
+        columns: ["reported_user_id"],
+        omit: ["reporter_id", "admin_notes", "reviewed_by"],
+        erase: "keep",
+      },
+    ],
+  },
+  {
+    key: "notifications",
+    label: "Notifications",
+    sources: [
+      { key: "notifications", table: "notifications", columns: ["user_id"], erase: "delete", order: "created_at" },
+    ],
+  },
+  {
+    key: "privacy",
+    label: "Privacy, blocks and mutes",
+    sources: [
+      {
+        key: "requests",
+        table: "privacy_requests",
+        columns: ["requester_id", "target_user_id"],
+        erase: "delete",
+      },
+      { key: "grants", table: "privacy_grants", columns: ["owner_id", "grantee_id"], erase: "delete" },
+      {
+        key: "accessLog",
+        table: "privacy_access_logs",
+        columns: ["owner_id", "viewer_id"],
+        erase: "delete",
+        order: "accessed_at",
+      },
+      { key: "blocks", table: "user_blocks", columns: ["blocker_id"], erase: "delete" },
+      { key: "mutes", table: "user_mutes", columns: ["user_id"], erase: "delete" },
+    ],
+  },
+  {
+    key: "points",
+    label: "Points",
+    sources: [
+      { key: "ledger", table: "caregiver_points_ledger", columns: ["caregiver_id"], erase: "delete" },
+      { key: "summary", table: "caregiver_points_summary", columns: ["caregiver_id"], erase: "delete" },
+    ],
+  },
+  {
+    key: "auditTrail",
+    label: "Account activity",
+    sources: [
+      { key: "actions", table: "audit_logs", columns: ["admin_id"], erase: "keep", order: "created_at" },
+      { key: "statusHistory", table: "user_status_history", columns: ["user_id"], erase: "keep" },
+    ],
+  },
+];
+
+const loadSource = async (source, subject) => {
+  if (!source.table) return source.load(subject);
+
+  const rows = await DataSubjectService.listOwned(source.table, source.columns, subject.userId, {
+    order: source.order,
+  });
+  if (!source.omit) return rows;
+  return rows.map((row) =>
+    Object.fromEntries(Object.entries(row).filter(([column]) => !source.omit.includes(column))),
+  );
+};
+
+const countSource = (source, subject) =>
+  source.table
+    ? DataSubjectService.countOwned(source.table, source.columns, subject.userId)
+    : source.count(subject);
+
+/**
+ * Stored data by category
+ * @returns {Promise<Object>} { categories: [{ key, label, records, sources }], totalRecords }
+ */
+const summarizeUsage = async (userId) => {
+  const subject = await subjectOf(userId);
+  const categories = [];
+  for (const category of DATA_CATEGORIES) {
+    const counts = await Promise.all(category.sources.map((source) => countSource(source, subject)));
+    categories.push({
+      key: category.key,
+      label: category.label,
+      records: counts.reduce((sum, count) => sum + count, 0),
+      sources: Object.fromEntries(category.sources.map((source, index) => [source.key, counts[index]])),
+    });
+  }
+
+  return {
+    categories,
+    totalRecords: categories.reduce((sum, category) => sum + category.records, 0),
+  };
+};
+
+/**
+ * Everything stored about the user, by category and source
+ * @returns {Promise<Object>} { archive, summary } (summary: category -> record count)
+ */
+const buildArchive = async (userId, { now = new Date() } = {}) => {
+  const subject = await subjectOf(userId);
+  const categories = {};
+  const summary = {};
+
+  for (const category of DATA_CATEGORIES) {
+    const sections = {};
+    let records = 0;
+    for (const source of category.sources) {
+      sections[source.key] = await loadSource(source, subject);
+      records += sections[source.key].length;
+    }
+    categories[category.key] = { label: category.label, ...sections };
+    summary[category.key] = records;
+  }
+
+  return {
+    archive: {
+      format: "iyaya-data-export",
+      version: 1,
+      userId,
+      generatedAt: now.toISOString(),
+      categories,
+    },
+    summary,
+  };
+};
+
+/* ========== Export ========== */
+
+/**
+ * Queue an export; resolves to the user's open export when one is already queued
+ * @returns {Promise<Object>} { request, created }
+ */
+const requestExport = async (userId) => {
+  const request = await DataRequestService.create({
+    user_id: userId,
+    type: "export",
+    status: "pending",
+  });
+  if (request) return { request, created: true };
+
+  return { request: await DataRequestService.findOpen(userId, "export"), created: false };
+};
+
+// Claim a pending (or abandoned) request for this worker; null when someone else has it
+const claim = (request, now) =>
+  DataRequestService.update(
+    request.id,
+    { status: "processing", started_at: now.toISOString(), attempts: (request.attempts || 0) + 1 },
+    { expectedStatus: request.status },
+  );
+
+// Put a failed run back for the next pass, or give up after MAX_ATTEMPTS
+const release = (claimed, retryStatus, error) =>
+  DataRequestService.update(
+    claimed.id,
+    {
+      status: claimed.attempts >= MAX_ATTEMPTS ? "failed" : retryStatus,
+      last_error: error.message,
+    },
+    { expectedStatus: "processing" },
+  );
+
+/**
+ * Build the archive for an export request and store it gzipped in the
+ * private export bucket
+ * @returns {Promise<Object|null>} the updated request, or null when another worker claimed it
+ */
+const processExport = async (request, { now = new Date() } = {}) => {
+  const claimed = await claim(request, now);
+  if (!claimed) return null;
+
+  try {
+    const { archive, summary } = await buildArchive(claimed.user_id, { now });
+    const body = zlib.gzipSync(JSON.stringify(archive, null, 2));
+    const stored = await uploadBuffer(
+      EXPORT_BUCKET,
+      `${claimed.user_id}/${claimed.id}.json.gz`,
+      body,
+      "application/gzip",
+    );
+
+    return await DataRequestService.update(
+      claimed.id,
+      {
+        status: "ready",
+        storage_path: stored.path,
+        file_size: stored.size,
+        summary,
+        expires_at: new Date(now.getTime() + EXPORT_TTL_DAYS * DAY).toISOString(),
+        completed_at: new Date().toISOString(),
+        last_error: null,
+      },
+      { expectedStatus: "processing" },
+    );
+  } catch (error) {
+    console.error(`Data export ${claimed.id} failed:`, error);
+    return release(claimed, "pending", error);
+  }
+};
+
+// Signed URL for a ready export; null while it is not ready or after it expired
+const exportDownloadUrl = async (request) => {
+  if (request.status !== "ready" || !request.storage_path) return null;
+  const urls = await createSignedUrls(EXPORT_BUCKET, [request.storage_path]);
+  return urls.get(request.storage_path) || null;
+};
+
+// Remove stored archives past their expires_at
+const expireExports = async ({ now = new Date(), limit = 100 } = {}) => {
+  const due = await DataRequestService.listDue({
+    type: "export",
+    status: "ready",
+    column: "expires_at",
+    before: now,
+    limit,
+  });
+  if (!due.length) return 0;
+
+  await removeObjects(
+    EXPORT_BUCKET,
+    due.map((request) => request.storage_path),
+  );
+  await Promise.all(
+    due.map((request) =>
+      DataRequestService.update(request.id, { status: "expired", storage_path: null }, {
+        expectedStatus: "ready",
+      }),
+    ),
+  );
+  return due.length;
+};
+
+/* ========== Erasure ========== */
+
+// Bookings and contracts the other party relies on have to end first
+const assertNoActiveCommitments = async (userId) => {
+  const [bookings, contracts] = await Promise.all([
+    DataSubjectService.countOwned("bookings", ["parent_id", "caregiver_id"], userId, {
+      where: { status: ["confirmed", "in_progress"] },
+    }),
+    DataSubjectService.countOwned("contracts", ["parent_id", "caregiver_id"], userId, {
+      where: { status: "active" },
+    }),
+  ]);
+
+  if (bookings || contracts) {
+    throw ErrorResponse.conflict(
+      `Complete or cancel your ${bookings} confirmed booking(s) and ${contracts} active contract(s) before deleting your account`,
+    );
+  }
+};
+
+/**
+ * Schedule erasure after the cooling-off period
+ * @returns {Promise<Object>} the scheduled request
+ */
+const scheduleErasure = async (userId, { reason, now = new Date() } = {}) => {
+  await assertNoActiveCommitments(userId);
+
+  const request = await DataRequestService.create({
+    user_id: userId,
+    type: "erasure",
+    status: "scheduled",
+    reason: reason || null,
+    scheduled_for: new Date(now.getTime() + ERASURE_COOLING_OFF_DAYS * DAY).toISOString(),
+  });
+  if (!request) throw ErrorResponse.conflict("Account deletion is already scheduled");
+  return request;
+};
+
+const cancelErasure = async (userId) => {
+  const open = await DataRequestService.findOpen(userId, "erasure");
+  if (!open || open.status !== "scheduled") {
+    throw ErrorResponse.notFound("No scheduled account deletion to cancel");
+  }
+
+  const cancelled = await DataRequestService.update(
+    open.id,
+    { status: "cancelled", cancelled_at: new Date().toISOString() },
+    { expectedStatus: "scheduled" },
+  );
+  if (!cancelled) throw ErrorResponse.conflict("Account deletion is already in progress");
+  return cancelled;
+};
+
+const OPEN_JOB_FEEDBACK = "This job is no longer available";
+
+/**
+ * Close what the user left open: pending bookings (through the state machine,
+ * so the other party hears about it), series, contract proposals, jobs and
+ * applications
+ */
+const windDown = async (userId) => {
+  const pending = await DataSubjectService.listOwned(
+    "bookings",
+    ["parent_id", "caregiver_id"],
+    userId,
+    { where: { status: "pending" } },
+  );
+  for (const booking of pending) {
+    try {
+      await bookingStateMachine.transition({
+        booking,
+        to: "cancelled",
+        actor: { id: null, role: "system" },
+        store: bookingStores.supabase,
+        context: { reason: "Account deleted", auditAction: "BOOKING_CANCELLED_ACCOUNT_ERASED" },
+      });
+    } catch (error) {
+      // Someone else moved it on; leave it
+      if (!error.isOperational) throw error;
+    }
+  }
+
+  const [series, contracts, jobs, applications] = await Promise.all([
+    DataSubjectService.updateOwned("booking_series", ["parent_id", "caregiver_id"], userId, {
+      status: "cancelled",
+    }, { where: { status: "active" }, select: "id" }),
+    DataSubjectService.updateOwned("contracts", ["parent_id", "caregiver_id"], userId, {
+      status: "cancelled",
+    }, { where: { status: ["proposed", "countered"] }, select: "id" }),
+    DataSubjectService.updateOwned("jobs", ["parent_id"], userId, { status: "cancelled" }, {
+      where: { status: "active" },
+      select: "id",
+    }),
+    DataSubjectService.updateOwned("applications", ["caregiver_id"], userId, {
+      status: "withdrawn",
+    }, { where: { status: ["pending", "shortlisted"] }, select: "id" }),
+  ]);
+
+  for (const job of jobs) {
+    await ApplicationService.rejectOpenForJob(job.id, {
+      feedback: OPEN_JOB_FEEDBACK,
+      reviewedBy: null,
+    });
+    await InterviewService.cancelOpenForJob(job.id);
+  }
+  for (const application of applications) {
+    await InterviewService.cancelOpenForApplication(application.id);
+  }
+
+  return {
+    bookings: pending.length,
+    series: series.length,
+    contracts: contracts.length,
+    jobs: jobs.length,
+    applications: applications.length,
+  };
+};
+
+// Apply a source's erase policy; resolves to the number of rows touched
+const eraseSource = async (source, subject, now) => {
+  if (!source.table) return source.erase(subject);
+  if (source.erase === "keep") return 0;
+
+  const { userId } = subject;
+
+  if (source.files) {
+    const rows = await DataSubjectService.listOwned(source.table, source.columns, userId);
+    await removeObjects(source.files.bucket, rows.flatMap(source.files.paths));
+  }
+
+  if (source.erase === "delete") {
+    return DataSubjectService.deleteOwned(source.table, source.columns, userId);
+  }
+
+  const { anonymize } = source.erase;
+  const values = typeof anonymize === "function" ? anonymize(userId, now) : anonymize;
+  const updated = await DataSubjectService.updateOwned(source.table, source.columns, userId, values);
+  return updated.length;
+};
+
+// Archives already handed out are removed with the account
+const eraseExports = async (userId) => {
+  const exports = await DataRequestService.listByUser(userId, { type: "export", limit: 100 });
+  await removeObjects(
+    EXPORT_BUCKET,
+    exports.map((request) => request.storage_path),
+  );
+  await Promise.all(
+    exports
+      .filter((request) => request.status === "ready")
+      .map((request) =>
+        DataRequestService.update(request.id, { status: "expired", storage_path: null }),
+      ),
+  );
+  return exports.length;
+};
+
+/**
+ * Strip the users row down to a placeholder other records can keep pointing
+ * at, and lock the sign-in for good
+ */
+const anonymizeAccount = async (userId, now) => {
+  const placeholderEmail = `erased-${userId}@users.invalid`;
+
+  await UserService.update(userId, {
+    name: "Deleted user",
+    first_name: null,
+    last_name: null,
+    email: placeholderEmail,
+    phone: null,
+    address: null,
+    profile_image: null,
+    latitude: null,
+    longitude: null,
+    geocoded_at: null,
+    google_id: null,
+    facebook_id: null,
+    status: "inactive",
+    status_reason: "Account erased at the user's request",
+    status_updated_at: now,
+    deleted_at: now,
+    deleted_by: userId,
+  });
+
+  try {
+    await AuthAdminService.updateUser(userId, {
+      email: placeholderEmail,
+      banDuration: "876000h",
+    });
+  } catch (error) {
+    // No sign-in left to lock
+    if (error.status !== 404) throw error;
+  }
+};
+
+/**
+ * Erase an account whose cooling-off period has passed
+ * @returns {Promise<Object|null>} the updated request, or null when another worker claimed it
+ */
+const processErasure = async (request, { now = new Date() } = {}) => {
+  const claimed = await claim(request, now);
+  if (!claimed) return null;
+
+  const userId = claimed.user_id;
+  const at = now.toISOString();
+  try {
+    // The legacy account is found by email, which anonymizeAccount replaces;
+    // resolved before anything is erased and kept on the request for retries
+    const subject = await subjectOf(userId, claimed.legacy_user_id);
+    if (subject.legacyId && !claimed.legacy_user_id) {
+      await DataRequestService.update(
+        claimed.id,
+        { legacy_user_id: subject.legacyId },
+        { expectedStatus: "processing" },
+      );
+    }
+
+    await assertNoActiveCommitments(userId);
+    const closed = await windDown(userId);
+
+    const summary = { closed, erased: {} };
+    for (const category of DATA_CATEGORIES) {
+      let records = 0;
+      for (const source of category.sources) {
+        records += await eraseSource(source, subject, at);
+      }
+      summary.erased[category.key] = records;
+    }
+    summary.erased.exports = await eraseExports(userId);
+    await anonymizeAccount(userId, at);
+
+    await AuditLogService.create({
+      admin_id: userId,
+      action: "ACCOUNT_ERASED",
+      entity: "USER",
+      target_id: userId,
+      metadata: { requestId: claimed.id, ...summary },
+    });
+
+    return await DataRequestService.update(
+      claimed.id,
+      { status: "completed", summary, completed_at: new Date().toISOString(), last_error: null },
+      { expectedStatus: "processing" },
+    );
+  } catch (error) {
+    console.error(`Account erasure ${claimed.id} failed:`, error);
+    return release(claimed, "scheduled", error);
+  }
+};
+
+/* ========== Background processing ========== */
+
+/**
+ * Build queued exports, erase accounts past their cooling-off period and
+ * clean up expired archives. Requests left in processing by a crashed worker
+ * are picked up again after STALE_PROCESSING_MS.
+ */
+const processDataRequests = async ({ limit = 20 } = {}) => {
+  const now = new Date();
+  const stale = new Date(now.getTime() - STALE_PROCESSING_MS);
+
+  const [exports, staleExports, erasures, staleErasures] = await Promise.all([
+    DataRequestService.listDue({ type: "export", status: "pending", limit }),
+    DataRequestService.listDue({ type: "export", status: "processing", column: "started_at", before: stale, limit }),
+    DataRequestService.listDue({ type: "erasure", status: "scheduled", column: "scheduled_for", before: now, limit }),
+    DataRequestService.listDue({ type: "erasure", status: "processing", column: "started_at", before: stale, limit }),
+  ]);
+
+  const results = { exported: 0, erased: 0, failed: 0 };
+  const tally = (request, done) => {
+    if (!request) return;
+    if (request.status === done) results[done === "ready" ? "exported" : "erased"] += 1;
+    else if (request.status === "failed") results.failed += 1;
+  };
+
+  for (const request of [...exports, ...staleExports]) {
+    tally(await processExport(request, { now }), "ready");
+  }
+  for (const request of [...erasures, ...staleErasures]) {
+    tally(await processErasure(request, { now }), "completed");
+  }
+  results.expired = await expireExports({ now });
+
+  return results;
+};
+
+module.exports = {
+  DATA_CATEGORIES,
+  ERASURE_COOLING_OFF_DAYS,
+  EXPORT_TTL_DAYS,
+  summarizeUsage,
+  buildArchive,
+  requestExport,
+  processExport,
+  exportDownloadUrl,
+  scheduleErasure,
+  cancelErasure,
+  processErasure,
+  processDataRequests,
+};
@@ -0,0 +1,381 @@
+const PDFDocument = require("pdfkit");
+
+// PDF documents: contracts, payment receipts and monthly statements
+
+const BRAND = "iYaya";
+const TAGLINE = "Connecting Families with Trusted Caregivers";
+const ACCENT = "#db2777";
+const MUTED = "#666666";
+
+const PROOF_STATUS_LABELS = {
+  ok: "Verified",
+  needs_review: "Needs review",
+};
+
+// Standard PDF fonts are WinAnsi-only, so amounts use the ISO code, not ₱
+const formatMoney = (amount, currency = "PHP") =>
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (value) => {
+  if (!value) return "-";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+};
+
+const formatDateTime = (value) =>
+  value ? `${new Date(value).toISOString().replace("T", " ").slice(0, 19)} UTC` : "-";
+
+const formatTimeRange = (start, end) =>
+  start && end ? `${String(start).slice(0, 5)} - ${String(end).slice(0, 5)}` : "-";
+
+const proofStatusLabel = (payment) => {
+  if (!payment) return "No payment recorded";
+  const label = PROOF_STATUS_LABELS[payment.proofStatus] || payment.proofStatus || "-";
+  const count = payment.proofs?.length || 0;
+  return `${label} (${count} proof${count === 1 ? "" : "s"} on file)`;
+};
+
+// Stable, human-readable receipt number derived from the payment
+const receiptNumber = (payment) =>
+  `RCPT-${String(payment.createdAt || "").slice(0, 7).replace("-", "")}-${String(
+    payment.id,
+  )
+    .slice(0, 8)
+    .toUpperCase()}`;
+
+// Drop characters the standard fonts cannot draw instead of printing garbage
+const pdfText = (value) =>
+  String(value ?? "-").replace(/[^\t\n\r\x20-\x7e\xa0-\xff]/g, "");
+
+/**
+ * Render into a Buffer. `draw` receives a small layout helper around the
+ * pdfkit document.
+ */
+const renderPdf = ({ title, subject, reference }, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      bufferPages: true,
+      info: { Title: title, Subject: subject || title, Author: BRAND, Creator: BRAND },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const left = doc.page.margins.left;
+
+    const layout = {
+      doc,
+      heading(text) {
+        doc.moveDown(0.8);
+        doc.font("Helvetica-Bold").fontSize(12).fillColor(ACCENT).text(pdfText(text));
+        doc
+          .moveTo(left, doc.y + 2)
+          .lineTo(left + width, doc.y + 2)
+          .strokeColor("#eeeeee")
+          .stroke();
+        doc.moveDown(0.4);
+      },
+      // Label/value rows
+      fields(rows) {
+        rows
+          .filter(([, value]) => value !== undefined)
+          .forEach(([label, value]) => {
+            const y = doc.y;
+            doc.font("Helvetica").fontSize(10).fillColor(MUTED);
+            doc.text(pdfText(label), left, y, { width: 150 });
+            doc.font("Helvetica").fillColor("black");
+            doc.text(pdfText(value), left + 160, y, { width: width - 160 });
+            doc.x = left;
+            doc.moveDown(0.2);
+          });
+      },
+      paragraph(text) {
+        doc.font("Helvetica").fontSize(10).fillColor("black").text(pdfText(text), {
+          width,
+          align: "left",
+        });
+        doc.moveDown(0.3);
+      },
+      // columns: [{ label, width (fraction), align }]
+      table(columns, rows) {
+        const drawRow = (cells, font) => {
+          if (doc.y > doc.page.height - doc.page.margins.bottom - 40) doc.addPage();
+          const y = doc.y;
+          let x = left;
+          let bottom = y;
+          cells.forEach((cell, index) => {
+            const colWidth = columns[index].width * width;
+            doc.font(font).fontSize(9).fillColor("black");
+            doc.text(pdfText(cell), x + 2, y, {
+              width: colWidth - 4,
+              align: columns[index].align || "left",
+            });
+            bottom = Math.max(bottom, doc.y);
+            x += colWidth;
+          });
+          doc.x = left;
+          doc.y = bottom + 4;
+        };
+
+        drawRow(
+          columns.map((column) => column.label),
+          "Helvetica-Bold",
+        );
+        rows.forEach((row) => drawRow(row, "Helvetica"));
+        if (!rows.length) layout.paragraph("None.");
+      },
+    };
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(20).fillColor(ACCENT).text(BRAND);
+    doc.font("Helvetica").fontSize(9).fillColor(MUTED).text(TAGLINE);
+    doc.moveDown(1);
+    doc.font("Helvetica-Bold").fontSize(16).fillColor("black").text(pdfText(title));
+    if (reference) {
+      doc.font("Helvetica").fontSize(9).fillColor(MUTED).text(pdfText(reference));
+    }
+
+    try {
+      draw(layout);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
+    // Footer on every page
+    const generatedAt = formatDateTime(new Date());
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index += 1) {
+      doc.switchToPage(index);
+      const bottom = doc.page.height - doc.page.margins.bottom + 15;
+      doc.page.margins.bottom = 0;
+      doc
+        .font("Helvetica")
+        .fontSize(8)
+        .fillColor(MUTED)
+        .text(
+          `Generated ${generatedAt} - Page ${index + 1} of ${range.count}`,
+          left,
+          bottom,
+          { width, align: "center", lineBreak: false },
+        );
+    }
+
+    doc.end();
+  });
+
+/**
+ * Contract with its current terms, signatures and governed bookings
+ * @param {Object} contract - as returned by ContractService.findById
+ * @param {Object} [options]
+ * @param {Array} [options.bookings] - governed bookings, each with `payment`
+ */
+const renderContractPdf = (contract, { bookings = [] } = {}) => {
+  const current =
+    contract.versions.find((version) => version.version === contract.current_version) ||
+    {};
+  const terms = current.terms || {};
+  const address = terms.address
+    ? Object.values(terms.address).filter(Boolean).join(", ")
+    : undefined;
+
+  return renderPdf(
+    {
+      title: "Childcare Service Contract",
+      reference: `Contract ${contract.id} - version ${contract.current_version} - ${contract.status.toUpperCase()}`,
+    },
+    (pdf) => {
+      pdf.heading("Parties");
+      pdf.fields([
+        ["Parent", `${contract.parent?.name || "-"} (${contract.parent?.email || "-"})`],
+        [
+          "Caregiver",
+          `${contract.caregiver?.name || "-"} (${contract.caregiver?.email || "-"})`,
+        ],
+        ["Job", contract.job?.title],
+      ]);
+
+      pdf.heading("Terms");
+      pdf.fields([
+        ["Service", terms.serviceType],
+        ["Start date", formatDate(terms.startDate)],
+        ["End date", terms.endDate ? formatDate(terms.endDate) : "Open-ended"],
+        ["Hours", terms.hours],
+        ["Rate", `${formatMoney(terms.rate, terms.currency)} per hour`],
+        ["Total", formatMoney(terms.totalAmount, terms.currency)],
+        ["Address", address],
+        ["Special instructions", terms.specialInstructions || undefined],
+      ]);
+      if (terms.terms) {
+        pdf.heading("Additional terms");
+        pdf.paragraph(terms.terms);
+      }
+
+      pdf.heading("Signatures");
+      const signatures = (contract.signatures || []).filter(
+        (signature) => signature.version === contract.current_version,
+      );
+      pdf.table(
+        [
+          { label: "Party", width: 0.15 },
+          { label: "Signed by", width: 0.3 },
+          { label: "Signed at", width: 0.25 },
+          { label: "Content hash", width: 0.3 },
+        ],
+        signatures.map((signature) => [
+          signature.signer_role,
+          `${signature.signer_name || "-"} <${signature.signer_email || "-"}>`,
+          formatDateTime(signature.signed_at),
+          signature.content_hash,
+        ]),
+      );
+      pdf.paragraph(`Terms hash (SHA-256): ${current.content_hash || "-"}`);
+
+      pdf.heading("Governed bookings");
+      pdf.table(
+        [
+          { label: "Date", width: 0.22 },
+          { label: "Time", width: 0.16 },
+          { label: "Status", width: 0.14 },
+          { label: "Payment", width: 0.18 },
+          { label: "Payment proof", width: 0.3 },
+        ],
+        bookings.map((booking) => [
+          formatDate(booking.date),
+          formatTimeRange(booking.start_time, booking.end_time),
+          booking.status,
+          booking.payment ? booking.payment.paymentStatus : "-",
+          proofStatusLabel(booking.payment),
+        ]),
+      );
+    },
+  );
+};
+
+/**
+ * Receipt for a payment
+ * @param {Object} payment - normalized payment (PaymentService.findById)
+ * @param {Object} [booking] - BookingService.findById
+ */
+const renderReceiptPdf = (payment, booking) =>
+  renderPdf(
+    {
+      title: payment.paymentStatus === "refunded" ? "Receipt (Refunded)" : "Payment Receipt",
+      reference: `Receipt ${receiptNumber(payment)}`,
+    },
+    (pdf) => {
+      pdf.heading("Payment");
+      pdf.fields([
+        ["Receipt no.", receiptNumber(payment)],
+        ["Payment ID", payment.id],
+        ["Amount", formatMoney(payment.totalAmount, payment.currency)],
+        ["Payment type", payment.paymentType],
+        ["Status", payment.paymentStatus],
+        ["Method", payment.provider],
+        ["Provider reference", payment.providerReference || undefined],
+        ["Payment proof", proofStatusLabel(payment)],
+        ["Refund reason", payment.refundReason || undefined],
+        ["Paid on", formatDate(payment.updatedAt)],
+      ]);
+
+      pdf.heading("Parties");
+      pdf.fields([
+        [
+          "Billed to (parent)",
+          `${payment.parentInfo?.name || "-"} (${payment.parentInfo?.email || "-"})`,
+        ],
+        [
+          "Caregiver",
+          `${payment.caregiverInfo?.name || "-"} (${payment.caregiverInfo?.email || "-"})`,
+        ],
+      ]);
+
+      pdf.heading("Booking");
+      pdf.fields([
+        ["Booking ID", payment.bookingId],
+        ["Date", formatDate(booking?.date)],
+        ["Time", formatTimeRange(booking?.start_time, booking?.end_time)],
+        ["Job", booking?.job?.title],
+        ["Booking status", booking?.status],
+        ["Contract", booking?.contract_id || undefined],
+      ]);
+    },
+  );
+
+/**
+ * Monthly statement of a user's payments (as parent or caregiver)
+ * @param {Object} params
+ * @param {Object} params.user - { id, name, email }
+ * @param {string} params.month - YYYY-MM
+ * @param {Array} params.payments - normalized payments in the month
+ */
+const renderStatementPdf = ({ user, month, payments }) => {
+  const totals = payments.reduce((acc, payment) => {
+    const key = `${payment.paymentStatus}|${payment.currency}`;
+    acc[key] = (acc[key] || 0) + payment.totalAmount;
+    return acc;
+  }, {});
+
+  return renderPdf(
+    {
+      title: "Monthly Statement",
+      reference: `${user.name || user.email || user.id} - ${month}`,
+    },
+    (pdf) => {
+      pdf.heading("Account");
+      pdf.fields([
+        ["Name", user.name],
+        ["Email", user.email],
+        ["Period", month],
+      ]);
+
+      pdf.heading("Payments");
+      pdf.table(
+        [
+          { label: "Date", width: 0.17 },
+          { label: "Parent", width: 0.17 },
+          { label: "Caregiver", width: 0.17 },
+          { label: "Status", width: 0.12 },
+          { label: "Proof", width: 0.17 },
+          { label: "Amount", width: 0.2, align: "right" },
+        ],
+        payments.map((payment) => [
+          formatDate(payment.createdAt),
+          payment.parentInfo?.name || "-",
+          payment.caregiverInfo?.name || "-",
+          payment.paymentStatus,
+          PROOF_STATUS_LABELS[payment.proofStatus] || payment.proofStatus,
+          formatMoney(payment.totalAmount, payment.currency),
+        ]),
+      );
+
+      pdf.heading("Totals");
+      pdf.fields(
+        Object.entries(totals).map(([key, amount]) => {
+          const [status, currency] = key.split("|");
+          return [status, formatMoney(amount, currency)];
+        }),
+      );
+    },
+  );
+};
+
+module.exports = {
+  renderContractPdf,
+  renderReceiptPdf,
+  renderStatementPdf,
+  receiptNumber,
+};
@@ -172,3 +172,18 @@ exports.sendStatusEmail = async ({ email, name, status, reason, suspensionEndDat
     throw error;
   }
 };
+
+// Send a notification-center email (channel "email" in notification preferences)
+exports.sendNotificationEmail = async ({ email, name, title, message }) => {
+  const transporter = createTransporter();
+  const { notificationTemplate } = require('./emailTemplates');
+  const template = notificationTemplate({ name, title, message });
+
+  await transporter.sendMail({
+    from: process.env.EMAIL_FROM || 'noreply@iyaya.com',
+    to: email,
+    subject: template.subject,
+    html: template.html,
+    text: template.text,
+  });
+};
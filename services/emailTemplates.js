@@ -209,8 +209,46 @@ iYaya Admin Team
   `,
 });
 
+// Notification text can carry user-written content (message previews)
+const escapeHtml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const notificationTemplate = ({ name, title, message }) => ({
+  subject: `${title} - iYaya`,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>${escapeHtml(title)}</h2>
+      
+      <p>Hi ${escapeHtml(name)},</p>
+      
+      <p>${escapeHtml(message)}</p>
+      
+      <p>Open the iYaya app to see the details.</p>
+      
+      <p style="color: #888; font-size: 12px;">You can change which emails you receive in your notification settings.</p>
+    </div>
+  `,
+  text: `
+${title}
+
+Hi ${name},
+
+${message}
+
+Open the iYaya app to see the details.
+
+You can change which emails you receive in your notification settings.
+  `,
+});
+
 module.exports = {
   suspensionTemplate,
   bannedTemplate,
   reactivatedTemplate,
+  notificationTemplate,
 };
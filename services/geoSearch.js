@@ -0,0 +1,175 @@
+/**
+ * Distance search over geocoded records (users.latitude/longitude,
+ * jobs.latitude/longitude). Areas come from query parameters:
+ *   lat, lng     search center (or near=<address>, geocoded)
+ *   radius       km around the center, default 10, max 200
+ *   bbox         minLng,minLat,maxLng,maxLat
+ * Both may be combined; results are sorted by distance from the center
+ * (the box midpoint when only a bbox is given).
+ */
+
+const ErrorResponse = require("../utils/errorResponse");
+const { geocodeAddress } = require("./geocodingService");
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 200;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+const haversineKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Smallest lat/lng box containing the circle, used as a cheap prefilter
+ */
+const boundingBox = (center, radiusKm) => {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng =
+    radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(center.latitude)), 0.01));
+  return {
+    minLat: Math.max(center.latitude - dLat, -90),
+    maxLat: Math.min(center.latitude + dLat, 90),
+    minLng: Math.max(center.longitude - dLng, -180),
+    maxLng: Math.min(center.longitude + dLng, 180),
+  };
+};
+
+// Overlap of two boxes (null when they do not intersect)
+const intersectBoxes = (a, b) => {
+  const box = {
+    minLat: Math.max(a.minLat, b.minLat),
+    maxLat: Math.min(a.maxLat, b.maxLat),
+    minLng: Math.max(a.minLng, b.minLng),
+    maxLng: Math.min(a.maxLng, b.maxLng),
+  };
+  return box.minLat <= box.maxLat && box.minLng <= box.maxLng ? box : null;
+};
+
+const parseBbox = (value) => {
+  const parts = String(value).split(",").map((part) => Number(part.trim()));
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (
+    parts.length !== 4 ||
+    !isLongitude(minLng) ||
+    !isLongitude(maxLng) ||
+    !isLatitude(minLat) ||
+    !isLatitude(maxLat) ||
+    minLng > maxLng ||
+    minLat > maxLat
+  ) {
+    throw ErrorResponse.badRequest("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+  return { minLat, maxLat, minLng, maxLng };
+};
+
+const MAX_NEAR_LENGTH = 200;
+
+const parseCenter = async (query) => {
+  if (query.near !== undefined) {
+    // Every new address is a paid geocoder lookup
+    if (String(query.near).length > MAX_NEAR_LENGTH) {
+      throw ErrorResponse.badRequest(`near must be at most ${MAX_NEAR_LENGTH} characters`);
+    }
+    const point = await geocodeAddress(String(query.near));
+    if (!point) throw ErrorResponse.badRequest("Could not locate the 'near' address");
+    return { latitude: point.latitude, longitude: point.longitude };
+  }
+
+  const latitude = Number(query.lat);
+  const longitude = Number(query.lng);
+  if (!isLatitude(latitude) || !isLongitude(longitude)) {
+    throw ErrorResponse.badRequest("lat and lng must be valid coordinates");
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * @returns {Promise<Object|null>} { center, radiusKm, bbox } or null when the
+ *   query has no geo parameters; throws 400 on invalid ones
+ */
+const parseGeoQuery = async (query = {}) => {
+  const hasCenter =
+    query.lat !== undefined || query.lng !== undefined || query.near !== undefined;
+  const hasBbox = query.bbox !== undefined;
+  if (!hasCenter && !hasBbox && query.radius === undefined) return null;
+  if (!hasCenter && query.radius !== undefined) {
+    throw ErrorResponse.badRequest("radius requires lat and lng or near");
+  }
+
+  let bbox = hasBbox ? parseBbox(query.bbox) : null;
+  let center = null;
+  let radiusKm = null;
+
+  if (hasCenter) {
+    center = await parseCenter(query);
+    radiusKm = query.radius === undefined ? DEFAULT_RADIUS_KM : Number(query.radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw ErrorResponse.badRequest(`radius must be between 0 and ${MAX_RADIUS_KM} km`);
+    }
+    const circleBox = boundingBox(center, radiusKm);
+    bbox = bbox ? intersectBoxes(bbox, circleBox) : circleBox;
+  } else {
+    center = {
+      latitude: (bbox.minLat + bbox.maxLat) / 2,
+      longitude: (bbox.minLng + bbox.maxLng) / 2,
+    };
+  }
+
+  return { center, radiusKm, bbox };
+};
+
+const pointOf = (record) => {
+  if (!record) return null;
+  const latitude = Number(record.latitude);
+  const longitude = Number(record.longitude);
+  if (record.latitude == null || record.longitude == null) return null;
+  return isLatitude(latitude) && isLongitude(longitude) ? { latitude, longitude } : null;
+};
+
+const insideBox = (point, box) =>
+  point.latitude >= box.minLat &&
+  point.latitude <= box.maxLat &&
+  point.longitude >= box.minLng &&
+  point.longitude <= box.maxLng;
+
+/**
+ * Records inside the area, nearest first. `coordinatesOf` picks the
+ * { latitude, longitude } holder from a record (the record itself by default).
+ * @returns {Array<{ record, distanceKm }>}
+ */
+const locate = (records, area, coordinatesOf = (record) => record) => {
+  const located = [];
+  for (const record of records) {
+    const point = pointOf(coordinatesOf(record));
+    if (!point || !area.bbox || !insideBox(point, area.bbox)) continue;
+
+    const distanceKm = haversineKm(area.center, point);
+    if (area.radiusKm !== null && distanceKm > area.radiusKm) continue;
+    located.push({ record, distanceKm: round(distanceKm) });
+  }
+  return located.sort((a, b) => a.distanceKm - b.distanceKm);
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  haversineKm,
+  boundingBox,
+  parseGeoQuery,
+  pointOf,
+  locate,
+};
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Address geocoding behind a swappable provider. A provider is anything with
+ * node-geocoder's `geocode(query) -> Promise<Array<{ latitude, longitude }>>`.
+ *
+ * GEOCODER_PROVIDER=fixture answers from a local JSON file instead of the
+ * network (GEOCODER_FIXTURES, defaults to config/geocoder-fixtures.json):
+ *   { "Cebu City": { "latitude": 10.3157, "longitude": 123.8854 }, ... }
+ * Tests can also install any provider with setGeocoder().
+ */
+
+const DEFAULT_FIXTURES = path.join(__dirname, "..", "config", "geocoder-fixtures.json");
+const CACHE_TTL_MS = (Number(process.env.GEOCODER_CACHE_TTL) || 86400) * 1000;
+const CACHE_SIZE = Number(process.env.GEOCODER_CACHE_SIZE) || 1000;
+const ADDRESS_PARTS = ["street", "barangay", "city", "state", "province", "zipCode", "country"];
+
+const normalizeQuery = (text) => String(text).trim().toLowerCase().replace(/\s+/g, " ");
+
+// "Lahug,  Cebu City." and "lahug cebu city" are one cache entry
+const cacheKey = (text) =>
+  normalizeQuery(text).replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+/**
+ * Provider that resolves addresses from a fixed table: an exact match first,
+ * else the longest known place named in the address
+ */
+const createFixtureGeocoder = (fixtures = {}) => {
+  const entries = Object.entries(fixtures).map(([place, point]) => ({
+    place: normalizeQuery(place),
+    point,
+  }));
+
+  return {
+    name: "fixture",
+    geocode: async (query) => {
+      const text = normalizeQuery(query);
+      const match =
+        entries.find((entry) => entry.place === text) ||
+        entries
+          .filter((entry) => text.includes(entry.place))
+          .sort((a, b) => b.place.length - a.place.length)[0];
+
+      if (!match) return [];
+      return [
+        {
+          latitude: Number(match.point.latitude),
+          longitude: Number(match.point.longitude),
+          formattedAddress: match.point.formattedAddress || query,
+        },
+      ];
+    },
+  };
+};
+
+const loadFixtures = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.warn(`[Geocoder] Could not read fixtures from ${file}:`, error.message);
+    return {};
+  }
+};
+
+// Geocoding is best effort; a misconfigured provider finds nothing
+const nullGeocoder = { name: "none", geocode: async () => [] };
+
+const providerFromEnv = () => {
+  if (process.env.GEOCODER_PROVIDER === "fixture") {
+    return createFixtureGeocoder(loadFixtures(process.env.GEOCODER_FIXTURES || DEFAULT_FIXTURES));
+  }
+
+  try {
+    return require("../utils/geocoder");
+  } catch (error) {
+    console.warn("[Geocoder] Provider unavailable; addresses will not be geocoded:", error.message);
+    return nullGeocoder;
+  }
+};
+
+let activeGeocoder = null;
+// Least recently used first (Map keeps insertion order; hits are re-inserted)
+const cache = new Map();
+
+const cacheGet = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  cache.delete(key);
+  if (entry.expiresAt <= Date.now()) return undefined;
+  cache.set(key, entry);
+  return entry;
+};
+
+const cacheSet = (key, result) => {
+  cache.delete(key);
+  cache.set(key, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  if (cache.size <= CACHE_SIZE) return;
+  const now = Date.now();
+  for (const [staleKey, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(staleKey);
+  }
+  // Nothing expired: drop the least recently used
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value);
+};
+
+const getGeocoder = () => {
+  if (!activeGeocoder) activeGeocoder = providerFromEnv();
+  return activeGeocoder;
+};
+
+// Swap the provider (e.g. a fixture geocoder in tests); clears the cache
+const setGeocoder = (geocoder) => {
+  activeGeocoder = geocoder;
+  cache.clear();
+};
+
+/**
+ * One-line address from a string or an { street, city, ... } object
+ */
+const addressText = (address) => {
+  if (!address) return "";
+  if (typeof address === "string") return address.trim();
+  if (typeof address !== "object") return "";
+
+  return ADDRESS_PARTS.map((part) => address[part])
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) => value.trim())
+    .join(", ");
+};
+
+/**
+ * @returns {Promise<Object|null>} { latitude, longitude, formattedAddress }
+ *   or null when the address is empty or cannot be found
+ */
+const geocodeAddress = async (address) => {
+  const text = addressText(address);
+  if (!text) return null;
+
+  const key = cacheKey(text);
+  const cached = cacheGet(key);
+  if (cached) return cached.result;
+
+  let result = null;
+  try {
+    const [first] = (await getGeocoder().geocode(text)) || [];
+    const latitude = Number(first?.latitude);
+    const longitude = Number(first?.longitude);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      result = { latitude, longitude, formattedAddress: first.formattedAddress || text };
+    }
+  } catch (error) {
+    // Saving a profile or job never fails because the geocoder did
+    console.error("[Geocoder] Lookup failed:", error.message);
+    return null;
+  }
+
+  cacheSet(key, result);
+  return result;
+};
+
+/**
+ * Coordinate columns to store next to an address (NULLs when not found, so
+ * stale coordinates never outlive an address change)
+ */
+const coordinateColumns = async (address) => {
+  const point = await geocodeAddress(address);
+  return {
+    latitude: point ? point.latitude : null,
+    longitude: point ? point.longitude : null,
+    geocoded_at: point ? new Date().toISOString() : null,
+  };
+};
+
+module.exports = {
+  createFixtureGeocoder,
+  getGeocoder,
+  setGeocoder,
+  addressText,
+  geocodeAddress,
+  coordinateColumns,
+};
@@ -0,0 +1,326 @@
+const crypto = require("crypto");
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  JobService,
+  ApplicationService,
+  InterviewService,
+  BookingService,
+  ContractService,
+} = require("./supabaseService");
+const { normalizeTerms, hashContractVersion } = require("./contractTerms");
+const { today, occurrenceAmount } = require("./bookingSeries");
+const { isValidDate, isValidTime, timeToMinutes } = require("./availabilityService");
+
+/**
+ * Hiring pipeline for a job: applications move
+ *   pending -> shortlisted -> accepted (hired) | rejected
+ * and hiring one caregiver fills the job, creates the booking and/or contract
+ * proposal and closes every other open application.
+ */
+
+const APPLICATION_STATUSES = [
+  "pending",
+  "shortlisted",
+  "accepted",
+  "rejected",
+  "withdrawn",
+  "completed",
+];
+
+// Still in the running: can be shortlisted, interviewed, hired or withdrawn
+const OPEN_APPLICATION_STATUSES = ["pending", "shortlisted"];
+
+// Decisions a parent may make: from -> allowed targets
+const PARENT_TRANSITIONS = {
+  pending: ["shortlisted", "rejected", "accepted"],
+  shortlisted: ["pending", "rejected", "accepted"],
+  accepted: ["completed"],
+};
+
+const FILLED_FEEDBACK = "Position has been filled";
+const MAX_FEEDBACK_LENGTH = 500;
+
+const INTERVIEW_MODES = ["video", "phone", "in_person"];
+const MIN_INTERVIEW_MINUTES = 15;
+const MAX_INTERVIEW_MINUTES = 240;
+const MAX_LOCATION_LENGTH = 500;
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Interview actions: who may take them, from which statuses, and the result.
+ *   counterparty: the side that did not propose the current time
+ *   either:       parent or caregiver
+ */
+const INTERVIEW_ACTIONS = {
+  confirm: { from: ["proposed"], to: "confirmed", by: "counterparty" },
+  decline: { from: ["proposed"], to: "declined", by: "counterparty" },
+  reschedule: { from: ["proposed", "confirmed"], to: "proposed", by: "either" },
+  cancel: { from: ["proposed", "confirmed"], to: "cancelled", by: "either" },
+  complete: { from: ["confirmed"], to: "completed", by: "parent" },
+};
+
+const assertParentTransition = (from, to) => {
+  if (!APPLICATION_STATUSES.includes(to)) {
+    throw ErrorResponse.badRequest(
+      `Invalid status. Must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+    );
+  }
+  if (!(PARENT_TRANSITIONS[from] || []).includes(to)) {
+    throw ErrorResponse.conflict(`A ${from} application cannot be marked ${to}`);
+  }
+};
+
+const optionalText = (value, max, field, errors) => {
+  if (value == null) return null;
+  const text = String(value).trim();
+  if (text.length > max) errors[field] = `${field} may be at most ${max} characters`;
+  return text || null;
+};
+
+const normalizeFeedback = (value) => {
+  const errors = {};
+  const feedback = optionalText(value, MAX_FEEDBACK_LENGTH, "feedback", errors);
+  if (Object.keys(errors).length) throw ErrorResponse.badRequest("Invalid feedback", errors);
+  return feedback;
+};
+
+// The job's date and times when they describe a slot that is still ahead
+const upcomingSlot = (job) => {
+  if (
+    !isValidDate(job.date) ||
+    !isValidTime(job.start_time) ||
+    !isValidTime(job.end_time) ||
+    timeToMinutes(job.end_time) <= timeToMinutes(job.start_time) ||
+    job.date < today()
+  ) {
+    return null;
+  }
+  return { date: job.date, startTime: job.start_time, endTime: job.end_time };
+};
+
+const hiredRate = (job, application) =>
+  Number(application.proposed_rate) || Number(job.hourly_rate) || null;
+
+/**
+ * Terms for the contract proposed on hire: the job's date, hours and the
+ * agreed rate, with anything in `overrides` taking precedence
+ */
+const hireContractTerms = (job, application, overrides = {}) => {
+  const defaults = {
+    serviceType: job.title,
+    startDate: isValidDate(job.date) ? job.date : undefined,
+    rate: hiredRate(job, application) || undefined,
+  };
+  if (isValidTime(job.start_time) && isValidTime(job.end_time)) {
+    defaults.hours = (timeToMinutes(job.end_time) - timeToMinutes(job.start_time)) / 60;
+  }
+  return normalizeTerms({ ...defaults, ...overrides });
+};
+
+/**
+ * Hire the caregiver behind an open application. Creates a pending booking
+ * when the job has an upcoming slot, and proposes a contract when `contract`
+ * terms are given or there is no slot to book. Everything is validated before
+ * the first write; a failure after the job was filled rolls the hire back.
+ * @returns {Promise<Object>} { application, job, booking, contract, rejected, cancelledInterviews }
+ */
+const hireApplicant = async ({ application, job, actorId, feedback, contract: overrides }) => {
+  const caregiverId = application.caregiver_id;
+  const slot = upcomingSlot(job);
+  const terms = overrides || !slot ? hireContractTerms(job, application, overrides) : null;
+
+  if (job.status !== "active" || job.caregiver_id) {
+    throw ErrorResponse.conflict("This job has already been filled or closed");
+  }
+  if (slot) {
+    await BookingService.assertNoConflicts({ caregiverId, ...slot });
+  }
+
+  const filled = await JobService.markFilled(job.id, caregiverId);
+  if (!filled) throw ErrorResponse.conflict("This job has already been filled or closed");
+
+  const now = new Date().toISOString();
+  let accepted = null;
+  let booking = null;
+  let contract = null;
+
+  try {
+    accepted = await ApplicationService.update(
+      application.id,
+      { status: "accepted", feedback, reviewed_by: actorId, reviewed_at: now },
+      { expectedStatuses: OPEN_APPLICATION_STATUSES },
+    );
+    if (!accepted) throw ErrorResponse.conflict("This application is no longer open");
+
+    if (slot) {
+      booking = await BookingService.create({
+        parent_id: job.parent_id,
+        caregiver_id: caregiverId,
+        job_id: job.id,
+        date: slot.date,
+        start_time: slot.startTime,
+        end_time: slot.endTime,
+        total_amount: occurrenceAmount(hiredRate(job, application), slot.startTime, slot.endTime),
+        status: "pending",
+      });
+    }
+
+    if (terms) {
+      const id = crypto.randomUUID();
+      contract = await ContractService.create({
+        id,
+        parentId: job.parent_id,
+        caregiverId,
+        jobId: job.id,
+        version: {
+          proposed_by: actorId,
+          terms,
+          content_hash: hashContractVersion({
+            contractId: id,
+            version: 1,
+            parentId: job.parent_id,
+            caregiverId,
+            terms,
+          }),
+          note: null,
+        },
+      });
+    }
+  } catch (error) {
+    await rollBackHire({ application, accepted, booking, job, caregiverId });
+    throw error;
+  }
+
+  const linked = await ApplicationService.update(application.id, {
+    booking_id: booking?.id || null,
+    contract_id: contract?.id || null,
+  });
+  const rejected = await ApplicationService.rejectOpenForJob(job.id, {
+    exceptId: application.id,
+    feedback: FILLED_FEEDBACK,
+    reviewedBy: actorId,
+  });
+  const cancelledInterviews = await InterviewService.cancelOpenForJob(job.id, {
+    exceptApplicationId: application.id,
+  });
+
+  return { application: linked, job: filled, booking, contract, rejected, cancelledInterviews };
+};
+
+const rollBackHire = async ({ application, accepted, booking, job, caregiverId }) => {
+  const undo = [];
+  if (booking) {
+    undo.push(BookingService.updateStatus(booking.id, "cancelled", { expectedStatus: "pending" }));
+  }
+  if (accepted) {
+    undo.push(
+      ApplicationService.update(
+        application.id,
+        {
+          status: application.status,
+          feedback: application.feedback,
+          reviewed_by: application.reviewed_by,
+          reviewed_at: application.reviewed_at,
+        },
+        { expectedStatuses: ["accepted"] },
+      ),
+    );
+  }
+  undo.push(JobService.unfill(job.id, caregiverId));
+
+  const results = await Promise.allSettled(undo);
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error("Hire rollback failed:", result.reason));
+};
+
+/**
+ * Validate interview details; for a reschedule, `base` holds the current ones
+ * @returns {Object} { scheduledAt, durationMinutes, mode, location, notes }
+ */
+const normalizeInterviewInput = (input = {}, base = {}) => {
+  const merged = { ...base, ...input };
+  const errors = {};
+
+  const scheduledAt = new Date(merged.scheduledAt);
+  if (!merged.scheduledAt || Number.isNaN(scheduledAt.getTime())) {
+    errors.scheduledAt = "scheduledAt must be an ISO date-time";
+  } else if (scheduledAt.getTime() <= Date.now()) {
+    errors.scheduledAt = "scheduledAt must be in the future";
+  }
+
+  const durationMinutes =
+    merged.durationMinutes == null ? 30 : Number(merged.durationMinutes);
+  if (
+    !Number.isInteger(durationMinutes) ||
+    durationMinutes < MIN_INTERVIEW_MINUTES ||
+    durationMinutes > MAX_INTERVIEW_MINUTES
+  ) {
+    errors.durationMinutes = `durationMinutes must be a whole number from ${MIN_INTERVIEW_MINUTES} to ${MAX_INTERVIEW_MINUTES}`;
+  }
+
+  const mode = merged.mode || "video";
+  if (!INTERVIEW_MODES.includes(mode)) {
+    errors.mode = `mode must be one of: ${INTERVIEW_MODES.join(", ")}`;
+  }
+
+  const location = optionalText(merged.location, MAX_LOCATION_LENGTH, "location", errors);
+  if (mode === "in_person" && !location) {
+    errors.location = "location is required for in-person interviews";
+  }
+  const notes = optionalText(merged.notes, MAX_NOTES_LENGTH, "notes", errors);
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid interview details", errors);
+  }
+
+  return {
+    scheduledAt: scheduledAt.toISOString(),
+    durationMinutes,
+    mode,
+    location,
+    notes,
+  };
+};
+
+/**
+ * Check that `party` ("parent" or "caregiver") may take `action` on the
+ * interview as it stands
+ * @returns {Object} the action definition
+ */
+const assertInterviewAction = (interview, action, { party, userId }) => {
+  const definition = INTERVIEW_ACTIONS[action];
+  if (!definition) {
+    throw ErrorResponse.badRequest(
+      `action must be one of: ${Object.keys(INTERVIEW_ACTIONS).join(", ")}`,
+    );
+  }
+  if (!definition.from.includes(interview.status)) {
+    throw ErrorResponse.conflict(`Cannot ${action} a ${interview.status} interview`);
+  }
+
+  const allowed =
+    definition.by === "either" ||
+    (definition.by === "parent" && party === "parent") ||
+    (definition.by === "counterparty" && interview.proposed_by !== userId);
+  if (!allowed) {
+    throw ErrorResponse.forbidden(
+      definition.by === "counterparty"
+        ? "The other party has to respond to this interview time"
+        : `Only the ${definition.by} can ${action} this interview`,
+    );
+  }
+  return definition;
+};
+
+module.exports = {
+  APPLICATION_STATUSES,
+  OPEN_APPLICATION_STATUSES,
+  FILLED_FEEDBACK,
+  INTERVIEW_ACTIONS,
+  assertParentTransition,
+  normalizeFeedback,
+  hireApplicant,
+  normalizeInterviewInput,
+  assertInterviewAction,
+};
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const { UserService } = require("./supabaseService");
+
+/**
+ * Bridge between Supabase users (UUIDs) and the legacy MongoDB users that
+ * ratings and older bookings still reference. Accounts were migrated by
+ * email (scripts/migrate-data.js), so the email ties the two together.
+ */
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(String(id));
+
+// MongoDB only holds data where MONGODB_URI is configured
+const legacyStoreConfigured = () => Boolean(process.env.MONGODB_URI);
+
+const requireLegacyStore = () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw new ErrorResponse("Legacy user store is unavailable", 503, "LEGACY_STORE_UNAVAILABLE");
+  }
+};
+
+/**
+ * Supabase user ID for a legacy ObjectId user (IDs that are not ObjectIds
+ * are already Supabase IDs). Null when the account was never migrated.
+ */
+const supabaseUserIdFor = async (userId) => {
+  if (!userId) return null;
+  if (!isObjectId(userId)) return String(userId);
+
+  requireLegacyStore();
+  const legacy = await User.findById(userId).select("email").lean();
+  if (!legacy?.email) return null;
+
+  const user = await UserService.findByEmail(legacy.email);
+  return user ? String(user.id) : null;
+};
+
+/**
+ * Legacy ObjectId for a Supabase user, or null when there is no legacy
+ * account (or no legacy store at all)
+ */
+const legacyUserIdFor = async (userId) => {
+  if (!userId) return null;
+  if (isObjectId(userId)) return String(userId);
+  if (!legacyStoreConfigured()) return null;
+
+  requireLegacyStore();
+  const user = await UserService.findById(userId);
+  if (!user?.email) return null;
+
+  const legacy = await User.findOne({ email: user.email.toLowerCase() }).select("_id").lean();
+  return legacy ? String(legacy._id) : null;
+};
+
+module.exports = {
+  isObjectId,
+  legacyStoreConfigured,
+  supabaseUserIdFor,
+  legacyUserIdFor,
+};
@@ -0,0 +1,211 @@
+const {
+  UserService,
+  BookingService,
+  BookingSeriesService,
+  UserStatusHistoryService,
+  PrivacyRequestService,
+} = require("./supabaseService");
+const { sendStatusEmail } = require("./emailService");
+const {
+  bookingStateMachine,
+  stores: bookingStores,
+} = require("./bookingStateMachine");
+const { today, horizonFrom, materializeSeries } = require("./bookingSeries");
+const { processDataRequests } = require("./dataSubject");
+const { revokeEndedBookingGrants } = require("./bookingPrivacy");
+const {
+  sweepVerificationExpiry,
+  pollBackgroundChecks,
+} = require("./caregiverVerification");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const BATCH_SIZE = Number(process.env.MAINTENANCE_BATCH_SIZE) || 100;
+// Pending bookings this many days past their date are cancelled
+const STALE_BOOKING_GRACE_DAYS =
+  Number(process.env.STALE_BOOKING_GRACE_DAYS) || 1;
+
+/**
+ * Reactivate users whose suspension_end_date has passed. Replaces the
+ * pg_cron suggestion in migrations/add_suspension_fields.sql.
+ */
+const reactivateExpiredSuspensions = async () => {
+  const now = new Date();
+  const expired = await UserService.listExpiredSuspensions({
+    now,
+    limit: BATCH_SIZE,
+  });
+
+  let reactivated = 0;
+  for (const user of expired) {
+    const updated = await UserService.reactivateExpiredSuspension(user.id, { now });
+    if (!updated) continue;
+    reactivated += 1;
+
+    await UserStatusHistoryService.logChange({
+      userId: user.id,
+      status: "active",
+      reason: "Suspension period completed",
+      changedBy: null,
+    });
+
+    try {
+      // status "active" renders reactivatedTemplate
+      await sendStatusEmail({
+        email: user.email,
+        name: user.name,
+        status: "active",
+      });
+    } catch (emailError) {
+      console.error("Failed to send reactivation email:", emailError);
+    }
+  }
+
+  return { checked: expired.length, reactivated };
+};
+
+/**
+ * Cancel pending bookings nobody confirmed before their date passed
+ */
+const cancelStalePendingBookings = async () => {
+  const cutoff = new Date(Date.now() - STALE_BOOKING_GRACE_DAYS * 24 * HOUR);
+  const stale = await BookingService.listStalePending({
+    beforeDate: cutoff.toISOString().slice(0, 10),
+    limit: BATCH_SIZE,
+  });
+
+  let cancelled = 0;
+  for (const booking of stale) {
+    try {
+      await bookingStateMachine.transition({
+        booking,
+        to: "cancelled",
+        actor: { id: null, role: "system" },
+        store: bookingStores.supabase,
+        context: {
+          auditAction: "AUTO_CANCEL_STALE_BOOKING",
+          reason: "Booking date passed without confirmation",
+        },
+      });
+      cancelled += 1;
+    } catch (error) {
+      // Someone else moved it on; leave it
+      if (!error.isOperational) throw error;
+    }
+  }
+
+  return { checked: stale.length, cancelled };
+};
+
+/**
+ * Keep generating the occurrences of active recurring booking series
+ * HORIZON_DAYS ahead, and mark series whose rule has run out as ended
+ */
+const extendBookingSeries = async () => {
+  const through = horizonFrom(today());
+  const due = await BookingSeriesService.listDueForExtension({
+    through,
+    limit: BATCH_SIZE,
+  });
+
+  let generated = 0;
+  let skipped = 0;
+  for (const series of due) {
+    try {
+      const result = await materializeSeries(series, { through });
+      generated += result.created.length;
+      skipped += result.skipped.length;
+    } catch (error) {
+      // One broken series should not hold up the others
+      console.error(`Failed to extend booking series ${series.id}:`, error);
+    }
+  }
+
+  return { checked: due.length, generated, skipped };
+};
+
+/**
+ * Expire information requests nobody answered in time so the requester can
+ * ask again. Grants need no sweep: they stop counting at expires_at.
+ */
+const expirePrivacyRequests = async () => {
+  const expired = await PrivacyRequestService.expirePending({ limit: BATCH_SIZE });
+  return { expired: expired.length };
+};
+
+/**
+ * Revoke privacy grants left live on cancelled or no-show bookings (the
+ * revocation made with the status change failed)
+ */
+const revokeStaleBookingGrants = () => revokeEndedBookingGrants({ limit: BATCH_SIZE });
+
+/**
+ * Remind caregivers of documents, background checks and certifications about
+ * to expire, and lapse verification (reducing search visibility) once a
+ * required one has
+ */
+const checkVerificationExpiry = () => sweepVerificationExpiry({ limit: BATCH_SIZE });
+
+/**
+ * Catch background check results whose webhook never arrived
+ */
+const pollBackgroundCheckOrders = () => pollBackgroundChecks({ limit: BATCH_SIZE });
+
+const MAINTENANCE_JOBS = [
+  {
+    name: "reactivate-expired-suspensions",
+    intervalMs: 5 * MINUTE,
+    handler: reactivateExpiredSuspensions,
+  },
+  {
+    name: "cancel-stale-pending-bookings",
+    intervalMs: HOUR,
+    handler: cancelStalePendingBookings,
+  },
+  {
+    name: "extend-booking-series",
+    intervalMs: 6 * HOUR,
+    handler: extendBookingSeries,
+  },
+  {
+    name: "expire-privacy-requests",
+    intervalMs: HOUR,
+    handler: expirePrivacyRequests,
+  },
+  {
+    name: "revoke-ended-booking-grants",
+    intervalMs: 5 * MINUTE,
+    handler: revokeStaleBookingGrants,
+  },
+  {
+    name: "check-verification-expiry",
+    intervalMs: HOUR,
+    handler: checkVerificationExpiry,
+  },
+  {
+    name: "poll-background-checks",
+    intervalMs: 15 * MINUTE,
+    handler: pollBackgroundCheckOrders,
+  },
+  {
+    // Exports, erasures past their cooling-off period, expired archives
+    name: "process-data-requests",
+    intervalMs: 5 * MINUTE,
+    leaseMs: 30 * MINUTE,
+    handler: processDataRequests,
+  },
+];
+
+const registerMaintenanceJobs = (scheduler) => {
+  MAINTENANCE_JOBS.forEach((job) => scheduler.register(job));
+  return scheduler;
+};
+
+module.exports = {
+  registerMaintenanceJobs,
+  reactivateExpiredSuspensions,
+  cancelStalePendingBookings,
+  extendBookingSeries,
+  expirePrivacyRequests,
+};
@@ -0,0 +1,397 @@
+const { UserService, JobService } = require("./supabaseService");
+const { PointsService } = require("./pointsService");
+const {
+  AvailabilityService,
+  DEFAULT_TIME_ZONE,
+  zonedParts,
+  isAvailableFor,
+  isValidDate,
+  isValidTime,
+} = require("./availabilityService");
+
+/**
+ * Job-to-caregiver matching
+ * A match score (0-100) is the weighted sum of per-criterion fits between 0
+ * and 1. A criterion the job leaves open is a full fit for everyone, so it
+ * never changes the order.
+ */
+
+const WEIGHTS = {
+  skills: 20,
+  ages: 20,
+  rate: 15,
+  availability: 15,
+  rating: 10,
+  location: 10,
+  certifications: 5,
+  tier: 5,
+};
+
+// Score for what we cannot tell, e.g. a caregiver with no ratings yet
+const UNKNOWN_FIT = 0.5;
+
+// caregiver_profiles.age_care_ranges values, by child age in years [min, max)
+const AGE_BANDS = [
+  { range: "INFANT", min: 0, max: 1 },
+  { range: "TODDLER", min: 1, max: 3 },
+  { range: "PRESCHOOL", min: 3, max: 6 },
+  { range: "SCHOOL_AGE", min: 6, max: 13 },
+  { range: "TEEN", min: 13, max: 19 },
+];
+
+const POOL_PAGE_SIZE = 100;
+const MAX_POOL_SIZE = Number(process.env.MATCHING_POOL_SIZE) || 500;
+const MAX_OPEN_JOBS = Number(process.env.MATCHING_JOB_POOL_SIZE) || 200;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeText = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === "string" && value.trim()) return value.split(",");
+  return [];
+};
+
+/**
+ * Child ages in years from "Ana (3), Ben (7)", "8 months, 4", [3, 7] or
+ * [{ age: 3 }]
+ */
+const parseAges = (value) => {
+  if (Array.isArray(value)) {
+    return value
+      .map((entry) => Number(entry && typeof entry === "object" ? entry.age : entry))
+      .filter((age) => Number.isFinite(age) && age >= 0);
+  }
+  if (typeof value !== "string") return [];
+
+  const ages = [];
+  const pattern = /(\d+(?:\.\d+)?)\s*(months?|mos?)?/gi;
+  let match;
+  while ((match = pattern.exec(value))) {
+    const amount = Number(match[1]);
+    ages.push(match[2] ? amount / 12 : amount);
+  }
+  return ages;
+};
+
+const bandForAge = (age) =>
+  AGE_BANDS.find((band) => age >= band.min && age < band.max)?.range || null;
+
+const normalizeRange = (range) =>
+  String(range ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_");
+
+const certificationName = (certification) =>
+  normalizeText(
+    certification && typeof certification === "object" ? certification.name : certification,
+  );
+
+// Certifications past their expiryDate no longer count
+const isCurrentCertification = (certification, today) =>
+  !(certification && typeof certification === "object" && certification.expiryDate) ||
+  String(certification.expiryDate).slice(0, 10) >= today;
+
+/**
+ * What a job asks for, from a Supabase jobs row (or the legacy camelCase shape)
+ */
+const criteriaFromJob = (job) => {
+  const rate = Number(job.hourly_rate ?? job.hourlyRate);
+  const date = job.date ? String(job.date).slice(0, 10) : null;
+  const startTime = job.start_time ?? job.startTime;
+  const endTime = job.end_time ?? job.endTime;
+
+  return {
+    hourlyRate: rate > 0 ? rate : null,
+    numberOfChildren: Math.max(1, Number(job.number_of_children ?? job.numberOfChildren) || 1),
+    childAges: parseAges(job.children_ages ?? job.childrenAges),
+    requirements: toList(job.requirements).map(normalizeText).filter(Boolean),
+    location: normalizeText(job.location),
+    date: isValidDate(date) ? date : null,
+    startTime: isValidTime(startTime) ? startTime : null,
+    endTime: isValidTime(endTime) ? endTime : null,
+  };
+};
+
+/**
+ * Caregiver fields the scorer uses, from a users row joined with
+ * caregiver_profiles
+ */
+const toCandidate = (user, { schedule, summary } = {}) => {
+  const profile =
+    (Array.isArray(user.caregiver_profiles)
+      ? user.caregiver_profiles[0]
+      : user.caregiver_profiles) || {};
+  const rating = Number(profile.rating);
+  const today = zonedParts(new Date(), DEFAULT_TIME_ZONE).date;
+
+  return {
+    id: user.id,
+    name: profile.name || user.name,
+    profileImage: profile.profile_image || user.profile_image || null,
+    skills: toList(profile.skills || user.skills).map(normalizeText).filter(Boolean),
+    ageCareRanges: toList(profile.age_care_ranges).map(normalizeRange),
+    certifications: toList(profile.certifications)
+      .filter((certification) => isCurrentCertification(certification, today))
+      .map(certificationName)
+      .filter(Boolean),
+    hourlyRate: Number(profile.hourly_rate) || null,
+    rating: rating > 0 ? rating : null,
+    reviewCount: profile.review_count || 0,
+    experience: profile.experience || 0,
+    location: normalizeText(profile.location || profile.address || user.address),
+    schedule: schedule || AvailabilityService.fromProfileAvailability(user.id, profile.availability),
+    tier: summary?.tier || null,
+    totalPoints: summary?.total_points || 0,
+    // "reduced" while verification has lapsed (see caregiverVerification)
+    visibility: profile.search_visibility || "standard",
+    verificationStatus: profile.verification_status || null,
+  };
+};
+
+const mentions = (haystack, needle) => haystack.includes(needle) || needle.includes(haystack);
+
+const requirementMatches = (criteria, candidate) => {
+  const offered = [...candidate.skills, ...candidate.certifications];
+  return criteria.requirements.filter((requirement) =>
+    offered.some((item) => mentions(item, requirement)),
+  );
+};
+
+// Children whose age band the caregiver covers; unlisted children count half
+const agesFit = (criteria, candidate) => {
+  const listed = criteria.childAges.slice(0, criteria.numberOfChildren);
+  if (!listed.length) return 1;
+
+  const covered = listed.filter((age) =>
+    candidate.ageCareRanges.includes(bandForAge(age)),
+  ).length;
+  const unlisted = criteria.numberOfChildren - listed.length;
+  return (covered + unlisted * UNKNOWN_FIT) / criteria.numberOfChildren;
+};
+
+// Full fit within budget, dropping to nothing at 50% over it
+const rateFit = (criteria, candidate) => {
+  if (!criteria.hourlyRate) return 1;
+  if (!candidate.hourlyRate) return UNKNOWN_FIT;
+  if (candidate.hourlyRate <= criteria.hourlyRate) return 1;
+
+  const over = (candidate.hourlyRate - criteria.hourlyRate) / criteria.hourlyRate;
+  return Math.max(0, 1 - over * 2);
+};
+
+const availabilityFit = (criteria, candidate) => {
+  const { schedule } = candidate;
+  if (criteria.date) {
+    const slot = criteria.startTime && criteria.endTime
+      ? { startTime: criteria.startTime, endTime: criteria.endTime }
+      : {};
+    return isAvailableFor(schedule, { date: criteria.date, ...slot }) ? 1 : 0;
+  }
+  // No date on the job: anyone who has published hours is a fit
+  return schedule.weeklySlots.length ? 1 : UNKNOWN_FIT;
+};
+
+// Exact place match, else any shared part of "Barangay, City, Province"
+const locationFit = (criteria, candidate) => {
+  if (!criteria.location || !candidate.location) return UNKNOWN_FIT;
+  if (mentions(candidate.location, criteria.location)) return 1;
+
+  const parts = (text) =>
+    text
+      .split(",")
+      .map((part) => part.trim())
+      .filter(Boolean);
+  const jobParts = parts(criteria.location);
+  return parts(candidate.location).some((part) => jobParts.includes(part)) ? 0.5 : 0;
+};
+
+// Tiers are ordered highest first (see PointsService rules)
+const tierFit = (candidate, tiers) => {
+  if (tiers.length < 2) return 1;
+  const index = tiers.findIndex((tier) => tier.name === candidate.tier);
+  const rank = index === -1 ? tiers.length - 1 : index;
+  return (tiers.length - 1 - rank) / (tiers.length - 1);
+};
+
+/**
+ * Score one caregiver against a job's criteria
+ * @param {Object} criteria - from criteriaFromJob
+ * @param {Object} candidate - from toCandidate
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.tiers] - points tiers, highest first
+ * @returns {Object} { score, breakdown, matchedRequirements, missingRequirements }
+ */
+const scoreMatch = (criteria, candidate, { tiers = [] } = {}) => {
+  const matched = requirementMatches(criteria, candidate);
+
+  const breakdown = {
+    skills: criteria.requirements.length ? matched.length / criteria.requirements.length : 1,
+    ages: agesFit(criteria, candidate),
+    rate: rateFit(criteria, candidate),
+    availability: availabilityFit(criteria, candidate),
+    rating: candidate.rating ? Math.min(candidate.rating, 5) / 5 : UNKNOWN_FIT,
+    location: locationFit(criteria, candidate),
+    certifications: Math.min(candidate.certifications.length / 2, 1),
+    tier: tierFit(candidate, tiers),
+  };
+
+  const score = Object.entries(WEIGHTS).reduce(
+    (sum, [key, weight]) => sum + breakdown[key] * weight,
+    0,
+  );
+
+  return {
+    score: Math.round(score),
+    breakdown: Object.fromEntries(
+      Object.entries(breakdown).map(([key, fit]) => [key, round2(fit)]),
+    ),
+    matchedRequirements: matched,
+    missingRequirements: criteria.requirements.filter((item) => !matched.includes(item)),
+  };
+};
+
+// Caregivers whose verification lapsed come after everyone else; then
+// highest score first, ties going to the better rated, then the more points
+const byScore = (a, b) =>
+  (a.candidate.visibility === "reduced") - (b.candidate.visibility === "reduced") ||
+  b.match.score - a.match.score ||
+  (b.candidate.rating || 0) - (a.candidate.rating || 0) ||
+  b.candidate.totalPoints - a.candidate.totalPoints;
+
+/**
+ * Rank caregivers for a job
+ * @returns {Array<Object>} [{ candidate, match }] best first
+ */
+const rankCaregivers = (criteria, candidates, { tiers = [] } = {}) =>
+  candidates
+    .map((candidate) => ({ candidate, match: scoreMatch(criteria, candidate, { tiers }) }))
+    .sort(byScore);
+
+/**
+ * Active caregiver users with profile, so filters and ranking see the whole
+ * pool rather than one page. bbox/minRate/maxRate narrow the pool in the
+ * database; callers still apply their exact filters on the result.
+ * @returns {Promise<Object>} { users, truncated } - truncated when more than
+ *   MATCHING_POOL_SIZE users matched and the rest were left out
+ */
+const loadCaregiverUsers = async ({ search, bbox, minRate, maxRate } = {}) => {
+  const users = [];
+  let total = 0;
+  for (let page = 1; users.length < MAX_POOL_SIZE; page += 1) {
+    const { users: batch = [], total: matched } = await UserService.getUsers({
+      role: "caregiver",
+      status: "active",
+      search,
+      bbox,
+      minRate,
+      maxRate,
+      page,
+      limit: POOL_PAGE_SIZE,
+      includeProfile: true,
+    });
+    users.push(...batch);
+    total = Math.max(total, matched || 0, users.length);
+    if (batch.length < POOL_PAGE_SIZE) break;
+  }
+
+  const truncated = total > MAX_POOL_SIZE;
+  if (truncated) {
+    console.warn(
+      `[matching] ${total} caregivers matched; only the first ${MAX_POOL_SIZE} were considered (MATCHING_POOL_SIZE)`,
+    );
+  }
+  return { users: users.slice(0, MAX_POOL_SIZE), truncated };
+};
+
+/**
+ * Caregiver pool as scoring candidates, with schedule and points tier
+ */
+const loadCaregiverPool = async ({ search } = {}) => {
+  const { users } = await loadCaregiverUsers({ search });
+  const ids = users.map((user) => user.id);
+  const [schedules, summaries] = await Promise.all([
+    AvailabilityService.listByCaregivers(ids),
+    PointsService.listSummaries(ids),
+  ]);
+
+  return users.map((user) =>
+    toCandidate(user, {
+      schedule: schedules.get(user.id),
+      summary: summaries.get(user.id),
+    }),
+  );
+};
+
+const loadTiers = async () => (await PointsService.getRules()).tiers;
+
+/**
+ * Best caregivers for a job
+ * @param {Object} job - jobs row (JobService.findWithDetails)
+ */
+const recommendCaregiversForJob = async (job, { limit = 20 } = {}) => {
+  const [candidates, tiers] = await Promise.all([loadCaregiverPool(), loadTiers()]);
+  const criteria = criteriaFromJob(job);
+
+  return rankCaregivers(
+    criteria,
+    candidates.filter((candidate) => candidate.id !== job.parent_id),
+    { tiers },
+  ).slice(0, limit);
+};
+
+/**
+ * Best open jobs for a caregiver
+ * @returns {Promise<Array<Object>>} [{ job, match }] best first
+ */
+const recommendJobsForCaregiver = async (caregiverId, { limit = 20 } = {}) => {
+  const [user, jobs, tiers] = await Promise.all([
+    UserService.findDetailedById(caregiverId),
+    JobService.listOpen({ limit: MAX_OPEN_JOBS }),
+    loadTiers(),
+  ]);
+  if (!user) return [];
+
+  const [schedules, summaries] = await Promise.all([
+    AvailabilityService.listByCaregivers([caregiverId]),
+    PointsService.listSummaries([caregiverId]),
+  ]);
+  const candidate = toCandidate(user, {
+    schedule: schedules.get(caregiverId),
+    summary: summaries.get(caregiverId),
+  });
+
+  return jobs
+    .filter((job) => job.parent_id !== caregiverId)
+    .map((job) => ({
+      job,
+      match: scoreMatch(criteriaFromJob(job), candidate, { tiers }),
+    }))
+    .sort(
+      (a, b) =>
+        b.match.score - a.match.score ||
+        String(b.job.created_at).localeCompare(String(a.job.created_at)),
+    )
+    .slice(0, limit);
+};
+
+module.exports = {
+  WEIGHTS,
+  AGE_BANDS,
+  parseAges,
+  criteriaFromJob,
+  toCandidate,
+  scoreMatch,
+  rankCaregivers,
+  loadCaregiverUsers,
+  loadCaregiverPool,
+  loadTiers,
+  recommendCaregiversForJob,
+  recommendJobsForCaregiver,
+};
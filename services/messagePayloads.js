@@ -0,0 +1,298 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { isValidUuid } = require("../utils/config").validation;
+const { JobService } = require("./supabaseService");
+const { createSignedUrls } = require("./storageService");
+const {
+  isValidDate,
+  isValidTime,
+  timeToMinutes,
+} = require("./availabilityService");
+
+const MESSAGE_TYPES = ["text", "image", "file", "booking_proposal", "job_link"];
+
+const MB = 1024 * 1024;
+
+// Attachment kinds, what they accept and how big they may be
+const ATTACHMENT_RULES = {
+  image: {
+    mimetypes: ["image/jpeg", "image/png", "image/gif", "image/webp", "image/heic"],
+    maxBytes: 10 * MB,
+  },
+  file: {
+    mimetypes: ["application/pdf"],
+    maxBytes: 20 * MB,
+  },
+};
+
+const MAX_UPLOAD_BYTES = Math.max(
+  ...Object.values(ATTACHMENT_RULES).map((rule) => rule.maxBytes),
+);
+const MAX_ATTACHMENTS = 10;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_NOTES_LENGTH = 1000;
+
+// Private bucket; clients read attachments through signed URLs
+const ATTACHMENT_BUCKET =
+  process.env.MESSAGE_ATTACHMENTS_BUCKET || "message-attachments";
+
+// Short text for notifications and conversation previews
+const PREVIEW_LABELS = {
+  image: "📷 Photo",
+  file: "📄 Document",
+  booking_proposal: "📅 Booking proposal",
+  job_link: "💼 Job",
+};
+
+const attachmentKindFor = (mimetype) =>
+  Object.keys(ATTACHMENT_RULES).find((kind) =>
+    ATTACHMENT_RULES[kind].mimetypes.includes(mimetype),
+  ) || null;
+
+/**
+ * Check an uploaded file against the per-kind rules
+ * @returns {string} attachment kind
+ */
+const validateUpload = (file) => {
+  const kind = attachmentKindFor(file?.mimetype);
+  if (!kind) {
+    throw ErrorResponse.badRequest("Unsupported attachment type", {
+      file: `Allowed types: ${Object.values(ATTACHMENT_RULES)
+        .flatMap((rule) => rule.mimetypes)
+        .join(", ")}`,
+    });
+  }
+
+  const { maxBytes } = ATTACHMENT_RULES[kind];
+  if (file.size > maxBytes) {
+    throw ErrorResponse.badRequest("Attachment is too large", {
+      file: `${kind} attachments may be at most ${maxBytes / MB}MB`,
+    });
+  }
+
+  return kind;
+};
+
+const validateAttachments = (attachments, messageType, senderId, errors) => {
+  if (!Array.isArray(attachments) || !attachments.length) {
+    errors.attachments = `${messageType} messages need at least one attachment`;
+    return [];
+  }
+  if (attachments.length > MAX_ATTACHMENTS) {
+    errors.attachments = `At most ${MAX_ATTACHMENTS} attachments per message`;
+    return [];
+  }
+
+  return attachments.map((attachment, index) => {
+    const { path, mimetype, size, originalname } = attachment || {};
+    const kind = attachmentKindFor(mimetype);
+
+    // Uploads land under the uploader's folder (see uploadAttachment)
+    if (typeof path !== "string" || !path.startsWith(`${senderId}/`)) {
+      errors[`attachments.${index}`] = "Attachment must be uploaded by the sender first";
+    } else if (kind !== messageType) {
+      errors[`attachments.${index}`] = `Attachment is not a valid ${messageType}`;
+    } else if (!(size > 0) || size > ATTACHMENT_RULES[kind].maxBytes) {
+      errors[`attachments.${index}`] = "Attachment size is missing or over the limit";
+    }
+
+    return {
+      path,
+      mimetype,
+      size,
+      name: String(originalname || path?.split("/").pop() || ""),
+    };
+  });
+};
+
+// Job a message refers to, or null when the ID is malformed or unknown
+const findJob = async (jobId) => (isValidUuid(jobId) ? JobService.findById(jobId) : null);
+
+const validateBookingProposal = async (payload = {}, errors, { senderId }) => {
+  const { date, startTime, endTime, hourlyRate, notes, jobId } = payload;
+
+  if (!isValidDate(date)) errors["payload.date"] = "date must be YYYY-MM-DD";
+  if (!isValidTime(startTime) || !isValidTime(endTime)) {
+    errors["payload.time"] = "startTime and endTime must be HH:MM";
+  } else if (timeToMinutes(startTime) >= timeToMinutes(endTime)) {
+    errors["payload.time"] = "startTime must be before endTime";
+  }
+  if (hourlyRate !== undefined && !(Number(hourlyRate) > 0)) {
+    errors["payload.hourlyRate"] = "hourlyRate must be a positive number";
+  }
+  if (notes !== undefined && String(notes).length > MAX_NOTES_LENGTH) {
+    errors["payload.notes"] = `notes may be at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  if (jobId) {
+    const job = await findJob(jobId);
+    if (!job) errors["payload.jobId"] = "jobId must reference an existing job";
+    else if (String(job.parent_id) !== String(senderId)) {
+      errors["payload.jobId"] = "jobId must reference one of your jobs";
+    }
+  }
+
+  return {
+    date,
+    startTime,
+    endTime,
+    hourlyRate: hourlyRate === undefined ? null : Number(hourlyRate),
+    notes: notes === undefined ? null : String(notes),
+    jobId: jobId || null,
+    status: "pending",
+  };
+};
+
+/**
+ * Validate a typed message and build the columns to insert
+ * @returns {Promise<Object>} { message_type, content, attachments, payload }
+ */
+const buildMessagePayload = async (
+  { messageType = "text", content, attachments, payload },
+  { senderId, senderRole },
+) => {
+  const errors = {};
+  const text = typeof content === "string" ? content.trim() : "";
+
+  if (!MESSAGE_TYPES.includes(messageType)) {
+    throw ErrorResponse.badRequest("Invalid message type", {
+      messageType: `Must be one of: ${MESSAGE_TYPES.join(", ")}`,
+    });
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    errors.content = `content may be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+
+  const record = {
+    message_type: messageType,
+    content: text,
+    attachments: [],
+    payload: null,
+  };
+
+  switch (messageType) {
+    case "text":
+      if (!text) errors.content = "content is required for text messages";
+      break;
+
+    case "image":
+    case "file":
+      record.attachments = validateAttachments(attachments, messageType, senderId, errors);
+      break;
+
+    case "booking_proposal":
+      if (!["parent", "client"].includes(senderRole)) {
+        errors.messageType = "Only parents can send booking proposals";
+      }
+      record.payload = await validateBookingProposal(payload, errors, { senderId });
+      break;
+
+    case "job_link": {
+      const job = payload?.jobId ? await findJob(payload.jobId) : null;
+      if (!job) {
+        errors["payload.jobId"] = "jobId must reference an existing job";
+        break;
+      }
+      // Snapshot so the card renders even if the job changes later
+      record.payload = {
+        jobId: job.id,
+        title: job.title,
+        location: job.location,
+        hourlyRate: job.hourly_rate,
+        status: job.status,
+      };
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid message", errors);
+  }
+
+  // Cards and attachments still carry a readable fallback in content
+  if (!record.content) record.content = PREVIEW_LABELS[messageType] || "";
+  return record;
+};
+
+// Cards are structured; only text and attachment captions can be edited
+const EDITABLE_TYPES = ["text", "image", "file"];
+
+const MAX_REACTION_LENGTH = 32;
+
+/**
+ * Validate new content for an existing message
+ * @returns {string} trimmed content
+ */
+const validateEdit = (message, content) => {
+  if (!EDITABLE_TYPES.includes(message.message_type || "text")) {
+    throw ErrorResponse.badRequest("This message type cannot be edited");
+  }
+
+  const text = typeof content === "string" ? content.trim() : "";
+  if (!text) {
+    throw ErrorResponse.badRequest("Invalid message", {
+      content: "content is required",
+    });
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    throw ErrorResponse.badRequest("Invalid message", {
+      content: `content may be at most ${MAX_TEXT_LENGTH} characters`,
+    });
+  }
+
+  return text;
+};
+
+// A single emoji (including ZWJ sequences and skin tones), no free text
+const isValidReaction = (emoji) =>
+  typeof emoji === "string" &&
+  emoji.length <= MAX_REACTION_LENGTH &&
+  /^\p{Extended_Pictographic}(?:[\p{Extended_Pictographic}\p{Emoji_Component}]|\u200d|\ufe0f)*$/u.test(
+    emoji,
+  );
+
+const previewText = (message) => {
+  const content = String(message.content || "");
+  return message.message_type && message.message_type !== "text"
+    ? content || PREVIEW_LABELS[message.message_type] || ""
+    : content;
+};
+
+/**
+ * Attach signed download URLs to every attachment in a batch of messages
+ */
+const withAttachmentUrls = async (messages) => {
+  const paths = messages.flatMap((message) =>
+    (message.attachments || []).map((attachment) => attachment.path),
+  );
+  if (!paths.length) return messages;
+
+  let urls = new Map();
+  try {
+    urls = await createSignedUrls(ATTACHMENT_BUCKET, paths);
+  } catch (error) {
+    console.error("Failed to sign attachment URLs:", error);
+  }
+
+  return messages.map((message) => ({
+    ...message,
+    attachments: (message.attachments || []).map((attachment) => ({
+      ...attachment,
+      url: urls.get(attachment.path) || null,
+    })),
+  }));
+};
+
+module.exports = {
+  MESSAGE_TYPES,
+  ATTACHMENT_RULES,
+  ATTACHMENT_BUCKET,
+  MAX_UPLOAD_BYTES,
+  validateUpload,
+  buildMessagePayload,
+  validateEdit,
+  isValidReaction,
+  previewText,
+  withAttachmentUrls,
+};
@@ -0,0 +1,250 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { isValidUuid } = require("../utils/config").validation;
+const {
+  UserService,
+  NotificationService,
+  NotificationPreferenceService,
+} = require("./supabaseService");
+const { sendToUsers } = require("./pushService");
+const { sendNotificationEmail } = require("./emailService");
+const socketService = require("./socketService");
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTime,
+  isValidTimeZone,
+  timeToMinutes,
+  zonedParts,
+} = require("./availabilityService");
+
+const NOTIFICATION_TYPES = [
+  "message",
+  "booking",
+  "job",
+  "application",
+  "review",
+  "privacy",
+  "system",
+];
+
+const CHANNELS = ["in_app", "email", "push"];
+
+/**
+ * Channels a type is delivered on until the user says otherwise. Chat
+ * messages and job updates are too frequent to email by default.
+ */
+const DEFAULT_CHANNELS = {
+  message: { in_app: true, email: false, push: true },
+  booking: { in_app: true, email: true, push: true },
+  job: { in_app: true, email: false, push: true },
+  application: { in_app: true, email: true, push: true },
+  review: { in_app: true, email: false, push: true },
+  privacy: { in_app: true, email: true, push: true },
+  system: { in_app: true, email: true, push: false },
+};
+
+// Quiet hours hold back push only; in-app and email are not interruptions
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: "22:00",
+  end: "07:00",
+  timeZone: DEFAULT_TIME_ZONE,
+};
+
+const mergeChannels = (stored = {}) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      { ...DEFAULT_CHANNELS[type], ...(stored[type] || {}) },
+    ]),
+  );
+
+const fromRecord = (record) => ({
+  channels: mergeChannels(record?.channels),
+  quietHours: { ...DEFAULT_QUIET_HOURS, ...(record?.quiet_hours || {}) },
+});
+
+/**
+ * Validate a preferences update and merge it over the current preferences;
+ * throws a 400 listing every problem
+ */
+const normalizePreferences = (input = {}, current = fromRecord(null)) => {
+  const errors = {};
+  const channels = mergeChannels(current.channels);
+
+  if (input.channels !== undefined) {
+    if (!input.channels || typeof input.channels !== "object") {
+      errors.channels = "channels must be an object keyed by notification type";
+    } else {
+      Object.entries(input.channels).forEach(([type, settings]) => {
+        if (!NOTIFICATION_TYPES.includes(type)) {
+          errors[`channels.${type}`] =
+            `Unknown notification type. Must be one of: ${NOTIFICATION_TYPES.join(", ")}`;
+          return;
+        }
+        Object.entries(settings || {}).forEach(([channel, enabled]) => {
+          if (!CHANNELS.includes(channel) || typeof enabled !== "boolean") {
+            errors[`channels.${type}.${channel}`] =
+              `Channels are ${CHANNELS.join(", ")} and take true or false`;
+            return;
+          }
+          channels[type][channel] = enabled;
+        });
+      });
+    }
+  }
+
+  const quietHours = { ...current.quietHours, ...(input.quietHours || {}) };
+  if (typeof quietHours.enabled !== "boolean") {
+    errors["quietHours.enabled"] = "quietHours.enabled must be true or false";
+  }
+  if (!isValidTime(quietHours.start) || !isValidTime(quietHours.end)) {
+    errors["quietHours.time"] = "quietHours.start and quietHours.end must be HH:MM";
+  }
+  if (!isValidTimeZone(quietHours.timeZone)) {
+    errors["quietHours.timeZone"] = "quietHours.timeZone must be an IANA time zone";
+  }
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid notification preferences", errors);
+  }
+
+  return { channels, quietHours };
+};
+
+/**
+ * Whether `now` falls inside the quiet window (windows may wrap midnight)
+ */
+const isQuietTime = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const { minutes } = zonedParts(now, quietHours.timeZone);
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const getPreferences = async (userId) =>
+  fromRecord(isValidUuid(userId) ? await NotificationPreferenceService.get(userId) : null);
+
+const updatePreferences = async (userId, input) => {
+  const preferences = normalizePreferences(input, await getPreferences(userId));
+  const saved = await NotificationPreferenceService.upsert(userId, preferences);
+  return fromRecord(saved);
+};
+
+/**
+ * Record a notification and deliver it on the channels the recipient allows
+ * @param {Object} params
+ * @param {string} params.userId - recipient
+ * @param {string} params.type - one of NOTIFICATION_TYPES
+ * @param {string} params.title
+ * @param {string} params.message
+ * @param {Object} [params.data] - deep-link payload (bookingId, conversationId...)
+ * @param {string} [params.actorId] - user whose action caused the notification
+ * @returns {Promise<Object>} { notification, delivered: { in_app, push, email } }
+ */
+const sendNotification = async ({
+  userId,
+  type,
+  title,
+  message,
+  data = {},
+  actorId = null,
+}) => {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  const { channels, quietHours } = await getPreferences(userId);
+  const enabled = channels[type];
+  const delivered = { in_app: false, push: false, email: false };
+  let notification = null;
+
+  if (enabled.in_app) {
+    // Only Supabase users have a notification center; legacy ids get the live event
+    if (isValidUuid(userId)) {
+      try {
+        notification = await NotificationService.create({
+          user_id: userId,
+          actor_id: isValidUuid(actorId) ? actorId : null,
+          type,
+          title,
+          message,
+          data,
+        });
+      } catch (error) {
+        console.error("Failed to store notification:", error);
+      }
+    }
+
+    socketService.emitNotification(userId, {
+      id: notification?.id,
+      type,
+      title,
+      message,
+      data,
+      createdAt: notification?.created_at || new Date().toISOString(),
+    });
+    delivered.in_app = true;
+  }
+
+  if (enabled.push && !isQuietTime(quietHours)) {
+    try {
+      const summary = await sendToUsers([userId], {
+        title,
+        body: message,
+        data: { ...data, type, notificationId: notification?.id },
+      });
+      delivered.push = summary.sent > 0;
+    } catch (error) {
+      console.error("Failed to push notification:", error);
+    }
+  }
+
+  if (enabled.email && isValidUuid(userId)) {
+    try {
+      const user = await UserService.findById(userId);
+      if (user?.email) {
+        await sendNotificationEmail({
+          email: user.email,
+          name: user.name || "there",
+          title,
+          message,
+        });
+        delivered.email = true;
+      }
+    } catch (error) {
+      console.error("Failed to email notification:", error);
+    }
+  }
+
+  return { notification, delivered };
+};
+
+/**
+ * Fire-and-forget fan-out for request handlers: a delivery failure never
+ * fails the request that triggered it
+ */
+const notify = (userIds, payload) => {
+  [...new Set(userIds.filter(Boolean).map(String))].forEach((userId) =>
+    sendNotification({ ...payload, userId }).catch((error) =>
+      console.error("Notification dispatch error:", error),
+    ),
+  );
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  normalizePreferences,
+  isQuietTime,
+  getPreferences,
+  updatePreferences,
+  sendNotification,
+  notify,
+};
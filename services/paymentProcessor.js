@@ -0,0 +1,247 @@
+/**
+ * Payment Processor
+ * Ties provider charges to bookings and keeps the `payments` table (the one
+ * admins review through PaymentService) in sync with provider webhooks.
+ */
+
+const {
+  BookingService,
+  PaymentService,
+  PaymentWebhookEventService,
+} = require("./supabaseService");
+const { getPaymentProvider } = require("./paymentProviders");
+const ErrorResponse = require("../utils/errorResponse");
+
+const PAYMENT_TYPES = ["full", "deposit", "balance"];
+
+// Provider statuses -> payments.payment_status (admin vocabulary)
+const PROVIDER_TO_PAYMENT_STATUS = {
+  pending: "pending",
+  failed: "pending",
+  paid: "paid",
+  refunded: "refunded",
+};
+
+// A webhook may never move a payment backwards (e.g. a late "paid" after a refund)
+const STATUS_RANK = { pending: 0, paid: 1, disputed: 2, refunded: 3 };
+
+// Payments settled without a provider adapter: admins return the money
+// themselves (for Solana, an on-chain transfer back to the payer) and the
+// refund is only recorded
+const MANUAL_REFUND_PROVIDERS = ["manual", "solana"];
+
+const resolveBookingAmount = (booking) =>
+  Number(booking.total_amount ?? booking.total_cost ?? booking.totalCost ?? 0);
+
+class PaymentProcessor {
+  /**
+   * Create (or replay) a charge for a booking on behalf of the paying parent
+   */
+  static async createCharge({
+    bookingId,
+    user,
+    idempotencyKey,
+    paymentType = "full",
+    amount: requestedAmount,
+  }) {
+    if (!bookingId) {
+      throw ErrorResponse.badRequest("bookingId is required");
+    }
+    if (!PAYMENT_TYPES.includes(paymentType)) {
+      throw ErrorResponse.badRequest(
+        `Invalid paymentType. Must be one of: ${PAYMENT_TYPES.join(", ")}`,
+      );
+    }
+
+    if (idempotencyKey) {
+      const existing = await PaymentService.findByIdempotencyKey(idempotencyKey);
+      if (existing) {
+        if (existing.parentInfo.id !== user.id || existing.bookingId !== bookingId) {
+          throw ErrorResponse.conflict(
+            "Idempotency key was already used for a different payment",
+          );
+        }
+        return { payment: existing, replayed: true };
+      }
+    }
+
+    const booking = await BookingService.findById(bookingId);
+    if (!booking) {
+      throw ErrorResponse.notFound("Booking not found");
+    }
+    if (booking.parent_id !== user.id) {
+      throw ErrorResponse.forbidden("Only the booking's parent can pay for it");
+    }
+    if (booking.status === "cancelled") {
+      throw ErrorResponse.badRequest("Cannot pay for a cancelled booking");
+    }
+
+    const charges = await PaymentService.listOpenByBooking(bookingId);
+    const pending = charges
+      .filter((charge) => charge.paymentStatus === "pending" && charge.paymentType === paymentType)
+      .pop();
+    if (pending) {
+      return { payment: pending, replayed: true };
+    }
+
+    // Pending and paid charges together may not exceed the booking total; a
+    // "full" charge collects whatever is still outstanding
+    const bookingAmount = resolveBookingAmount(booking);
+    const charged = charges.reduce((sum, charge) => sum + charge.totalAmount, 0);
+    const outstanding = bookingAmount - charged;
+    if (bookingAmount > 0 && outstanding <= 0) {
+      throw ErrorResponse.conflict("Booking has already been charged in full");
+    }
+
+    const amount =
+      paymentType === "full" ? outstanding : Number(requestedAmount || 0);
+    if (!(amount > 0)) {
+      throw ErrorResponse.badRequest("Payment amount must be greater than zero");
+    }
+    if (amount > outstanding && bookingAmount > 0) {
+      throw ErrorResponse.badRequest(
+        "Payment amount exceeds the unpaid balance of the booking",
+        { amount: `At most ${outstanding} is still unpaid` },
+      );
+    }
+
+    const provider = getPaymentProvider();
+    const currency = process.env.PAYMENT_CURRENCY || "PHP";
+
+    let payment;
+    try {
+      payment = await PaymentService.create({
+        booking_id: bookingId,
+        parent_id: booking.parent_id,
+        caregiver_id: booking.caregiver_id,
+        total_amount: amount,
+        payment_status: "pending",
+        payment_type: paymentType,
+        currency,
+        provider: provider.name,
+        idempotency_key: idempotencyKey || null,
+      });
+    } catch (error) {
+      // Concurrent request with the same key won the insert
+      if (error.code === "23505" && idempotencyKey) {
+        const existing = await PaymentService.findByIdempotencyKey(idempotencyKey);
+        if (existing) return { payment: existing, replayed: true };
+      }
+      throw error;
+    }
+
+    let charge;
+    try {
+      charge = await provider.createCharge({
+        amount,
+        currency,
+        description: `Iyaya booking ${bookingId} (${paymentType})`,
+        reference: payment.id,
+        customer: { name: user.profile?.name, email: user.email },
+        metadata: { bookingId, paymentId: payment.id },
+      });
+    } catch (error) {
+      await PaymentService.update(payment.id, {
+        provider_status: "failed",
+        notes: error.message,
+      });
+      throw error;
+    }
+
+    const updated = await PaymentService.update(payment.id, {
+      provider_reference: charge.reference,
+      provider_payment_id: charge.providerPaymentId || null,
+      provider_status: charge.status,
+      checkout_url: charge.checkoutUrl || null,
+      payment_status: PROVIDER_TO_PAYMENT_STATUS[charge.status] || "pending",
+    });
+
+    return { payment: updated, replayed: false };
+  }
+
+  /**
+   * Verify and apply a provider webhook delivery
+   */
+  static async handleWebhook(providerName, { rawBody, headers }) {
+    const provider = getPaymentProvider(providerName);
+    const event = provider.parseWebhook({ rawBody, headers });
+
+    const payment = event.reference
+      ? await PaymentService.findByProviderReference(provider.name, event.reference)
+      : null;
+
+    const recorded = await PaymentWebhookEventService.record({
+      provider: provider.name,
+      eventId: event.eventId,
+      eventType: event.type,
+      paymentId: payment?.id,
+      payload: event.payload,
+    });
+
+    if (!recorded) {
+      return { duplicate: true, payment };
+    }
+    if (!payment || !event.status) {
+      return { ignored: true, payment };
+    }
+
+    const updates = { provider_status: event.status };
+    if (event.providerPaymentId) {
+      updates.provider_payment_id = event.providerPaymentId;
+    }
+
+    const nextStatus = PROVIDER_TO_PAYMENT_STATUS[event.status];
+    if (
+      nextStatus &&
+      STATUS_RANK[nextStatus] > (STATUS_RANK[payment.paymentStatus] ?? 0)
+    ) {
+      updates.payment_status = nextStatus;
+    }
+
+    // Unapplied, the event must not count as received or the retry is lost
+    let updated;
+    try {
+      updated = await PaymentService.update(payment.id, updates);
+    } catch (error) {
+      await PaymentWebhookEventService.delete(recorded.id);
+      throw error;
+    }
+    return { payment: updated };
+  }
+
+  /**
+   * Refund through the provider (when the payment went through an adapter)
+   * and record the refund on the payment row
+   */
+  static async refund(payment, reason) {
+    if (
+      payment.provider &&
+      !MANUAL_REFUND_PROVIDERS.includes(payment.provider) &&
+      payment.providerReference
+    ) {
+      const provider = getPaymentProvider(payment.provider);
+      const result = await provider.refund({
+        reference: payment.providerReference,
+        providerPaymentId: payment.providerPaymentId,
+        amount: payment.totalAmount,
+        reason,
+      });
+
+      if (result.status === "failed") {
+        throw new ErrorResponse("Payment provider rejected the refund", 502);
+      }
+      await PaymentService.update(payment.id, { provider_status: result.status });
+    }
+
+    return PaymentService.refund(payment.id, reason);
+  }
+
+  static async listForUser(userId, options) {
+    return PaymentService.listForUser(userId, options);
+  }
+}
+
+module.exports = {
+  PaymentProcessor,
+  PAYMENT_TYPES,
+};
@@ -0,0 +1,324 @@
+/**
+ * Payment Provider Adapters
+ * Every adapter exposes the same surface so PaymentProcessor stays
+ * provider-agnostic:
+ *   createCharge({ amount, currency, description, reference, customer, metadata })
+ *     -> { reference, status, checkoutUrl, providerPaymentId }
+ *   refund({ reference, providerPaymentId, amount, reason })
+ *     -> { status, reference }
+ *   parseWebhook({ rawBody, headers })
+ *     -> { eventId, type, reference, status, providerPaymentId }
+ *
+ * Statuses are normalized to: pending, paid, failed, refunded.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+class PaymentProviderError extends Error {
+  constructor(message, { statusCode = 502, provider, cause } = {}) {
+    super(message);
+    this.name = "PaymentProviderError";
+    this.statusCode = statusCode;
+    this.status = statusCode;
+    this.provider = provider;
+    this.cause = cause;
+    this.isOperational = true;
+  }
+}
+
+const safeCompare = (a = "", b = "") => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hmacSha256 = (secret, payload) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+/**
+ * Local provider - keeps charges in memory and signs its own webhooks.
+ * Used in development and tests; never talks to the network, and refused in
+ * production (see getPaymentProvider).
+ */
+class LocalPaymentProvider {
+  constructor({ webhookSecret, autoCapture = false } = {}) {
+    this.name = "local";
+    this.webhookSecret = webhookSecret || process.env.PAYMENT_LOCAL_WEBHOOK_SECRET;
+    if (!this.webhookSecret) {
+      throw new PaymentProviderError("PAYMENT_LOCAL_WEBHOOK_SECRET is not configured", {
+        statusCode: 500,
+        provider: this.name,
+      });
+    }
+    this.autoCapture = autoCapture;
+    this.charges = new Map();
+  }
+
+  async createCharge({ amount, currency, description, reference, metadata }) {
+    const chargeId = `local_ch_${crypto.randomUUID()}`;
+    const status = this.autoCapture ? "paid" : "pending";
+    const charge = {
+      id: chargeId,
+      amount,
+      currency,
+      description,
+      reference,
+      metadata,
+      status,
+      paymentId: this.autoCapture ? `local_pay_${crypto.randomUUID()}` : null,
+    };
+    this.charges.set(chargeId, charge);
+
+    return {
+      reference: chargeId,
+      status,
+      checkoutUrl: null,
+      providerPaymentId: charge.paymentId,
+    };
+  }
+
+  async refund({ reference }) {
+    const charge = this.charges.get(reference);
+    if (charge) charge.status = "refunded";
+    return { status: "refunded", reference };
+  }
+
+  /**
+   * Build a signed webhook delivery for a charge, as the provider would
+   */
+  simulateWebhook(reference, status = "paid") {
+    const charge = this.charges.get(reference);
+    if (charge) {
+      charge.status = status;
+      if (status === "paid" && !charge.paymentId) {
+        charge.paymentId = `local_pay_${crypto.randomUUID()}`;
+      }
+    }
+
+    const rawBody = JSON.stringify({
+      id: `local_evt_${crypto.randomUUID()}`,
+      type: `charge.${status}`,
+      data: {
+        reference,
+        status,
+        paymentId: charge?.paymentId || null,
+      },
+    });
+
+    return {
+      rawBody,
+      headers: { "x-local-signature": hmacSha256(this.webhookSecret, rawBody) },
+    };
+  }
+
+  parseWebhook({ rawBody, headers = {} }) {
+    const signature = headers["x-local-signature"];
+    if (!signature || !safeCompare(signature, hmacSha256(this.webhookSecret, rawBody))) {
+      throw new PaymentProviderError("Invalid webhook signature", {
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    const event = JSON.parse(rawBody);
+    return {
+      eventId: event.id,
+      type: event.type,
+      reference: event.data?.reference,
+      status: event.data?.status,
+      providerPaymentId: event.data?.paymentId || null,
+      payload: event,
+    };
+  }
+}
+
+const PAYMONGO_EVENT_STATUS = {
+  "checkout_session.payment.paid": "paid",
+  "payment.paid": "paid",
+  "payment.failed": "failed",
+  "payment.refunded": "refunded",
+};
+
+/**
+ * PayMongo provider - hosted checkout sessions (GCash, Maya, cards)
+ */
+class PayMongoProvider {
+  constructor({ secretKey, webhookSecret, baseUrl, successUrl, cancelUrl } = {}) {
+    this.name = "paymongo";
+    this.secretKey = secretKey || process.env.PAYMONGO_SECRET_KEY;
+    this.webhookSecret = webhookSecret || process.env.PAYMONGO_WEBHOOK_SECRET;
+    this.successUrl = successUrl || process.env.PAYMENT_SUCCESS_URL;
+    this.cancelUrl = cancelUrl || process.env.PAYMENT_CANCEL_URL;
+    this.client = axios.create({
+      baseURL: baseUrl || "https://api.paymongo.com/v1",
+      timeout: 10000,
+      auth: { username: this.secretKey || "", password: "" },
+    });
+  }
+
+  async request(method, url, attributes) {
+    if (!this.secretKey) {
+      throw new PaymentProviderError("PAYMONGO_SECRET_KEY is not configured", {
+        statusCode: 500,
+        provider: this.name,
+      });
+    }
+
+    try {
+      const { data } = await this.client.request({
+        method,
+        url,
+        data: { data: { attributes } },
+      });
+      return data.data;
+    } catch (error) {
+      const detail = error.response?.data?.errors?.[0]?.detail;
+      throw new PaymentProviderError(detail || "Payment provider request failed", {
+        provider: this.name,
+        cause: error,
+      });
+    }
+  }
+
+  async createCharge({ amount, currency, description, reference, customer }) {
+    const session = await this.request("post", "/checkout_sessions", {
+      line_items: [
+        {
+          name: description,
+          amount: Math.round(amount * 100),
+          currency,
+          quantity: 1,
+        },
+      ],
+      payment_method_types: ["gcash", "paymaya", "card"],
+      reference_number: reference,
+      description,
+      billing: customer?.email
+        ? { name: customer.name, email: customer.email }
+        : undefined,
+      success_url: this.successUrl,
+      cancel_url: this.cancelUrl,
+    });
+
+    return {
+      reference: session.id,
+      status: "pending",
+      checkoutUrl: session.attributes?.checkout_url || null,
+      providerPaymentId: null,
+    };
+  }
+
+  async refund({ reference, providerPaymentId, amount, reason }) {
+    if (!providerPaymentId) {
+      throw new PaymentProviderError(
+        `No captured payment recorded for ${reference}`,
+        { statusCode: 400, provider: this.name },
+      );
+    }
+
+    const refund = await this.request("post", "/refunds", {
+      amount: Math.round(amount * 100),
+      payment_id: providerPaymentId,
+      reason: "requested_by_customer",
+      notes: reason,
+    });
+
+    return {
+      status: refund.attributes?.status === "failed" ? "failed" : "refunded",
+      reference,
+    };
+  }
+
+  parseWebhook({ rawBody, headers = {} }) {
+    const header = headers["paymongo-signature"] || "";
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => part.trim().split("=")),
+    );
+    const signature = parts.li || parts.te;
+    const expected = this.webhookSecret
+      ? hmacSha256(this.webhookSecret, `${parts.t}.${rawBody}`)
+      : null;
+
+    if (!parts.t || !signature || !expected || !safeCompare(signature, expected)) {
+      throw new PaymentProviderError("Invalid webhook signature", {
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    const event = JSON.parse(rawBody);
+    const attributes = event.data?.attributes || {};
+    const resource = attributes.data || {};
+    const isSession = attributes.type?.startsWith("checkout_session.");
+    const payments = resource.attributes?.payments || [];
+
+    return {
+      eventId: event.data?.id,
+      type: attributes.type,
+      reference: isSession
+        ? resource.id
+        : resource.attributes?.metadata?.checkout_session_id || resource.id,
+      status: PAYMONGO_EVENT_STATUS[attributes.type] || null,
+      providerPaymentId: isSession ? payments[0]?.id || null : resource.id,
+      payload: event,
+    };
+  }
+}
+
+const providerFactories = {
+  local: () => new LocalPaymentProvider(),
+  paymongo: () => new PayMongoProvider(),
+};
+
+// Providers that settle nothing real; their webhooks could mark any booking paid
+const DEVELOPMENT_ONLY_PROVIDERS = ["local"];
+
+const providers = new Map();
+
+/**
+ * Resolve a provider by name (defaults to PAYMENT_PROVIDER, which must be set)
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    throw new PaymentProviderError("PAYMENT_PROVIDER is not configured", {
+      statusCode: 500,
+    });
+  }
+  const key = String(name).toLowerCase();
+  if (
+    process.env.NODE_ENV === "production" &&
+    DEVELOPMENT_ONLY_PROVIDERS.includes(key)
+  ) {
+    throw new PaymentProviderError(`Payment provider ${key} is not available in production`, {
+      statusCode: 400,
+      provider: key,
+    });
+  }
+  if (!providers.has(key)) {
+    const factory = providerFactories[key];
+    if (!factory) {
+      throw new PaymentProviderError(`Unknown payment provider: ${name}`, {
+        statusCode: 400,
+      });
+    }
+    providers.set(key, factory());
+  }
+  return providers.get(key);
+};
+
+/**
+ * Swap in a provider instance (tests register a preconfigured local provider)
+ */
+const registerPaymentProvider = (name, provider) => {
+  providers.set(String(name).toLowerCase(), provider);
+  return provider;
+};
+
+module.exports = {
+  PaymentProviderError,
+  LocalPaymentProvider,
+  PayMongoProvider,
+  getPaymentProvider,
+  registerPaymentProvider,
+};
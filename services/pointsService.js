@@ -0,0 +1,307 @@
+const { supabase } = require("../config/supabase");
+const ErrorResponse = require("../utils/errorResponse");
+
+/**
+ * Default rule table. Stored overrides live in points_rules.rules and are
+ * merged over these per top-level key.
+ */
+const DEFAULT_POINTS_RULES = {
+  completion: 5,
+  punctuality: { onTime: 5, late: -3 },
+  // First band whose minRating the rating reaches wins
+  rating: [
+    { minRating: 4, delta: 10 },
+    { minRating: 3, delta: 5 },
+    { minRating: 0, delta: -5 },
+  ],
+  tiers: [
+    { name: "Platinum", minPoints: 500 },
+    { name: "Gold", minPoints: 250 },
+    { name: "Silver", minPoints: 100 },
+    { name: "Bronze", minPoints: 0 },
+  ],
+};
+
+const isInteger = (value) => Number.isInteger(value);
+
+const sortBands = (bands, key) =>
+  [...bands].sort((a, b) => b[key] - a[key]);
+
+/**
+ * Validate a rule table; throws a 400 listing every problem
+ */
+const normalizeRules = (input = {}) => {
+  const rules = { ...DEFAULT_POINTS_RULES, ...input };
+  const errors = {};
+
+  if (!isInteger(rules.completion)) {
+    errors.completion = "completion must be an integer";
+  }
+
+  if (
+    !rules.punctuality ||
+    !isInteger(rules.punctuality.onTime) ||
+    !isInteger(rules.punctuality.late)
+  ) {
+    errors.punctuality = "punctuality.onTime and punctuality.late must be integers";
+  }
+
+  if (
+    !Array.isArray(rules.rating) ||
+    !rules.rating.length ||
+    rules.rating.some(
+      (band) => typeof band?.minRating !== "number" || !isInteger(band?.delta),
+    )
+  ) {
+    errors.rating = "rating must be a list of { minRating, delta } bands";
+  }
+
+  if (
+    !Array.isArray(rules.tiers) ||
+    rules.tiers.some(
+      (tier) =>
+        typeof tier?.name !== "string" ||
+        !tier.name.trim() ||
+        !isInteger(tier?.minPoints),
+    )
+  ) {
+    errors.tiers = "tiers must be a list of { name, minPoints } entries";
+  } else if (!rules.tiers.some((tier) => tier.minPoints <= 0)) {
+    errors.tiers = "tiers must include a base tier with minPoints 0";
+  }
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid points rules", errors);
+  }
+
+  return {
+    completion: rules.completion,
+    punctuality: {
+      onTime: rules.punctuality.onTime,
+      late: rules.punctuality.late,
+    },
+    rating: sortBands(rules.rating, "minRating").map(({ minRating, delta }) => ({
+      minRating,
+      delta,
+    })),
+    tiers: sortBands(rules.tiers, "minPoints").map(({ name, minPoints }) => ({
+      name: name.trim(),
+      minPoints,
+    })),
+  };
+};
+
+const ratingDelta = (rules, rating) => {
+  const band = rules.rating.find((entry) => Number(rating) >= entry.minRating);
+  return band ? band.delta : 0;
+};
+
+const tierFor = (rules, totalPoints) => {
+  const tier = rules.tiers.find((entry) => totalPoints >= entry.minPoints);
+  return tier ? tier.name : rules.tiers[rules.tiers.length - 1].name;
+};
+
+class PointsService {
+  static async getRules() {
+    const { data, error } = await supabase
+      .from("points_rules")
+      .select("rules")
+      .eq("id", 1)
+      .maybeSingle();
+
+    if (error) {
+      if (error.code === "42P01") {
+        console.warn("[PointsService] points_rules table missing; using defaults.");
+        return normalizeRules();
+      }
+      throw error;
+    }
+
+    try {
+      return normalizeRules(data?.rules || {});
+    } catch (invalid) {
+      console.warn("[PointsService] Stored points rules are invalid; using defaults.", invalid.validationErrors);
+      return normalizeRules();
+    }
+  }
+
+  static async updateRules(input, updatedBy) {
+    const rules = normalizeRules(input);
+    const { error } = await supabase.from("points_rules").upsert({
+      id: 1,
+      rules,
+      updated_by: updatedBy || null,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (error) throw error;
+    return rules;
+  }
+
+  /**
+   * Insert ledger entries; entries carrying a source already awarded are skipped
+   * @returns {Promise<Array>} the entries actually inserted
+   */
+  static async addEntries(caregiverId, entries) {
+    const inserted = [];
+
+    for (const entry of entries) {
+      const { data, error } = await supabase
+        .from("caregiver_points_ledger")
+        .insert({
+          caregiver_id: caregiverId,
+          metric: entry.metric,
+          delta: entry.delta,
+          reason: entry.reason || null,
+          source_type: entry.sourceType || null,
+          source_id: entry.sourceId ? String(entry.sourceId) : null,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === "23505") continue;
+        throw error;
+      }
+      inserted.push(data);
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Recompute the caregiver's total from the ledger and persist total + tier
+   */
+  static async refreshSummary(caregiverId, rules) {
+    const activeRules = rules || (await this.getRules());
+
+    const { data: ledger, error } = await supabase
+      .from("caregiver_points_ledger")
+      .select("delta")
+      .eq("caregiver_id", caregiverId);
+
+    if (error) throw error;
+
+    const totalPoints = (ledger || []).reduce((sum, entry) => sum + entry.delta, 0);
+    const tier = tierFor(activeRules, totalPoints);
+
+    const { data, error: upsertError } = await supabase
+      .from("caregiver_points_summary")
+      .upsert({
+        caregiver_id: caregiverId,
+        total_points: totalPoints,
+        tier,
+        last_updated: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (upsertError) throw upsertError;
+    return data;
+  }
+
+  /**
+   * Points summaries keyed by caregiver ID; caregivers without one are absent
+   */
+  static async listSummaries(caregiverIds = []) {
+    const summaries = new Map();
+    if (!caregiverIds.length) return summaries;
+
+    const { data, error } = await supabase
+      .from("caregiver_points_summary")
+      .select("caregiver_id, total_points, tier")
+      .in("caregiver_id", caregiverIds);
+
+    if (error) throw error;
+    (data || []).forEach((summary) => summaries.set(summary.caregiver_id, summary));
+    return summaries;
+  }
+
+  static async award(caregiverId, entries, rules) {
+    const activeRules = rules || (await this.getRules());
+    const inserted = await this.addEntries(caregiverId, entries);
+    const summary = await this.refreshSummary(caregiverId, activeRules);
+    return { inserted, summary };
+  }
+
+  /**
+   * Completion points for a booking, plus punctuality when it is known
+   */
+  static async recordBookingCompletion({ caregiverId, bookingId, punctual }) {
+    const rules = await this.getRules();
+    const entries = [
+      {
+        metric: "completion",
+        delta: rules.completion,
+        reason: "completed booking",
+        sourceType: "booking",
+        sourceId: bookingId,
+      },
+    ];
+
+    if (typeof punctual === "boolean") {
+      entries.push({
+        metric: "punctuality",
+        delta: punctual ? rules.punctuality.onTime : rules.punctuality.late,
+        reason: punctual ? "on-time" : "late",
+        sourceType: "booking",
+        sourceId: bookingId,
+      });
+    }
+
+    return this.award(caregiverId, entries, rules);
+  }
+
+  static async recordRating({ caregiverId, ratingId, rating }) {
+    const rules = await this.getRules();
+    return this.award(
+      caregiverId,
+      [
+        {
+          metric: "rating",
+          delta: ratingDelta(rules, rating),
+          reason: `rating=${rating}`,
+          sourceType: "rating",
+          sourceId: ratingId,
+        },
+      ],
+      rules,
+    );
+  }
+
+  /**
+   * Manual award (admin): same rules, no source so it is never deduplicated
+   */
+  static async recordManualAward({ caregiverId, rating, punctual, reason }) {
+    const rules = await this.getRules();
+    return this.award(
+      caregiverId,
+      [
+        {
+          metric: "rating",
+          delta: ratingDelta(rules, rating),
+          reason: reason || `rating=${rating}`,
+        },
+        {
+          metric: "completion",
+          delta: rules.completion,
+          reason: reason || "completed booking",
+        },
+        {
+          metric: "punctuality",
+          delta: punctual ? rules.punctuality.onTime : rules.punctuality.late,
+          reason: reason || (punctual ? "on-time" : "late"),
+        },
+      ],
+      rules,
+    );
+  }
+}
+
+module.exports = {
+  PointsService,
+  DEFAULT_POINTS_RULES,
+  normalizeRules,
+  ratingDelta,
+  tierFor,
+};
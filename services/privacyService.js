@@ -0,0 +1,308 @@
+const ErrorResponse = require("../utils/errorResponse");
+const {
+  UserService,
+  CaregiverProfileService,
+  ChildService,
+  PrivacySettingsService,
+  PrivacyGrantService,
+  PrivacyAccessLogService,
+} = require("./supabaseService");
+
+/**
+ * Field-level privacy. PRIVACY_FIELDS is the registry of everything that is
+ * private by default; a viewer sees a field when the owner shares it with
+ * everyone (privacy_settings.shared_fields) or holds a live grant for it
+ * (privacy_grants). Every read of a private field by someone else is written
+ * to privacy_access_logs.
+ *
+ * Registry entries:
+ *   scope:         where the value lives - "user" (users row),
+ *                  "caregiverProfile" (caregiver_profiles row) or
+ *                  "child" (each of the owner's children rows)
+ *   column:        column holding the value
+ *   legacySetting: flag of the old settings API the field answers to
+ */
+const PRIVACY_FIELDS = {
+  phone: {
+    label: "Phone number",
+    scope: "user",
+    column: "phone",
+    legacySetting: "sharePhone",
+  },
+  address: {
+    label: "Home address",
+    scope: "user",
+    column: "address",
+    legacySetting: "shareAddress",
+  },
+  emergencyContacts: {
+    label: "Emergency contacts",
+    scope: "caregiverProfile",
+    column: "emergency_contacts",
+    legacySetting: "shareEmergencyContact",
+  },
+  "children.specialNeeds": {
+    label: "Children's medical information and special needs",
+    scope: "child",
+    column: "special_needs",
+    legacySetting: "shareChildMedicalInfo",
+  },
+  "children.allergies": {
+    label: "Children's allergies",
+    scope: "child",
+    column: "allergies",
+    legacySetting: "shareChildAllergies",
+  },
+  "children.notes": {
+    label: "Children's behavior notes",
+    scope: "child",
+    column: "notes",
+    legacySetting: "shareChildBehaviorNotes",
+  },
+  "children.preferences": {
+    label: "Children's routines and preferences",
+    scope: "child",
+    column: "preferences",
+  },
+  "children.emergencyContact": {
+    label: "Children's emergency contact",
+    scope: "child",
+    column: "emergency_contact",
+  },
+};
+
+const FIELD_KEYS = Object.keys(PRIVACY_FIELDS);
+const DEFAULT_GRANT_DAYS = 30;
+const MAX_GRANT_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+
+const fieldName = (key) => key.replace(/^children\./, "");
+
+const isEmpty = (value) =>
+  value == null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+
+/**
+ * @returns {string[]} the keys, de-duplicated; 400 when any is not in the registry
+ */
+const normalizeFields = (keys, label = "fields") => {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw ErrorResponse.badRequest(`${label} must be a non-empty list of field keys`);
+  }
+  const unknown = keys.filter((key) => !PRIVACY_FIELDS[key]);
+  if (unknown.length) {
+    throw ErrorResponse.badRequest(`Unknown privacy fields: ${unknown.join(", ")}`, {
+      [label]: `Must be among: ${FIELD_KEYS.join(", ")}`,
+    });
+  }
+  return [...new Set(keys)];
+};
+
+const grantDays = (value, fallback = DEFAULT_GRANT_DAYS) => {
+  if (value == null) return fallback;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_GRANT_DAYS) {
+    throw ErrorResponse.badRequest(`expiresInDays must be a whole number from 1 to ${MAX_GRANT_DAYS}`);
+  }
+  return days;
+};
+
+const expiryFrom = (days, now = new Date()) => new Date(now.getTime() + days * DAY).toISOString();
+
+const listFields = () =>
+  FIELD_KEYS.map((key) => ({
+    key,
+    label: PRIVACY_FIELDS[key].label,
+    appliesTo: PRIVACY_FIELDS[key].scope === "child" ? "children" : "profile",
+  }));
+
+/**
+ * Settings row in API shape, including the legacy share* flags
+ */
+const settingsView = (row) => {
+  const sharedFields = row?.shared_fields || [];
+  const legacy = Object.fromEntries(
+    FIELD_KEYS.filter((key) => PRIVACY_FIELDS[key].legacySetting).map((key) => [
+      PRIVACY_FIELDS[key].legacySetting,
+      sharedFields.includes(key),
+    ]),
+  );
+
+  return {
+    sharedFields,
+    autoApproveBasicInfo: row ? row.auto_approve_basic_info : true,
+    defaultGrantDays: row?.default_grant_days || DEFAULT_GRANT_DAYS,
+    ...legacy,
+    updatedAt: row?.updated_at || null,
+  };
+};
+
+/**
+ * Settings columns from a request body. `sharedFields` replaces the list;
+ * legacy share* booleans toggle single fields on top of the current one.
+ */
+const settingsFromInput = (body = {}, current) => {
+  let sharedFields = current?.shared_fields || [];
+  if (body.sharedFields !== undefined) {
+    sharedFields = body.sharedFields.length ? normalizeFields(body.sharedFields, "sharedFields") : [];
+  }
+
+  FIELD_KEYS.forEach((key) => {
+    const flag = PRIVACY_FIELDS[key].legacySetting;
+    if (!flag || typeof body[flag] !== "boolean") return;
+    sharedFields = body[flag]
+      ? [...new Set([...sharedFields, key])]
+      : sharedFields.filter((shared) => shared !== key);
+  });
+
+  const columns = { shared_fields: sharedFields };
+  if (typeof body.autoApproveBasicInfo === "boolean") {
+    columns.auto_approve_basic_info = body.autoApproveBasicInfo;
+  }
+  if (body.defaultGrantDays !== undefined) {
+    columns.default_grant_days = grantDays(body.defaultGrantDays);
+  }
+  return columns;
+};
+
+/**
+ * How the viewer gets to see each field, if at all
+ * @returns {Promise<Object>} key -> { via: "owner"|"setting"|"grant"|"booking", grant } or null
+ */
+const resolveAccess = async (ownerId, viewerId, { now = new Date() } = {}) => {
+  if (ownerId === viewerId) {
+    return Object.fromEntries(FIELD_KEYS.map((key) => [key, { via: "owner", grant: null }]));
+  }
+
+  const [settings, grants] = await Promise.all([
+    PrivacySettingsService.findByUser(ownerId),
+    PrivacyGrantService.listActiveBetween(ownerId, viewerId, { now }),
+  ]);
+  const shared = settings?.shared_fields || [];
+
+  return Object.fromEntries(
+    FIELD_KEYS.map((key) => {
+      // The grant that lasts longest, so the reported expiry is the real one
+      const grant = grants
+        .filter((candidate) => candidate.field === key)
+        .sort((a, b) => new Date(b.expires_at) - new Date(a.expires_at))[0];
+      if (grant) return [key, { via: grant.booking_id ? "booking" : "grant", grant }];
+      if (shared.includes(key)) return [key, { via: "setting", grant: null }];
+      return [key, null];
+    }),
+  );
+};
+
+/**
+ * A user's profile as `viewerId` may see it. Private fields without access
+ * are left out and reported under `access`; children appear only with the
+ * child fields the viewer may read. Reads by anyone but the owner are logged;
+ * if the log cannot be written the read fails.
+ * @returns {Promise<Object|null>} { data, access } or null when the user does not exist
+ */
+const readProfile = async (ownerId, viewerId, { ipAddress, userAgent } = {}) => {
+  const owner = await UserService.findById(ownerId);
+  if (!owner) return null;
+
+  const access = await resolveAccess(ownerId, viewerId);
+  const visible = FIELD_KEYS.filter((key) => access[key]);
+  const needs = (scope) => visible.some((key) => PRIVACY_FIELDS[key].scope === scope);
+
+  const [caregiverProfile, children] = await Promise.all([
+    needs("caregiverProfile") ? CaregiverProfileService.getByUserId(ownerId) : null,
+    needs("child") ? ChildService.listByParent(ownerId) : [],
+  ]);
+
+  const data = {
+    id: owner.id,
+    name: owner.name,
+    profileImage: owner.profile_image,
+    role: owner.role,
+  };
+  const read = new Set();
+
+  visible.forEach((key) => {
+    const { scope, column } = PRIVACY_FIELDS[key];
+    if (scope === "child") return;
+
+    const value = (scope === "user" ? owner : caregiverProfile)?.[column];
+    if (isEmpty(value)) return;
+    data[key] = value;
+    read.add(key);
+  });
+
+  const childKeys = visible.filter((key) => PRIVACY_FIELDS[key].scope === "child");
+  if (childKeys.length) {
+    data.children = children.map((child) => {
+      const view = { id: child.id, name: child.name };
+      childKeys.forEach((key) => {
+        const value = child[PRIVACY_FIELDS[key].column];
+        if (isEmpty(value)) return;
+        view[fieldName(key)] = value;
+        read.add(key);
+      });
+      return view;
+    });
+  }
+
+  if (ownerId !== viewerId && read.size) {
+    await PrivacyAccessLogService.logMany(
+      [...read].map((key) => ({
+        owner_id: ownerId,
+        viewer_id: viewerId,
+        field: key,
+        grant_id: access[key].grant?.id || null,
+        ip_address: ipAddress || null,
+        user_agent: userAgent || null,
+      })),
+    );
+  }
+
+  return {
+    data,
+    access: Object.fromEntries(
+      FIELD_KEYS.map((key) => [
+        key,
+        {
+          label: PRIVACY_FIELDS[key].label,
+          visible: Boolean(access[key]),
+          via: access[key]?.via || null,
+          expiresAt: access[key]?.grant?.expires_at || null,
+          bookingId: access[key]?.grant?.booking_id || null,
+        },
+      ]),
+    ),
+  };
+};
+
+/**
+ * Grant `fields` of owner to grantee for `days`
+ * @returns {Promise<Object[]>} the created grants
+ */
+const grantFields = ({ ownerId, granteeId, fields, days, requestId = null, now = new Date() }) =>
+  PrivacyGrantService.createMany(
+    fields.map((field) => ({
+      owner_id: ownerId,
+      grantee_id: granteeId,
+      field,
+      request_id: requestId,
+      expires_at: expiryFrom(days, now),
+    })),
+  );
+
+module.exports = {
+  PRIVACY_FIELDS,
+  FIELD_KEYS,
+  DEFAULT_GRANT_DAYS,
+  MAX_GRANT_DAYS,
+  normalizeFields,
+  grantDays,
+  listFields,
+  settingsView,
+  settingsFromInput,
+  resolveAccess,
+  readProfile,
+  grantFields,
+};
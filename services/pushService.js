@@ -0,0 +1,172 @@
+const mongoose = require("mongoose");
+const DeviceToken = require("../models/DeviceToken");
+const { DeviceTokenService } = require("./supabaseService");
+const { ExpoPushTransport, getPushTransport } = require("./pushTransports");
+const { isObjectId } = require("./legacyUsers");
+
+const MAX_ATTEMPTS = Number(process.env.PUSH_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = Number(process.env.PUSH_RETRY_BASE_MS) || 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Pick the transport for a token. PUSH_TRANSPORT forces a single transport
+ * for every token (e.g. "local" in development).
+ */
+const transportNameFor = ({ token, platform }) => {
+  if (process.env.PUSH_TRANSPORT) return process.env.PUSH_TRANSPORT;
+  if (ExpoPushTransport.isExpoToken(token)) return "expo";
+  return platform === "ios" ? "apns" : "fcm";
+};
+
+/**
+ * Tokens for a set of users. Supabase users keep theirs in device_tokens;
+ * legacy ObjectId users are only looked up while MongoDB is connected.
+ */
+const loadTokens = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  const legacyIds = ids.filter(isObjectId);
+  const supabaseIds = ids.filter((id) => !isObjectId(id));
+
+  const tokens = (await DeviceTokenService.listByUsers(supabaseIds)).map(
+    (row) => ({ userId: row.user_id, token: row.token, platform: row.platform, store: "supabase" }),
+  );
+
+  if (legacyIds.length && mongoose.connection.readyState === 1) {
+    const legacy = await DeviceToken.find({ userId: { $in: legacyIds } }).lean();
+    legacy.forEach((row) =>
+      tokens.push({
+        userId: String(row.userId),
+        token: row.token,
+        platform: row.platform,
+        store: "mongo",
+      }),
+    );
+  }
+
+  return tokens;
+};
+
+const pruneTokens = async (tokens) => {
+  const supabaseTokens = tokens.filter((t) => t.store === "supabase").map((t) => t.token);
+  const mongoTokens = tokens.filter((t) => t.store === "mongo").map((t) => t.token);
+
+  if (supabaseTokens.length) await DeviceTokenService.removeTokens(supabaseTokens);
+  if (mongoTokens.length) await DeviceToken.deleteMany({ token: { $in: mongoTokens } });
+};
+
+/**
+ * Send one batch, resending the messages a transport asks to retry with
+ * exponential backoff. Returns a result per message.
+ */
+const sendBatch = async (transport, messages) => {
+  const results = new Map();
+  let pending = messages;
+
+  for (let attempt = 1; pending.length && attempt <= MAX_ATTEMPTS; attempt += 1) {
+    if (attempt > 1) await sleep(RETRY_BASE_MS * 2 ** (attempt - 2));
+
+    let outcomes;
+    try {
+      outcomes = await transport.send(pending);
+    } catch (error) {
+      const status = error.retryable ? "retry" : "error";
+      outcomes = pending.map((message) => ({
+        token: message.token,
+        status,
+        error: error.message,
+      }));
+    }
+
+    outcomes.forEach((outcome) => results.set(outcome.token, outcome));
+    const retryTokens = new Set(
+      outcomes.filter((outcome) => outcome.status === "retry").map((o) => o.token),
+    );
+    pending = pending.filter((message) => retryTokens.has(message.token));
+  }
+
+  return messages.map((message) => results.get(message.token));
+};
+
+/**
+ * Push a notification to every registered device of the given users
+ * @param {string[]} userIds
+ * @param {Object} notification - { title, body, data }
+ * @returns {Promise<Object>} { sent, invalid, failed, skipped }
+ */
+const sendToUsers = async (userIds, { title, body, data = {} }) => {
+  const summary = { sent: 0, invalid: 0, failed: 0, skipped: 0 };
+  const tokens = await loadTokens(userIds);
+  if (!tokens.length) return summary;
+
+  const byTransport = new Map();
+  tokens.forEach((entry) => {
+    const name = transportNameFor(entry);
+    if (!byTransport.has(name)) byTransport.set(name, []);
+    byTransport.get(name).push(entry);
+  });
+
+  const invalid = [];
+  const delivered = [];
+
+  for (const [name, entries] of byTransport) {
+    const transport = getPushTransport(name);
+    if (!transport.isConfigured()) {
+      console.warn(`Push transport ${name} is not configured; skipping ${entries.length} device(s)`);
+      summary.skipped += entries.length;
+      continue;
+    }
+
+    for (const batch of chunk(entries, transport.maxBatchSize)) {
+      const messages = batch.map((entry) => ({
+        token: entry.token,
+        platform: entry.platform,
+        title,
+        body,
+        data,
+      }));
+      const results = await sendBatch(transport, messages);
+
+      results.forEach((result, index) => {
+        if (result?.status === "ok") {
+          summary.sent += 1;
+          if (batch[index].store === "supabase") delivered.push(batch[index].token);
+        } else if (result?.status === "invalid") {
+          summary.invalid += 1;
+          invalid.push(batch[index]);
+        } else {
+          summary.failed += 1;
+          console.error(`Push via ${name} failed:`, result?.error);
+        }
+      });
+    }
+  }
+
+  if (invalid.length) {
+    try {
+      await pruneTokens(invalid);
+    } catch (error) {
+      console.error("Failed to prune invalid device tokens:", error);
+    }
+  }
+
+  if (delivered.length) {
+    DeviceTokenService.touch(delivered).catch((error) =>
+      console.error("Failed to update device token usage:", error),
+    );
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendToUsers,
+};
@@ -0,0 +1,485 @@
+/**
+ * Push Notification Transports
+ * Every transport exposes the same surface so pushService stays
+ * transport-agnostic:
+ *   maxBatchSize - how many messages one send() call accepts
+ *   isConfigured() -> boolean
+ *   send(messages) -> [{ token, status, error? }] (same order as messages)
+ *
+ * A message is { token, platform, title, body, data }.
+ * Statuses are normalized to: ok, invalid (prune the token), retry, error.
+ */
+
+const crypto = require("crypto");
+const http2 = require("http2");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+
+class PushTransportError extends Error {
+  constructor(message, { statusCode = 502, transport, retryable = false, cause } = {}) {
+    super(message);
+    this.name = "PushTransportError";
+    this.statusCode = statusCode;
+    this.status = statusCode;
+    this.transport = transport;
+    this.retryable = retryable;
+    this.cause = cause;
+    this.isOperational = true;
+  }
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// FCM and APNs only accept string values in custom data
+const stringifyData = (data = {}) =>
+  Object.fromEntries(
+    Object.entries(data)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [
+        key,
+        typeof value === "string" ? value : JSON.stringify(value),
+      ]),
+  );
+
+/**
+ * Local transport - records the last `maxSent` messages in memory.
+ * Used in development and tests; never talks to the network.
+ */
+class LocalPushTransport {
+  constructor({ maxSent = 1000 } = {}) {
+    this.name = "local";
+    this.maxBatchSize = 100;
+    this.maxSent = maxSent;
+    this.sent = [];
+    this.invalidTokens = new Set();
+    this.transientFailures = new Map();
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Make future sends to a token report it as unregistered
+   */
+  markInvalid(token) {
+    this.invalidTokens.add(token);
+  }
+
+  /**
+   * Make the next `times` sends to a token ask for a retry
+   */
+  failTransiently(token, times = 1) {
+    this.transientFailures.set(token, times);
+  }
+
+  reset() {
+    this.sent = [];
+    this.invalidTokens.clear();
+    this.transientFailures.clear();
+  }
+
+  async send(messages) {
+    return messages.map((message) => {
+      if (this.invalidTokens.has(message.token)) {
+        return { token: message.token, status: "invalid", error: "Unregistered" };
+      }
+
+      const remaining = this.transientFailures.get(message.token) || 0;
+      if (remaining > 0) {
+        this.transientFailures.set(message.token, remaining - 1);
+        return { token: message.token, status: "retry", error: "Unavailable" };
+      }
+
+      this.sent.push({ ...message, id: `local_push_${crypto.randomUUID()}` });
+      if (this.sent.length > this.maxSent) this.sent.shift();
+      return { token: message.token, status: "ok" };
+    });
+  }
+}
+
+const EXPO_RETRY_ERRORS = ["MessageRateExceeded"];
+
+/**
+ * Expo push service - tokens issued to apps built with expo-notifications
+ */
+class ExpoPushTransport {
+  constructor({ accessToken, baseUrl } = {}) {
+    this.name = "expo";
+    this.maxBatchSize = 100;
+    this.accessToken = accessToken || process.env.EXPO_ACCESS_TOKEN;
+    this.client = axios.create({
+      baseURL: baseUrl || "https://exp.host/--/api/v2",
+      timeout: 10000,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  static isExpoToken(token) {
+    return /^Expo(nent)?PushToken\[.+\]$/.test(String(token));
+  }
+
+  isConfigured() {
+    // Access tokens are optional unless enhanced push security is enabled
+    return true;
+  }
+
+  async send(messages) {
+    let tickets;
+    try {
+      const { data } = await this.client.post(
+        "/push/send",
+        messages.map((message) => ({
+          to: message.token,
+          title: message.title,
+          body: message.body,
+          data: message.data || {},
+          sound: "default",
+        })),
+        {
+          headers: this.accessToken
+            ? { Authorization: `Bearer ${this.accessToken}` }
+            : {},
+        },
+      );
+      tickets = data?.data || [];
+    } catch (error) {
+      const status = error.response?.status;
+      throw new PushTransportError(
+        error.response?.data?.errors?.[0]?.message || "Expo push request failed",
+        {
+          transport: this.name,
+          retryable: !status || isRetryableStatus(status),
+          cause: error,
+        },
+      );
+    }
+
+    return messages.map((message, index) => {
+      const ticket = tickets[index];
+      if (ticket?.status === "ok") return { token: message.token, status: "ok" };
+
+      const code = ticket?.details?.error;
+      if (code === "DeviceNotRegistered") {
+        return { token: message.token, status: "invalid", error: code };
+      }
+      return {
+        token: message.token,
+        status: EXPO_RETRY_ERRORS.includes(code) ? "retry" : "error",
+        error: ticket?.message || code || "No ticket returned",
+      };
+    });
+  }
+}
+
+const FCM_INVALID_ERRORS = ["UNREGISTERED", "SENDER_ID_MISMATCH"];
+const FCM_SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+const GOOGLE_TOKEN_URL = "https://oauth2.googleapis.com/token";
+
+/**
+ * Firebase Cloud Messaging (HTTP v1) - Android and web tokens.
+ * Authenticates with a service account; the access token is cached until
+ * shortly before it expires.
+ */
+class FcmPushTransport {
+  constructor({ projectId, clientEmail, privateKey } = {}) {
+    this.name = "fcm";
+    // HTTP v1 has no multicast endpoint, so a batch is sent concurrently
+    this.maxBatchSize = 100;
+    this.projectId = projectId || process.env.FCM_PROJECT_ID;
+    this.clientEmail = clientEmail || process.env.FCM_CLIENT_EMAIL;
+    this.privateKey = (privateKey || process.env.FCM_PRIVATE_KEY || "").replace(
+      /\\n/g,
+      "\n",
+    );
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+    this.client = axios.create({
+      baseURL: "https://fcm.googleapis.com/v1",
+      timeout: 10000,
+    });
+  }
+
+  isConfigured() {
+    return Boolean(this.projectId && this.clientEmail && this.privateKey);
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: FCM_SCOPE,
+        aud: GOOGLE_TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: "RS256" },
+    );
+
+    try {
+      const { data } = await axios.post(
+        GOOGLE_TOKEN_URL,
+        new URLSearchParams({
+          grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+          assertion,
+        }).toString(),
+        {
+          timeout: 10000,
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        },
+      );
+      this.accessToken = data.access_token;
+      this.accessTokenExpiresAt = Date.now() + ((data.expires_in || 3600) - 60) * 1000;
+      return this.accessToken;
+    } catch (error) {
+      throw new PushTransportError("Failed to authenticate with FCM", {
+        transport: this.name,
+        retryable: !error.response || isRetryableStatus(error.response.status),
+        cause: error,
+      });
+    }
+  }
+
+  async sendOne(message, accessToken) {
+    try {
+      await this.client.post(
+        `/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token: message.token,
+            notification: { title: message.title, body: message.body },
+            data: stringifyData(message.data),
+          },
+        },
+        { headers: { Authorization: `Bearer ${accessToken}` } },
+      );
+      return { token: message.token, status: "ok" };
+    } catch (error) {
+      const status = error.response?.status;
+      const details = error.response?.data?.error?.details || [];
+      const code =
+        details.find((detail) => detail.errorCode)?.errorCode ||
+        error.response?.data?.error?.status;
+
+      if (FCM_INVALID_ERRORS.includes(code)) {
+        return { token: message.token, status: "invalid", error: code };
+      }
+      if (status === 401) {
+        // Force a fresh access token on the retry
+        this.accessToken = null;
+        return { token: message.token, status: "retry", error: "UNAUTHENTICATED" };
+      }
+      return {
+        token: message.token,
+        status: !status || isRetryableStatus(status) ? "retry" : "error",
+        error: code || error.message,
+      };
+    }
+  }
+
+  async send(messages) {
+    if (!this.isConfigured()) {
+      throw new PushTransportError("FCM credentials are not configured", {
+        statusCode: 500,
+        transport: this.name,
+      });
+    }
+
+    const accessToken = await this.getAccessToken();
+    return Promise.all(messages.map((message) => this.sendOne(message, accessToken)));
+  }
+}
+
+const APNS_INVALID_REASONS = ["BadDeviceToken", "Unregistered", "DeviceTokenNotForTopic"];
+// Apple rejects provider tokens older than an hour and throttles frequent refreshes
+const APNS_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+/**
+ * Apple Push Notification service - native iOS tokens, token-based (.p8) auth
+ */
+class ApnsPushTransport {
+  constructor({ keyId, teamId, privateKey, bundleId, production } = {}) {
+    this.name = "apns";
+    this.maxBatchSize = 100;
+    this.keyId = keyId || process.env.APNS_KEY_ID;
+    this.teamId = teamId || process.env.APNS_TEAM_ID;
+    this.privateKey = (privateKey || process.env.APNS_PRIVATE_KEY || "").replace(
+      /\\n/g,
+      "\n",
+    );
+    this.bundleId = bundleId || process.env.APNS_BUNDLE_ID;
+    this.host =
+      (production ?? process.env.APNS_PRODUCTION === "true")
+        ? "https://api.push.apple.com"
+        : "https://api.sandbox.push.apple.com";
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  isConfigured() {
+    return Boolean(this.keyId && this.teamId && this.privateKey && this.bundleId);
+  }
+
+  getProviderToken() {
+    if (this.providerToken && Date.now() - this.providerTokenIssuedAt < APNS_TOKEN_TTL_MS) {
+      return this.providerToken;
+    }
+
+    this.providerToken = jwt.sign({ iss: this.teamId }, this.privateKey, {
+      algorithm: "ES256",
+      keyid: this.keyId,
+    });
+    this.providerTokenIssuedAt = Date.now();
+    return this.providerToken;
+  }
+
+  sendOne(session, message) {
+    const payload = JSON.stringify({
+      aps: {
+        alert: { title: message.title, body: message.body },
+        sound: "default",
+      },
+      ...stringifyData(message.data),
+    });
+
+    return new Promise((resolve) => {
+      const request = session.request({
+        ":method": "POST",
+        ":path": `/3/device/${message.token}`,
+        authorization: `bearer ${this.getProviderToken()}`,
+        "apns-topic": this.bundleId,
+        "apns-push-type": "alert",
+        "content-type": "application/json",
+      });
+
+      let status = 0;
+      let body = "";
+      request.setEncoding("utf8");
+      request.setTimeout(10000, () => request.close(http2.constants.NGHTTP2_CANCEL));
+      request.on("response", (headers) => {
+        status = headers[":status"];
+      });
+      request.on("data", (chunk) => {
+        body += chunk;
+      });
+      request.on("end", () => {
+        if (status === 200) return resolve({ token: message.token, status: "ok" });
+
+        let reason;
+        try {
+          reason = JSON.parse(body).reason;
+        } catch {
+          reason = body || undefined;
+        }
+
+        if (status === 410 || APNS_INVALID_REASONS.includes(reason)) {
+          return resolve({ token: message.token, status: "invalid", error: reason });
+        }
+        if (reason === "ExpiredProviderToken") this.providerToken = null;
+        resolve({
+          token: message.token,
+          status:
+            !status || isRetryableStatus(status) || reason === "ExpiredProviderToken"
+              ? "retry"
+              : "error",
+          error: reason || `HTTP ${status}`,
+        });
+      });
+      request.on("error", (error) =>
+        resolve({ token: message.token, status: "retry", error: error.message }),
+      );
+
+      request.end(payload);
+    });
+  }
+
+  async send(messages) {
+    if (!this.isConfigured()) {
+      throw new PushTransportError("APNs credentials are not configured", {
+        statusCode: 500,
+        transport: this.name,
+      });
+    }
+
+    const session = http2.connect(this.host);
+    const connectionError = new Promise((_, reject) =>
+      session.once("error", (error) =>
+        reject(
+          new PushTransportError("APNs connection failed", {
+            transport: this.name,
+            retryable: true,
+            cause: error,
+          }),
+        ),
+      ),
+    );
+
+    try {
+      return await Promise.race([
+        Promise.all(messages.map((message) => this.sendOne(session, message))),
+        connectionError,
+      ]);
+    } finally {
+      session.close();
+    }
+  }
+}
+
+const transportFactories = {
+  local: () => new LocalPushTransport(),
+  expo: () => new ExpoPushTransport(),
+  fcm: () => new FcmPushTransport(),
+  apns: () => new ApnsPushTransport(),
+};
+
+// Transports that deliver nothing; notifications would silently go nowhere
+const DEVELOPMENT_ONLY_TRANSPORTS = ["local"];
+
+const transports = new Map();
+
+/**
+ * Resolve a transport by name
+ */
+const getPushTransport = (name) => {
+  const key = String(name).toLowerCase();
+  if (process.env.NODE_ENV === "production" && DEVELOPMENT_ONLY_TRANSPORTS.includes(key)) {
+    throw new PushTransportError(`Push transport ${key} is not available in production`, {
+      statusCode: 400,
+      transport: key,
+    });
+  }
+  if (!transports.has(key)) {
+    const factory = transportFactories[key];
+    if (!factory) {
+      throw new PushTransportError(`Unknown push transport: ${name}`, {
+        statusCode: 400,
+      });
+    }
+    transports.set(key, factory());
+  }
+  return transports.get(key);
+};
+
+/**
+ * Swap in a transport instance (tests register a LocalPushTransport)
+ */
+const registerPushTransport = (name, transport) => {
+  transports.set(String(name).toLowerCase(), transport);
+  return transport;
+};
+
+module.exports = {
+  PushTransportError,
+  LocalPushTransport,
+  ExpoPushTransport,
+  FcmPushTransport,
+  ApnsPushTransport,
+  getPushTransport,
+  registerPushTransport,
+};
@@ -0,0 +1,220 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { isValidDate, addDays } = require("./availabilityService");
+
+/**
+ * RRULE subset (RFC 5545) for recurring bookings:
+ *   FREQ=DAILY|WEEKLY, INTERVAL, BYDAY=MO,TU,..., COUNT or UNTIL, WKST
+ * e.g. "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR" for every weekday.
+ * Occurrences are calendar dates (YYYY-MM-DD) on or after the series start
+ * date that match the rule; EXDATEs are removed after COUNT is applied.
+ */
+
+const FREQUENCIES = ["DAILY", "WEEKLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const SUPPORTED_PARTS = ["FREQ", "INTERVAL", "BYDAY", "COUNT", "UNTIL", "WKST"];
+
+const MAX_INTERVAL = 52;
+const MAX_COUNT = 730;
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+const weekStartOf = (date, wkst) => {
+  const offset = (WEEKDAYS.indexOf(weekdayOf(date)) - WEEKDAYS.indexOf(wkst) + 7) % 7;
+  return addDays(date, -offset);
+};
+
+// UNTIL=20261231 or UNTIL=20261231T235959Z; only the date is used
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(value);
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  return isValidDate(date) ? date : null;
+};
+
+/**
+ * Parse and validate an RRULE string
+ * @returns {Object} { freq, interval, byDay, count, until, wkst }
+ */
+const parseRule = (input) => {
+  const text = typeof input === "string" ? input.trim().replace(/^RRULE:/i, "") : "";
+  if (!text) {
+    throw ErrorResponse.badRequest("rrule is required", { rrule: "rrule is required" });
+  }
+
+  const errors = {};
+  const parts = {};
+  for (const chunk of text.split(";").filter(Boolean)) {
+    const [rawKey, value = ""] = chunk.split("=");
+    const key = rawKey.trim().toUpperCase();
+    if (!SUPPORTED_PARTS.includes(key)) {
+      errors[key] = `Unsupported rule part; use ${SUPPORTED_PARTS.join(", ")}`;
+      continue;
+    }
+    parts[key] = value.trim().toUpperCase();
+  }
+
+  const freq = parts.FREQ;
+  if (!FREQUENCIES.includes(freq)) {
+    errors.FREQ = `FREQ must be one of ${FREQUENCIES.join(", ")}`;
+  }
+
+  const interval = parts.INTERVAL === undefined ? 1 : Number(parts.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    errors.INTERVAL = `INTERVAL must be a whole number from 1 to ${MAX_INTERVAL}`;
+  }
+
+  const byDay = parts.BYDAY ? [...new Set(parts.BYDAY.split(","))] : [];
+  if (byDay.some((day) => !WEEKDAYS.includes(day))) {
+    errors.BYDAY = `BYDAY takes a list of ${WEEKDAYS.join(", ")}`;
+  }
+
+  const wkst = parts.WKST || "MO";
+  if (!WEEKDAYS.includes(wkst)) {
+    errors.WKST = `WKST must be one of ${WEEKDAYS.join(", ")}`;
+  }
+
+  let count = null;
+  if (parts.COUNT !== undefined) {
+    count = Number(parts.COUNT);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+      errors.COUNT = `COUNT must be a whole number from 1 to ${MAX_COUNT}`;
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL !== undefined) {
+    until = parseUntil(parts.UNTIL);
+    if (!until) errors.UNTIL = "UNTIL must be YYYYMMDD";
+  }
+
+  if (count !== null && until !== null) {
+    errors.COUNT = "COUNT and UNTIL cannot be combined";
+  }
+
+  if (Object.keys(errors).length) {
+    throw ErrorResponse.badRequest("Invalid recurrence rule", errors);
+  }
+
+  // Keep BYDAY in week order so equal rules serialize the same
+  byDay.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+
+  return { freq, interval, byDay, count, until, wkst };
+};
+
+// Normalized RRULE string for a parsed rule
+const formatRule = (rule) =>
+  [
+    `FREQ=${rule.freq}`,
+    rule.interval > 1 && `INTERVAL=${rule.interval}`,
+    rule.byDay.length && `BYDAY=${rule.byDay.join(",")}`,
+    rule.count && `COUNT=${rule.count}`,
+    rule.until && `UNTIL=${rule.until.replace(/-/g, "")}`,
+    rule.wkst !== "MO" && `WKST=${rule.wkst}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+const matches = (rule, startDate, date) => {
+  const weekday = weekdayOf(date);
+
+  if (rule.freq === "DAILY") {
+    return (
+      daysBetween(startDate, date) % rule.interval === 0 &&
+      (!rule.byDay.length || rule.byDay.includes(weekday))
+    );
+  }
+
+  // WEEKLY: without BYDAY, repeat on the start date's weekday
+  const days = rule.byDay.length ? rule.byDay : [weekdayOf(startDate)];
+  const weeks =
+    daysBetween(weekStartOf(startDate, rule.wkst), weekStartOf(date, rule.wkst)) / 7;
+  return weeks % rule.interval === 0 && days.includes(weekday);
+};
+
+/**
+ * Occurrence dates of a rule between `from` and `to` (inclusive)
+ * @param {Object} rule - parsed rule
+ * @param {Object} options
+ * @param {string} options.startDate - first date of the series
+ * @param {string[]} [options.exdates] - dates skipped without changing COUNT
+ * @param {string} [options.from] - defaults to startDate
+ * @param {string} options.to - last date to consider
+ * @param {number} [options.limit] - stop after this many dates
+ * @returns {string[]} YYYY-MM-DD dates in order
+ */
+const expandOccurrences = (rule, { startDate, exdates = [], from, to, limit = Infinity }) => {
+  const skipped = new Set(exdates);
+  const end = rule.until && rule.until < to ? rule.until : to;
+  const dates = [];
+  let seen = 0;
+
+  for (let date = startDate; date <= end; date = addDays(date, 1)) {
+    if (!matches(rule, startDate, date)) continue;
+
+    seen += 1;
+    if (rule.count && seen > rule.count) break;
+    if ((!from || date >= from) && !skipped.has(date)) {
+      dates.push(date);
+      if (dates.length >= limit) break;
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Last occurrence date of a bounded rule, or null when it repeats forever
+ */
+const lastOccurrence = (rule, startDate) => {
+  if (rule.until) return rule.until;
+  if (!rule.count) return null;
+
+  // A COUNT rule ends within COUNT * INTERVAL weeks of the start
+  const to = addDays(startDate, rule.count * rule.interval * 7);
+  const dates = expandOccurrences(rule, { startDate, to });
+  return dates[dates.length - 1] || null;
+};
+
+/**
+ * Occurrences before `date` that count towards COUNT (exdates included)
+ */
+const countBefore = (rule, startDate, date) =>
+  date <= startDate ? 0 : expandOccurrences(rule, { startDate, to: addDays(date, -1) }).length;
+
+/**
+ * The same rule restarted at its first occurrence on or after `from`, so
+ * weekdays and INTERVAL keep their rhythm and COUNT keeps what is left
+ * @returns {Object|null} { startDate, rule }, or null when nothing is left
+ */
+const resumeRule = (rule, startDate, from) => {
+  // BYDAY and INTERVAL together never leave more than INTERVAL + 1 weeks between dates
+  const [next] = expandOccurrences(rule, {
+    startDate,
+    from,
+    to: addDays(from, (rule.interval + 1) * 7),
+    limit: 1,
+  });
+  if (!next) return null;
+
+  return {
+    startDate: next,
+    rule: {
+      ...rule,
+      byDay:
+        rule.freq === "WEEKLY" && !rule.byDay.length ? [weekdayOf(startDate)] : rule.byDay,
+      count: rule.count ? rule.count - countBefore(rule, startDate, next) : null,
+    },
+  };
+};
+
+module.exports = {
+  MAX_COUNT,
+  parseRule,
+  formatRule,
+  expandOccurrences,
+  lastOccurrence,
+  resumeRule,
+};
@@ -0,0 +1,129 @@
+const os = require("os");
+const crypto = require("crypto");
+const { ScheduledJobService } = require("./supabaseService");
+
+const DEFAULT_TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 60 * 1000;
+
+/**
+ * In-process scheduler for periodic maintenance jobs.
+ *
+ * Every instance ticks on its own timer, but a job only runs on the instance
+ * that claims its lease in scheduled_jobs, so several API instances can run
+ * the scheduler side by side. A crashed run frees itself when its lease expires.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.running = new Set();
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+  }
+
+  /**
+   * @param {Object} job
+   * @param {string} job.name - unique job name (row key in scheduled_jobs)
+   * @param {number} job.intervalMs - minimum time between runs across instances
+   * @param {number} [job.leaseMs] - how long a run may hold the lock (default: intervalMs)
+   * @param {Function} job.handler - async () => result (stored as last_result)
+   */
+  register({ name, intervalMs, leaseMs, handler }) {
+    if (!name || typeof handler !== "function" || !(intervalMs > 0)) {
+      throw new Error("Scheduled jobs need a name, a handler and a positive intervalMs");
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      leaseMs: leaseMs || intervalMs,
+      handler,
+    });
+  }
+
+  start({ tickMs = DEFAULT_TICK_MS } = {}) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), tickMs);
+    // Never keep the process alive just for maintenance
+    this.timer.unref?.();
+    console.log(`[Scheduler] Started with ${this.jobs.size} job(s) as ${this.owner}`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    await Promise.all(
+      [...this.jobs.keys()].map((name) =>
+        this.run(name).catch((error) =>
+          console.error(`[Scheduler] ${name} tick failed:`, error),
+        ),
+      ),
+    );
+  }
+
+  /**
+   * Run a job if this instance can claim it
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - ignore the interval (still respects the lock)
+   * @returns {Promise<Object>} { ran, status?, result?, error? }
+   */
+  async run(name, { force = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown scheduled job: ${name}`);
+    if (this.running.has(name)) return { ran: false, reason: "already running here" };
+
+    const claimed = await ScheduledJobService.claim(name, {
+      owner: this.owner,
+      leaseMs: job.leaseMs,
+      dueBefore: force ? null : new Date(Date.now() - job.intervalMs),
+    });
+    if (!claimed) return { ran: false, reason: "locked or not due" };
+
+    this.running.add(name);
+    const runCount = (claimed.run_count || 0) + 1;
+
+    try {
+      const result = await job.handler();
+      await ScheduledJobService.release(name, {
+        owner: this.owner,
+        status: "succeeded",
+        result: result ?? null,
+        runCount,
+      });
+      return { ran: true, status: "succeeded", result };
+    } catch (error) {
+      console.error(`[Scheduler] ${name} failed:`, error);
+      await ScheduledJobService.release(name, {
+        owner: this.owner,
+        status: "failed",
+        error: error.message || String(error),
+        runCount,
+      });
+      return { ran: true, status: "failed", error: error.message || String(error) };
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  /**
+   * Registered jobs merged with their persisted state
+   */
+  async list() {
+    const rows = await ScheduledJobService.list();
+    const state = new Map(rows.map((row) => [row.name, row]));
+
+    return [...this.jobs.values()].map((job) => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      leaseMs: job.leaseMs,
+      state: state.get(job.name) || null,
+    }));
+  }
+}
+
+module.exports = new Scheduler();
@@ -1,11 +1,66 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const socketIo = require("socket.io");
-const jwt = require("jsonwebtoken");
-const User = require("../models/User");
+const { supabase } = require("../config/supabase");
+const { resolveUserFromToken } = require("../middleware/auth");
+const { ConversationService, BookingService } = require("./supabaseService");
 
+// Event names shared by Socket.IO clients and the SSE fallback
+const EVENTS = {
+  NOTIFICATION: "notification",
+  NEW_MESSAGE: "new_message",
+  MESSAGE_UPDATED: "message_updated",
+  MESSAGE_EDITED: "message_edited",
+  MESSAGE_DELETED: "message_deleted",
+  MESSAGE_REACTIONS: "message_reactions",
+  MESSAGES_READ: "messages_read",
+  TYPING_START: "user_typing",
+  TYPING_STOP: "user_stopped_typing",
+  PRESENCE: "presence_update",
+  NEW_JOB: "job:new",
+  NEW_APPLICATION: "application:new",
+  BOOKING_CONFIRMED: "booking:confirmed",
+};
+
+const BROADCAST = "broadcast";
+
+// Supabase Realtime channel that carries bus events between server instances
+const RELAY_TOPIC = "realtime-relay";
+const RELAY_EVENT = "bus";
+const INSTANCE_ID = crypto.randomUUID();
+
+const userRoom = (userId) => `user_${userId}`;
+const conversationRoom = (conversationId) => `conversation_${conversationId}`;
+
+const participantsOf = (conversation) =>
+  conversation ? [conversation.participant_1, conversation.participant_2].filter(Boolean) : [];
+
+/**
+ * Realtime gateway. Socket.IO is the primary transport; every event is also
+ * published on an in-process bus that the SSE endpoint (routes/realtimeRoutes.js)
+ * streams from, so clients keep receiving events when the socket server is
+ * not running (e.g. serverless deployments).
+ *
+ * The bus only reaches streams held by the same process. With several
+ * instances (serverless, or more than one server) set REALTIME_RELAY=supabase:
+ * bus events are then also broadcast on a Supabase Realtime channel, and every
+ * instance with an open stream replays the other instances' events onto its
+ * own bus. Presence counts stay per instance either way, and Socket.IO
+ * rooms are not relayed (run a single socket server).
+ *
+ * Per-user events (messages, read receipts, notifications, presence) go to
+ * the user's room. Typing indicators go to conversation rooms, which a socket
+ * may only join as a conversation participant.
+ */
 class SocketService {
   constructor() {
     this.io = null;
+    // userId -> number of open sockets and event streams
     this.connectedUsers = new Map();
+    this.bus = new EventEmitter();
+    this.bus.setMaxListeners(0);
+    this.relay = null;
+    this.relayListening = false;
   }
 
   initialize(server) {
@@ -23,31 +78,33 @@ class SocketService {
 
       console.log("Socket.IO service initialized successfully");
     } catch (error) {
+      this.io = null;
       console.error("Socket.IO initialization failed:", error);
       // Continue without socket functionality
     }
   }
 
+  isRunning() {
+    return Boolean(this.io);
+  }
+
+  // Same Supabase token check as middleware/auth.js
   async authenticateSocket(socket, next) {
     try {
       const token =
-        socket.handshake.auth.token ||
-        socket.handshake.headers.authorization?.replace("Bearer ", "");
+        socket.handshake.auth?.token ||
+        socket.handshake.headers.authorization?.replace("Bearer ", "").trim();
 
       if (!token) {
         return next(new Error("Authentication token required"));
       }
 
-      // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from database
-      const user = await User.findById(decoded.id || decoded.mongoId);
+      const { user, error } = await resolveUserFromToken(token);
       if (!user) {
-        return next(new Error("User not found"));
+        return next(new Error(error || "Authentication failed"));
       }
 
-      socket.userId = user._id.toString();
+      socket.userId = String(user.id);
       socket.user = user;
       next();
     } catch (error) {
@@ -56,115 +113,281 @@ class SocketService {
     }
   }
 
+  /**
+   * Participants of a conversation if `userId` is one of them, otherwise null
+   */
+  async authorizeConversation(userId, conversationId) {
+    if (!conversationId) return null;
+
+    const conversation = await ConversationService.findById(conversationId);
+    const participants = participantsOf(conversation);
+    return participants.includes(userId) ? participants : null;
+  }
+
   handleConnection(socket) {
     try {
-      console.log(`User connected: ${socket.userId}`);
+      const { userId } = socket;
+      socket.data.conversations = new Map();
 
-      // Store connected user
-      this.connectedUsers.set(socket.userId, {
-        socketId: socket.id,
-        user: socket.user,
-        connectedAt: new Date(),
-      });
+      this.trackConnection(userId, 1);
+      socket.join(userRoom(userId));
+
+      const reply = (ack, payload) => {
+        if (typeof ack === "function") ack(payload);
+      };
 
-      // Join user to their personal room
-      socket.join(`user_${socket.userId}`);
+      socket.on("join_conversation", async (conversationId, ack) => {
+        try {
+          const participants = await this.authorizeConversation(userId, conversationId);
+          if (!participants) {
+            return reply(ack, { success: false, error: "Access denied to this conversation" });
+          }
 
-      // Handle joining conversation rooms
-      socket.on("join_conversation", (conversationId) => {
-        socket.join(`conversation_${conversationId}`);
-        console.log(
-          `User ${socket.userId} joined conversation ${conversationId}`,
-        );
+          socket.data.conversations.set(conversationId, participants);
+          socket.join(conversationRoom(conversationId));
+          reply(ack, { success: true });
+        } catch (error) {
+          console.error("Join conversation error:", error);
+          reply(ack, { success: false, error: "Failed to join conversation" });
+        }
       });
 
-      // Handle leaving conversation rooms
       socket.on("leave_conversation", (conversationId) => {
-        socket.leave(`conversation_${conversationId}`);
-        console.log(
-          `User ${socket.userId} left conversation ${conversationId}`,
-        );
+        socket.data.conversations.delete(conversationId);
+        socket.leave(conversationRoom(conversationId));
       });
 
-      // Handle typing indicators
-      socket.on("typing_start", (conversationId) => {
-        socket.to(`conversation_${conversationId}`).emit("user_typing", {
-          userId: socket.userId,
-          userName: socket.user.name,
-          conversationId,
+      // Typing indicators are only relayed for joined (authorized) conversations
+      const relayTyping = (isTyping) => (conversationId) => {
+        const participants = socket.data.conversations.get(conversationId);
+        if (!participants) return;
+
+        this.emitTyping(conversationId, participants, {
+          userId,
+          userName: socket.user.profile?.name,
+          isTyping,
+          fromSocket: socket,
         });
-      });
+      };
 
-      socket.on("typing_stop", (conversationId) => {
-        socket
-          .to(`conversation_${conversationId}`)
-          .emit("user_stopped_typing", {
-            userId: socket.userId,
-            conversationId,
-          });
-      });
+      socket.on("typing_start", relayTyping(true));
+      socket.on("typing_stop", relayTyping(false));
 
-      // Handle disconnect
       socket.on("disconnect", () => {
-        console.log(`User disconnected: ${socket.userId}`);
-        this.connectedUsers.delete(socket.userId);
+        this.trackConnection(userId, -1);
       });
     } catch (error) {
       console.error("Socket connection handling error:", error);
     }
   }
 
-  // Emit new message to conversation participants
-  emitNewMessage(conversationId, message) {
-    // Temporarily disabled to isolate notification error
-    return;
-  }
+  /* ========== Presence ========== */
 
-  notifyNewJob(jobData) {
-    if (!this.io) {
-      console.warn("⚠️ notifyNewJob called without active socket server");
-      return;
+  /**
+   * Count a socket or event stream opening (+1) or closing (-1); presence
+   * changes when a user's first connection opens or last one closes
+   */
+  trackConnection(userId, delta) {
+    const key = String(userId);
+    const before = this.connectedUsers.get(key) || 0;
+    const after = Math.max(0, before + delta);
+
+    if (after) this.connectedUsers.set(key, after);
+    else this.connectedUsers.delete(key);
+
+    if (!before !== !after) {
+      this.publishPresence(key, after > 0).catch((error) =>
+        console.error("Error publishing presence:", error),
+      );
     }
+  }
 
-    try {
-      console.log("📣 Broadcasting new job to caregivers:", {
-        jobId: jobData?.jobId,
-        title: jobData?.title,
-        location: jobData?.location,
-      });
+  // Presence is shared with the people a user has conversations or bookings with
+  async contactsOf(userId) {
+    const key = String(userId);
+    const [conversations, counterparts] = await Promise.all([
+      ConversationService.getUserConversations(key),
+      BookingService.listCounterpartIds(key),
+    ]);
+    return new Set(
+      [...conversations.flatMap(participantsOf), ...counterparts]
+        .map(String)
+        .filter((id) => id !== key),
+    );
+  }
+
+  async publishPresence(userId, online) {
+    const contacts = await this.contactsOf(userId);
+
+    const payload = {
+      userId,
+      online,
+      lastSeen: online ? null : new Date().toISOString(),
+    };
+    contacts.forEach((contactId) => this.emitToUser(contactId, EVENTS.PRESENCE, payload));
+  }
+
+  /* ========== Cross-instance relay ========== */
+
+  relayEnabled() {
+    return process.env.REALTIME_RELAY === "supabase";
+  }
 
-      this.io.emit("job:new", {
-        ...jobData,
-        notifiedAt: new Date().toISOString(),
+  relayChannel() {
+    if (!this.relay) this.relay = supabase.channel(RELAY_TOPIC);
+    return this.relay;
+  }
+
+  // Put an event on this instance's bus and, with the relay on, every other one
+  publish(channel, event, payload) {
+    this.bus.emit(channel, event, payload);
+    if (!this.relayEnabled()) return;
+
+    this.relayChannel()
+      .httpSend(RELAY_EVENT, { origin: INSTANCE_ID, channel, event, payload })
+      .catch((error) => console.error("Realtime relay send failed:", error.message || error));
+  }
+
+  // Replay other instances' events once this one streams to a client
+  listenToRelay() {
+    if (!this.relayEnabled() || this.relayListening) return;
+    this.relayListening = true;
+
+    this.relayChannel()
+      .on("broadcast", { event: RELAY_EVENT }, ({ payload }) => {
+        if (!payload || payload.origin === INSTANCE_ID) return;
+        this.bus.emit(payload.channel, payload.event, payload.payload);
+      })
+      .subscribe((status, error) => {
+        if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+          console.error(`Realtime relay subscription ${status}:`, error?.message || "");
+        }
       });
+  }
+
+  /* ========== Delivery ========== */
+
+  emitToUser(userId, event, payload) {
+    if (!userId) return;
+
+    try {
+      this.io?.to(userRoom(userId)).emit(event, payload);
     } catch (error) {
-      console.error("❌ Failed to broadcast new job notification:", error);
+      console.error(`Error emitting ${event}:`, error);
     }
+    this.publish(`user:${userId}`, event, payload);
+  }
+
+  emitToUsers(userIds, event, payload) {
+    [...new Set(userIds.filter(Boolean).map(String))].forEach((userId) =>
+      this.emitToUser(userId, event, payload),
+    );
+  }
+
+  /**
+   * Subscribe to the events one user receives (used by the SSE endpoint).
+   * Counts as a connection for presence. Returns an unsubscribe function.
+   */
+  subscribe(userId, listener) {
+    this.listenToRelay();
+    const channel = `user:${userId}`;
+    this.bus.on(channel, listener);
+    this.bus.on(BROADCAST, listener);
+    this.trackConnection(userId, 1);
+
+    return () => {
+      this.bus.off(channel, listener);
+      this.bus.off(BROADCAST, listener);
+      this.trackConnection(userId, -1);
+    };
+  }
+
+  /* ========== Messaging ========== */
+
+  // Emit new message to conversation participants
+  emitNewMessage(conversationId, message, participantIds = []) {
+    this.emitToUsers(participantIds, EVENTS.NEW_MESSAGE, { conversationId, message });
+  }
+
+  emitMessagesRead(conversationId, { readerId, messageIds, readAt }, participantIds = []) {
+    this.emitToUsers(participantIds, EVENTS.MESSAGES_READ, {
+      conversationId,
+      readerId,
+      messageIds,
+      readAt,
+    });
+  }
+
+  // A card changed state (e.g. booking proposal accepted)
+  emitMessageUpdated(conversationId, message, participantIds = []) {
+    this.emitToUsers(participantIds, EVENTS.MESSAGE_UPDATED, { conversationId, message });
+  }
+
+  emitMessageEdited(conversationId, message, participantIds = []) {
+    this.emitToUsers(participantIds, EVENTS.MESSAGE_EDITED, { conversationId, message });
+  }
+
+  // Emit message deleted event; scope "self" only goes to the deleting user's devices
+  emitMessageDeleted(conversationId, messageId, participantIds = [], scope = "everyone") {
+    this.emitToUsers(participantIds, EVENTS.MESSAGE_DELETED, {
+      conversationId,
+      messageId,
+      scope,
+    });
   }
 
-  // Emit message deleted event
-  emitMessageDeleted(conversationId, messageId) {
-    if (!this.io) return;
+  emitReactionsUpdated(conversationId, messageId, reactions, participantIds = []) {
+    this.emitToUsers(participantIds, EVENTS.MESSAGE_REACTIONS, {
+      conversationId,
+      messageId,
+      reactions,
+    });
+  }
+
+  /**
+   * Relay a typing indicator to the other participants. Socket clients get it
+   * through the conversation room, event streams through the bus.
+   */
+  emitTyping(conversationId, participantIds, { userId, userName, isTyping, fromSocket }) {
+    const event = isTyping ? EVENTS.TYPING_START : EVENTS.TYPING_STOP;
+    const payload = { userId, userName, conversationId };
 
     try {
-      this.io.to(`conversation_${conversationId}`).emit("message_deleted", {
-        conversationId,
-        messageId,
-      });
+      const target = fromSocket || this.io;
+      target?.to(conversationRoom(conversationId)).emit(event, payload);
     } catch (error) {
-      console.error("Error emitting message deleted:", error);
+      console.error("Error emitting typing indicator:", error);
     }
+
+    participantIds
+      .filter((id) => id !== userId)
+      .forEach((id) => this.publish(`user:${id}`, event, payload));
   }
 
-  // Emit notification to specific user
-  emitNotification(userId, notification) {
-    if (!this.io) return;
+  /* ========== Notifications ========== */
+
+  notifyNewJob(jobData) {
+    const payload = { ...jobData, notifiedAt: new Date().toISOString() };
 
     try {
-      this.io.to(`user_${userId}`).emit("notification", notification);
+      this.io?.emit(EVENTS.NEW_JOB, payload);
     } catch (error) {
-      console.error("Error emitting notification:", error);
+      console.error("❌ Failed to broadcast new job notification:", error);
     }
+    this.publish(BROADCAST, EVENTS.NEW_JOB, payload);
+  }
+
+  notifyNewApplication(parentId, applicationData) {
+    this.emitToUser(String(parentId), EVENTS.NEW_APPLICATION, applicationData);
+  }
+
+  notifyBookingConfirmed(parentId, bookingData) {
+    this.emitToUser(String(parentId), EVENTS.BOOKING_CONFIRMED, bookingData);
+  }
+
+  // Emit notification to specific user
+  emitNotification(userId, notification) {
+    this.emitToUser(String(userId), EVENTS.NOTIFICATION, notification);
   }
 
   // Check if user is online
@@ -187,4 +410,7 @@ class SocketService {
   }
 }
 
-module.exports = new SocketService();
+const socketService = new SocketService();
+socketService.EVENTS = EVENTS;
+
+module.exports = socketService;
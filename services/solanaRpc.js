@@ -0,0 +1,162 @@
+/**
+ * Solana RPC clients
+ * Anything with `getTransaction(signature)` returning a jsonParsed
+ * transaction (or null) can back verification. SolanaRpcClient talks to
+ * SOLANA_RPC_URL; FakeSolanaLedger is an in-memory ledger for tests.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const MEMO_PROGRAM_ID = "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr";
+
+class SolanaRpcClient {
+  constructor({ url, commitment, timeout = 10000 } = {}) {
+    this.url = url || process.env.SOLANA_RPC_URL || "https://api.devnet.solana.com";
+    this.commitment = commitment || process.env.SOLANA_COMMITMENT || "confirmed";
+    this.http = axios.create({ timeout });
+  }
+
+  async call(method, params) {
+    const { data } = await this.http.post(this.url, {
+      jsonrpc: "2.0",
+      id: crypto.randomUUID(),
+      method,
+      params,
+    });
+
+    if (data.error) {
+      const error = new Error(data.error.message || `RPC ${method} failed`);
+      error.code = data.error.code;
+      throw error;
+    }
+    return data.result;
+  }
+
+  async getTransaction(signature) {
+    return this.call("getTransaction", [
+      signature,
+      {
+        encoding: "jsonParsed",
+        commitment: this.commitment,
+        maxSupportedTransactionVersion: 0,
+      },
+    ]);
+  }
+}
+
+/**
+ * In-memory ledger producing the same jsonParsed shape as the RPC node
+ */
+class FakeSolanaLedger {
+  constructor() {
+    this.commitment = "confirmed";
+    this.transactions = new Map();
+    this.slot = 1000;
+  }
+
+  /**
+   * Record a transfer; omit `mint` for a native SOL (lamports) transfer
+   */
+  recordTransfer({
+    signature = crypto.randomBytes(32).toString("hex"),
+    from,
+    to,
+    amount,
+    mint,
+    decimals = 6,
+    memo,
+    err = null,
+  }) {
+    const amountBig = BigInt(amount);
+    const accountKeys = [
+      { pubkey: from, signer: true, writable: true },
+      { pubkey: to, signer: false, writable: true },
+    ];
+    const instructions = [];
+    const meta = {
+      err,
+      preBalances: [10_000_000_000, 0],
+      postBalances: [10_000_000_000, 0],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      logMessages: [],
+    };
+
+    if (mint) {
+      const tokenBalance = (accountIndex, owner, value) => ({
+        accountIndex,
+        mint,
+        owner,
+        uiTokenAmount: { amount: value.toString(), decimals },
+      });
+      accountKeys.push(
+        { pubkey: `${from}-ata`, signer: false, writable: true },
+        { pubkey: `${to}-ata`, signer: false, writable: true },
+      );
+      meta.preBalances.push(0, 0);
+      meta.postBalances.push(0, 0);
+      meta.preTokenBalances.push(
+        tokenBalance(2, from, amountBig),
+        tokenBalance(3, to, 0n),
+      );
+      meta.postTokenBalances.push(
+        tokenBalance(2, from, 0n),
+        tokenBalance(3, to, amountBig),
+      );
+    } else {
+      meta.postBalances[0] = meta.preBalances[0] - Number(amountBig);
+      meta.postBalances[1] = Number(amountBig);
+    }
+
+    if (memo) {
+      instructions.push({
+        program: "spl-memo",
+        programId: MEMO_PROGRAM_ID,
+        parsed: memo,
+      });
+    }
+
+    this.slot += 1;
+    this.transactions.set(signature, {
+      slot: this.slot,
+      blockTime: Math.floor(Date.now() / 1000),
+      meta,
+      transaction: {
+        signatures: [signature],
+        message: { accountKeys, instructions },
+      },
+    });
+
+    return signature;
+  }
+
+  async getTransaction(signature) {
+    return this.transactions.get(signature) || null;
+  }
+}
+
+let activeClient = null;
+
+const getSolanaRpcClient = () => {
+  if (!activeClient) {
+    activeClient = new SolanaRpcClient();
+  }
+  return activeClient;
+};
+
+/**
+ * Swap the RPC client (tests install a FakeSolanaLedger)
+ */
+const setSolanaRpcClient = (client) => {
+  activeClient = client;
+  return client;
+};
+
+module.exports = {
+  MEMO_PROGRAM_ID,
+  SolanaRpcClient,
+  FakeSolanaLedger,
+  getSolanaRpcClient,
+  setSolanaRpcClient,
+};
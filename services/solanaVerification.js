@@ -0,0 +1,230 @@
+/**
+ * Solana booking payment verification
+ * A signature settles a booking only when the confirmed transaction paid the
+ * expected amount to the expected recipient with the booking ID as memo.
+ */
+
+const {
+  BookingService,
+  SolanaPaymentService,
+  UserService,
+} = require("./supabaseService");
+const { getSolanaRpcClient } = require("./solanaRpc");
+const ErrorResponse = require("../utils/errorResponse");
+
+const LAMPORTS_PER_SOL = 1_000_000_000;
+
+const toBigInt = (value) => {
+  try {
+    return BigInt(value ?? 0);
+  } catch {
+    return 0n;
+  }
+};
+
+const keyOf = (accountKey) =>
+  typeof accountKey === "string" ? accountKey : accountKey?.pubkey;
+
+/**
+ * Expected recipient, mint and base-unit amount for a booking
+ */
+const buildExpectation = async (booking) => {
+  const caregiver = booking.caregiver_id
+    ? await UserService.findById(booking.caregiver_id)
+    : null;
+  const recipient =
+    caregiver?.solana_wallet_address || process.env.SOLANA_TREASURY_ADDRESS;
+
+  if (!recipient) {
+    throw new ErrorResponse(
+      "No Solana recipient configured for this booking",
+      500,
+      "SOLANA_NOT_CONFIGURED",
+    );
+  }
+
+  const total = Number(booking.total_amount ?? booking.total_cost ?? 0);
+  if (!(total > 0)) {
+    throw ErrorResponse.badRequest("Booking has no payable amount");
+  }
+
+  const mint = process.env.SOLANA_PAYMENT_MINT || null;
+  if (mint) {
+    const decimals = Number(process.env.SOLANA_PAYMENT_DECIMALS || 6);
+    return {
+      recipient,
+      mint,
+      amount: BigInt(Math.round(total * 10 ** decimals)),
+      memo: booking.id,
+    };
+  }
+
+  const phpPerSol = Number(process.env.SOLANA_PHP_PER_SOL || 0);
+  if (!(phpPerSol > 0)) {
+    throw new ErrorResponse(
+      "SOLANA_PHP_PER_SOL must be set for native SOL payments",
+      500,
+      "SOLANA_NOT_CONFIGURED",
+    );
+  }
+
+  return {
+    recipient,
+    mint: null,
+    amount: BigInt(Math.round((total / phpPerSol) * LAMPORTS_PER_SOL)),
+    memo: booking.id,
+  };
+};
+
+/**
+ * Amount received by `recipient` in the transaction (lamports or token base units)
+ */
+const receivedAmount = (tx, { recipient, mint }) => {
+  const { meta } = tx;
+
+  if (mint) {
+    const sumFor = (balances = []) =>
+      balances
+        .filter((entry) => entry.mint === mint && entry.owner === recipient)
+        .reduce((sum, entry) => sum + toBigInt(entry.uiTokenAmount?.amount), 0n);
+    return sumFor(meta.postTokenBalances) - sumFor(meta.preTokenBalances);
+  }
+
+  const index = (tx.transaction?.message?.accountKeys || []).findIndex(
+    (accountKey) => keyOf(accountKey) === recipient,
+  );
+  if (index === -1) return 0n;
+  return toBigInt(meta.postBalances?.[index]) - toBigInt(meta.preBalances?.[index]);
+};
+
+const extractMemos = (tx) =>
+  (tx.transaction?.message?.instructions || [])
+    .filter((instruction) => instruction.program === "spl-memo")
+    .map((instruction) =>
+      typeof instruction.parsed === "string" ? instruction.parsed.trim() : "",
+    );
+
+/**
+ * Compare a fetched transaction against the expectation; returns mismatch reasons
+ */
+const checkTransaction = (tx, expected) => {
+  const problems = [];
+
+  if (tx.meta?.err) {
+    problems.push("Transaction failed on-chain");
+  }
+
+  const received = receivedAmount(tx, expected);
+  if (received < expected.amount) {
+    problems.push(
+      `Amount mismatch: expected ${expected.amount} but recipient received ${received}`,
+    );
+  }
+
+  if (!extractMemos(tx).includes(expected.memo)) {
+    problems.push("Memo does not reference this booking");
+  }
+
+  return { problems, received };
+};
+
+class SolanaVerificationService {
+  static async verifyBookingPayment({ signature, bookingId, user }) {
+    if (!signature || !bookingId) {
+      throw ErrorResponse.badRequest("signature and bookingId are required");
+    }
+
+    const existing = await SolanaPaymentService.findBySignature(signature);
+    if (existing) {
+      if (existing.booking_id !== bookingId) {
+        throw new ErrorResponse(
+          "Signature has already been used to settle another booking",
+          409,
+          "SIGNATURE_REPLAYED",
+        );
+      }
+      return { payment: existing, replayed: true };
+    }
+
+    const booking = await BookingService.findById(bookingId);
+    if (!booking) {
+      throw ErrorResponse.notFound("Booking not found");
+    }
+    if (booking.parent_id !== user.id) {
+      throw ErrorResponse.forbidden("Only the booking's parent can submit its payment");
+    }
+
+    const settled = await SolanaPaymentService.findByBooking(bookingId);
+    if (settled) {
+      throw new ErrorResponse(
+        "Booking has already been settled by another transaction",
+        409,
+        "BOOKING_ALREADY_SETTLED",
+      );
+    }
+
+    const expected = await buildExpectation(booking);
+    const rpc = getSolanaRpcClient();
+    const tx = await rpc.getTransaction(signature);
+
+    if (!tx) {
+      throw new ErrorResponse(
+        "Transaction not found or not yet confirmed",
+        404,
+        "TRANSACTION_NOT_FOUND",
+      );
+    }
+
+    const { problems, received } = checkTransaction(tx, expected);
+    if (problems.length) {
+      throw new ErrorResponse(
+        "Transaction does not match the booking",
+        422,
+        "TRANSACTION_MISMATCH",
+        { transaction: problems },
+      );
+    }
+
+    let payment;
+    try {
+      // Also mirrored into `payments`, so admins review (and refund) it
+      // alongside other payments
+      payment = await SolanaPaymentService.settle({
+        signature,
+        booking_id: bookingId,
+        payer_id: user.id,
+        caregiver_id: booking.caregiver_id,
+        recipient: expected.recipient,
+        mint: expected.mint,
+        amount: received.toString(),
+        memo: expected.memo,
+        slot: tx.slot ?? null,
+        block_time: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+        status: rpc.commitment === "finalized" ? "finalized" : "confirmed",
+        total_amount: Number(booking.total_amount ?? booking.total_cost ?? 0),
+      });
+    } catch (error) {
+      // Lost a race against a concurrent submission of the same signature
+      if (error.code === "23505") {
+        throw new ErrorResponse(
+          "Signature has already been used to settle a booking",
+          409,
+          "SIGNATURE_REPLAYED",
+        );
+      }
+      throw error;
+    }
+
+    return { payment, replayed: false };
+  }
+
+  static async listForUser(userId, options) {
+    return SolanaPaymentService.listForUser(userId, options);
+  }
+}
+
+module.exports = {
+  SolanaVerificationService,
+  buildExpectation,
+  checkTransaction,
+};
@@ -0,0 +1,105 @@
+const { supabase } = require("../config/supabase");
+
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 60 * 60;
+
+/**
+ * Upload a multer (memory storage) file to Supabase Storage
+ * @param {Object} file - multer file ({ originalname, mimetype, size, buffer })
+ * @param {string} [bucket]
+ * @param {Object} [options]
+ * @param {string} [options.folder] - path prefix inside the bucket
+ * @param {boolean} [options.isPublic] - false for private buckets (no public URL)
+ */
+const uploadToSupabase = async (
+  file,
+  bucket = "uploads",
+  { folder, isPublic = true } = {},
+) => {
+  const fileExt = file.originalname.split(".").pop();
+  const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}.${fileExt}`;
+  const filePath = folder ? `${folder}/${fileName}` : fileName;
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .upload(filePath, file.buffer, {
+      cacheControl: "3600",
+      upsert: false,
+      contentType: file.mimetype,
+    });
+
+  if (error) {
+    throw new Error(`Supabase upload failed: ${error.message}`);
+  }
+
+  // Get public URL
+  const publicUrl = isPublic
+    ? supabase.storage.from(bucket).getPublicUrl(data.path).data.publicUrl
+    : null;
+
+  return {
+    filename: fileName,
+    originalname: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size,
+    url: publicUrl,
+    path: data.path,
+  };
+};
+
+/**
+ * Time-limited URLs for objects in a private bucket, in one request
+ * @returns {Promise<Map<string, string>>} path -> signed URL
+ */
+const createSignedUrls = async (
+  bucket,
+  paths,
+  expiresIn = SIGNED_URL_TTL_SECONDS,
+) => {
+  const unique = [...new Set(paths.filter(Boolean))];
+  if (!unique.length) return new Map();
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrls(unique, expiresIn);
+
+  if (error) throw error;
+  return new Map(
+    (data || [])
+      .filter((entry) => entry.signedUrl)
+      .map((entry) => [entry.path, entry.signedUrl]),
+  );
+};
+
+/**
+ * Store generated content (e.g. a data export) at a fixed path, replacing
+ * whatever was there
+ */
+const uploadBuffer = async (bucket, path, buffer, contentType) => {
+  const { data, error } = await supabase.storage.from(bucket).upload(path, buffer, {
+    cacheControl: "0",
+    upsert: true,
+    contentType,
+  });
+
+  if (error) {
+    throw new Error(`Supabase upload failed: ${error.message}`);
+  }
+  return { path: data.path, size: buffer.length };
+};
+
+const removeObjects = async (bucket, paths) => {
+  const unique = [...new Set(paths.filter(Boolean))];
+  if (!unique.length) return [];
+
+  const { data, error } = await supabase.storage.from(bucket).remove(unique);
+
+  if (error) throw error;
+  return data || [];
+};
+
+module.exports = {
+  uploadToSupabase,
+  uploadBuffer,
+  createSignedUrls,
+  removeObjects,
+};
@@ -4,6 +4,25 @@
  */
 
 const { supabase } = require("../config/supabase");
+const { isValidUuid } = require("../utils/config").validation;
+const {
+  BLOCKING_STATUSES,
+  OVERLAP_VIOLATION,
+  toDateKey,
+  candidateDates,
+  overlappingIds,
+  conflictError,
+} = require("./bookingConflicts");
+
+/**
+ * A search term as a quoted PostgREST `ilike` value matching it anywhere:
+ * quoting keeps `,` `.` `(` `)` from being read as filter syntax, and LIKE
+ * wildcards in the term match literally
+ */
+const containsPattern = (term = "") => {
+  const literal = String(term).trim().replace(/[\\%_]/g, (match) => `\\${match}`);
+  return `"%${literal.replace(/[\\"]/g, (match) => `\\${match}`)}%"`;
+};
 
 /**
  * User Service - Handles all user-related database operations
@@ -131,11 +150,20 @@ class UserService {
     status,
     search,
     includeProfile = false,
+    bbox = null,
+    minRate,
+    maxRate,
   } = {}) {
+    // minRate/maxRate filter on caregiver_profiles.hourly_rate, so only users
+    // with a profile inside the range are returned
+    const filtersRate = includeProfile && (minRate != null || maxRate != null);
     let selectColumns = "*";
     if (includeProfile) {
+      selectColumns += filtersRate
+        ? ", caregiver_profiles!inner(*)"
+        : ", caregiver_profiles(*)";
       selectColumns +=
-        ", caregiver_profiles(*), caregiver_background_checks!caregiver_background_checks_user_id_fkey(*)";
+        ", caregiver_background_checks!caregiver_background_checks_user_id_fkey(*)";
     }
 
     let query = supabase
@@ -145,7 +173,22 @@ class UserService {
     if (role) query = query.eq("role", role);
     if (status) query = query.eq("status", status);
     if (search) {
-      query = query.or(`name.ilike.%${search}%,email.ilike.%${search}%`);
+      const pattern = containsPattern(search);
+      query = query.or(`name.ilike.${pattern},email.ilike.${pattern}`);
+    }
+    // bbox: { minLat, maxLat, minLng, maxLng } prefilter on stored coordinates
+    if (bbox) {
+      query = query
+        .gte("latitude", bbox.minLat)
+        .lte("latitude", bbox.maxLat)
+        .gte("longitude", bbox.minLng)
+        .lte("longitude", bbox.maxLng);
+    }
+    if (filtersRate && minRate != null) {
+      query = query.gte("caregiver_profiles.hourly_rate", minRate);
+    }
+    if (filtersRate && maxRate != null) {
+      query = query.lte("caregiver_profiles.hourly_rate", maxRate);
     }
 
     const offset = (page - 1) * limit;
@@ -168,12 +211,15 @@ class UserService {
         "[UserService.getUsers] Relationship missing when joining caregiver data – retrying with manual merge.",
       );
 
+      // Without the join the rate range cannot be applied here; callers
+      // filter on the merged profiles
       const baseResult = await this.getUsers({
         page,
         limit,
         role,
         status,
         search,
+        bbox,
         includeProfile: false,
       });
 
@@ -256,7 +302,17 @@ class UserService {
   /**
    * Update user status
    */
-  static async updateStatus(id, status, { reason, adminId } = {}) {
+  static async updateStatus(
+    id,
+    status,
+    {
+      reason,
+      adminId,
+      suspension_end_date,
+      suspension_count,
+      last_suspension_at,
+    } = {},
+  ) {
     const now = new Date().toISOString();
     const updates = {
       status,
@@ -265,9 +321,61 @@ class UserService {
       status_updated_by: adminId ?? null,
     };
 
+    // Suspension bookkeeping (see migrations/add_suspension_fields.sql)
+    if (suspension_end_date !== undefined) {
+      updates.suspension_end_date = suspension_end_date;
+    }
+    if (suspension_count !== undefined) {
+      updates.suspension_count = suspension_count;
+    }
+    if (last_suspension_at !== undefined) {
+      updates.last_suspension_at = last_suspension_at;
+    }
+
     return this.update(id, updates);
   }
 
+  /**
+   * Suspended users whose suspension_end_date has passed
+   */
+  static async listExpiredSuspensions({ now = new Date(), limit = 100 } = {}) {
+    const { data, error } = await supabase
+      .from("users")
+      .select("id, email, name, status, suspension_end_date")
+      .eq("status", "suspended")
+      .not("suspension_end_date", "is", null)
+      .lt("suspension_end_date", now.toISOString())
+      .order("suspension_end_date", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Reactivate a user only while they are still suspended; resolves to null
+   * when someone else changed the status first
+   */
+  static async reactivateExpiredSuspension(id, { now = new Date() } = {}) {
+    const { data, error } = await supabase
+      .from("users")
+      .update({
+        status: "active",
+        status_reason: "Suspension period completed",
+        status_updated_at: now.toISOString(),
+        status_updated_by: null,
+        suspension_end_date: null,
+      })
+      .eq("id", id)
+      .eq("status", "suspended")
+      .lt("suspension_end_date", now.toISOString())
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Soft delete user by marking inactive and recording deletion metadata
    */
@@ -365,6 +473,19 @@ class ConversationService {
     return data;
   }
 
+  /**
+   * Conversation list rows with the other participant, last message and
+   * unread count, from one aggregated query (get_user_conversations)
+   */
+  static async listSummaries(userId) {
+    const { data, error } = await supabase.rpc("get_user_conversations", {
+      p_user_id: userId,
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
   static async updateLastMessage(id, timestamp) {
     const { data, error } = await supabase
       .from("conversations")
@@ -404,6 +525,138 @@ class MessageService {
     return data;
   }
 
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("messages")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  /**
+   * Replace a card's payload. With expectedStatus, only updates while the
+   * stored payload still has that status; returns null otherwise.
+   */
+  static async updatePayload(id, payload, { expectedStatus } = {}) {
+    let query = supabase
+      .from("messages")
+      .update({ payload, updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (expectedStatus) query = query.eq("payload->>status", expectedStatus);
+
+    const { data, error } = await query.select().single();
+
+    if (error && !(expectedStatus && error.code === "PGRST116")) throw error;
+    return data || null;
+  }
+
+  /**
+   * One page of a conversation's history, newest first, with sender profiles.
+   * Keyset pagination on (created_at, id): `before` walks to older messages,
+   * `after` to newer ones. Returns null when the cursor message is not in the
+   * conversation.
+   */
+  static async listPage(
+    conversationId,
+    { before, after, limit = 50, viewerId } = {},
+  ) {
+    const cursorId = before || after;
+    let cursor = null;
+
+    // A malformed ID cannot name a message (and Postgres rejects it as uuid)
+    if (cursorId && !isValidUuid(cursorId)) return null;
+    if (cursorId) {
+      const { data, error } = await supabase
+        .from("messages")
+        .select("id, created_at")
+        .eq("id", cursorId)
+        .eq("conversation_id", conversationId)
+        .single();
+
+      if (error && error.code !== "PGRST116") throw error;
+      if (!data) return null;
+      cursor = data;
+    }
+
+    const ascending = Boolean(after);
+    let query = supabase
+      .from("messages")
+      .select(
+        `
+        *,
+        sender:sender_id ( id, name, profile_image, role ),
+        reactions:message_reactions ( user_id, emoji, created_at )
+      `,
+      )
+      .eq("conversation_id", conversationId);
+
+    // Messages the viewer deleted for themselves
+    if (viewerId) query = query.not("hidden_for", "cs", `{${viewerId}}`);
+
+    if (cursor) {
+      const op = ascending ? "gt" : "lt";
+      query = query.or(
+        `created_at.${op}."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.${op}.${cursor.id})`,
+      );
+    }
+
+    const { data, error } = await query
+      .order("created_at", { ascending })
+      .order("id", { ascending })
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    return {
+      messages: ascending ? page.reverse() : page,
+      hasMore,
+    };
+  }
+
+  // Subset of messageIds that belong to the conversation
+  static async findInConversation(conversationId, messageIds = []) {
+    if (!messageIds.length) return [];
+
+    const { data, error } = await supabase
+      .from("messages")
+      .select("id, sender_id, created_at")
+      .eq("conversation_id", conversationId)
+      .in("id", messageIds);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Complete history for moderation, oldest first: includes messages deleted
+   * or hidden by participants, with their edit history
+   */
+  static async getTranscript(conversationId) {
+    const { data, error } = await supabase
+      .from("messages")
+      .select(
+        `
+        *,
+        sender:sender_id ( id, name, profile_image, role ),
+        edits:message_edits ( previous_content, edited_at )
+      `,
+      )
+      .eq("conversation_id", conversationId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
   static async markAsRead(messageId, timestamp) {
     const { data, error } = await supabase
       .from("messages")
@@ -416,12 +669,123 @@ class MessageService {
     return data;
   }
 
+  /**
+   * Stamp read_at on the reader's unread messages in a conversation, either
+   * all of them or only messageIds. Returns the ids that changed.
+   */
+  static async markRead(conversationId, readerId, timestamp, messageIds) {
+    let query = supabase
+      .from("messages")
+      .update({ read_at: timestamp })
+      .eq("conversation_id", conversationId)
+      .eq("recipient_id", readerId)
+      .is("read_at", null);
+
+    if (messageIds) query = query.in("id", messageIds);
+
+    const { data, error } = await query.select("id");
+
+    if (error) throw error;
+    return (data || []).map((row) => row.id);
+  }
+
+  /**
+   * Replace a message's content, keeping the previous version in
+   * message_edits. Returns null when the message was deleted meanwhile.
+   */
+  // Update and edit history are written together (edit_message)
+  static async edit(message, content, editorId) {
+    const { data, error } = await supabase.rpc("edit_message", {
+      p_message_id: message.id,
+      p_editor_id: editorId,
+      p_content: content,
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  static async listEdits(messageId) {
+    const { data, error } = await supabase
+      .from("message_edits")
+      .select("id, editor_id, previous_content, edited_at")
+      .eq("message_id", messageId)
+      .order("edited_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Soft delete for both participants; the row stays for moderation
+  static async deleteForEveryone(id, userId) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("messages")
+      .update({ deleted_at: now, deleted_by: userId, updated_at: now })
+      .eq("id", id)
+      .is("deleted_at", null)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // Hide a message from one participant's history only; concurrent hides by
+  // both participants each land (hide_message_for appends)
+  static async hideFor(message, userId) {
+    const { data, error } = await supabase.rpc("hide_message_for", {
+      p_message_id: message.id,
+      p_user_id: userId,
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  static async addReaction(messageId, userId, emoji) {
+    const { error } = await supabase
+      .from("message_reactions")
+      .upsert(
+        { message_id: messageId, user_id: userId, emoji },
+        { onConflict: "message_id,user_id,emoji", ignoreDuplicates: true },
+      );
+
+    if (error) throw error;
+    return MessageService.listReactions(messageId);
+  }
+
+  static async removeReaction(messageId, userId, emoji) {
+    const { error } = await supabase
+      .from("message_reactions")
+      .delete()
+      .eq("message_id", messageId)
+      .eq("user_id", userId)
+      .eq("emoji", emoji);
+
+    if (error) throw error;
+    return MessageService.listReactions(messageId);
+  }
+
+  static async listReactions(messageId) {
+    const { data, error } = await supabase
+      .from("message_reactions")
+      .select("user_id, emoji, created_at")
+      .eq("message_id", messageId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
   static async getUnreadCount(userId) {
     const { count, error } = await supabase
       .from("messages")
       .select("*", { count: "exact", head: true })
       .eq("recipient_id", userId)
-      .is("read_at", null);
+      .is("read_at", null)
+      .is("deleted_at", null)
+      .not("hidden_for", "cs", `{${userId}}`);
 
     if (error) throw error;
     return count || 0;
@@ -504,6 +868,47 @@ class JobService {
     return { jobs: data, total: count, page, limit };
   }
 
+  /**
+   * Every column of a job, for matching against caregivers
+   */
+  static async findWithDetails(id) {
+    const { data, error } = await supabase
+      .from("jobs")
+      .select("*, parent:parent_id ( id, name, profile_image )")
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  /**
+   * Active jobs nobody has been hired for yet, newest first
+   */
+  // bbox: { minLat, maxLat, minLng, maxLng } prefilter on stored coordinates
+  static async listOpen({ limit = 200, bbox = null } = {}) {
+    let query = supabase
+      .from("jobs")
+      .select("*, parent:parent_id ( id, name, profile_image )")
+      .eq("status", "active")
+      .is("caregiver_id", null);
+
+    if (bbox) {
+      query = query
+        .gte("latitude", bbox.minLat)
+        .lte("latitude", bbox.maxLat)
+        .gte("longitude", bbox.minLng)
+        .lte("longitude", bbox.maxLng);
+    }
+
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
   static applyJobSearchFilter(query, search) {
     if (search && search.trim()) {
       const sanitized = search.trim().replace(/[%_]/g, (match) => `\\${match}`);
@@ -562,753 +967,2930 @@ class JobService {
     // Re-open moves job back to active/open state
     return this.updateStatus(id, "active");
   }
-}
 
-/**
- * Booking Service - Handles booking operations
- */
-class BookingService {
-  static async create(bookingData) {
+  static async listByParent(parentId) {
     const { data, error } = await supabase
-      .from("bookings")
-      .insert(bookingData)
+      .from("jobs")
+      .select("*")
+      .eq("parent_id", parentId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Assign the hired caregiver and mark the job filled, only while it is
+   * still open. Resolves to null when someone else was hired first.
+   */
+  static async markFilled(id, caregiverId) {
+    const { data, error } = await supabase
+      .from("jobs")
+      .update({
+        status: "filled",
+        caregiver_id: caregiverId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .eq("status", "active")
+      .is("caregiver_id", null)
       .select()
       .single();
 
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // Undo markFilled when the rest of a hire could not be completed
+  static async unfill(id, caregiverId) {
+    const { error } = await supabase
+      .from("jobs")
+      .update({ status: "active", caregiver_id: null, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("caregiver_id", caregiverId);
+
     if (error) throw error;
-    return data;
   }
 
-  static async findById(id) {
+  static async deleteOwned(id, parentId) {
     const { data, error } = await supabase
-      .from("bookings")
-      .select(
-        `*,
-        parent:parent_id ( id, name, email, profile_image ),
-        caregiver:caregiver_id ( id, name, email, profile_image ),
-        job:job_id ( id, title, job_status:status, location )
-      `,
-      )
+      .from("jobs")
+      .delete()
       .eq("id", id)
+      .eq("parent_id", parentId)
+      .select()
       .single();
 
     if (error && error.code !== "PGRST116") throw error;
-    return data;
+    return data || null;
   }
+}
 
-  static async getBookings({ page = 1, limit = 10, status, search } = {}) {
-    let query = supabase.from("bookings").select(
-      `*,
-        parent:parent_id ( id, name, email, profile_image ),
-        caregiver:caregiver_id ( id, name, email, profile_image ),
-        job:job_id ( id, title, job_status:status )
-      `,
-      { count: "exact" },
-    );
-
-    if (status) query = query.eq("status", status);
-    if (search) {
-      query = query.or(
-        `parent.name.ilike.%${search}%,parent.email.ilike.%${search}%,caregiver.name.ilike.%${search}%,caregiver.email.ilike.%${search}%`,
-      );
-    }
+// Applications still in the running for the job
+const OPEN_APPLICATION_STATUSES = ["pending", "shortlisted"];
 
-    const offset = (page - 1) * limit;
-    query = query
-      .order("created_at", { ascending: false })
-      .range(offset, offset + limit - 1);
+const APPLICATION_SELECT = `
+  *,
+  caregiver:caregiver_id ( id, name, email, profile_image ),
+  job:job_id ( id, title, status, location, hourly_rate, date, start_time, end_time, parent_id, caregiver_id )
+`;
 
-    const { data, error, count } = await query;
+/**
+ * Application Service - caregivers' applications to jobs
+ */
+class ApplicationService {
+  // Resolves to null when the caregiver already applied to the job
+  static async create(applicationData) {
+    const { data, error } = await supabase
+      .from("applications")
+      .insert(applicationData)
+      .select(APPLICATION_SELECT)
+      .single();
 
-    if (error) throw error;
-    return { bookings: data, total: count, page, limit };
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+    return data;
   }
 
-  static async updateStatus(id, status) {
+  static async findById(id) {
     const { data, error } = await supabase
-      .from("bookings")
-      .update({ status })
+      .from("applications")
+      .select(APPLICATION_SELECT)
       .eq("id", id)
-      .select(
-        `*,
-        parent:parent_id ( id, name, email, profile_image ),
-        caregiver:caregiver_id ( id, name, email, profile_image ),
-        job:job_id ( id, title, job_status:status, location )
-      `,
-      )
       .single();
 
-    if (error) throw error;
+    if (error && error.code !== "PGRST116") throw error;
     return data;
   }
-}
 
-const sanitizePaymentSearch = (term = "") =>
-  term
-    .trim()
-    .replace(/[%_]/g, (match) => `\\${match}`)
-    .replace(/,/g, "\\,");
+  static async findForJob(jobId, caregiverId) {
+    const { data, error } = await supabase
+      .from("applications")
+      .select(APPLICATION_SELECT)
+      .eq("job_id", jobId)
+      .eq("caregiver_id", caregiverId)
+      .single();
 
-const assessProof = (proof) => {
-  const issues = [];
-  if (!proof.storage_path) {
-    issues.push("Missing storage path");
-  }
-  if (!proof.public_url) {
-    issues.push("Missing public URL");
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
   }
-  if (!proof.mime_type) {
-    issues.push("Unknown MIME type");
-  } else if (!proof.mime_type.toLowerCase().startsWith("image/")) {
-    issues.push(`Unexpected MIME type: ${proof.mime_type}`);
+
+  static async listByCaregiver(caregiverId, { status, page = 1, limit = 10 } = {}) {
+    let query = supabase
+      .from("applications")
+      .select(
+        `*,
+        job:job_id ( *, parent:parent_id ( id, name, email, profile_image ) )`,
+        { count: "exact" },
+      )
+      .eq("caregiver_id", caregiverId);
+
+    if (status) query = query.eq("status", status);
+
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { applications: data || [], total: count || 0 };
   }
-  return {
-    issues,
-    suspicious: issues.length > 0,
-  };
-};
 
-const normalizeProof = (proof) => {
-  const { issues, suspicious } = assessProof(proof);
-  return {
-    id: proof.id,
-    bookingId: proof.booking_id,
-    storagePath: proof.storage_path,
-    publicUrl: proof.public_url,
-    mimeType: proof.mime_type,
-    uploadedBy: proof.uploaded_by,
-    uploadedAt: proof.uploaded_at,
-    paymentType: proof.payment_type || "deposit",
-    uploadedByInfo: proof.uploaded_by_user || null,
-    suspicious,
-    issues,
-  };
-};
+  static async listByJob(jobId, { status, page = 1, limit = 10 } = {}) {
+    let query = supabase
+      .from("applications")
+      .select(APPLICATION_SELECT, { count: "exact" })
+      .eq("job_id", jobId);
 
-const normalizePaymentRecord = (record, proofsMap = new Map()) => {
-  const proofs = proofsMap.get(record.booking_id) || [];
-  const proofIssues = proofs.flatMap((proof) => proof.issues);
-  const hasSuspiciousProof = proofs.some((proof) => proof.suspicious);
-  if (!proofs.length) {
-    proofIssues.push("No payment proof uploaded");
+    if (status) query = query.eq("status", status);
+
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { applications: data || [], total: count || 0 };
   }
 
-  return {
-    id: record.id,
-    bookingId: record.booking_id,
-    parentInfo: record.parent
-      ? {
-          id: record.parent.id,
-          name: record.parent.name,
-          email: record.parent.email,
-        }
-      : {},
-    caregiverInfo: record.caregiver
-      ? {
-          id: record.caregiver.id,
-          name: record.caregiver.name,
-          email: record.caregiver.email,
-        }
-      : {},
-    totalAmount: Number(record.total_amount || 0),
-    paymentStatus: record.payment_status,
-    paymentProof: record.payment_proof || null,
-    notes: record.notes || null,
-    refundReason: record.refund_reason || null,
-    createdAt: record.created_at,
-    updatedAt: record.updated_at,
-    proofs,
-    proofIssues,
-    proofStatus:
-      hasSuspiciousProof || proofIssues.length ? "needs_review" : "ok",
-  };
-};
+  static async countByJob(jobId) {
+    const { count, error } = await supabase
+      .from("applications")
+      .select("id", { count: "exact", head: true })
+      .eq("job_id", jobId);
 
-class PaymentProofService {
-  static async listByBookingIds(bookingIds = []) {
-    if (!bookingIds.length) {
-      return new Map();
-    }
+    if (error) throw error;
+    return count || 0;
+  }
 
+  /**
+   * Caregivers whose applications to the job are still open
+   * @returns {Promise<string[]>}
+   */
+  static async listOpenApplicantIds(jobId) {
     const { data, error } = await supabase
-      .from("payment_proofs")
-      .select(
-        `id,
-        booking_id,
-        storage_path,
-        public_url,
-        mime_type,
-        uploaded_by,
-        uploaded_at,
-        payment_type,
-        uploaded_by_user:uploaded_by ( id, name, email )
-      `,
-      )
-      .in("booking_id", bookingIds)
-      .order("uploaded_at", { ascending: false });
+      .from("applications")
+      .select("caregiver_id")
+      .eq("job_id", jobId)
+      .in("status", OPEN_APPLICATION_STATUSES);
 
     if (error) throw error;
+    return (data || []).map((row) => row.caregiver_id);
+  }
 
-    const map = new Map();
-    (data || []).forEach((row) => {
-      const normalized = normalizeProof(row);
-      const list = map.get(row.booking_id) || [];
-      list.push(normalized);
-      map.set(row.booking_id, list);
-    });
-    return map;
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.expectedStatuses] - only update while the
+   *   application is in one of these; resolves to null when it has moved on
+   */
+  static async update(id, fields, { expectedStatuses } = {}) {
+    let query = supabase
+      .from("applications")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (expectedStatuses) query = query.in("status", expectedStatuses);
+
+    const { data, error } = await query.select(APPLICATION_SELECT).single();
+
+    if (error && !(expectedStatuses && error.code === "PGRST116")) throw error;
+    return data || null;
   }
 
-  static async listByBookingId(bookingId) {
-    const map = await this.listByBookingIds([bookingId]);
-    return map.get(bookingId) || [];
+  /**
+   * Reject every other open application once the job has been filled
+   * @returns {Promise<Array<{ id, caregiver_id }>>} the rejected applications
+   */
+  static async rejectOpenForJob(jobId, { exceptId, feedback, reviewedBy }) {
+    const now = new Date().toISOString();
+    let query = supabase
+      .from("applications")
+      .update({
+        status: "rejected",
+        feedback,
+        reviewed_by: reviewedBy,
+        reviewed_at: now,
+        updated_at: now,
+      })
+      .eq("job_id", jobId)
+      .in("status", OPEN_APPLICATION_STATUSES);
+
+    if (exceptId) query = query.neq("id", exceptId);
+
+    const { data, error } = await query.select("id, caregiver_id");
+
+    if (error) throw error;
+    return data || [];
   }
 }
 
-class PaymentService {
-  static baseSelect = `
-    id,
-    booking_id,
-    parent_id,
-    caregiver_id,
-    total_amount,
-    payment_status,
-    payment_proof,
-    notes,
-    refund_reason,
-    created_at,
-    updated_at,
-    parent:parent_id ( id, name, email ),
-    caregiver:caregiver_id ( id, name, email ),
-    booking:booking_id ( id, status )
-  `;
+// Interviews still being arranged or awaited
+const OPEN_INTERVIEW_STATUSES = ["proposed", "confirmed"];
 
-  static async list({ page = 1, limit = 25, status, search } = {}) {
-    let query = supabase
-      .from("payments")
-      .select(this.baseSelect, { count: "exact" })
-      .order("created_at", { ascending: false });
+/**
+ * Interview Service - interviews between a parent and shortlisted applicants
+ */
+class InterviewService {
+  // Resolves to null when the application already has an open interview
+  static async create(interviewData) {
+    const { data, error } = await supabase
+      .from("application_interviews")
+      .insert(interviewData)
+      .select()
+      .single();
 
-    if (status && status !== "all") {
-      query = query.eq("payment_status", status);
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
     }
+    return data;
+  }
 
-    if (search && search.trim()) {
-      const sanitized = sanitizePaymentSearch(search);
-      const orClause = [
-        `booking_id.eq.${sanitized}`,
-        `parent_id.name.ilike.%${sanitized}%`,
-        `parent_id.email.ilike.%${sanitized}%`,
-        `caregiver_id.name.ilike.%${sanitized}%`,
-        `caregiver_id.email.ilike.%${sanitized}%`,
-      ].join(",");
-      query = query.or(orClause);
-    }
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("application_interviews")
+      .select("*")
+      .eq("id", id)
+      .single();
 
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async listByApplication(applicationId) {
+    const { data, error } = await supabase
+      .from("application_interviews")
+      .select("*")
+      .eq("application_id", applicationId)
+      .order("scheduled_at", { ascending: true });
 
-    const { data, error, count } = await query;
     if (error) throw error;
+    return data || [];
+  }
 
-    const rows = data || [];
-    const bookingIds = rows.map((row) => row.booking_id).filter(Boolean);
+  static async listByJob(jobId) {
+    const { data, error } = await supabase
+      .from("application_interviews")
+      .select("*")
+      .eq("job_id", jobId)
+      .order("scheduled_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.expectedStatus] - only update while the interview
+   *   is still in this status; resolves to null when it has moved on
+   */
+  static async update(id, fields, { expectedStatus } = {}) {
+    let query = supabase
+      .from("application_interviews")
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq("id", id);
+
+    if (expectedStatus) query = query.eq("status", expectedStatus);
+
+    const { data, error } = await query.select().single();
+
+    if (error && !(expectedStatus && error.code === "PGRST116")) throw error;
+    return data || null;
+  }
+
+  // Called off when the job is filled or the application closes
+  static async cancelOpenForJob(jobId, { exceptApplicationId } = {}) {
+    let query = supabase
+      .from("application_interviews")
+      .update({ status: "cancelled", updated_at: new Date().toISOString() })
+      .eq("job_id", jobId)
+      .in("status", OPEN_INTERVIEW_STATUSES);
+
+    if (exceptApplicationId) query = query.neq("application_id", exceptApplicationId);
+
+    const { data, error } = await query.select("id, caregiver_id");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async cancelOpenForApplication(applicationId) {
+    const { error } = await supabase
+      .from("application_interviews")
+      .update({ status: "cancelled", updated_at: new Date().toISOString() })
+      .eq("application_id", applicationId)
+      .in("status", OPEN_INTERVIEW_STATUSES);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Booking Service - Handles booking operations
+ */
+class BookingService {
+  /**
+   * Bookings of the caregiver that overlap the slot and already hold their time
+   * @returns {Promise<string[]>} conflicting booking IDs
+   */
+  static async findConflicts({
+    caregiverId,
+    date,
+    startTime,
+    endTime,
+    excludeId,
+  }) {
+    const dateKey = toDateKey(date);
+    if (!caregiverId || !dateKey || !startTime || !endTime) return [];
+
+    let query = supabase
+      .from("bookings")
+      .select("id, date, start_time, end_time")
+      .eq("caregiver_id", caregiverId)
+      .in("date", candidateDates(dateKey))
+      .in("status", BLOCKING_STATUSES);
+
+    if (excludeId) query = query.neq("id", excludeId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    // Times are compared in JS; stored values are not zero-padded consistently
+    return overlappingIds({ date: dateKey, startTime, endTime }, data, (booking) => ({
+      id: booking.id,
+      date: booking.date,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+    }));
+  }
+
+  static async assertNoConflicts(slot) {
+    const conflicts = await this.findConflicts(slot);
+    if (conflicts.length) throw conflictError(conflicts);
+  }
+
+  /**
+   * The check above races with concurrent writes; the bookings_no_overlap
+   * constraint (migrations/add_booking_overlap_constraint.sql) settles it.
+   * Turns its violation into the usual conflict error.
+   */
+  static async conflictFrom(error, slot) {
+    if (error?.code !== OVERLAP_VIOLATION) return error;
+    return conflictError(await this.findConflicts(slot));
+  }
+
+  /**
+   * IDs of the users someone has bookings with, on either side
+   */
+  static async listCounterpartIds(userId) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("parent_id, caregiver_id")
+      .or(`parent_id.eq.${userId},caregiver_id.eq.${userId}`);
+
+    if (error) throw error;
+    return [
+      ...new Set((data || []).flatMap((row) => [row.parent_id, row.caregiver_id])),
+    ].filter((id) => id && id !== userId);
+  }
+
+  /**
+   * Pending bookings whose date is before `beforeDate` (YYYY-MM-DD)
+   */
+  static async listStalePending({ beforeDate, limit = 100 }) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("*")
+      .eq("status", "pending")
+      .lt("date", beforeDate)
+      .order("date", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async create(bookingData) {
+    const slot = {
+      caregiverId: bookingData.caregiver_id,
+      date: bookingData.date,
+      startTime: bookingData.start_time,
+      endTime: bookingData.end_time,
+    };
+    await this.assertNoConflicts(slot);
+
+    const { data, error } = await supabase
+      .from("bookings")
+      .insert(bookingData)
+      .select()
+      .single();
+
+    if (error) throw await this.conflictFrom(error, slot);
+    return data;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select(
+        `*,
+        parent:parent_id ( id, name, email, profile_image ),
+        caregiver:caregiver_id ( id, name, email, profile_image ),
+        job:job_id ( id, title, job_status:status, location )
+      `,
+      )
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async getBookings({ page = 1, limit = 10, status, search } = {}) {
+    let query = supabase.from("bookings").select(
+      `*,
+        parent:parent_id ( id, name, email, profile_image ),
+        caregiver:caregiver_id ( id, name, email, profile_image ),
+        job:job_id ( id, title, job_status:status )
+      `,
+      { count: "exact" },
+    );
+
+    if (status) query = query.eq("status", status);
+    if (search) {
+      query = query.or(
+        `parent.name.ilike.%${search}%,parent.email.ilike.%${search}%,caregiver.name.ilike.%${search}%,caregiver.email.ilike.%${search}%`,
+      );
+    }
+
+    const offset = (page - 1) * limit;
+    query = query
+      .order("created_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+    return { bookings: data, total: count, page, limit };
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.expectedStatus] - only update while the booking is
+   *   still in this status; resolves to null when it has moved on
+   */
+  static async updateStatus(id, status, { expectedStatus } = {}) {
+    let slot = null;
+    if (status === "confirmed") {
+      const { data: booking, error: lookupError } = await supabase
+        .from("bookings")
+        .select("id, caregiver_id, date, start_time, end_time")
+        .eq("id", id)
+        .single();
+
+      if (lookupError && lookupError.code !== "PGRST116") throw lookupError;
+      if (booking) {
+        slot = {
+          caregiverId: booking.caregiver_id,
+          date: booking.date,
+          startTime: booking.start_time,
+          endTime: booking.end_time,
+          excludeId: booking.id,
+        };
+        await this.assertNoConflicts(slot);
+      }
+    }
+
+    let query = supabase.from("bookings").update({ status }).eq("id", id);
+    if (expectedStatus) query = query.eq("status", expectedStatus);
+
+    const { data, error } = await query
+      .select(
+        `*,
+        parent:parent_id ( id, name, email, profile_image ),
+        caregiver:caregiver_id ( id, name, email, profile_image ),
+        job:job_id ( id, title, job_status:status, location )
+      `,
+      )
+      .single();
+
+    if (error) {
+      if (expectedStatus && error.code === "PGRST116") return null;
+      throw slot ? await this.conflictFrom(error, slot) : error;
+    }
+    return data;
+  }
+
+  /**
+   * Fields the parent shares with the caregiver while the booking is active;
+   * null falls back to the default booking privacy policy
+   */
+  static async setPrivacyFields(id, fields) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .update({ privacy_fields: fields })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Move a single booking to another date/time. Resolves to null when the
+   * booking is no longer in `expectedStatus`.
+   */
+  static async updateSlot(
+    id,
+    { caregiverId, date, startTime, endTime, totalAmount },
+    { expectedStatus } = {},
+  ) {
+    const slot = { caregiverId, date, startTime, endTime, excludeId: id };
+    await this.assertNoConflicts(slot);
+
+    let query = supabase
+      .from("bookings")
+      .update({
+        date,
+        start_time: startTime,
+        end_time: endTime,
+        total_amount: totalAmount,
+        is_modified: true,
+      })
+      .eq("id", id);
+    if (expectedStatus) query = query.eq("status", expectedStatus);
+
+    const { data, error } = await query.select().single();
+
+    if (error) {
+      if (expectedStatus && error.code === "PGRST116") return null;
+      throw await this.conflictFrom(error, slot);
+    }
+    return data;
+  }
+
+  /**
+   * Occurrences generated for a recurring series, by occurrence date
+   */
+  static async listBySeries(seriesId, { from, to } = {}) {
+    let query = supabase
+      .from("bookings")
+      .select(
+        "id, series_id, occurrence_date, is_modified, date, start_time, end_time, status, total_amount, created_at",
+      )
+      .eq("series_id", seriesId);
+
+    if (from) query = query.gte("occurrence_date", from);
+    if (to) query = query.lte("occurrence_date", to);
+
+    const { data, error } = await query.order("occurrence_date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Cancel the still-pending occurrences of a series from `from` on
+   * @returns {Promise<Object[]>} the cancelled bookings
+   */
+  static async cancelPendingInSeries(seriesId, { from }) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .update({ status: "cancelled" })
+      .eq("series_id", seriesId)
+      .eq("status", "pending")
+      .gte("occurrence_date", from)
+      .select("id, occurrence_date, date");
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+const BOOKING_SERIES_SELECT = `
+  *,
+  parent:parent_id ( id, name, email, profile_image ),
+  caregiver:caregiver_id ( id, name, email, profile_image ),
+  job:job_id ( id, title, status )
+`;
+
+/**
+ * Booking Series Service - recurring booking rules; occurrences live in bookings
+ */
+class BookingSeriesService {
+  static async create(seriesData) {
+    const { data, error } = await supabase
+      .from("booking_series")
+      .insert(seriesData)
+      .select(BOOKING_SERIES_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("booking_series")
+      .select(BOOKING_SERIES_SELECT)
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async listByParty({ parentId, caregiverId, status } = {}) {
+    let query = supabase.from("booking_series").select(BOOKING_SERIES_SELECT);
+
+    if (parentId) query = query.eq("parent_id", parentId);
+    if (caregiverId) query = query.eq("caregiver_id", caregiverId);
+    if (status) query = query.eq("status", status);
+
+    const { data, error } = await query.order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Update a series while it is still in `expectedStatus`; null once it moved on
+   */
+  static async update(id, fields, { expectedStatus } = {}) {
+    let query = supabase.from("booking_series").update(fields).eq("id", id);
+    if (expectedStatus) query = query.eq("status", expectedStatus);
+
+    const { data, error } = await query.select(BOOKING_SERIES_SELECT).single();
+
+    if (error) {
+      if (expectedStatus && error.code === "PGRST116") return null;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Active series whose bookings have not been generated up to `through`
+   */
+  static async listDueForExtension({ through, limit = 100 }) {
+    const { data, error } = await supabase
+      .from("booking_series")
+      .select("*")
+      .eq("status", "active")
+      .or(`materialized_through.is.null,materialized_through.lt.${through}`)
+      .order("materialized_through", { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+const CONTRACT_SELECT = `
+  *,
+  parent:parent_id ( id, name, email, profile_image ),
+  caregiver:caregiver_id ( id, name, email, profile_image ),
+  job:job_id ( id, title, status )
+`;
+
+/**
+ * Contract Service - contracts, their versioned terms and signatures
+ */
+class ContractService {
+  /**
+   * Create a contract with its first version. The caller picks the id so the
+   * version's content hash can cover it.
+   */
+  static async create({ id, parentId, caregiverId, jobId, version }) {
+    const { error } = await supabase.from("contracts").insert({
+      id,
+      parent_id: parentId,
+      caregiver_id: caregiverId,
+      job_id: jobId || null,
+      status: "proposed",
+      current_version: 1,
+    });
+
+    if (error) throw error;
+
+    try {
+      await this.insertVersion({ ...version, contract_id: id, version: 1 });
+    } catch (versionError) {
+      await supabase.from("contracts").delete().eq("id", id);
+      throw versionError;
+    }
+
+    return this.findById(id);
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("contracts")
+      .select(
+        `${CONTRACT_SELECT},
+        versions:contract_versions ( version, proposed_by, terms, content_hash, note, created_at ),
+        signatures:contract_signatures ( version, signer_id, signer_role, signer_name, signer_email, content_hash, ip_address, signed_at )`,
+      )
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (data) {
+      data.versions = (data.versions || []).sort((a, b) => a.version - b.version);
+      data.signatures = (data.signatures || []).sort((a, b) =>
+        a.signed_at.localeCompare(b.signed_at),
+      );
+    }
+    return data;
+  }
+
+  static async listByParty({ parentId, caregiverId, status } = {}) {
+    let query = supabase
+      .from("contracts")
+      .select(
+        `${CONTRACT_SELECT},
+        versions:contract_versions ( version, terms, content_hash )`,
+      );
+
+    if (parentId) query = query.eq("parent_id", parentId);
+    if (caregiverId) query = query.eq("caregiver_id", caregiverId);
+    if (status) query = query.eq("status", status);
+
+    const { data, error } = await query.order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Versions are immutable; (contract_id, version) is unique
+  static async insertVersion(versionRow) {
+    const { data, error } = await supabase
+      .from("contract_versions")
+      .insert(versionRow)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Add a counter-offer as the next version. Returns null when another
+   * version or a status change got there first.
+   */
+  static async addVersion(contract, versionRow) {
+    const next = contract.current_version + 1;
+
+    try {
+      await this.insertVersion({ ...versionRow, contract_id: contract.id, version: next });
+    } catch (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+
+    const { data, error } = await supabase
+      .from("contracts")
+      .update({ current_version: next, status: "countered" })
+      .eq("id", contract.id)
+      .eq("current_version", contract.current_version)
+      .in("status", ["proposed", "countered"])
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!data) {
+      await supabase
+        .from("contract_versions")
+        .delete()
+        .eq("contract_id", contract.id)
+        .eq("version", next);
+      return null;
+    }
+    return data;
+  }
+
+  // One signature per party and version; returns null if already signed
+  static async addSignature(signatureRow) {
+    const { data, error } = await supabase
+      .from("contract_signatures")
+      .insert(signatureRow)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+    return data;
+  }
+
+  static async listSignatures(contractId, version) {
+    const { data, error } = await supabase
+      .from("contract_signatures")
+      .select("signer_id, signer_role, content_hash, signed_at")
+      .eq("contract_id", contractId)
+      .eq("version", version);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Move the contract to a new status while it is still in one of `from`
+   * (and, if given, on `version`). Returns null when it has moved on.
+   */
+  static async transition(id, status, { from, version, fields = {} } = {}) {
+    let query = supabase
+      .from("contracts")
+      .update({ status, ...fields })
+      .eq("id", id)
+      .in("status", from);
+
+    if (version) query = query.eq("current_version", version);
+
+    const { data, error } = await query.select().single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  static async linkBooking(contractId, bookingId) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .update({ contract_id: contractId })
+      .eq("id", bookingId)
+      .select("id, contract_id, date, start_time, end_time, status")
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async listBookings(contractId) {
+    const { data, error } = await supabase
+      .from("bookings")
+      .select("id, date, start_time, end_time, status, total_amount, created_at")
+      .eq("contract_id", contractId)
+      .order("date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+const sanitizePaymentSearch = (term = "") =>
+  term
+    .trim()
+    .replace(/[%_]/g, (match) => `\\${match}`)
+    .replace(/,/g, "\\,");
+
+const assessProof = (proof) => {
+  const issues = [];
+  if (!proof.storage_path) {
+    issues.push("Missing storage path");
+  }
+  if (!proof.public_url) {
+    issues.push("Missing public URL");
+  }
+  if (!proof.mime_type) {
+    issues.push("Unknown MIME type");
+  } else if (!proof.mime_type.toLowerCase().startsWith("image/")) {
+    issues.push(`Unexpected MIME type: ${proof.mime_type}`);
+  }
+  return {
+    issues,
+    suspicious: issues.length > 0,
+  };
+};
+
+const normalizeProof = (proof) => {
+  const { issues, suspicious } = assessProof(proof);
+  return {
+    id: proof.id,
+    bookingId: proof.booking_id,
+    storagePath: proof.storage_path,
+    publicUrl: proof.public_url,
+    mimeType: proof.mime_type,
+    uploadedBy: proof.uploaded_by,
+    uploadedAt: proof.uploaded_at,
+    paymentType: proof.payment_type || "deposit",
+    uploadedByInfo: proof.uploaded_by_user || null,
+    suspicious,
+    issues,
+  };
+};
+
+const normalizePaymentRecord = (record, proofsMap = new Map()) => {
+  const proofs = proofsMap.get(record.booking_id) || [];
+  const proofIssues = proofs.flatMap((proof) => proof.issues);
+  const hasSuspiciousProof = proofs.some((proof) => proof.suspicious);
+  if (!proofs.length) {
+    proofIssues.push("No payment proof uploaded");
+  }
+
+  return {
+    id: record.id,
+    bookingId: record.booking_id,
+    parentInfo: record.parent
+      ? {
+          id: record.parent.id,
+          name: record.parent.name,
+          email: record.parent.email,
+        }
+      : {},
+    caregiverInfo: record.caregiver
+      ? {
+          id: record.caregiver.id,
+          name: record.caregiver.name,
+          email: record.caregiver.email,
+        }
+      : {},
+    totalAmount: Number(record.total_amount || 0),
+    paymentStatus: record.payment_status,
+    paymentProof: record.payment_proof || null,
+    notes: record.notes || null,
+    refundReason: record.refund_reason || null,
+    provider: record.provider || "manual",
+    providerReference: record.provider_reference || null,
+    providerPaymentId: record.provider_payment_id || null,
+    providerStatus: record.provider_status || null,
+    currency: record.currency || "PHP",
+    paymentType: record.payment_type || "full",
+    checkoutUrl: record.checkout_url || null,
+    createdAt: record.created_at,
+    updatedAt: record.updated_at,
+    proofs,
+    proofIssues,
+    proofStatus:
+      hasSuspiciousProof || proofIssues.length ? "needs_review" : "ok",
+  };
+};
+
+class PaymentProofService {
+  static async listByBookingIds(bookingIds = []) {
+    if (!bookingIds.length) {
+      return new Map();
+    }
+
+    const { data, error } = await supabase
+      .from("payment_proofs")
+      .select(
+        `id,
+        booking_id,
+        storage_path,
+        public_url,
+        mime_type,
+        uploaded_by,
+        uploaded_at,
+        payment_type,
+        uploaded_by_user:uploaded_by ( id, name, email )
+      `,
+      )
+      .in("booking_id", bookingIds)
+      .order("uploaded_at", { ascending: false });
+
+    if (error) throw error;
+
+    const map = new Map();
+    (data || []).forEach((row) => {
+      const normalized = normalizeProof(row);
+      const list = map.get(row.booking_id) || [];
+      list.push(normalized);
+      map.set(row.booking_id, list);
+    });
+    return map;
+  }
+
+  static async listByBookingId(bookingId) {
+    const map = await this.listByBookingIds([bookingId]);
+    return map.get(bookingId) || [];
+  }
+}
+
+class PaymentService {
+  static baseSelect = `
+    id,
+    booking_id,
+    parent_id,
+    caregiver_id,
+    total_amount,
+    payment_status,
+    payment_proof,
+    notes,
+    refund_reason,
+    provider,
+    provider_reference,
+    provider_payment_id,
+    provider_status,
+    currency,
+    payment_type,
+    checkout_url,
+    created_at,
+    updated_at,
+    parent:parent_id ( id, name, email ),
+    caregiver:caregiver_id ( id, name, email ),
+    booking:booking_id ( id, status )
+  `;
+
+  static async withProofs(row) {
+    const proofs = await PaymentProofService.listByBookingId(row.booking_id);
+    const proofsMap = new Map([[row.booking_id, proofs]]);
+    return normalizePaymentRecord(row, proofsMap);
+  }
+
+  static async list({ page = 1, limit = 25, status, search } = {}) {
+    let query = supabase
+      .from("payments")
+      .select(this.baseSelect, { count: "exact" })
+      .order("created_at", { ascending: false });
+
+    if (status && status !== "all") {
+      query = query.eq("payment_status", status);
+    }
+
+    if (search && search.trim()) {
+      const sanitized = sanitizePaymentSearch(search);
+      const orClause = [
+        `booking_id.eq.${sanitized}`,
+        `parent_id.name.ilike.%${sanitized}%`,
+        `parent_id.email.ilike.%${sanitized}%`,
+        `caregiver_id.name.ilike.%${sanitized}%`,
+        `caregiver_id.email.ilike.%${sanitized}%`,
+      ].join(",");
+      query = query.or(orClause);
+    }
+
+    const offset = (page - 1) * limit;
+    query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const bookingIds = rows.map((row) => row.booking_id).filter(Boolean);
+    const proofsMap = await PaymentProofService.listByBookingIds(bookingIds);
+
+    return {
+      payments: rows.map((row) => normalizePaymentRecord(row, proofsMap)),
+      total: count || 0,
+      page,
+      limit,
+    };
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    if (!data) return null;
+    return this.withProofs(data);
+  }
+
+  static async updateStatus(id, status, { notes } = {}) {
+    const { data, error } = await supabase
+      .from("payments")
+      .update({
+        payment_status: status,
+        notes: typeof notes === "string" ? notes : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .select(this.baseSelect)
+      .single();
+
+    if (error) throw error;
+    return this.withProofs(data);
+  }
+
+  static async create(paymentData) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("payments")
+      .insert({ ...paymentData, created_at: now, updated_at: now })
+      .select(this.baseSelect)
+      .single();
+
+    if (error) throw error;
+    return this.withProofs(data);
+  }
+
+  static async update(id, updates) {
+    const { data, error } = await supabase
+      .from("payments")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", id)
+      .select(this.baseSelect)
+      .single();
+
+    if (error) throw error;
+    return this.withProofs(data);
+  }
+
+  static async findByIdempotencyKey(key) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .eq("idempotency_key", key)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+    return this.withProofs(data);
+  }
+
+  static async findByProviderReference(provider, reference) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .eq("provider", provider)
+      .eq("provider_reference", reference)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+    return this.withProofs(data);
+  }
+
+  /**
+   * Open (pending or paid) payment for a booking, if any
+   */
+  static async findOpenByBooking(bookingId) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .eq("booking_id", bookingId)
+      .in("payment_status", ["pending", "paid"])
+      // A charge the provider failed is dead; the booking can be charged again
+      .or("provider_status.is.null,provider_status.neq.failed")
+      .order("created_at", { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    if (!data?.length) return null;
+    return this.withProofs(data[0]);
+  }
+
+  /**
+   * Every charge still pending or paid on a booking (failed ones excluded),
+   * oldest first
+   */
+  static async listOpenByBooking(bookingId) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .eq("booking_id", bookingId)
+      .in("payment_status", ["pending", "paid"])
+      .or("provider_status.is.null,provider_status.neq.failed")
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    if (!data?.length) return [];
+
+    const proofs = await PaymentProofService.listByBookingId(bookingId);
+    const proofsMap = new Map([[bookingId, proofs]]);
+    return data.map((row) => normalizePaymentRecord(row, proofsMap));
+  }
+
+  /**
+   * Payments where the user is either the paying parent or the caregiver
+   */
+  static async listForUser(userId, { page = 1, limit = 25, status } = {}) {
+    let query = supabase
+      .from("payments")
+      .select(this.baseSelect, { count: "exact" })
+      .or(`parent_id.eq.${userId},caregiver_id.eq.${userId}`)
+      .order("created_at", { ascending: false });
+
+    if (status && status !== "all") {
+      query = query.eq("payment_status", status);
+    }
+
+    const offset = (page - 1) * limit;
+    query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    const rows = data || [];
+    const bookingIds = rows.map((row) => row.booking_id).filter(Boolean);
+    const proofsMap = await PaymentProofService.listByBookingIds(bookingIds);
+
+    return {
+      payments: rows.map((row) => normalizePaymentRecord(row, proofsMap)),
+      total: count || 0,
+      page,
+      limit,
+    };
+  }
+
+  /**
+   * Latest payment per booking
+   * @returns {Promise<Map<string, Object>>} bookingId -> normalized payment
+   */
+  static async latestByBookingIds(bookingIds = []) {
+    if (!bookingIds.length) return new Map();
+
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .in("booking_id", bookingIds)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+
+    const proofsMap = await PaymentProofService.listByBookingIds(bookingIds);
+    const latest = new Map();
+    (data || []).forEach((row) => {
+      if (!latest.has(row.booking_id)) {
+        latest.set(row.booking_id, normalizePaymentRecord(row, proofsMap));
+      }
+    });
+    return latest;
+  }
+
+  /**
+   * All of a user's payments (as parent or caregiver) created in [from, to)
+   */
+  static async listForUserBetween(userId, { from, to }) {
+    const { data, error } = await supabase
+      .from("payments")
+      .select(this.baseSelect)
+      .or(`parent_id.eq.${userId},caregiver_id.eq.${userId}`)
+      .gte("created_at", from)
+      .lt("created_at", to)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    const rows = data || [];
+    const bookingIds = rows.map((row) => row.booking_id).filter(Boolean);
     const proofsMap = await PaymentProofService.listByBookingIds(bookingIds);
+    return rows.map((row) => normalizePaymentRecord(row, proofsMap));
+  }
+
+  /**
+   * Parent-initiated refund request; admins settle it through refund()
+   */
+  static async requestRefund(id, reason) {
+    return this.update(id, {
+      payment_status: "disputed",
+      refund_reason: reason || null,
+    });
+  }
+
+  static async refund(id, reason) {
+    const { data, error } = await supabase
+      .from("payments")
+      .update({
+        payment_status: "refunded",
+        refund_reason: reason || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .select(this.baseSelect)
+      .single();
+
+    if (error) throw error;
+    return this.withProofs(data);
+  }
+}
+
+/**
+ * Payment Webhook Event Service - Deduplicates provider webhook deliveries
+ */
+class PaymentWebhookEventService {
+  /**
+   * Record an event; returns null when the event was already received
+   */
+  static async record({ provider, eventId, eventType, paymentId, payload }) {
+    const { data, error } = await supabase
+      .from("payment_webhook_events")
+      .insert({
+        provider,
+        event_id: eventId,
+        event_type: eventType ?? null,
+        payment_id: paymentId ?? null,
+        payload: payload ?? null,
+        received_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Forget an event so the provider's retry is applied again
+   */
+  static async delete(id) {
+    const { error } = await supabase
+      .from("payment_webhook_events")
+      .delete()
+      .eq("id", id);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Solana Payment Service - Verified on-chain booking payments
+ */
+class SolanaPaymentService {
+  // The verified payment and its `payments` mirror (for total_amount) are
+  // written together (settle_solana_payment)
+  static async settle(paymentData) {
+    const { data, error } = await supabase.rpc("settle_solana_payment", {
+      p_signature: paymentData.signature,
+      p_booking_id: paymentData.booking_id,
+      p_payer_id: paymentData.payer_id,
+      p_caregiver_id: paymentData.caregiver_id,
+      p_recipient: paymentData.recipient,
+      p_mint: paymentData.mint,
+      p_amount: paymentData.amount,
+      p_memo: paymentData.memo,
+      p_slot: paymentData.slot,
+      p_block_time: paymentData.block_time,
+      p_status: paymentData.status,
+      p_total_amount: paymentData.total_amount,
+    });
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+
+  static async findBySignature(signature) {
+    const { data, error } = await supabase
+      .from("solana_payments")
+      .select("*")
+      .eq("signature", signature)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async findByBooking(bookingId) {
+    const { data, error } = await supabase
+      .from("solana_payments")
+      .select("*")
+      .eq("booking_id", bookingId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async listForUser(userId, { page = 1, limit = 25 } = {}) {
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await supabase
+      .from("solana_payments")
+      .select(
+        `*,
+        booking:booking_id ( id, status )
+      `,
+        { count: "exact" },
+      )
+      .or(`payer_id.eq.${userId},caregiver_id.eq.${userId}`)
+      .order("verified_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { payments: data || [], total: count || 0, page, limit };
+  }
+}
+
+/**
+ * Audit Log Service - Handles audit logging
+ */
+class AuditLogService {
+  static async create(logData) {
+    const { data, error } = await supabase
+      .from("audit_logs")
+      .insert(logData)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async getLogs({
+    page = 1,
+    limit = 10,
+    action,
+    targetId,
+    adminId,
+  } = {}) {
+    let query = supabase.from("audit_logs").select("*", { count: "exact" });
+
+    if (action) query = query.eq("action", action);
+    if (targetId) query = query.eq("target_id", targetId);
+    if (adminId) query = query.eq("admin_id", adminId);
+
+    const offset = (page - 1) * limit;
+    query = query.range(offset, offset + limit - 1);
+
+    const { data, error, count } = await query.order("created_at", {
+      ascending: false,
+    });
+
+    if (error) throw error;
+    return { logs: data, total: count, page, limit };
+  }
+}
+
+class AuthAdminService {
+  static async createUser({
+    email,
+    password,
+    phone,
+    role = "parent",
+    name,
+    emailConfirm = true,
+    userMetadata = {},
+    appMetadata = {},
+  } = {}) {
+    const payload = {
+      email,
+      email_confirm: emailConfirm,
+      user_metadata: {
+        name,
+        role,
+        phone,
+        ...userMetadata,
+      },
+      app_metadata: {
+        role,
+        ...appMetadata,
+      },
+    };
+
+    if (password) {
+      payload.password = password;
+    }
+
+    const { data, error } = await supabase.auth.admin.createUser(payload);
+
+    if (error) throw error;
+    return data?.user || null;
+  }
+
+  static async updateUser(
+    userId,
+    {
+      email,
+      password,
+      phone,
+      role,
+      name,
+      userMetadata = {},
+      appMetadata = {},
+      banDuration,
+    } = {},
+  ) {
+    const updatePayload = {};
+
+    if (email) updatePayload.email = email;
+    if (password) updatePayload.password = password;
+    if (typeof banDuration !== "undefined")
+      updatePayload.ban_duration = banDuration;
+
+    const metadata = {
+      ...(userMetadata || {}),
+      ...(name ? { name } : {}),
+      ...(phone ? { phone } : {}),
+    };
+    if (role) metadata.role = role;
+    if (Object.keys(metadata).length) {
+      updatePayload.user_metadata = metadata;
+    }
+
+    const appMeta = {
+      ...(appMetadata || {}),
+    };
+    if (role) appMeta.role = role;
+    if (Object.keys(appMeta).length) {
+      updatePayload.app_metadata = appMeta;
+    }
+
+    const { data, error } = await supabase.auth.admin.updateUserById(
+      userId,
+      updatePayload,
+    );
+
+    if (error) throw error;
+    return data?.user || null;
+  }
+
+  static async deleteUser(userId) {
+    const { error } = await supabase.auth.admin.deleteUser(userId);
+    if (error) throw error;
+    return true;
+  }
+}
+
+class CaregiverProfileService {
+  static async getByUserId(userId) {
+    const { data, error } = await supabase
+      .from("caregiver_profiles")
+      .select("*")
+      .eq("user_id", userId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async upsert(userId, profileData = {}) {
+    const payload = { user_id: userId, ...profileData };
+    const { data, error } = await supabase
+      .from("caregiver_profiles")
+      .upsert(payload, { onConflict: "user_id" })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async update(userId, updates) {
+    const { data, error } = await supabase
+      .from("caregiver_profiles")
+      .update(updates)
+      .eq("user_id", userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async delete(userId) {
+    const { error } = await supabase
+      .from("caregiver_profiles")
+      .delete()
+      .eq("user_id", userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  static async updateVerification(userId, verificationUpdates = {}) {
+    const existing = await this.getByUserId(userId);
+    const verification = {
+      ...(existing?.verification || {}),
+      ...verificationUpdates,
+    };
+
+    return this.upsert(userId, {
+      ...(existing || {}),
+      verification,
+    });
+  }
+
+  /**
+   * Caregivers with something expiring by `through` (or already expired)
+   * that have not been checked since `checkedBefore`, soonest first
+   */
+  static async listDueForVerificationCheck({ through, checkedBefore, limit = 100 }) {
+    const { data, error } = await supabase
+      .from("caregiver_profiles")
+      .select("user_id, next_expiry_date, verification_status, verification_checked_at")
+      .lte("next_expiry_date", through)
+      .or(
+        `verification_checked_at.is.null,verification_checked_at.lt.${checkedBefore.toISOString()}`,
+      )
+      .order("next_expiry_date", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+class CaregiverDocumentService {
+  static async listByUser(userId) {
+    const { data, error } = await supabase
+      .from("caregiver_documents")
+      .select("*")
+      .eq("user_id", userId)
+      .order("uploaded_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async create(userId, documentData) {
+    const payload = { user_id: userId, ...documentData };
+    const { data, error } = await supabase
+      .from("caregiver_documents")
+      .insert(payload)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async update(documentId, updates) {
+    const { data, error } = await supabase
+      .from("caregiver_documents")
+      .update(updates)
+      .eq("id", documentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async delete(documentId) {
+    const { error } = await supabase
+      .from("caregiver_documents")
+      .delete()
+      .eq("id", documentId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  static async markVerified(
+    documentId,
+    { adminId, verifiedAt = new Date().toISOString(), verified = true } = {},
+  ) {
+    return this.update(documentId, {
+      verified,
+      verified_at: verified ? verifiedAt : null,
+      verified_by: verified ? (adminId ?? null) : null,
+    });
+  }
+
+  static async findById(documentId) {
+    const { data, error } = await supabase
+      .from("caregiver_documents")
+      .select("*")
+      .eq("id", documentId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  /**
+   * Admin review queue, oldest upload first
+   */
+  static async listForReview({ status = "pending", documentType, page = 1, limit = 20 } = {}) {
+    let query = supabase
+      .from("caregiver_documents")
+      .select("*, caregiver:user_id ( id, name, email, profile_image )", {
+        count: "exact",
+      })
+      .eq("status", status);
+    if (documentType) query = query.eq("document_type", documentType);
+
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order("uploaded_at", { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { documents: data || [], total: count || 0, page, limit };
+  }
+
+  /**
+   * Record an admin decision; resolves to null when the document has already
+   * been reviewed
+   */
+  static async review(documentId, { status, adminId, notes, expiryDate }) {
+    const approved = status === "approved";
+    const updates = {
+      status,
+      verified: approved,
+      verified_at: approved ? new Date().toISOString() : null,
+      verified_by: adminId ?? null,
+      review_notes: notes ?? null,
+    };
+    if (expiryDate !== undefined) updates.expiry_date = expiryDate;
+
+    const { data, error } = await supabase
+      .from("caregiver_documents")
+      .update(updates)
+      .eq("id", documentId)
+      .eq("status", "pending")
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+}
+
+class BackgroundCheckService {
+  static async getByUserId(userId) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .select("*")
+      .eq("user_id", userId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async upsert(userId, payload = {}) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .upsert({ user_id: userId, ...payload }, { onConflict: "user_id" })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async updateStatus(
+    userId,
+    {
+      status,
+      provider,
+      check_types,
+      notes,
+      verifiedBy,
+      verifiedAt,
+      completedAt,
+      requestedAt,
+      expiryDate,
+    } = {},
+  ) {
+    const existing = await this.getByUserId(userId);
+    const updates = {
+      status: status ?? existing?.status ?? "not_started",
+      provider: provider ?? existing?.provider ?? "internal",
+      check_types: check_types ?? existing?.check_types ?? [],
+      notes: notes ?? existing?.notes ?? null,
+      verified_by: verifiedBy ?? existing?.verified_by ?? null,
+      verified_at: verifiedAt ?? existing?.verified_at ?? null,
+      completed_at: completedAt ?? existing?.completed_at ?? null,
+      requested_at: requestedAt ?? existing?.requested_at ?? null,
+      expiry_date: expiryDate ?? existing?.expiry_date ?? null,
+    };
+
+    return this.upsert(userId, updates);
+  }
+
+  static async findByProviderReference(provider, reference) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .select("*")
+      .eq("provider", provider)
+      .eq("provider_reference", reference)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Provider orders still open and not polled since `polledBefore`
+   */
+  static async listOpenProviderOrders({ polledBefore, limit = 100 }) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .select("*")
+      .not("provider_reference", "is", null)
+      .in("status", ["pending", "in_progress"])
+      .or(`last_polled_at.is.null,last_polled_at.lt.${polledBefore.toISOString()}`)
+      .order("last_polled_at", { ascending: true, nullsFirst: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Update a provider order while it is still open; resolves to null once it
+   * has been decided or replaced by a newer order
+   */
+  static async updateOpenOrder(userId, reference, updates) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .update(updates)
+      .eq("user_id", userId)
+      .eq("provider_reference", reference)
+      .in("status", ["pending", "in_progress"])
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  /**
+   * Checks waiting for an admin: internal ones and provider results flagged
+   * for review, longest waiting first
+   */
+  static async listForReview({ statuses = ["pending", "in_progress"], limit = 50 } = {}) {
+    const { data, error } = await supabase
+      .from("caregiver_background_checks")
+      .select("*, caregiver:user_id ( id, name, email, profile_image )")
+      .in("status", statuses)
+      // Provider orders only need an admin once flagged
+      .or("provider_reference.is.null,provider_status.eq.consider")
+      .order("requested_at", { ascending: true, nullsFirst: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+class BackgroundCheckWebhookEventService {
+  /**
+   * Record an event; returns null when the event was already received
+   */
+  static async record({ provider, eventId, eventType, userId, payload }) {
+    const { data, error } = await supabase
+      .from("background_check_webhook_events")
+      .insert({
+        provider,
+        event_id: eventId,
+        event_type: eventType ?? null,
+        user_id: userId ?? null,
+        payload: payload ?? null,
+        received_at: new Date().toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+    return data;
+  }
+}
+
+class VerificationReminderService {
+  /**
+   * Note that a reminder went out; resolves to null when this one was sent
+   * before
+   */
+  static async record({ userId, itemKey, expiryDate, daysBefore }) {
+    const { data, error } = await supabase
+      .from("verification_reminders")
+      .insert({
+        user_id: userId,
+        item_key: itemKey,
+        expiry_date: expiryDate,
+        days_before: daysBefore,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+    return data;
+  }
+}
+
+class UserStatusHistoryService {
+  static async logChange({ userId, status, reason, changedBy }) {
+    const payload = {
+      user_id: userId,
+      status,
+      reason: reason ?? null,
+      changed_by: changedBy ?? null,
+      changed_at: new Date().toISOString(),
+    };
+
+    const { data, error } = await supabase
+      .from("user_status_history")
+      .insert(payload)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async listByUser(userId, { limit = 20 } = {}) {
+    const { data, error } = await supabase
+      .from("user_status_history")
+      .select("*")
+      .eq("user_id", userId)
+      .order("changed_at", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+/**
+ * Notification Service - the in-app notification center
+ */
+class NotificationService {
+  static async create(notificationData) {
+    const { data, error } = await supabase
+      .from("notifications")
+      .insert([notificationData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async listByUser(userId, { page = 1, limit = 20, type, unreadOnly = false } = {}) {
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    let query = supabase
+      .from("notifications")
+      .select(
+        `
+        *,
+        actor:actor_id ( id, name, email, profile_image )
+      `,
+        { count: "exact" },
+      )
+      .eq("user_id", userId);
+
+    if (type) query = query.eq("type", type);
+    if (unreadOnly) query = query.is("read_at", null);
+
+    const { data, error, count } = await query
+      .order("created_at", { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+    return { notifications: data || [], total: count || 0 };
+  }
+
+  static async countUnread(userId) {
+    const { count, error } = await supabase
+      .from("notifications")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId)
+      .is("read_at", null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
+  static async markAsRead(id, userId) {
+    // A malformed ID matches no notification (and Postgres rejects it as uuid)
+    if (!isValidUuid(id)) return null;
+
+    const { data, error } = await supabase
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select(
+        `
+        *,
+        actor:actor_id ( id, name, email, profile_image )
+      `,
+      )
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
+
+  static async markAllAsRead(userId) {
+    const { error } = await supabase
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", userId)
+      .is("read_at", null);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Notification Preference Service - per-type channels and quiet hours
+ */
+class NotificationPreferenceService {
+  static async get(userId) {
+    const { data, error } = await supabase
+      .from("notification_preferences")
+      .select("*")
+      .eq("user_id", userId)
+      .single();
+
+    if (!error) return data;
+    if (error.code === "PGRST116" || error.code === "42P01") return null;
+    throw error;
+  }
+
+  static async upsert(userId, { channels, quietHours }) {
+    const { data, error } = await supabase
+      .from("notification_preferences")
+      .upsert(
+        { user_id: userId, channels, quiet_hours: quietHours },
+        { onConflict: "user_id" },
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+/**
+ * Device Token Service - push notification tokens per user
+ */
+class DeviceTokenService {
+  static async upsert({ userId, token, platform = "unknown" }) {
+    const { data, error } = await supabase
+      .from("device_tokens")
+      .upsert(
+        { user_id: userId, token, platform },
+        { onConflict: "token" },
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async remove({ userId, token }) {
+    let query = supabase.from("device_tokens").delete().eq("user_id", userId);
+    if (token) query = query.eq("token", token);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+
+  static async listByUsers(userIds = []) {
+    if (!userIds.length) return [];
+
+    const { data, error } = await supabase
+      .from("device_tokens")
+      .select("user_id, token, platform")
+      .in("user_id", userIds);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async removeTokens(tokens = []) {
+    if (!tokens.length) return;
+
+    const { error } = await supabase
+      .from("device_tokens")
+      .delete()
+      .in("token", tokens);
+
+    if (error) throw error;
+  }
+
+  static async touch(tokens = []) {
+    if (!tokens.length) return;
+
+    const { error } = await supabase
+      .from("device_tokens")
+      .update({ last_used_at: new Date().toISOString() })
+      .in("token", tokens);
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * User Block Service - blocked users cannot message each other
+ */
+class UserBlockService {
+  static async block(blockerId, blockedId) {
+    const { error } = await supabase
+      .from("user_blocks")
+      .upsert(
+        { blocker_id: blockerId, blocked_id: blockedId },
+        { onConflict: "blocker_id,blocked_id", ignoreDuplicates: true },
+      );
+
+    if (error) throw error;
+  }
+
+  static async unblock(blockerId, blockedId) {
+    const { error } = await supabase
+      .from("user_blocks")
+      .delete()
+      .eq("blocker_id", blockerId)
+      .eq("blocked_id", blockedId);
+
+    if (error) throw error;
+  }
+
+  static async listByBlocker(blockerId) {
+    const { data, error } = await supabase
+      .from("user_blocks")
+      .select(
+        `
+        blocked_id,
+        created_at,
+        blocked:blocked_id ( id, name, profile_image, role )
+      `,
+      )
+      .eq("blocker_id", blockerId)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * The block between two users, whichever of them created it
+   * @returns {Promise<Object|null>} { blocker_id, blocked_id } or null
+   */
+  static async findBetween(userA, userB) {
+    const { data, error } = await supabase
+      .from("user_blocks")
+      .select("blocker_id, blocked_id")
+      .or(
+        `and(blocker_id.eq.${userA},blocked_id.eq.${userB}),and(blocker_id.eq.${userB},blocked_id.eq.${userA})`,
+      )
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+}
+
+/**
+ * User Mute Service - muted users' messages arrive without notifications
+ */
+class UserMuteService {
+  static async mute(userId, mutedUserId, mutedUntil = null) {
+    const { data, error } = await supabase
+      .from("user_mutes")
+      .upsert(
+        { user_id: userId, muted_user_id: mutedUserId, muted_until: mutedUntil },
+        { onConflict: "user_id,muted_user_id" },
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async unmute(userId, mutedUserId) {
+    const { error } = await supabase
+      .from("user_mutes")
+      .delete()
+      .eq("user_id", userId)
+      .eq("muted_user_id", mutedUserId);
+
+    if (error) throw error;
+  }
+
+  static async listByUser(userId) {
+    const { data, error } = await supabase
+      .from("user_mutes")
+      .select(
+        `
+        muted_user_id,
+        muted_until,
+        created_at,
+        muted:muted_user_id ( id, name, profile_image, role )
+      `,
+      )
+      .eq("user_id", userId)
+      .or(`muted_until.is.null,muted_until.gt.${new Date().toISOString()}`)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  static async isMuted(userId, mutedUserId) {
+    const { count, error } = await supabase
+      .from("user_mutes")
+      .select("user_id", { count: "exact", head: true })
+      .eq("user_id", userId)
+      .eq("muted_user_id", mutedUserId)
+      .or(`muted_until.is.null,muted_until.gt.${new Date().toISOString()}`);
+
+    if (error) throw error;
+    return count > 0;
+  }
+}
+
+/**
+ * Scheduled Job Service - persisted state and leases for services/scheduler.js
+ */
+class ScheduledJobService {
+  static async ensure(name) {
+    const { error } = await supabase
+      .from("scheduled_jobs")
+      .upsert({ name }, { onConflict: "name", ignoreDuplicates: true });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Take the job's lease if it is free (or expired) and the job is due.
+   * The conditional update is atomic, so at most one instance wins.
+   * @returns {Promise<Object|null>} the claimed row, or null
+   */
+  static async claim(name, { owner, leaseMs, dueBefore }) {
+    await this.ensure(name);
+
+    const now = new Date();
+    const nowIso = now.toISOString();
+    let query = supabase
+      .from("scheduled_jobs")
+      .update({
+        locked_by: owner,
+        locked_until: new Date(now.getTime() + leaseMs).toISOString(),
+        last_started_at: nowIso,
+        last_status: "running",
+      })
+      .eq("name", name)
+      .or(`locked_until.is.null,locked_until.lt.${nowIso}`);
+
+    if (dueBefore) {
+      query = query.or(
+        `last_started_at.is.null,last_started_at.lt.${dueBefore.toISOString()}`,
+      );
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
 
+  static async release(name, { owner, status, error: failure, result, runCount }) {
+    const { data, error } = await supabase
+      .from("scheduled_jobs")
+      .update({
+        locked_by: null,
+        locked_until: null,
+        last_finished_at: new Date().toISOString(),
+        last_status: status,
+        last_error: failure ?? null,
+        last_result: result ?? null,
+        run_count: runCount,
+      })
+      .eq("name", name)
+      .eq("locked_by", owner)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  static async list() {
+    const { data, error } = await supabase
+      .from("scheduled_jobs")
+      .select("*")
+      .order("name", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+}
+
+const DEFAULT_SYSTEM_SETTINGS = {
+  maintenance_mode: false,
+  registration_enabled: true,
+  email_verification_required: true,
+  background_check_required: true,
+};
+
+class SystemSettingsService {
+  static toCamel(record = DEFAULT_SYSTEM_SETTINGS) {
     return {
-      payments: rows.map((row) => normalizePaymentRecord(row, proofsMap)),
-      total: count || 0,
-      page,
-      limit,
+      maintenanceMode:
+        typeof record.maintenance_mode === "boolean"
+          ? record.maintenance_mode
+          : DEFAULT_SYSTEM_SETTINGS.maintenance_mode,
+      registrationEnabled:
+        typeof record.registration_enabled === "boolean"
+          ? record.registration_enabled
+          : DEFAULT_SYSTEM_SETTINGS.registration_enabled,
+      emailVerificationRequired:
+        typeof record.email_verification_required === "boolean"
+          ? record.email_verification_required
+          : DEFAULT_SYSTEM_SETTINGS.email_verification_required,
+      backgroundCheckRequired:
+        typeof record.background_check_required === "boolean"
+          ? record.background_check_required
+          : DEFAULT_SYSTEM_SETTINGS.background_check_required,
+    };
+  }
+
+  static toSnake(settings = {}) {
+    return {
+      maintenance_mode:
+        typeof settings.maintenanceMode === "boolean"
+          ? settings.maintenanceMode
+          : DEFAULT_SYSTEM_SETTINGS.maintenance_mode,
+      registration_enabled:
+        typeof settings.registrationEnabled === "boolean"
+          ? settings.registrationEnabled
+          : DEFAULT_SYSTEM_SETTINGS.registration_enabled,
+      email_verification_required:
+        typeof settings.emailVerificationRequired === "boolean"
+          ? settings.emailVerificationRequired
+          : DEFAULT_SYSTEM_SETTINGS.email_verification_required,
+      background_check_required:
+        typeof settings.backgroundCheckRequired === "boolean"
+          ? settings.backgroundCheckRequired
+          : DEFAULT_SYSTEM_SETTINGS.background_check_required,
     };
   }
 
-  static async findById(id) {
+  static async getSettings() {
+    const { data, error } = await supabase
+      .from("system_settings")
+      .select("*")
+      .limit(1)
+      .single();
+
+    if (!error) {
+      return this.toCamel(data);
+    }
+
+    if (error.code === "PGRST116" || error.code === "42P01") {
+      if (error.code === "42P01") {
+        console.warn(
+          "[SystemSettingsService] system_settings table missing; returning defaults.",
+        );
+      }
+      return this.toCamel();
+    }
+
+    throw error;
+  }
+
+  static async updateSettings(settings = {}) {
+    const payload = {
+      id: 1,
+      ...this.toSnake(settings),
+    };
+
     const { data, error } = await supabase
-      .from("payments")
-      .select(this.baseSelect)
-      .eq("id", id)
+      .from("system_settings")
+      .upsert(payload, { onConflict: "id" })
+      .select("*")
       .single();
 
-    if (error && error.code !== "PGRST116") throw error;
-    if (!data) return null;
+    if (error) {
+      if (error.code === "42P01") {
+        const missingTableError = new Error(
+          "system_settings table is missing. Create it or adjust SystemSettingsService.",
+        );
+        missingTableError.original = error;
+        throw missingTableError;
+      }
+      throw error;
+    }
 
-    const proofs = await PaymentProofService.listByBookingId(data.booking_id);
-    const proofsMap = new Map([[data.booking_id, proofs]]);
-    return normalizePaymentRecord(data, proofsMap);
+    return this.toCamel(data);
   }
+}
 
-  static async updateStatus(id, status, { notes } = {}) {
+/**
+ * Child Service - children records of parent accounts
+ */
+class ChildService {
+  static async listByParent(parentId) {
     const { data, error } = await supabase
-      .from("payments")
-      .update({
-        payment_status: status,
-        notes: typeof notes === "string" ? notes : null,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", id)
-      .select(this.baseSelect)
-      .single();
+      .from("children")
+      .select("*")
+      .eq("parent_id", parentId)
+      .order("created_at", { ascending: true });
 
     if (error) throw error;
+    return data || [];
+  }
+}
+
+/**
+ * Privacy Settings Service - fields a user shares with everyone
+ */
+class PrivacySettingsService {
+  static async findByUser(userId) {
+    const { data, error } = await supabase
+      .from("privacy_settings")
+      .select("*")
+      .eq("user_id", userId)
+      .single();
 
-    const proofs = await PaymentProofService.listByBookingId(data.booking_id);
-    const proofsMap = new Map([[data.booking_id, proofs]]);
-    return normalizePaymentRecord(data, proofsMap);
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
   }
 
-  static async refund(id, reason) {
+  static async upsert(userId, settings) {
     const { data, error } = await supabase
-      .from("payments")
-      .update({
-        payment_status: "refunded",
-        refund_reason: reason || null,
-        updated_at: new Date().toISOString(),
-      })
-      .eq("id", id)
-      .select(this.baseSelect)
+      .from("privacy_settings")
+      .upsert({ user_id: userId, ...settings }, { onConflict: "user_id" })
+      .select()
       .single();
 
     if (error) throw error;
-
-    const proofs = await PaymentProofService.listByBookingId(data.booking_id);
-    const proofsMap = new Map([[data.booking_id, proofs]]);
-    return normalizePaymentRecord(data, proofsMap);
+    return data;
   }
 }
 
+const PRIVACY_REQUEST_SELECT = `
+  *,
+  requester:requester_id ( id, name, email, profile_image ),
+  target:target_user_id ( id, name, email, profile_image )
+`;
+
 /**
- * Audit Log Service - Handles audit logging
+ * Privacy Request Service - requests to see another user's private fields
  */
-class AuditLogService {
-  static async create(logData) {
+class PrivacyRequestService {
+  // Resolves to null when the requester already has a pending request
+  static async create(requestData) {
     const { data, error } = await supabase
-      .from("audit_logs")
-      .insert(logData)
-      .select()
+      .from("privacy_requests")
+      .insert(requestData)
+      .select(PRIVACY_REQUEST_SELECT)
       .single();
 
-    if (error) throw error;
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
     return data;
   }
 
-  static async getLogs({
-    page = 1,
-    limit = 10,
-    action,
-    targetId,
-    adminId,
-  } = {}) {
-    let query = supabase.from("audit_logs").select("*", { count: "exact" });
-
-    if (action) query = query.eq("action", action);
-    if (targetId) query = query.eq("target_id", targetId);
-    if (adminId) query = query.eq("admin_id", adminId);
+  static async findById(id) {
+    const { data, error } = await supabase
+      .from("privacy_requests")
+      .select(PRIVACY_REQUEST_SELECT)
+      .eq("id", id)
+      .single();
 
-    const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
+    if (error && error.code !== "PGRST116") throw error;
+    return data;
+  }
 
-    const { data, error, count } = await query.order("created_at", {
-      ascending: false,
-    });
+  static async listPendingFor(targetUserId, { now = new Date() } = {}) {
+    const { data, error } = await supabase
+      .from("privacy_requests")
+      .select(PRIVACY_REQUEST_SELECT)
+      .eq("target_user_id", targetUserId)
+      .eq("status", "pending")
+      .gt("expires_at", now.toISOString())
+      .order("created_at", { ascending: false });
 
     if (error) throw error;
-    return { logs: data, total: count, page, limit };
+    return data || [];
   }
-}
-
-class AuthAdminService {
-  static async createUser({
-    email,
-    password,
-    phone,
-    role = "parent",
-    name,
-    emailConfirm = true,
-    userMetadata = {},
-    appMetadata = {},
-  } = {}) {
-    const payload = {
-      email,
-      email_confirm: emailConfirm,
-      user_metadata: {
-        name,
-        role,
-        phone,
-        ...userMetadata,
-      },
-      app_metadata: {
-        role,
-        ...appMetadata,
-      },
-    };
-
-    if (password) {
-      payload.password = password;
-    }
 
-    const { data, error } = await supabase.auth.admin.createUser(payload);
+  static async listSentBy(requesterId) {
+    const { data, error } = await supabase
+      .from("privacy_requests")
+      .select(PRIVACY_REQUEST_SELECT)
+      .eq("requester_id", requesterId)
+      .order("created_at", { ascending: false })
+      .limit(100);
 
     if (error) throw error;
-    return data?.user || null;
+    return data || [];
   }
 
-  static async updateUser(
-    userId,
-    {
-      email,
-      password,
-      phone,
-      role,
-      name,
-      userMetadata = {},
-      appMetadata = {},
-      banDuration,
-    } = {},
-  ) {
-    const updatePayload = {};
+  /**
+   * Record the answer to a request that is still pending; resolves to null
+   * when it was answered (or expired) in the meantime
+   */
+  static async respond(id, { status, sharedFields }) {
+    const { data, error } = await supabase
+      .from("privacy_requests")
+      .update({
+        status,
+        shared_fields: sharedFields,
+        responded_at: new Date().toISOString(),
+      })
+      .eq("id", id)
+      .eq("status", "pending")
+      .select(PRIVACY_REQUEST_SELECT)
+      .single();
 
-    if (email) updatePayload.email = email;
-    if (password) updatePayload.password = password;
-    if (typeof banDuration !== "undefined")
-      updatePayload.ban_duration = banDuration;
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
 
-    const metadata = {
-      ...(userMetadata || {}),
-      ...(name ? { name } : {}),
-      ...(phone ? { phone } : {}),
-    };
-    if (role) metadata.role = role;
-    if (Object.keys(metadata).length) {
-      updatePayload.user_metadata = metadata;
-    }
+  static async expirePending({ now = new Date(), limit = 100 } = {}) {
+    const { data: due, error: dueError } = await supabase
+      .from("privacy_requests")
+      .select("id")
+      .eq("status", "pending")
+      .lte("expires_at", now.toISOString())
+      .limit(limit);
 
-    const appMeta = {
-      ...(appMetadata || {}),
-    };
-    if (role) appMeta.role = role;
-    if (Object.keys(appMeta).length) {
-      updatePayload.app_metadata = appMeta;
-    }
+    if (dueError) throw dueError;
+    if (!due?.length) return [];
 
-    const { data, error } = await supabase.auth.admin.updateUserById(
-      userId,
-      updatePayload,
-    );
+    const { data, error } = await supabase
+      .from("privacy_requests")
+      .update({ status: "expired" })
+      .in(
+        "id",
+        due.map((row) => row.id),
+      )
+      .eq("status", "pending")
+      .select("id, requester_id, target_user_id");
 
     if (error) throw error;
-    return data?.user || null;
+    return data || [];
   }
+}
+
+const PRIVACY_GRANT_SELECT = `
+  *,
+  owner:owner_id ( id, name, profile_image ),
+  grantee:grantee_id ( id, name, profile_image )
+`;
+
+/**
+ * Privacy Grant Service - per-field, expiring access to a user's private data
+ */
+class PrivacyGrantService {
+  static async createMany(grants) {
+    if (!grants.length) return [];
+
+    const { data, error } = await supabase
+      .from("privacy_grants")
+      .insert(grants)
+      .select(PRIVACY_GRANT_SELECT);
 
-  static async deleteUser(userId) {
-    const { error } = await supabase.auth.admin.deleteUser(userId);
     if (error) throw error;
-    return true;
+    return data || [];
   }
-}
 
-class CaregiverProfileService {
-  static async getByUserId(userId) {
+  static async findById(id) {
     const { data, error } = await supabase
-      .from("caregiver_profiles")
-      .select("*")
-      .eq("user_id", userId)
+      .from("privacy_grants")
+      .select(PRIVACY_GRANT_SELECT)
+      .eq("id", id)
       .single();
 
     if (error && error.code !== "PGRST116") throw error;
     return data;
   }
 
-  static async upsert(userId, profileData = {}) {
-    const payload = { user_id: userId, ...profileData };
+  // Grants from owner to grantee that are neither revoked nor expired
+  static async listActiveBetween(ownerId, granteeId, { now = new Date() } = {}) {
     const { data, error } = await supabase
-      .from("caregiver_profiles")
-      .upsert(payload, { onConflict: "user_id" })
-      .select()
-      .single();
+      .from("privacy_grants")
+      .select("*")
+      .eq("owner_id", ownerId)
+      .eq("grantee_id", granteeId)
+      .is("revoked_at", null)
+      .gt("expires_at", now.toISOString());
 
     if (error) throw error;
-    return data;
+    return data || [];
   }
 
-  static async update(userId, updates) {
-    const { data, error } = await supabase
-      .from("caregiver_profiles")
-      .update(updates)
-      .eq("user_id", userId)
-      .select()
-      .single();
+  /**
+   * @param {Object} party - { ownerId } for grants given, { granteeId } for grants received
+   */
+  static async listActive({ ownerId, granteeId }, { now = new Date() } = {}) {
+    let query = supabase
+      .from("privacy_grants")
+      .select(PRIVACY_GRANT_SELECT)
+      .is("revoked_at", null)
+      .gt("expires_at", now.toISOString());
 
-    if (error) throw error;
-    return data;
-  }
+    if (ownerId) query = query.eq("owner_id", ownerId);
+    if (granteeId) query = query.eq("grantee_id", granteeId);
 
-  static async delete(userId) {
-    const { error } = await supabase
-      .from("caregiver_profiles")
-      .delete()
-      .eq("user_id", userId);
+    const { data, error } = await query.order("expires_at", { ascending: true });
 
     if (error) throw error;
-    return true;
+    return data || [];
   }
 
-  static async updateVerification(userId, verificationUpdates = {}) {
-    const existing = await this.getByUserId(userId);
-    const verification = {
-      ...(existing?.verification || {}),
-      ...verificationUpdates,
-    };
+  // Revoke a live grant; resolves to null when it was already revoked
+  static async revoke(id, { revokedBy, reason }) {
+    const { data, error } = await supabase
+      .from("privacy_grants")
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy,
+        revoke_reason: reason || null,
+      })
+      .eq("id", id)
+      .is("revoked_at", null)
+      .select(PRIVACY_GRANT_SELECT)
+      .single();
 
-    return this.upsert(userId, {
-      ...(existing || {}),
-      verification,
-    });
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  }
+
+  // Revoke every live grant from owner to grantee (all fields)
+  static async revokeBetween(ownerId, granteeId, { revokedBy, reason }) {
+    const { data, error } = await supabase
+      .from("privacy_grants")
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy,
+        revoke_reason: reason || null,
+      })
+      .eq("owner_id", ownerId)
+      .eq("grantee_id", granteeId)
+      .is("revoked_at", null)
+      .select("id, field");
+
+    if (error) throw error;
+    return data || [];
   }
-}
 
-class CaregiverDocumentService {
-  static async listByUser(userId) {
+  // Live grants issued automatically for a booking
+  static async listActiveForBooking(bookingId, { now = new Date() } = {}) {
     const { data, error } = await supabase
-      .from("caregiver_documents")
+      .from("privacy_grants")
       .select("*")
-      .eq("user_id", userId)
-      .order("uploaded_at", { ascending: false });
+      .eq("booking_id", bookingId)
+      .is("revoked_at", null)
+      .gt("expires_at", now.toISOString());
 
     if (error) throw error;
     return data || [];
   }
 
-  static async create(userId, documentData) {
-    const payload = { user_id: userId, ...documentData };
+  /**
+   * Revoke a booking's live grants, or only those for `fields`
+   */
+  static async revokeForBooking(bookingId, { revokedBy = null, reason, fields } = {}) {
+    let query = supabase
+      .from("privacy_grants")
+      .update({
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy,
+        revoke_reason: reason || null,
+      })
+      .eq("booking_id", bookingId)
+      .is("revoked_at", null);
+    if (fields) query = query.in("field", fields);
+
+    const { data, error } = await query.select("id, field");
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Bookings in one of `statuses` that still have live grants, e.g. a
+   * cancelled booking whose revocation failed
+   */
+  static async listBookingsWithLiveGrants({ statuses, now = new Date(), limit = 100 }) {
     const { data, error } = await supabase
-      .from("caregiver_documents")
-      .insert(payload)
-      .select()
-      .single();
+      .from("privacy_grants")
+      .select("booking_id, booking:bookings!inner(id, status, parent_id, caregiver_id)")
+      .not("booking_id", "is", null)
+      .is("revoked_at", null)
+      .gt("expires_at", now.toISOString())
+      .in("booking.status", statuses)
+      .limit(limit);
 
     if (error) throw error;
-    return data;
+    return [...new Map((data || []).map((row) => [row.booking_id, row.booking])).values()];
   }
 
-  static async update(documentId, updates) {
+  // Bring forward the expiry of a booking's live grants that outlast `expiresAt`
+  static async shortenForBooking(bookingId, expiresAt) {
     const { data, error } = await supabase
-      .from("caregiver_documents")
-      .update(updates)
-      .eq("id", documentId)
-      .select()
-      .single();
+      .from("privacy_grants")
+      .update({ expires_at: expiresAt })
+      .eq("booking_id", bookingId)
+      .is("revoked_at", null)
+      .gt("expires_at", expiresAt)
+      .select("id, field, expires_at");
 
     if (error) throw error;
-    return data;
+    return data || [];
   }
+}
 
-  static async delete(documentId) {
-    const { error } = await supabase
-      .from("caregiver_documents")
-      .delete()
-      .eq("id", documentId);
+/**
+ * Privacy Access Log Service - every read of a private field by someone else
+ */
+class PrivacyAccessLogService {
+  static async logMany(entries) {
+    if (!entries.length) return;
 
+    const { error } = await supabase.from("privacy_access_logs").insert(entries);
     if (error) throw error;
-    return true;
   }
 
-  static async markVerified(
-    documentId,
-    { adminId, verifiedAt = new Date().toISOString(), verified = true } = {},
-  ) {
-    return this.update(documentId, {
-      verified,
-      verified_at: verified ? verifiedAt : null,
-      verified_by: verified ? (adminId ?? null) : null,
-    });
+  static async listByOwner(ownerId, { page = 1, limit = 50, viewerId } = {}) {
+    let query = supabase
+      .from("privacy_access_logs")
+      .select("*, viewer:viewer_id ( id, name, profile_image )", { count: "exact" })
+      .eq("owner_id", ownerId);
+
+    if (viewerId) query = query.eq("viewer_id", viewerId);
+
+    const offset = (page - 1) * limit;
+    const { data, error, count } = await query
+      .order("accessed_at", { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return { entries: data || [], total: count || 0 };
   }
 }
 
-class BackgroundCheckService {
-  static async getByUserId(userId) {
+const OPEN_DATA_REQUEST_STATUSES = ["pending", "processing", "scheduled"];
+
+/**
+ * Data Request Service - data exports and account erasures asked for by users
+ */
+class DataRequestService {
+  // Resolves to null when the user already has an open request of this type
+  static async create(requestData) {
     const { data, error } = await supabase
-      .from("caregiver_background_checks")
-      .select("*")
-      .eq("user_id", userId)
+      .from("data_requests")
+      .insert(requestData)
+      .select()
       .single();
 
-    if (error && error.code !== "PGRST116") throw error;
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
     return data;
   }
 
-  static async upsert(userId, payload = {}) {
+  static async findById(id) {
     const { data, error } = await supabase
-      .from("caregiver_background_checks")
-      .upsert({ user_id: userId, ...payload }, { onConflict: "user_id" })
-      .select()
+      .from("data_requests")
+      .select("*")
+      .eq("id", id)
       .single();
 
-    if (error) throw error;
+    if (error && error.code !== "PGRST116") throw error;
     return data;
   }
 
-  static async updateStatus(
-    userId,
-    {
-      status,
-      provider,
-      check_types,
-      notes,
-      verifiedBy,
-      verifiedAt,
-      completedAt,
-      requestedAt,
-      expiryDate,
-    } = {},
-  ) {
-    const existing = await this.getByUserId(userId);
-    const updates = {
-      status: status ?? existing?.status ?? "not_started",
-      provider: provider ?? existing?.provider ?? "internal",
-      check_types: check_types ?? existing?.check_types ?? [],
-      notes: notes ?? existing?.notes ?? null,
-      verified_by: verifiedBy ?? existing?.verified_by ?? null,
-      verified_at: verifiedAt ?? existing?.verified_at ?? null,
-      completed_at: completedAt ?? existing?.completed_at ?? null,
-      requested_at: requestedAt ?? existing?.requested_at ?? null,
-      expiry_date: expiryDate ?? existing?.expiry_date ?? null,
-    };
+  static async findOpen(userId, type) {
+    const { data, error } = await supabase
+      .from("data_requests")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("type", type)
+      .in("status", OPEN_DATA_REQUEST_STATUSES)
+      .maybeSingle();
 
-    return this.upsert(userId, updates);
+    if (error) throw error;
+    return data;
   }
-}
 
-class UserStatusHistoryService {
-  static async logChange({ userId, status, reason, changedBy }) {
-    const payload = {
-      user_id: userId,
-      status,
-      reason: reason ?? null,
-      changed_by: changedBy ?? null,
-      changed_at: new Date().toISOString(),
-    };
+  static async listByUser(userId, { type, limit = 20 } = {}) {
+    let query = supabase.from("data_requests").select("*").eq("user_id", userId);
+    if (type) query = query.eq("type", type);
 
-    const { data, error } = await supabase
-      .from("user_status_history")
-      .insert(payload)
-      .select()
-      .single();
+    const { data, error } = await query
+      .order("created_at", { ascending: false })
+      .limit(limit);
 
     if (error) throw error;
-    return data;
+    return data || [];
   }
 
-  static async listByUser(userId, { limit = 20 } = {}) {
-    const { data, error } = await supabase
-      .from("user_status_history")
+  /**
+   * Requests of `type` in `status`, optionally only those whose `column`
+   * is at or before `before`, oldest first
+   */
+  static async listDue({ type, status, column, before, limit = 100 }) {
+    let query = supabase
+      .from("data_requests")
       .select("*")
-      .eq("user_id", userId)
-      .order("changed_at", { ascending: false })
+      .eq("type", type)
+      .eq("status", status);
+    if (column && before) query = query.lte(column, before.toISOString());
+
+    const { data, error } = await query
+      .order("created_at", { ascending: true })
       .limit(limit);
 
     if (error) throw error;
     return data || [];
   }
-}
 
-const DEFAULT_SYSTEM_SETTINGS = {
-  maintenance_mode: false,
-  registration_enabled: true,
-  email_verification_required: true,
-  background_check_required: true,
-};
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.expectedStatus] - only update while the request is
+   *   still in this status; resolves to null when it has moved on
+   */
+  static async update(id, fields, { expectedStatus } = {}) {
+    let query = supabase.from("data_requests").update(fields).eq("id", id);
+    if (expectedStatus) query = query.eq("status", expectedStatus);
 
-class SystemSettingsService {
-  static toCamel(record = DEFAULT_SYSTEM_SETTINGS) {
-    return {
-      maintenanceMode:
-        typeof record.maintenance_mode === "boolean"
-          ? record.maintenance_mode
-          : DEFAULT_SYSTEM_SETTINGS.maintenance_mode,
-      registrationEnabled:
-        typeof record.registration_enabled === "boolean"
-          ? record.registration_enabled
-          : DEFAULT_SYSTEM_SETTINGS.registration_enabled,
-      emailVerificationRequired:
-        typeof record.email_verification_required === "boolean"
-          ? record.email_verification_required
-          : DEFAULT_SYSTEM_SETTINGS.email_verification_required,
-      backgroundCheckRequired:
-        typeof record.background_check_required === "boolean"
-          ? record.background_check_required
-          : DEFAULT_SYSTEM_SETTINGS.background_check_required,
-    };
-  }
+    const { data, error } = await query.select().single();
 
-  static toSnake(settings = {}) {
-    return {
-      maintenance_mode:
-        typeof settings.maintenanceMode === "boolean"
-          ? settings.maintenanceMode
-          : DEFAULT_SYSTEM_SETTINGS.maintenance_mode,
-      registration_enabled:
-        typeof settings.registrationEnabled === "boolean"
-          ? settings.registrationEnabled
-          : DEFAULT_SYSTEM_SETTINGS.registration_enabled,
-      email_verification_required:
-        typeof settings.emailVerificationRequired === "boolean"
-          ? settings.emailVerificationRequired
-          : DEFAULT_SYSTEM_SETTINGS.email_verification_required,
-      background_check_required:
-        typeof settings.backgroundCheckRequired === "boolean"
-          ? settings.backgroundCheckRequired
-          : DEFAULT_SYSTEM_SETTINGS.background_check_required,
-    };
+    if (error) {
+      if (expectedStatus && error.code === "PGRST116") return null;
+      throw error;
+    }
+    return data;
   }
+}
 
-  static async getSettings() {
-    const { data, error } = await supabase
-      .from("system_settings")
-      .select("*")
-      .limit(1)
-      .single();
+const DATA_PAGE_SIZE = 1000;
+
+// Rows where any of `columns` holds the user's id, narrowed by `where`
+// (column -> value, list of values or null)
+const ownedBy = (query, columns, userId, where = {}) => {
+  let scoped =
+    columns.length === 1
+      ? query.eq(columns[0], userId)
+      : query.or(columns.map((column) => `${column}.eq.${userId}`).join(","));
+
+  Object.entries(where).forEach(([column, value]) => {
+    if (Array.isArray(value)) scoped = scoped.in(column, value);
+    else if (value === null) scoped = scoped.is(column, null);
+    else scoped = scoped.eq(column, value);
+  });
+  return scoped;
+};
 
-    if (!error) {
-      return this.toCamel(data);
-    }
+/**
+ * Data Subject Service - table-generic reads and writes for the data export
+ * and erasure pipeline. Tables and owner columns come from the category
+ * registry in services/dataSubject.js.
+ */
+class DataSubjectService {
+  // Every matching row, fetched a page at a time
+  static async listOwned(table, columns, userId, { select = "*", where, order } = {}) {
+    const rows = [];
+    for (let offset = 0; ; offset += DATA_PAGE_SIZE) {
+      let query = ownedBy(supabase.from(table).select(select), columns, userId, where);
+      if (order) query = query.order(order, { ascending: true });
 
-    if (error.code === "PGRST116" || error.code === "42P01") {
-      if (error.code === "42P01") {
-        console.warn(
-          "[SystemSettingsService] system_settings table missing; returning defaults.",
-        );
-      }
-      return this.toCamel();
+      const { data, error } = await query.range(offset, offset + DATA_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < DATA_PAGE_SIZE) return rows;
     }
+  }
 
-    throw error;
+  static async countOwned(table, columns, userId, { where } = {}) {
+    const { count, error } = await ownedBy(
+      supabase.from(table).select("*", { count: "exact", head: true }),
+      columns,
+      userId,
+      where,
+    );
+
+    if (error) throw error;
+    return count || 0;
   }
 
-  static async updateSettings(settings = {}) {
-    const payload = {
-      id: 1,
-      ...this.toSnake(settings),
-    };
+  static async updateOwned(table, columns, userId, values, { where, select = "id" } = {}) {
+    const { data, error } = await ownedBy(
+      supabase.from(table).update(values),
+      columns,
+      userId,
+      where,
+    ).select(select);
 
-    const { data, error } = await supabase
-      .from("system_settings")
-      .upsert(payload, { onConflict: "id" })
-      .select("*")
-      .single();
+    if (error) throw error;
+    return data || [];
+  }
 
-    if (error) {
-      if (error.code === "42P01") {
-        const missingTableError = new Error(
-          "system_settings table is missing. Create it or adjust SystemSettingsService.",
-        );
-        missingTableError.original = error;
-        throw missingTableError;
-      }
-      throw error;
-    }
+  // Resolves to the number of rows removed
+  static async deleteOwned(table, columns, userId, { where } = {}) {
+    const { count, error } = await ownedBy(
+      supabase.from(table).delete({ count: "exact" }),
+      columns,
+      userId,
+      where,
+    );
 
-    return this.toCamel(data);
+    if (error) throw error;
+    return count || 0;
   }
 }
 
@@ -1317,14 +3899,35 @@ module.exports = {
   ConversationService,
   MessageService,
   JobService,
+  ApplicationService,
+  InterviewService,
   BookingService,
+  BookingSeriesService,
+  ContractService,
   PaymentService,
   PaymentProofService,
+  PaymentWebhookEventService,
+  SolanaPaymentService,
   AuditLogService,
   AuthAdminService,
   CaregiverProfileService,
   CaregiverDocumentService,
   BackgroundCheckService,
+  BackgroundCheckWebhookEventService,
+  VerificationReminderService,
   UserStatusHistoryService,
+  NotificationService,
+  NotificationPreferenceService,
+  DeviceTokenService,
+  UserBlockService,
+  UserMuteService,
+  ScheduledJobService,
   SystemSettingsService,
+  ChildService,
+  PrivacySettingsService,
+  PrivacyRequestService,
+  PrivacyGrantService,
+  PrivacyAccessLogService,
+  DataRequestService,
+  DataSubjectService,
 };
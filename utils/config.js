@@ -52,6 +52,7 @@ const env = {
 const regEx = {
   password: /^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/,
   objectId: /^[0-9a-fA-F]{24}$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
   email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   phoneNumber: /^\+?[\d\s\-\(\)]{10,}$/,
   zipCode: /^\d{5}(-\d{4})?$/,
@@ -285,6 +286,7 @@ const utils = {
 // Validation helpers
 const validation = {
   isValidObjectId: (id) => regEx.objectId.test(id),
+  isValidUuid: (id) => regEx.uuid.test(String(id)),
   isValidEmail: (email) => regEx.email.test(email),
   isValidPassword: (password) => regEx.password.test(password),
   isValidPhoneNumber: (phone) => regEx.phoneNumber.test(phone),
@@ -2,6 +2,8 @@
  * Error handling utilities for the backend
  */
 
+const ErrorResponse = require("./errorResponse");
+
 class AppError extends Error {
   constructor(message, statusCode) {
     super(message);
@@ -89,6 +91,13 @@ const catchAsync = (fn) => {
   };
 };
 
+// Pass operational errors on as they are; log anything else and answer 500
+const forwardError = (error, next, fallbackMessage) => {
+  if (error.isOperational) return next(error);
+  console.error(`${fallbackMessage}:`, error);
+  return next(new ErrorResponse(fallbackMessage, 500));
+};
+
 // Add process method for compatibility with frontend error handler
 const process = (error) => {
   if (!error) {
@@ -110,5 +119,6 @@ module.exports = {
   AppError,
   globalErrorHandler,
   catchAsync,
+  forwardError,
   process,
 };
@@ -1,6 +1,6 @@
 // validators/contractValidators.js
 const { body, param, query, validationResult } = require("express-validator");
-const { isValidObjectId } = require("mongoose");
+const { CONTRACT_STATUSES } = require("../services/contractTerms");
 
 // Reusable validation middleware
 const validate = (validations) => {
@@ -20,66 +20,37 @@ const validate = (validations) => {
   };
 };
 
-// Contract creation validation
+// Contract creation validation (terms are checked in services/contractTerms)
 const createContractValidator = validate([
-  body("parentId")
-    .optional() // Will be set from auth middleware
-    .custom((value) => {
-      if (value && !isValidObjectId(value)) {
-        throw new Error("Invalid parent ID format");
-      }
-      return true;
-    }),
-
   body("caregiverId")
     .trim()
     .notEmpty()
     .withMessage("Caregiver ID is required")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid caregiver ID format");
-      }
-      return true;
-    }),
-
-  body("serviceId")
-    .trim()
-    .notEmpty()
-    .withMessage("Service ID is required")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid service ID format");
-      }
-      return true;
-    }),
-
-  body("terms")
-    .trim()
-    .notEmpty()
-    .withMessage("Terms are required")
-    .isLength({ max: 1000 })
-    .withMessage("Terms must be less than 1000 characters"),
+    .isUUID()
+    .withMessage("Invalid caregiver ID format"),
 
-  body("price")
-    .notEmpty()
-    .withMessage("Price is required")
-    .isFloat({ min: 0 })
-    .withMessage("Price must be a positive number"),
+  body("jobId").optional({ nullable: true }).isUUID().withMessage("Invalid job ID format"),
+
+  body("serviceType").trim().notEmpty().withMessage("Service type is required"),
 
   body("startDate")
-    .optional()
+    .notEmpty()
+    .withMessage("Start date is required")
     .isISO8601()
     .withMessage("Invalid start date format (use ISO8601)"),
 
   body("endDate")
-    .optional()
+    .optional({ nullable: true })
     .isISO8601()
     .withMessage("Invalid end date format (use ISO8601)"),
 
-  body("status")
-    .optional()
-    .isIn(["pending", "active", "completed", "cancelled"])
-    .withMessage("Invalid initial status"),
+  body("hours")
+    .isFloat({ gt: 0 })
+    .withMessage("Hours must be a positive number"),
+
+  body("rate")
+    .isFloat({ gt: 0 })
+    .withMessage("Rate must be a positive number"),
 ]);
 
 // Parent ID validation
@@ -88,38 +59,12 @@ const parentIdValidator = validate([
     .trim()
     .notEmpty()
     .withMessage("Parent ID is required")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid parent ID format");
-      }
-      return true;
-    }),
-]);
-
-// Client ID validation
-const clientIdValidator = validate([
-  param("clientId")
-    .trim()
-    .notEmpty()
-    .withMessage("Client ID is required")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid client ID format");
-      }
-      return true;
-    }),
+    .isUUID()
+    .withMessage("Invalid parent ID format"),
 
   query("status")
     .optional()
-    .isIn([
-      "pending",
-      "active",
-      "completed",
-      "cancelled",
-      "approved",
-      "rejected",
-      "in_progress",
-    ])
+    .isIn(CONTRACT_STATUSES)
     .withMessage("Invalid status filter"),
 ]);
 
@@ -129,12 +74,17 @@ const contractIdValidator = validate([
     .trim()
     .notEmpty()
     .withMessage("Contract ID is required")
-    .custom((value) => {
-      if (!isValidObjectId(value)) {
-        throw new Error("Invalid contract ID format");
-      }
-      return true;
-    }),
+    .isUUID()
+    .withMessage("Invalid contract ID format"),
+]);
+
+// Signing must name the exact version and hash that was shown to the signer
+const signContractValidator = validate([
+  body("version").isInt({ min: 1 }).withMessage("Version is required"),
+  body("contentHash")
+    .isString()
+    .matches(/^[0-9a-f]{64}$/)
+    .withMessage("contentHash must be the SHA-256 hex digest of the version"),
 ]);
 
 // Contract status update validation
@@ -143,7 +93,7 @@ const statusUpdateValidator = validate([
     .trim()
     .notEmpty()
     .withMessage("Status is required")
-    .isIn(["approved", "rejected", "in_progress", "completed", "cancelled"])
+    .isIn(["completed", "cancelled"])
     .withMessage("Invalid status update value"),
 ]);
 
@@ -151,5 +101,6 @@ module.exports = {
   createContractValidator,
   parentIdValidator,
   contractIdValidator,
+  signContractValidator,
   statusUpdateValidator,
 };